@@ -317,9 +317,9 @@ class SchedulingApp {
       printConfig();
       
       // 서비스 모듈들을 로드
-      this.webhookService = require('./src/services/webhook');
-      this.telegramService = require('./src/services/telegram');
-      this.schedulerService = require('./src/services/scheduler');
+      this.webhookService = require('./src/infrastructure/webhook');
+      this.telegramService = require('./src/infrastructure/telegram');
+      this.schedulerService = require('./src/infrastructure/scheduler');
       
       // 웹훅 서버 시작
       await this.webhookService.start();
@@ -467,9 +467,20 @@ class OnceExecutor {
     const { setGlobalFilterDays } = require('./src/utils/dateUtils');
     setGlobalFilterDays(CLI_CONFIG.filtering.filterDays);
     
-    // 텔레그램 서비스에 dry-run 모드 설정
-    const telegram = require('./src/infrastructure/telegram');
-    telegram.setDryRunMode(this.isDryRun);
+    // 텔레그램 전송 파이프라인에 dry-run 모드 설정 (모든 서비스 메신저가 공유)
+    const telegramDelivery = require('./src/infrastructure/telegramDelivery');
+    telegramDelivery.setDryRunMode(this.isDryRun);
+    
+    // 슬랙 등 텔레그램 외 전송 채널에도 dry-run 모드 설정
+    const outputDispatcher = require('./src/services/common/outputDispatcher');
+    outputDispatcher.setDryRunMode(this.isDryRun);
+    
+    // dry-run에서는 전송 대기열 변경을 파일에 남기지 않음
+    require('./src/services/common/deliveryOutbox').setDryRunMode(this.isDryRun);
+    require('./src/services/common/crossSourceDeduper').setDryRunMode(this.isDryRun);
+    require('./src/services/common/articleActions').setDryRunMode(this.isDryRun);
+    require('./src/services/common/keywordSubscriptions').setDryRunMode(this.isDryRun);
+    require('./src/services/common/forumTopics').setDryRunMode(this.isDryRun);
     
     if (this.isDryRun) {
       console.log('⚠️  DRY RUN 모드 - 실제 메시지는 전송되지 않습니다\n');
@@ -479,6 +490,10 @@ class OnceExecutor {
     }
 
     await this.executeAllServicesInParallel();
+    
+    // 이메일 다이제스트 등 실행 단위 채널 전송
+    await outputDispatcher.flush();
+    
     this.printDetailedSummary();
   }
 
@@ -584,6 +599,7 @@ class OnceExecutor {
     // Dry run용 더미 캐시
     serviceModule.cache = {
       filterNewPosts: (posts) => posts,
+      markAsSeen: () => {},
       markAsSent: () => {},
       cleanupOldCache: () => {},
       getTodayStats: () => ({ sent: 0, filtered: 0 })
@@ -659,6 +675,17 @@ class OnceExecutor {
     console.log(`   📰 발견된 아티클: ${this.results.articlesFound}개`);
     console.log(`   📨 전송된 메시지: ${this.results.messagesSent}개`);
     
+    // 텔레그램 전송 통계 (텔레그램 전송 파이프라인 기준, 분할된 메시지는 각각 집계)
+    const telegramStats = require('./src/infrastructure/telegramDelivery').getStats();
+    console.log(`\n📨 텔레그램 전송 통계:`);
+    console.log(`   성공 ${telegramStats.sent}건 / 실패 ${telegramStats.failed}건 / 재시도 ${telegramStats.retried}회${telegramStats.dryRun > 0 ? ` / DRY RUN ${telegramStats.dryRun}건` : ''}`);
+    
+    // 전송 대기열 (다음 실행에서 다시 전송할 아티클, 실패 보관함)
+    const outboxStats = require('./src/services/common/deliveryOutbox').getStats();
+    if (outboxStats.pending > 0 || outboxStats.deadLetters > 0) {
+      console.log(`\n📮 전송 대기열: 재전송 대기 ${outboxStats.pending}개 / 실패 보관함 ${outboxStats.deadLetters}개 (npm run outbox:list)`);
+    }
+    
     // 성능 통계
     console.log(`\n⚡ 성능 통계:`);
     console.log(`   전체 실행 시간: ${this.results.duration.toFixed(1)}ms`);
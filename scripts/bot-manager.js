@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+
+/**
+ * 텔레그램 봇 관리 유틸리티 스크립트
+ * 봇 업데이트 웹훅 / 명령 목록 등록과 아티클 인라인 버튼(저장 / 음소거 / 관련 없음), 키워드 구독, 포럼 토픽 상태를 다룸
+ *
+ * 사용법:
+ * - 웹훅 등록: node scripts/bot-manager.js webhook set <웹훅 서버 URL>
+ * - 웹훅 상태: node scripts/bot-manager.js webhook info
+ * - 웹훅 해제: node scripts/bot-manager.js webhook delete
+ * - 명령 목록 등록: node scripts/bot-manager.js commands
+ * - 저장한 아티클: node scripts/bot-manager.js saved
+ * - 음소거 중인 출처: node scripts/bot-manager.js mutes
+ * - 음소거 해제: node scripts/bot-manager.js unmute <서비스 키>
+ * - 관련 없음 라벨: node scripts/bot-manager.js labels [--export]
+ * - 키워드 구독: node scripts/bot-manager.js subscriptions
+ * - 포럼 토픽: node scripts/bot-manager.js topics
+ *
+ * 예시:
+ * - node scripts/bot-manager.js webhook set https://rss.example.com
+ * - node scripts/bot-manager.js labels --export
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { config } = require('../src/config/config');
+const { readJson, writeJsonAtomic } = require('../src/utils/fileStore');
+const telegramDelivery = require('../src/infrastructure/telegramDelivery');
+const articleActions = require('../src/services/common/articleActions');
+const telegramCommands = require('../src/services/common/telegramCommands');
+const keywordSubscriptions = require('../src/services/common/keywordSubscriptions');
+const forumTopics = require('../src/services/common/forumTopics');
+
+const CORPUS_DIR = path.join(__dirname, '..', 'src', 'test', 'filterCorpus');
+
+/**
+ * 날짜 표시 형식 (KST)
+ */
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' }) : '-';
+}
+
+/**
+ * webhook 명령 실행 (봇 업데이트를 웹훅 서버로 받도록 등록)
+ */
+async function webhook(action, baseUrl) {
+  switch (action) {
+    case 'set': {
+      if (!baseUrl) {
+        throw new Error('웹훅 서버 URL을 입력하세요 (예: https://rss.example.com)');
+      }
+      // 웹훅 서버는 시크릿이 없으면 봇 업데이트 라우트를 등록하지 않음
+      if (!config.telegram.updates.secret) {
+        throw new Error('TELEGRAM_WEBHOOK_SECRET을 설정하세요 (봇 업데이트 요청 검증에 필요)');
+      }
+
+      const url = new URL(config.telegram.updates.path, baseUrl).href;
+      await telegramDelivery.call('setWebhook', {
+        url,
+        allowed_updates: ['callback_query', 'message'],
+        secret_token: config.telegram.updates.secret
+      });
+      console.log(`✅ 웹훅 등록 완료: ${url}`);
+      break;
+    }
+
+    case 'info': {
+      const info = await telegramDelivery.call('getWebhookInfo');
+      console.log('\n🤖 === 봇 웹훅 상태 ===');
+      console.log(`URL: ${info.url || '(미등록)'}`);
+      console.log(`대기 중인 업데이트: ${info.pending_update_count ?? 0}개`);
+      if (info.last_error_message) {
+        console.log(`마지막 오류: ${info.last_error_message} (${formatDate(info.last_error_date * 1000)})`);
+      }
+      console.log('=====================\n');
+      break;
+    }
+
+    case 'delete':
+      await telegramDelivery.call('deleteWebhook');
+      console.log('🗑️ 웹훅 해제 완료');
+      break;
+
+    default:
+      throw new Error(`알 수 없는 webhook 동작: ${action ?? '(없음)'} (set | info | delete)`);
+  }
+}
+
+/**
+ * commands 명령 실행 (텔레그램 입력창의 명령 메뉴 등록)
+ */
+async function commands() {
+  const commandList = telegramCommands.getCommandList();
+  await telegramDelivery.call('setMyCommands', { commands: commandList });
+
+  console.log(`✅ 봇 명령 ${commandList.length}개 등록 완료`);
+  commandList.forEach(({ command, description }) => console.log(`   /${command} - ${description}`));
+  if (config.telegram.adminIds.length === 0) {
+    console.log('⚠️ TELEGRAM_ADMIN_IDS가 없어 아무도 서비스 조회/제어 명령을 사용할 수 없습니다');
+  }
+}
+
+/**
+ * saved 명령 실행
+ */
+function saved() {
+  const articles = articleActions.getSaved();
+
+  console.log(`\n💾 === 저장한 아티클 (${articles.length}개) ===`);
+  if (articles.length === 0) {
+    console.log('저장한 아티클이 없습니다');
+  }
+  articles.forEach(article => {
+    console.log(`   [${article.id}] ${article.title || '(제목 없음)'} · ${article.serviceKey}`);
+    console.log(`      ${article.url}`);
+    console.log(`      저장 ${formatDate(article.savedAt)}${article.savedBy ? ` (${article.savedBy})` : ''}`);
+  });
+  console.log('');
+}
+
+/**
+ * mutes 명령 실행
+ */
+function mutes() {
+  const muted = articleActions.getMutes();
+
+  console.log(`\n🔇 === 음소거 중인 출처 (${muted.length}개) ===`);
+  if (muted.length === 0) {
+    console.log('음소거 중인 출처가 없습니다');
+  }
+  muted.forEach(mute => {
+    console.log(`   ${mute.serviceKey} - ${formatDate(mute.until)}까지${mute.mutedBy ? ` (${mute.mutedBy})` : ''}`);
+  });
+  console.log('');
+}
+
+/**
+ * unmute 명령 실행
+ */
+function unmute(serviceKey) {
+  if (!serviceKey) {
+    throw new Error('음소거를 해제할 서비스 키를 입력하세요 (mutes 명령으로 확인)');
+  }
+
+  console.log(articleActions.unmute(serviceKey)
+    ? `🔔 음소거 해제: ${serviceKey}`
+    : `⚠️ 음소거 중이 아닌 출처: ${serviceKey}`);
+}
+
+/**
+ * labels 명령 실행 (--export면 필터 코퍼스에 not_relevant 항목으로 추가)
+ */
+function labels(options) {
+  if (!options.export) {
+    const all = articleActions.getLabels();
+    console.log(`\n👎 === 관련 없음 라벨 (${all.length}개) ===`);
+    if (all.length === 0) {
+      console.log('기록된 라벨이 없습니다');
+    }
+    all.forEach(label => {
+      console.log(`   [${label.id}] ${label.title || '(제목 없음)'} · ${label.serviceKey}`);
+      console.log(`      ${label.url}`);
+    });
+    console.log('\n필터 코퍼스에 추가하려면 --export 옵션을 사용하세요\n');
+    return;
+  }
+
+  articleActions.toCorpusEntries().forEach((items, profile) => {
+    const corpusFile = path.join(CORPUS_DIR, `${profile}.json`);
+    const corpus = readJson(corpusFile);
+    if (!corpus) {
+      console.log(`⚠️ ${profile} 프로필 코퍼스가 없어 건너뜀: ${corpusFile}`);
+      return;
+    }
+
+    const ids = new Set(corpus.items.map(item => item.id));
+    const added = items.filter(item => !ids.has(item.id));
+    if (added.length > 0) {
+      writeJsonAtomic(corpusFile, { ...corpus, items: [...corpus.items, ...added] });
+    }
+    console.log(`✅ ${profile}: ${added.length}개 추가 (이미 있는 항목 ${items.length - added.length}개)`);
+  });
+
+  console.log('\n📊 node src/test/filter-regression.js로 필터 판정을 확인하세요\n');
+}
+
+/**
+ * subscriptions 명령 실행 (전체 사용자의 키워드 구독)
+ */
+function subscriptions() {
+  const all = keywordSubscriptions.getAll();
+
+  console.log(`\n🔔 === 키워드 구독 (${all.length}명) ===`);
+  if (all.length === 0) {
+    console.log('등록된 구독이 없습니다');
+  }
+  all.forEach(subscription => {
+    console.log(`   ${subscription.username ? `@${subscription.username}` : '(사용자 이름 없음)'} (${subscription.userId}) - DM ${subscription.delivered}개`);
+    console.log(`      ${subscription.patterns.join(', ')}`);
+  });
+  console.log('');
+}
+
+/**
+ * topics 명령 실행 (포럼 채팅방의 카테고리 → 토픽)
+ */
+function topics() {
+  const all = forumTopics.getTopics();
+
+  console.log(`\n🗂️ === 포럼 토픽 (${all.length}개) ===`);
+  if (all.length === 0) {
+    console.log('services.json의 chatTopics에 포럼 채팅방이 없거나 매핑된 토픽이 없습니다');
+  }
+  all.forEach(topic => {
+    console.log(`   ${topic.chatId} · ${topic.category} → ${topic.threadId}${topic.auto ? ' (자동 생성)' : ''}`);
+  });
+  console.log(`\n자동 생성: ${config.telegram.topics.autoCreate ? '사용' : '미사용'} (TELEGRAM_TOPIC_AUTO_CREATE)\n`);
+}
+
+/**
+ * 도움말 출력
+ */
+function showHelp() {
+  console.log(`
+🤖 === RSS 알림 시스템 텔레그램 봇 관리자 ===
+
+사용법: node scripts/bot-manager.js <명령어> [옵션]
+
+명령어:
+  webhook set <URL>        봇 업데이트(버튼 클릭, 명령)를 웹훅 서버로 받도록 등록 (${config.telegram.updates.path})
+  webhook info             웹훅 등록 상태
+  webhook delete           웹훅 해제
+  commands                 봇 명령 메뉴 등록 (/sources, /latest, /stats, /pause, /resume, /run, /watch 등)
+  saved                    "저장" 버튼으로 저장한 아티클
+  mutes                    음소거 중인 출처
+  unmute <서비스 키>       음소거 해제
+  labels [--export]        "관련 없음" 라벨 목록 (--export: 필터 코퍼스에 추가)
+  subscriptions            사용자별 키워드 구독 (/watch)
+  topics                   포럼 채팅방의 카테고리별 토픽 (services.json chatTopics + 자동 생성)
+  help                     이 도움말 출력
+
+설명:
+  TELEGRAM_ACTIONS=true면 아티클 메시지에 저장 / ${config.telegram.actions.muteDays}일 음소거 / 관련 없음 버튼이 붙습니다.
+  TELEGRAM_WEBHOOK_SECRET이 필요합니다. 웹훅 등록 시 secret_token으로 전달하며, 웹훅 서버는 이 값이 일치하는 요청만 처리합니다.
+  서비스 조회/제어 명령은 TELEGRAM_ADMIN_IDS에 있는 사용자만, 키워드 구독 명령(/watch, /unwatch, /watches)은 누구나 사용할 수 있습니다.
+  버튼 상태 파일: .cache/rss-article-actions.json
+  키워드 구독 파일: .cache/rss-subscriptions.json
+  자동 생성한 포럼 토픽 파일: .cache/rss-forum-topics.json
+
+예시:
+  node scripts/bot-manager.js webhook set https://rss.example.com
+  node scripts/bot-manager.js unmute toss
+  node scripts/bot-manager.js labels --export
+=====================================
+`);
+}
+
+/**
+ * 메인 함수
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || command === 'help') {
+    showHelp();
+    return;
+  }
+
+  const options = {
+    positional: args.slice(1).filter(arg => !arg.startsWith('--')),
+    export: args.includes('--export')
+  };
+
+  switch (command) {
+    case 'webhook':
+      await webhook(options.positional[0], options.positional[1]);
+      break;
+
+    case 'commands':
+      await commands();
+      break;
+
+    case 'saved':
+      saved();
+      break;
+
+    case 'mutes':
+      mutes();
+      break;
+
+    case 'unmute':
+      unmute(options.positional[0]);
+      break;
+
+    case 'labels':
+      labels(options);
+      break;
+
+    case 'subscriptions':
+      subscriptions();
+      break;
+
+    case 'topics':
+      topics();
+      break;
+
+    default:
+      console.error(`❌ 알 수 없는 명령어: ${command}`);
+      showHelp();
+  }
+}
+
+// 스크립트 실행
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ 스크립트 실행 실패:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  labels
+};
\ No newline at end of file
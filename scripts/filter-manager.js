@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * 컨텐츠 필터 관리 유틸리티 스크립트
+ *
+ * 사용법:
+ * - URL 판정 설명: node scripts/filter-manager.js explain <url> [--service=키] [--profile=이름] [--json]
+ * - 피드 아이템 판정 설명: node scripts/filter-manager.js explain <item.json> [--service=키] [--profile=이름] [--json]
+ *
+ * 예시:
+ * - node scripts/filter-manager.js explain https://toss.tech/article/some-article
+ * - node scripts/filter-manager.js explain https://example.com/post --service=geeknews
+ * - node scripts/filter-manager.js explain ./item.json --profile=backend --json
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const filterExplainer = require('../src/services/common/filterExplainer');
+const { filterProfiles } = require('../src/config/filterProfiles');
+
+/**
+ * --key=value 형식 옵션 파싱
+ */
+function parseOptions(args) {
+  const options = { positional: [] };
+
+  args.forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      options[key] = value ?? true;
+    } else {
+      options.positional.push(arg);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * 점수 표시 형식
+ */
+function formatScore(score) {
+  return typeof score === 'number' ? score.toFixed(3) : String(score);
+}
+
+/**
+ * 판정 설명 출력
+ */
+function printExplanation(result) {
+  const decisionIcons = {
+    PASS: '✅',
+    AUTO_APPROVED: '✅',
+    REJECT: '❌',
+    EXCLUDED: '🚫'
+  };
+
+  console.log('\n🔍 === 필터 판정 설명 ===');
+  console.log(`📰 제목: ${result.title || '(제목 없음)'}`);
+  if (result.input.url) {
+    console.log(`🔗 URL: ${result.input.url}`);
+  }
+  console.log(`🏷️  서비스: ${result.input.service ?? '(지정 안 됨)'} | 입력: ${result.input.origin}`);
+  console.log(`📋 프로필: ${result.profile} | 관대한 소스: ${result.lenientSource ? '예' : '아니오'}`);
+
+  if (result.exclusionPattern) {
+    console.log(`\n🚫 명시적 제외 패턴 일치: /${result.exclusionPattern}/i`);
+  }
+
+  if (result.subScores) {
+    console.log('\n📊 세부 점수 (점수 × 가중치):');
+    Object.entries(result.subScores).forEach(([name, score]) => {
+      if (typeof score !== 'number') return;
+
+      const weight = result.weights[name];
+      const weighted = weight === undefined ? score : score * weight;
+      const weightLabel = weight === undefined ? '' : ` × ${weight} = ${formatScore(weighted)}`;
+      console.log(`  ${name.padEnd(8)} ${formatScore(score)}${weightLabel}`);
+
+      (result.matches[name] ?? []).forEach(match => {
+        const where = match.where ? `, ${match.where}` : '';
+        console.log(`    - "${match.keyword}" (${match.tier}${where}, ${match.points > 0 ? '+' : ''}${formatScore(match.points)})`);
+      });
+    });
+  }
+
+  if (result.lenientRule) {
+    const { rule, keyword, pattern, from, to } = result.lenientRule;
+    const ruleLabels = {
+      eventAutoApprove: `컨퍼런스/밋업 자동 승인 (키워드 "${keyword}")`,
+      lenientExclusion: `관대한 소스 전용 제외 패턴 /${pattern}/i`,
+      minimumScore: `최소 점수 보장 (키워드 "${keyword}", ${formatScore(from)} → ${formatScore(to)})`
+    };
+    console.log(`\n🤝 관대한 소스 규칙: ${ruleLabels[rule] ?? rule}`);
+  }
+
+  const comparison = result.score >= result.threshold ? '≥' : '<';
+  console.log(`\n${decisionIcons[result.decision] ?? '•'} 최종 판정: ${result.decision}`);
+  console.log(`   총점 ${formatScore(result.score)} ${comparison} 임계값 ${result.threshold}`);
+  console.log('========================\n');
+}
+
+/**
+ * explain 명령 실행
+ */
+async function explain(target, options) {
+  const explainOptions = {
+    service: typeof options.service === 'string' ? options.service : undefined,
+    profile: typeof options.profile === 'string' ? options.profile : undefined
+  };
+
+  let result;
+  if (/^https?:\/\//i.test(target)) {
+    result = await filterExplainer.explainUrl(target, explainOptions);
+  } else {
+    const item = JSON.parse(fs.readFileSync(path.resolve(target), 'utf8'));
+    result = await filterExplainer.explainItem(item, explainOptions);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printExplanation(result);
+  }
+
+  return result;
+}
+
+/**
+ * 도움말 출력
+ */
+function showHelp() {
+  console.log(`
+🔍 === RSS 알림 시스템 컨텐츠 필터 관리자 ===
+
+사용법: node scripts/filter-manager.js <명령어> [옵션]
+
+명령어:
+  explain <url|item.json>  아티클의 필터 판정 근거 출력
+  help                     이 도움말 출력
+
+옵션:
+  --service=<키>           판정에 사용할 서비스 (기본: URL 호스트로 추정)
+  --profile=<이름>         필터 프로필 지정 (사용 가능: ${filterProfiles.getProfileNames().join(', ')})
+  --json                   결과를 JSON으로 출력
+
+예시:
+  node scripts/filter-manager.js explain https://toss.tech/article/some-article
+  node scripts/filter-manager.js explain https://example.com/post --service=geeknews
+  node scripts/filter-manager.js explain ./item.json --profile=backend --json
+
+💡 참고:
+  - URL은 서비스 피드에서 같은 아티클을 먼저 찾고, 없으면 페이지를 직접 가져와 판정합니다
+  - item.json은 피드 아이템 형식입니다 ({ title, link, contentEncoded | summary | content | description })
+  - 같은 기능을 HTTP로도 사용할 수 있습니다 (GET/POST /filter/explain)
+=====================================
+`);
+}
+
+/**
+ * 메인 함수
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || command === 'help') {
+    showHelp();
+    return;
+  }
+
+  const options = parseOptions(args.slice(1));
+
+  switch (command) {
+    case 'explain':
+      if (!options.positional[0]) {
+        console.error('❌ URL 또는 피드 아이템 JSON 파일을 입력해주세요.');
+        console.log('예시: node scripts/filter-manager.js explain https://toss.tech/article/some-article');
+        process.exitCode = 1;
+        return;
+      }
+      await explain(options.positional[0], options);
+      break;
+
+    default:
+      console.error(`❌ 알 수 없는 명령어: ${command}`);
+      showHelp();
+  }
+}
+
+// 스크립트 실행
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ 스크립트 실행 실패:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  explain
+};
\ No newline at end of file
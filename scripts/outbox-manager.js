@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/**
+ * 전송 대기열(outbox) 관리 유틸리티 스크립트
+ * .cache/rss-outbox.json (GitHub Actions 등 파일 저장 모드의 대기열)을 다룸
+ *
+ * 사용법:
+ * - 대기열 목록: node scripts/outbox-manager.js list
+ * - 실패 보관함 목록: node scripts/outbox-manager.js dead [--verbose]
+ * - 다시 대기열에 추가: node scripts/outbox-manager.js requeue <ID...|--all>
+ * - 실패 보관함에서 삭제: node scripts/outbox-manager.js drop <ID...|--all>
+ *
+ * 예시:
+ * - node scripts/outbox-manager.js dead --verbose
+ * - node scripts/outbox-manager.js requeue 3f2a9c1b7d
+ * - node scripts/outbox-manager.js requeue --all
+ */
+
+require('dotenv').config();
+const deliveryOutbox = require('../src/services/common/deliveryOutbox');
+
+/**
+ * 날짜 표시 형식 (KST)
+ */
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' }) : '-';
+}
+
+/**
+ * 대기 항목 한 줄 출력
+ */
+function printItem(item, verbose = false) {
+  console.log(`   [${item.id}] ${item.domainName} · ${item.title || '(제목 없음)'}`);
+  console.log(`      ${item.url}`);
+  console.log(`      시도 ${item.attempts}회 | 추가 ${formatDate(item.enqueuedAt)}${item.deadAt ? ` | 보관 ${formatDate(item.deadAt)}` : ` | 다음 전송 ${formatDate(item.nextAttemptAt)}`}`);
+  if (item.lastError) {
+    console.log(`      마지막 오류: ${verbose ? item.lastError : item.lastError.substring(0, 120)}`);
+  }
+}
+
+/**
+ * list 명령 실행 (재전송 대기 + 실패 보관함)
+ */
+function list(options) {
+  const pending = deliveryOutbox.getPending();
+  const deadLetters = deliveryOutbox.getDeadLetters();
+
+  console.log('\n📮 === 전송 대기열 ===');
+  console.log(`⏳ 재전송 대기 (${pending.length}개):`);
+  if (pending.length === 0) {
+    console.log('   (없음)');
+  }
+  pending.forEach(item => printItem(item, options.verbose));
+
+  console.log(`\n💀 실패 보관함 (${deadLetters.length}개):`);
+  if (deadLetters.length === 0) {
+    console.log('   (없음)');
+  }
+  deadLetters.forEach(item => printItem(item, options.verbose));
+  console.log('====================\n');
+}
+
+/**
+ * dead 명령 실행 (실패 보관함만)
+ */
+function dead(options) {
+  const deadLetters = deliveryOutbox.getDeadLetters();
+
+  console.log(`\n💀 === 실패 보관함 (${deadLetters.length}개) ===`);
+  if (deadLetters.length === 0) {
+    console.log('실패 보관함이 비어 있습니다');
+  }
+  deadLetters.forEach(item => printItem(item, options.verbose));
+  console.log('');
+}
+
+/**
+ * 명령 대상 ID 목록 (--all이면 실패 보관함 전체)
+ */
+function getTargetIds(options) {
+  if (options.all) {
+    return deliveryOutbox.getDeadLetters().map(item => item.id);
+  }
+
+  if (options.ids.length === 0) {
+    throw new Error('ID를 지정하거나 --all 옵션을 사용하세요 (ID는 list 명령으로 확인)');
+  }
+
+  return options.ids;
+}
+
+/**
+ * requeue 명령 실행 (다음 실행에서 바로 전송)
+ */
+function requeue(options) {
+  const ids = getTargetIds(options);
+
+  ids.forEach(id => {
+    const item = deliveryOutbox.requeue(id);
+    console.log(item
+      ? `✅ 다시 대기열에 추가: [${id}] ${item.title}`
+      : `⚠️ 실패 보관함에 없는 ID: ${id}`);
+  });
+
+  console.log(`\n📮 재전송 대기 ${deliveryOutbox.getStats().pending}개 - 다음 실행에서 전송됩니다\n`);
+}
+
+/**
+ * drop 명령 실행
+ */
+function drop(options) {
+  const ids = getTargetIds(options);
+
+  ids.forEach(id => {
+    console.log(deliveryOutbox.drop(id)
+      ? `🗑️ 실패 보관함에서 삭제: ${id}`
+      : `⚠️ 실패 보관함에 없는 ID: ${id}`);
+  });
+}
+
+/**
+ * 도움말 출력
+ */
+function showHelp() {
+  console.log(`
+📮 === RSS 알림 시스템 전송 대기열 관리자 ===
+
+사용법: node scripts/outbox-manager.js <명령어> [옵션]
+
+명령어:
+  list                     재전송 대기 아티클과 실패 보관함 목록
+  dead                     실패 보관함 목록
+  requeue <ID...|--all>    실패 보관함의 아티클을 다시 대기열에 추가 (다음 실행에서 전송)
+  drop <ID...|--all>       실패 보관함에서 삭제
+  help                     이 도움말 출력
+
+옵션:
+  --verbose                오류 메시지 전체 출력
+
+설명:
+  전송에 실패한 아티클은 이후 실행에서 다시 전송되며 (OUTBOX_RETRY_BASE_MINUTES부터 2배씩 간격),
+  OUTBOX_MAX_ATTEMPTS회 실패하면 실패 보관함으로 이동합니다.
+  대기열 파일: .cache/rss-outbox.json
+
+예시:
+  node scripts/outbox-manager.js dead --verbose
+  node scripts/outbox-manager.js requeue 3f2a9c1b7d
+  node scripts/outbox-manager.js requeue --all
+=====================================
+`);
+}
+
+/**
+ * 메인 함수
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || command === 'help') {
+    showHelp();
+    return;
+  }
+
+  const options = {
+    ids: args.slice(1).filter(arg => !arg.startsWith('--')),
+    all: args.includes('--all'),
+    verbose: args.includes('--verbose')
+  };
+
+  // 실행 환경과 관계없이 대기열 파일을 사용
+  deliveryOutbox.useFileStore();
+
+  switch (command) {
+    case 'list':
+      list(options);
+      break;
+
+    case 'dead':
+      dead(options);
+      break;
+
+    case 'requeue':
+      requeue(options);
+      break;
+
+    case 'drop':
+      drop(options);
+      break;
+
+    default:
+      console.error(`❌ 알 수 없는 명령어: ${command}`);
+      showHelp();
+  }
+}
+
+// 스크립트 실행
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('❌ 스크립트 실행 실패:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  requeue
+};
\ No newline at end of file
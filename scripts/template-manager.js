@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * 메시지 템플릿 관리 유틸리티 스크립트
+ *
+ * 사용법:
+ * - 템플릿 미리보기: node scripts/template-manager.js preview [item.json] [--service=키] [--chat=채팅방ID] [--template="..."] [--parse-mode=모드]
+ * - 템플릿 목록: node scripts/template-manager.js list
+ *
+ * 예시:
+ * - node scripts/template-manager.js preview --service=geeknews
+ * - node scripts/template-manager.js preview ./item.json --service=toss
+ * - node scripts/template-manager.js preview --service=toss --template="<b>{title}</b>{#tags}\n{tags|hashtags}{/tags}\n{url}"
+ * - node scripts/template-manager.js preview --service=toss --template="*{title}*\n[링크]({url})" --parse-mode=MarkdownV2
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../src/config/config');
+const { serviceManager } = require('../src/config/services');
+const messageTemplates = require('../src/services/common/messageTemplates');
+const { TEMPLATE_FIELDS, normalizeTemplate } = require('../src/utils/messageTemplate');
+const { getServiceNameKo } = require('../src/utils/formatters');
+const { PARSE_MODES } = require('../src/domain/constants/ServiceConstants');
+
+// 아티클 파일을 지정하지 않았을 때 사용할 예시 아티클
+const SAMPLE_ARTICLE = {
+  title: 'React 19의 use 훅으로 데이터 페칭 단순화하기 <실전편>',
+  url: 'https://example.com/posts/react-19-use-hook?ref=rss&lang=ko',
+  description: '<p>React 19에서 정식으로 추가된 use 훅을 이용해 Suspense와 함께 데이터를 가져오는 방법을 정리합니다.</p>',
+  author: 'Frontend Team',
+  date: new Date().toISOString(),
+  tags: ['react', 'frontend', 'suspense'],
+  score: 0.8734
+};
+
+/**
+ * --key=value 형식 옵션 파싱 (값에 = 포함 가능)
+ */
+function parseOptions(args) {
+  const options = { positional: [] };
+
+  args.forEach(arg => {
+    if (arg.startsWith('--')) {
+      const separator = arg.indexOf('=');
+      const key = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+      options[key] = separator === -1 ? true : arg.slice(separator + 1);
+    } else {
+      options.positional.push(arg);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * 메시지에 표시할 출처 이름 (각 서비스 포맷터와 같은 규칙)
+ */
+function getSourceName(serviceKey, service) {
+  if (!serviceKey) return 'RSS';
+
+  const mappedName = getServiceNameKo(serviceKey);
+  return mappedName !== serviceKey
+    ? mappedName
+    : service.generic?.sourceName ?? service.nameKo ?? service.name;
+}
+
+/**
+ * 템플릿 출처 설명
+ */
+function describeTemplateSource(serviceKey, chatId, options) {
+  if (typeof options.template === 'string') return '--template 옵션';
+
+  const service = serviceKey ? serviceManager.getServiceByKey(serviceKey) : null;
+  if (service?.messageTemplate) return `services.json ${serviceKey}.messageTemplate`;
+  if (service?.generic?.messageTemplate) return `services.json ${serviceKey}.generic.messageTemplate`;
+  if (serviceManager.chatTemplates[chatId]) return `services.json chatTemplates.${chatId}`;
+  return '표준 포맷 (템플릿 없음)';
+}
+
+/**
+ * preview 명령 실행
+ */
+function preview(options) {
+  const serviceKey = typeof options.service === 'string' ? options.service : null;
+  const chatId = typeof options.chat === 'string' ? options.chat : config.telegram.chatId;
+  const service = serviceKey ? serviceManager.getServiceByKey(serviceKey) : null;
+
+  if (serviceKey && !service) {
+    throw new Error(`서비스를 찾을 수 없습니다: ${serviceKey}`);
+  }
+
+  const parseModeOverride = typeof options['parse-mode'] === 'string' ? options['parse-mode'] : undefined;
+  if (parseModeOverride && !Object.values(PARSE_MODES).includes(parseModeOverride)) {
+    throw new Error(`지원하지 않는 parse mode: ${parseModeOverride} (사용 가능: ${Object.values(PARSE_MODES).join(', ')})`);
+  }
+
+  const article = options.positional[0]
+    ? JSON.parse(fs.readFileSync(path.resolve(options.positional[0]), 'utf8'))
+    : SAMPLE_ARTICLE;
+
+  // 셸에서 입력한 \n을 줄바꿈으로 변환
+  const template = typeof options.template === 'string' ? options.template.replace(/\\n/g, '\n') : undefined;
+  const post = { ...article, source: article.source ?? getSourceName(serviceKey, service) };
+  const message = messageTemplates.format(post, serviceKey, { chatId, template, parseMode: parseModeOverride });
+  const parseMode = parseModeOverride ?? messageTemplates.getParseMode(serviceKey, chatId);
+
+  console.log('\n📝 === 메시지 템플릿 미리보기 ===');
+  console.log(`🏷️  서비스: ${serviceKey ?? '(지정 안 됨)'} | 채팅방: ${chatId ?? '(미설정)'}`);
+  console.log(`📋 템플릿: ${describeTemplateSource(serviceKey, chatId, options)}`);
+  console.log(`🔤 parse mode: ${parseMode} | 길이: ${message.length}자`);
+  console.log('--------------------------------');
+  console.log(message);
+  console.log('================================\n');
+
+  return message;
+}
+
+/**
+ * 템플릿 하나 출력 (parse mode 포함)
+ */
+function printTemplate(label, template) {
+  const { text, parseMode } = normalizeTemplate(template);
+  console.log(`\n[${label}] parse mode: ${parseMode ?? `${config.message.parseMode} (기본값)`}\n${text}`);
+}
+
+/**
+ * list 명령 실행 (설정된 템플릿 목록)
+ */
+function list() {
+  console.log('\n📋 === 설정된 메시지 템플릿 ===');
+
+  const serviceTemplates = serviceManager.services
+    .map(service => ({ key: service.key, template: service.messageTemplate ?? service.generic?.messageTemplate }))
+    .filter(({ template }) => template);
+  const chatTemplates = Object.entries(serviceManager.chatTemplates);
+
+  if (serviceTemplates.length === 0 && chatTemplates.length === 0) {
+    console.log('설정된 템플릿이 없습니다 (모든 서비스가 표준 포맷 사용)');
+  }
+
+  serviceTemplates.forEach(({ key, template }) => printTemplate(`서비스 ${key}`, template));
+  chatTemplates.forEach(([chatId, template]) => printTemplate(`채팅방 ${chatId}`, template));
+  console.log('\n==============================\n');
+}
+
+/**
+ * 도움말 출력
+ */
+function showHelp() {
+  console.log(`
+📝 === RSS 알림 시스템 메시지 템플릿 관리자 ===
+
+사용법: node scripts/template-manager.js <명령어> [옵션]
+
+명령어:
+  preview [item.json]      메시지 미리보기 (파일을 생략하면 예시 아티클 사용)
+  list                     services.json에 설정된 템플릿 목록
+  help                     이 도움말 출력
+
+옵션:
+  --service=<키>           미리볼 서비스 (서비스 템플릿, 카테고리 이름에 사용)
+  --chat=<채팅방 ID>       미리볼 채팅방 (기본: TELEGRAM_CHAT_ID)
+  --template="<템플릿>"    설정 대신 사용할 템플릿 (\\n은 줄바꿈)
+  --parse-mode=<모드>      설정 대신 사용할 parse mode (${Object.values(PARSE_MODES).join(', ')})
+
+템플릿 문법:
+  {필드}                   값 치환 (parse mode에 맞게 자동 이스케이프)
+  {필드|필터:인자}         필터 적용 (upper, lower, truncate:N, hashtags, fixed:N)
+  {#필드}...{/필드}        값이 있을 때만 출력
+  필드: ${TEMPLATE_FIELDS.join(', ')}
+  services.json에는 문자열 또는 { "text": "...", "parseMode": "MarkdownV2" } 형식으로 설정
+
+예시:
+  node scripts/template-manager.js preview --service=geeknews
+  node scripts/template-manager.js preview ./item.json --service=toss
+  node scripts/template-manager.js preview --template="<b>{title}</b>\\n{#score}⭐ {score}\\n{/score}{url}"
+  node scripts/template-manager.js preview --template="*{title}*\\n[원문 보기]({url})" --parse-mode=MarkdownV2
+=====================================
+`);
+}
+
+/**
+ * 메인 함수
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || command === 'help') {
+    showHelp();
+    return;
+  }
+
+  const options = parseOptions(args.slice(1));
+
+  switch (command) {
+    case 'preview':
+      preview(options);
+      break;
+
+    case 'list':
+      list();
+      break;
+
+    default:
+      console.error(`❌ 알 수 없는 명령어: ${command}`);
+      showHelp();
+  }
+}
+
+// 스크립트 실행
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('❌ 스크립트 실행 실패:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  preview
+};
\ No newline at end of file
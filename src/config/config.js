@@ -6,6 +6,54 @@ const {
   // 텔레그램
   TELEGRAM_BOT_TOKEN,
   TELEGRAM_CHAT_ID,
+  // 다이제스트 주기 (immediate | daily@HH:MM | weekly@요일@HH:MM)
+  TELEGRAM_DIGEST = 'immediate',
+  // 메시지 parse mode (HTML | MarkdownV2 | plain)
+  TELEGRAM_PARSE_MODE = 'HTML',
+  // 아티클 미리보기 (none | link | photo)
+  TELEGRAM_PREVIEW = 'none',
+  // 전송 속도 제한 (채팅방별 분당, 전체 초당 메시지 수)
+  TELEGRAM_RATE_PER_CHAT = '20',
+  TELEGRAM_RATE_GLOBAL = '30',
+  // 방해 금지 시간 (off | HH:MM-HH:MM), 동작 (hold: 모았다가 끝나면 전송 | silent: 알림 없이 전송), 시간대
+  TELEGRAM_QUIET_HOURS = 'off',
+  TELEGRAM_QUIET_MODE = 'hold',
+  TELEGRAM_QUIET_TZ = 'Asia/Seoul',
+  // 아티클 메시지 인라인 버튼 (저장 / 출처 음소거 / 관련 없음), 음소거 기간(일)
+  TELEGRAM_ACTIONS = 'false',
+  TELEGRAM_MUTE_DAYS = '7',
+  // 텔레그램 봇 업데이트(버튼 클릭, 명령) 웹훅 시크릿 토큰 (setWebhook의 secret_token)
+  TELEGRAM_WEBHOOK_SECRET,
+  // 봇 명령을 사용할 수 있는 텔레그램 사용자 ID (쉼표 구분)
+  TELEGRAM_ADMIN_IDS = '',
+  // 포럼 채팅방(services.json chatTopics)에 카테고리 토픽이 없으면 자동 생성
+  TELEGRAM_TOPIC_AUTO_CREATE = 'true',
+  
+  // 전송 대기열 (실패 시 다시 전송할 최대 횟수, 재시도 기본 간격(분))
+  OUTBOX_MAX_ATTEMPTS = '5',
+  OUTBOX_RETRY_BASE_MINUTES = '30',
+  
+  // 전송 채널 (서비스별 outputs 미지정 시 기본값, 쉼표 구분)
+  DEFAULT_OUTPUTS = 'telegram',
+  
+  // 슬랙
+  SLACK_WEBHOOK_URL,
+  
+  // 디스코드
+  DISCORD_WEBHOOK_URL,
+  
+  // 이메일 다이제스트 (SMTP)
+  SMTP_HOST,
+  SMTP_PORT = '587',
+  SMTP_SECURE = 'false',
+  SMTP_USER,
+  SMTP_PASS,
+  EMAIL_FROM = 'rss-notification@localhost',
+  EMAIL_TO = '',
+  
+  // 아웃바운드 웹훅 (이름=URL 쉼표 구분)
+  OUTBOUND_WEBHOOKS = '',
+  OUTBOUND_WEBHOOK_SECRET,
   
   // 웹훅
   PORT = '3000',
@@ -32,6 +80,84 @@ const config = {
   telegram: {
     botToken: TELEGRAM_BOT_TOKEN,
     chatId: TELEGRAM_CHAT_ID,
+    // 채팅방별 주기는 services.json의 chatDigests로 오버라이드
+    digest: TELEGRAM_DIGEST.trim(),
+    // 모든 텔레그램 전송이 공유하는 속도 제한 (telegramRateLimiter)
+    rateLimit: {
+      chatPerMinute: Math.max(parseInt(TELEGRAM_RATE_PER_CHAT, 10) || 20, 1),
+      globalPerSecond: Math.max(parseInt(TELEGRAM_RATE_GLOBAL, 10) || 30, 1),
+    },
+    // 채팅방별 방해 금지 시간은 services.json의 chatQuietHours로 오버라이드
+    quietHours: {
+      window: TELEGRAM_QUIET_HOURS.trim(),
+      mode: TELEGRAM_QUIET_MODE.trim().toLowerCase(),
+      timezone: TELEGRAM_QUIET_TZ.trim(),
+    },
+    // 아티클 메시지 인라인 버튼 (articleActions)
+    actions: {
+      enabled: TELEGRAM_ACTIONS === 'true',
+      muteDays: Math.max(parseInt(TELEGRAM_MUTE_DAYS, 10) || 7, 1),
+    },
+    // 봇 업데이트 수신 웹훅 (웹훅 서버의 라우트, scripts/bot-manager.js로 등록)
+    updates: {
+      path: '/telegram/updates',
+      secret: TELEGRAM_WEBHOOK_SECRET,
+    },
+    // 봇 명령(/sources, /run 등) 허용 사용자 (비어 있으면 명령 사용 불가)
+    adminIds: TELEGRAM_ADMIN_IDS.split(',').map(id => id.trim()).filter(Boolean),
+    // 포럼 토픽 (카테고리 → 토픽 매핑은 services.json의 chatTopics)
+    topics: {
+      autoCreate: TELEGRAM_TOPIC_AUTO_CREATE !== 'false',
+    },
+  },
+
+  // 전송 대기열 설정 (실패한 아티클은 이후 실행에서 지수 백오프로 다시 전송)
+  outbox: {
+    maxAttempts: Math.max(parseInt(OUTBOX_MAX_ATTEMPTS, 10) || 5, 1),
+    retryBaseMinutes: Math.max(parseInt(OUTBOX_RETRY_BASE_MINUTES, 10) || 30, 1),
+  },
+
+  // 전송 채널 설정
+  outputs: {
+    defaults: DEFAULT_OUTPUTS.split(',').map(name => name.trim()).filter(Boolean),
+  },
+
+  // 슬랙 Incoming Webhook 설정
+  // 소스별 채널은 SLACK_WEBHOOK_URL_<서비스키> 환경변수로 오버라이드
+  slack: {
+    webhookUrl: SLACK_WEBHOOK_URL,
+  },
+
+  // 디스코드 웹훅 설정
+  // 소스별 채널은 DISCORD_WEBHOOK_URL_<서비스키> 환경변수로 오버라이드
+  discord: {
+    webhookUrl: DISCORD_WEBHOOK_URL,
+  },
+
+  // 이메일 다이제스트 설정 (실행마다 모은 아티클을 한 통으로 전송)
+  email: {
+    smtp: {
+      host: SMTP_HOST,
+      port: parseInt(SMTP_PORT, 10),
+      secure: SMTP_SECURE === 'true',
+      user: SMTP_USER,
+      pass: SMTP_PASS,
+    },
+    from: EMAIL_FROM,
+    to: EMAIL_TO.split(',').map(address => address.trim()).filter(Boolean),
+  },
+
+  // 아웃바운드 웹훅 설정 (사내 도구로 아티클 JSON 전송)
+  // 엔드포인트별 서명 시크릿은 OUTBOUND_WEBHOOK_SECRET_<이름> 환경변수로 오버라이드
+  outboundWebhook: {
+    endpoints: OUTBOUND_WEBHOOKS.split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.indexOf('=');
+        return { name: entry.substring(0, separator).trim(), url: entry.substring(separator + 1).trim() };
+      }),
+    secret: OUTBOUND_WEBHOOK_SECRET,
   },
 
   // 웹훅 서버 관련 설정
@@ -62,7 +188,9 @@ const config = {
   // 메시지 포맷팅 설정
   message: {
     maxLength: 4096,
-    parseMode: 'HTML',
+    parseMode: TELEGRAM_PARSE_MODE.trim(),
+    // 서비스별 미리보기는 services.json의 preview로 오버라이드
+    preview: TELEGRAM_PREVIEW.trim().toLowerCase(),
   },
 
   // 스케줄링 설정
@@ -111,7 +239,22 @@ function printConfig() {
   console.log(`포트: ${config.webhook.port}`);
   console.log(`봇 토큰: ${maskSensitiveData(config.telegram.botToken)}`);
   console.log(`채팅방 ID: ${maskSensitiveData(config.telegram.chatId)}`);
+  console.log(`텔레그램 다이제스트: ${config.telegram.digest}`);
+  console.log(`메시지 parse mode: ${config.message.parseMode}`);
+  console.log(`아티클 미리보기: ${config.message.preview}`);
+  console.log(`텔레그램 전송 속도 제한: 채팅방당 분당 ${config.telegram.rateLimit.chatPerMinute}개, 전체 초당 ${config.telegram.rateLimit.globalPerSecond}개`);
+  console.log(`방해 금지 시간: ${config.telegram.quietHours.window} (${config.telegram.quietHours.mode}, ${config.telegram.quietHours.timezone})`);
+  console.log(`아티클 버튼: ${config.telegram.actions.enabled ? `사용 (음소거 ${config.telegram.actions.muteDays}일)` : '미사용'}`);
+  console.log(`봇 업데이트 웹훅 시크릿: ${config.telegram.updates.secret ? '설정됨 ✓' : '미설정 ✗'}`);
+  console.log(`봇 명령 관리자: ${config.telegram.adminIds.length > 0 ? `${config.telegram.adminIds.length}명` : '미설정 ✗'}`);
+  console.log(`포럼 토픽 자동 생성: ${config.telegram.topics.autoCreate ? '사용' : '미사용'}`);
+  console.log(`전송 대기열: 최대 ${config.outbox.maxAttempts}회 시도, 재시도 간격 ${config.outbox.retryBaseMinutes}분부터 2배씩`);
   console.log(`웹훅 시크릿: ${config.webhook.secret ? '설정됨 ✓' : '미설정 ✗'}`);
+  console.log(`기본 전송 채널: ${config.outputs.defaults.join(', ')}`);
+  console.log(`슬랙 웹훅: ${config.slack.webhookUrl ? '설정됨 ✓' : '미설정 ✗'}`);
+  console.log(`디스코드 웹훅: ${config.discord.webhookUrl ? '설정됨 ✓' : '미설정 ✗'}`);
+  console.log(`아웃바운드 웹훅: ${config.outboundWebhook.endpoints.map(endpoint => endpoint.name).join(', ') || '미설정 ✗'}`);
+  console.log(`이메일 다이제스트: ${config.email.smtp.host ? `${config.email.smtp.host}:${config.email.smtp.port} → ${config.email.to.length}명` : '미설정 ✗'}`);
   console.log(`로그 레벨: ${config.logging.level}`);
   console.log(`타임존: ${config.schedule.timezone}`);
   console.log('=====================');
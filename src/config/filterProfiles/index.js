@@ -0,0 +1,220 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { ValidationError, TypeValidators } = require('../../domain/utils/ValidationUtils');
+const { ERROR_CODES } = require('../../domain/constants/ServiceConstants');
+
+/**
+ * 컨텐츠 필터 프로필 관리 모듈
+ *
+ * 이 디렉토리의 `<이름>.json` 파일 하나가 프로필 하나이며,
+ * services.json의 서비스별 `filterProfile` 값으로 선택
+ * (예: 프론트엔드 팀은 frontend, 백엔드 팀은 backend)
+ *
+ * 모듈 로드 시 모든 프로필을 검증하므로 잘못된 프로필은 시작 단계에서 바로 실패
+ */
+
+const DEFAULT_FILTER_PROFILE = 'frontend';
+
+// 프로필 스키마: 점수 항목별 키워드 등급
+const KEYWORD_TIERS = Object.freeze({
+  project: ['primary', 'secondary'],
+  domain: ['high', 'medium', 'low'],
+  ai: ['high', 'medium'],
+  buildTools: ['preferred', 'common', 'legacy'],
+  packageManagers: ['preferred', 'common', 'legacy'],
+  discouraged: ['frameworks', 'stateManagement', 'styling', 'bundlers', 'packageManagers']
+});
+
+const WEIGHT_KEYS = Object.freeze(['project', 'domain', 'ai', 'context', 'tools']);
+const THRESHOLD_KEYS = Object.freeze(['default', 'lenient']);
+const LENIENT_KEYWORD_KEYS = Object.freeze(['eventKeywords', 'devKeywords', 'techKeywords']);
+
+class FilterProfileRegistry {
+  constructor(profileDir = __dirname) {
+    this.profileDir = profileDir;
+    this.profiles = this.loadProfiles();
+  }
+
+  /**
+   * 디렉토리의 모든 JSON 프로필 로드 및 검증
+   */
+  loadProfiles() {
+    const profiles = new Map();
+
+    fs.readdirSync(this.profileDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        const name = path.basename(file, '.json');
+        const filePath = path.join(this.profileDir, file);
+
+        let raw;
+        try {
+          raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+          throw new ValidationError(
+            `필터 프로필 파싱 실패 (${file}): ${error.message}`,
+            ERROR_CODES.CONFIG_ERROR,
+            name
+          );
+        }
+
+        this.validateProfile(name, raw);
+        profiles.set(name, this.compileProfile(name, raw));
+      });
+
+    if (!profiles.has(DEFAULT_FILTER_PROFILE)) {
+      throw new ValidationError(
+        `기본 필터 프로필이 없습니다: ${DEFAULT_FILTER_PROFILE}.json`,
+        ERROR_CODES.CONFIG_ERROR,
+        DEFAULT_FILTER_PROFILE
+      );
+    }
+
+    return profiles;
+  }
+
+  /**
+   * 문자열 배열 검증
+   */
+  validateStringArray(value, fieldName) {
+    TypeValidators.isArray(value, fieldName);
+    value.forEach((item, index) => TypeValidators.isNonEmptyString(item, `${fieldName}[${index}]`));
+  }
+
+  /**
+   * 정규식 패턴 배열 검증 (컴파일 가능 여부까지 확인)
+   */
+  validatePatternArray(value, fieldName) {
+    this.validateStringArray(value, fieldName);
+    value.forEach((pattern, index) => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new ValidationError(
+          `${fieldName}[${index}]은 유효한 정규식이어야 합니다: ${error.message}`,
+          ERROR_CODES.VALIDATION_ERROR,
+          `${fieldName}[${index}]`
+        );
+      }
+    });
+  }
+
+  /**
+   * 0~1 범위 숫자 검증
+   */
+  validateRatio(value, fieldName) {
+    TypeValidators.isNumber(value, fieldName);
+    if (value < 0 || value > 1) {
+      throw new ValidationError(`${fieldName}은 0에서 1 사이여야 합니다`, ERROR_CODES.VALIDATION_ERROR, fieldName);
+    }
+  }
+
+  /**
+   * 프로필 구조 검증
+   * @throws {ValidationError} 필드 경로(예: backend.weights.ai)를 field로 포함
+   */
+  validateProfile(name, profile) {
+    TypeValidators.isObject(profile, name);
+    TypeValidators.isObject(profile.keywords, `${name}.keywords`);
+
+    Object.entries(KEYWORD_TIERS).forEach(([group, tiers]) => {
+      TypeValidators.isObject(profile.keywords[group], `${name}.keywords.${group}`);
+      tiers.forEach(tier => {
+        this.validateStringArray(profile.keywords[group][tier], `${name}.keywords.${group}.${tier}`);
+      });
+    });
+    this.validateStringArray(profile.keywords.context, `${name}.keywords.context`);
+
+    this.validatePatternArray(profile.exclusionPatterns, `${name}.exclusionPatterns`);
+
+    TypeValidators.isObject(profile.weights, `${name}.weights`);
+    WEIGHT_KEYS.forEach(key => this.validateRatio(profile.weights[key], `${name}.weights.${key}`));
+
+    TypeValidators.isObject(profile.thresholds, `${name}.thresholds`);
+    THRESHOLD_KEYS.forEach(key => this.validateRatio(profile.thresholds[key], `${name}.thresholds.${key}`));
+
+    TypeValidators.isObject(profile.lenient, `${name}.lenient`);
+    this.validatePatternArray(profile.lenient.exclusionPatterns, `${name}.lenient.exclusionPatterns`);
+    LENIENT_KEYWORD_KEYS.forEach(key => {
+      this.validateStringArray(profile.lenient[key], `${name}.lenient.${key}`);
+    });
+
+    return true;
+  }
+
+  /**
+   * 검증된 프로필을 필터에서 바로 쓸 수 있는 형태로 변환
+   * (키워드 소문자화, 정규식 컴파일, 불변 객체화)
+   * fingerprint는 프로필 내용 해시로, 회귀 테스트 스냅샷에서 프로필 변경 여부를 추적하는 데 사용
+   */
+  compileProfile(name, profile) {
+    const lower = keywords => keywords.map(keyword => keyword.toLowerCase());
+    const compile = patterns => patterns.map(pattern => new RegExp(pattern, 'i'));
+
+    const keywords = {};
+    Object.entries(KEYWORD_TIERS).forEach(([group, tiers]) => {
+      keywords[group] = {};
+      tiers.forEach(tier => {
+        keywords[group][tier] = lower(profile.keywords[group][tier]);
+      });
+    });
+    keywords.context = lower(profile.keywords.context);
+
+    return Object.freeze({
+      name,
+      fingerprint: crypto.createHash('sha256').update(JSON.stringify(profile)).digest('hex').substring(0, 12),
+      description: profile.description ?? '',
+      keywords,
+      exclusionPatterns: compile(profile.exclusionPatterns),
+      weights: { ...profile.weights },
+      thresholds: { ...profile.thresholds },
+      lenient: {
+        exclusionPatterns: compile(profile.lenient.exclusionPatterns),
+        eventKeywords: lower(profile.lenient.eventKeywords),
+        devKeywords: lower(profile.lenient.devKeywords),
+        techKeywords: lower(profile.lenient.techKeywords)
+      }
+    });
+  }
+
+  /**
+   * 프로필 존재 여부
+   */
+  hasProfile(name) {
+    return this.profiles.has(name);
+  }
+
+  /**
+   * 이름으로 프로필 조회 (미지정 시 기본 프로필)
+   * @throws {ValidationError} 존재하지 않는 프로필
+   */
+  getProfile(name = DEFAULT_FILTER_PROFILE) {
+    const profile = this.profiles.get(name ?? DEFAULT_FILTER_PROFILE);
+    if (!profile) {
+      throw new ValidationError(
+        `존재하지 않는 필터 프로필: ${name} (사용 가능: ${this.getProfileNames().join(', ')})`,
+        ERROR_CODES.CONFIG_ERROR,
+        'filterProfile'
+      );
+    }
+    return profile;
+  }
+
+  /**
+   * 사용 가능한 프로필 이름 목록
+   */
+  getProfileNames() {
+    return [...this.profiles.keys()];
+  }
+}
+
+const filterProfiles = new FilterProfileRegistry();
+
+module.exports = {
+  DEFAULT_FILTER_PROFILE,
+  filterProfiles,
+  getFilterProfile: (name) => filterProfiles.getProfile(name),
+  hasFilterProfile: (name) => filterProfiles.hasProfile(name)
+};
\ No newline at end of file
@@ -11,12 +11,40 @@ const servicesConfig = require('./services.json');
  * - 에러 핸들링 및 로깅 개선
  */
 const ServiceFactory = require('../domain/service/ServiceFactory');
+const { filterProfiles } = require('./filterProfiles');
+const { ValidationError } = require('../domain/utils/ValidationUtils');
+const { ERROR_CODES, OUTPUT_CHANNELS, PARSE_MODES, PREVIEW_MODES, QUIET_HOURS_MODES } = require('../domain/constants/ServiceConstants');
+const { config } = require('./config');
+const { parseDigestSchedule, parseQuietHours } = require('../utils/dateUtils');
+const { compileTemplate, normalizeTemplate } = require('../utils/messageTemplate');
 
 class ServiceManager {
   constructor() {
     this.services = this.loadServices();
     this.categories = servicesConfig.categories;
     this.types = servicesConfig.types;
+    // 카테고리별 전송 채널 (서비스에 outputs가 없을 때 적용)
+    this.categoryOutputs = servicesConfig.categoryOutputs ?? {};
+    // 채팅방별 텔레그램 다이제스트 주기 (없으면 TELEGRAM_DIGEST)
+    this.chatDigests = servicesConfig.chatDigests ?? {};
+    // 채팅방별 메시지 템플릿 (서비스에 messageTemplate이 없을 때 적용)
+    this.chatTemplates = servicesConfig.chatTemplates ?? {};
+    // 채팅방별 방해 금지 시간 (없으면 TELEGRAM_QUIET_HOURS)
+    this.chatQuietHours = servicesConfig.chatQuietHours ?? {};
+    // 포럼 채팅방별 카테고리 → 토픽 ID (없는 카테고리는 TELEGRAM_TOPIC_AUTO_CREATE면 자동 생성)
+    this.chatTopics = servicesConfig.chatTopics ?? {};
+    // 아티클별 전송 경로 규칙 (카테고리, 서비스 키, 태그, 필터 점수 → 전송 대상)
+    this.routes = servicesConfig.routes ?? [];
+    // 어떤 규칙에도 맞지 않을 때의 전송 대상 (없으면 outputs → categoryOutputs → DEFAULT_OUTPUTS)
+    this.defaultRoute = servicesConfig.defaultRoute ?? null;
+    this.validateFilterProfiles();
+    this.validateOutputs();
+    this.validateDigests();
+    this.validateTemplates();
+    this.validateQuietHours();
+    this.validatePreviews();
+    this.validateRoutes();
+    this.validateTopics();
   }
 
   /**
@@ -27,8 +55,8 @@ class ServiceManager {
       ...service,
       // 환경변수로 URL 오버라이드 가능 (선택사항)
       feedUrl: process.env[`RSS_FEED_${service.key.toUpperCase()}`] || service.feedUrl,
-      // 서비스 모듈 경로 생성
-      modulePath: path.join(__dirname, '..', 'services', service.path),
+      // 서비스 모듈 경로 생성 (generic 서비스는 전용 모듈 없음)
+      modulePath: service.path ? path.join(__dirname, '..', 'services', service.path) : null,
       // 활성화 상태 (환경변수로 오버라이드 가능)
       enabled: process.env[`DISABLE_${service.key.toUpperCase()}`] === 'true' 
         ? false 
@@ -36,6 +64,301 @@ class ServiceManager {
     }));
   }
 
+  /**
+   * 서비스별 필터 프로필 참조 검증 (시작 시 실패하도록)
+   * 프로필 파일 자체의 검증은 filterProfiles 모듈 로드 시 수행
+   */
+  validateFilterProfiles() {
+    this.services
+      .filter(service => service.filterProfile !== undefined)
+      .forEach(service => {
+        if (!filterProfiles.hasProfile(service.filterProfile)) {
+          throw new ValidationError(
+            `서비스 ${service.key}의 필터 프로필을 찾을 수 없습니다: ${service.filterProfile} ` +
+            `(사용 가능: ${filterProfiles.getProfileNames().join(', ')})`,
+            ERROR_CODES.CONFIG_ERROR,
+            `${service.key}.filterProfile`
+          );
+        }
+      });
+  }
+
+  /**
+   * 전송 채널 설정 검증
+   * 서비스별 outputs, 카테고리별 categoryOutputs, 기본 채널(DEFAULT_OUTPUTS), 소스 색상(color),
+   * 아웃바운드 웹훅 엔드포인트(OUTBOUND_WEBHOOKS)
+   */
+  validateOutputs() {
+    const available = Object.values(OUTPUT_CHANNELS);
+    const targets = [
+      { field: 'DEFAULT_OUTPUTS', outputs: config.outputs.defaults },
+      ...Object.entries(this.categoryOutputs)
+        .map(([category, outputs]) => ({ field: `categoryOutputs.${category}`, outputs })),
+      ...this.services
+        .filter(service => service.outputs !== undefined)
+        .map(service => ({ field: `${service.key}.outputs`, outputs: service.outputs }))
+    ];
+
+    targets.forEach(({ field, outputs }) => {
+      const unknown = Array.isArray(outputs)
+        ? outputs.filter(output => !available.includes(output))
+        : [outputs];
+
+      if (!Array.isArray(outputs) || outputs.length === 0 || unknown.length > 0) {
+        throw new ValidationError(
+          `${field}는 전송 채널 배열이어야 합니다: ${JSON.stringify(outputs)} ` +
+          `(사용 가능: ${available.join(', ')})`,
+          ERROR_CODES.CONFIG_ERROR,
+          field
+        );
+      }
+    });
+
+    config.outboundWebhook.endpoints.forEach(({ name, url }) => {
+      if (!/^[A-Za-z0-9_]+$/.test(name) || !/^https?:\/\//.test(url)) {
+        throw new ValidationError(
+          `OUTBOUND_WEBHOOKS 항목은 "이름=URL" 형식이어야 합니다 (이름은 영문/숫자/_): ${name}=${url}`,
+          ERROR_CODES.CONFIG_ERROR,
+          'OUTBOUND_WEBHOOKS'
+        );
+      }
+    });
+
+    this.services
+      .filter(service => service.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(service.color))
+      .forEach(service => {
+        throw new ValidationError(
+          `서비스 ${service.key}의 color는 "#RRGGBB" 형식이어야 합니다: ${service.color}`,
+          ERROR_CODES.CONFIG_ERROR,
+          `${service.key}.color`
+        );
+      });
+  }
+
+  /**
+   * 텔레그램 다이제스트 주기 검증 (TELEGRAM_DIGEST, 채팅방별 chatDigests)
+   */
+  validateDigests() {
+    const targets = [
+      { field: 'TELEGRAM_DIGEST', spec: config.telegram.digest },
+      ...Object.entries(this.chatDigests).map(([chatId, spec]) => ({ field: `chatDigests.${chatId}`, spec }))
+    ];
+
+    targets.forEach(({ field, spec }) => {
+      try {
+        parseDigestSchedule(spec);
+      } catch (error) {
+        throw new ValidationError(`${field}: ${error.message}`, ERROR_CODES.CONFIG_ERROR, field);
+      }
+    });
+  }
+
+  /**
+   * 메시지 템플릿 문법과 parse mode 검증 (서비스별 messageTemplate, generic.messageTemplate, 채팅방별 chatTemplates)
+   */
+  validateTemplates() {
+    if (!Object.values(PARSE_MODES).includes(config.message.parseMode)) {
+      throw new ValidationError(
+        `TELEGRAM_PARSE_MODE 값이 올바르지 않습니다: ${config.message.parseMode} ` +
+        `(사용 가능: ${Object.values(PARSE_MODES).join(', ')})`,
+        ERROR_CODES.CONFIG_ERROR,
+        'TELEGRAM_PARSE_MODE'
+      );
+    }
+
+    const targets = [
+      ...this.services.flatMap(service => [
+        { field: `${service.key}.messageTemplate`, template: service.messageTemplate },
+        { field: `${service.key}.generic.messageTemplate`, template: service.generic?.messageTemplate }
+      ]),
+      ...Object.entries(this.chatTemplates).map(([chatId, template]) => ({ field: `chatTemplates.${chatId}`, template }))
+    ].filter(({ template }) => template !== undefined);
+
+    targets.forEach(({ field, template }) => {
+      try {
+        compileTemplate(normalizeTemplate(template)?.text);
+      } catch (error) {
+        throw new ValidationError(`${field}: ${error.message}`, ERROR_CODES.CONFIG_ERROR, field);
+      }
+    });
+  }
+
+  /**
+   * 아티클 미리보기 방식 검증 (TELEGRAM_PREVIEW, 서비스별 preview)
+   */
+  validatePreviews() {
+    const targets = [
+      { field: 'TELEGRAM_PREVIEW', preview: config.message.preview },
+      ...this.services.map(service => ({ field: `${service.key}.preview`, preview: service.preview }))
+    ].filter(({ preview }) => preview !== undefined);
+
+    targets.forEach(({ field, preview }) => {
+      if (!Object.values(PREVIEW_MODES).includes(preview)) {
+        throw new ValidationError(
+          `${field}: 지원하지 않는 미리보기 방식: ${preview} (사용 가능: ${Object.values(PREVIEW_MODES).join(', ')})`,
+          ERROR_CODES.CONFIG_ERROR,
+          field
+        );
+      }
+    });
+  }
+
+  /**
+   * 전송 경로 규칙 검증 (routes, defaultRoute)
+   * 규칙은 { name, match: { category, type, source, tag, score: { min, max } }, to: [전송 대상] }
+   * 전송 대상은 채널 이름("slack") 또는 { output, chatId, topic } (chatId, topic은 telegram만, chatId를 생략하면 TELEGRAM_CHAT_ID)
+   */
+  validateRoutes() {
+    const available = Object.values(OUTPUT_CHANNELS);
+    const matchValues = {
+      category: Object.keys(this.categories ?? {}),
+      type: Object.keys(this.types ?? {}),
+      source: this.services.map(service => service.key)
+    };
+
+    const fail = (field, message) => {
+      throw new ValidationError(`${field}: ${message}`, ERROR_CODES.CONFIG_ERROR, field);
+    };
+
+    const validateDestinations = (field, destinations) => {
+      if (!Array.isArray(destinations) || destinations.length === 0) {
+        fail(field, `전송 대상 배열이어야 합니다: ${JSON.stringify(destinations)}`);
+      }
+
+      destinations.forEach(destination => {
+        const { output, chatId, topic, ...rest } = typeof destination === 'string' ? { output: destination } : destination ?? {};
+        if (!available.includes(output) || Object.keys(rest).length > 0) {
+          fail(field,
+            `전송 대상은 채널 이름 또는 { output, chatId, topic } 객체여야 합니다: ${JSON.stringify(destination)} ` +
+            `(사용 가능: ${available.join(', ')})`
+          );
+        }
+        if (chatId !== undefined && (output !== OUTPUT_CHANNELS.TELEGRAM || isNaN(parseInt(chatId, 10)))) {
+          fail(field, `chatId는 telegram 전송 대상의 숫자 채팅방 ID여야 합니다: ${JSON.stringify(destination)}`);
+        }
+        if (topic !== undefined && (output !== OUTPUT_CHANNELS.TELEGRAM || !Number.isInteger(topic) || topic <= 0)) {
+          fail(field, `topic은 telegram 전송 대상의 포럼 토픽 ID(양의 정수)여야 합니다: ${JSON.stringify(destination)}`);
+        }
+      });
+    };
+
+    if (!Array.isArray(this.routes)) {
+      fail('routes', '전송 경로 규칙 배열이어야 합니다');
+    }
+
+    this.routes.forEach((rule, index) => {
+      const field = `routes[${index}]`;
+
+      try {
+        const match = rule?.match;
+        if (!match || typeof match !== 'object' || Object.keys(match).length === 0) {
+          throw new Error('match에 조건(category, type, source, tag, score)이 하나 이상 있어야 합니다');
+        }
+
+        Object.entries(match).forEach(([key, value]) => {
+          if (key === 'score') {
+            const { min, max, ...rest } = value ?? {};
+            if (Object.keys(rest).length > 0 || (min === undefined && max === undefined) ||
+              [min, max].some(bound => bound !== undefined && !Number.isFinite(bound))) {
+              throw new Error(`score는 { min, max } 숫자 범위여야 합니다: ${JSON.stringify(value)}`);
+            }
+            return;
+          }
+
+          const values = Array.isArray(value) ? value : [value];
+          if (key === 'tag') {
+            if (values.length === 0 || values.some(tag => typeof tag !== 'string' || !tag)) {
+              throw new Error(`tag는 문자열 또는 문자열 배열이어야 합니다: ${JSON.stringify(value)}`);
+            }
+            return;
+          }
+
+          if (!matchValues[key]) {
+            throw new Error(`지원하지 않는 조건: ${key} (사용 가능: category, type, source, tag, score)`);
+          }
+          const unknown = values.filter(item => !matchValues[key].includes(item));
+          if (values.length === 0 || unknown.length > 0) {
+            throw new Error(`알 수 없는 ${key}: ${JSON.stringify(unknown.length > 0 ? unknown : value)}`);
+          }
+        });
+      } catch (error) {
+        fail(field, error.message);
+      }
+
+      validateDestinations(`${field}.to`, rule?.to);
+    });
+
+    if (this.defaultRoute !== null) {
+      validateDestinations('defaultRoute', this.defaultRoute);
+    }
+  }
+
+  /**
+   * 포럼 토픽 매핑 검증 (chatTopics: { 채팅방 ID: { 카테고리: 토픽 ID } })
+   */
+  validateTopics() {
+    Object.entries(this.chatTopics).forEach(([chatId, topics]) => {
+      const field = `chatTopics.${chatId}`;
+
+      if (isNaN(parseInt(chatId, 10)) || !topics || typeof topics !== 'object' || Array.isArray(topics)) {
+        throw new ValidationError(
+          `${field}: 숫자 채팅방 ID를 키로 하는 { 카테고리: 토픽 ID } 객체여야 합니다`,
+          ERROR_CODES.CONFIG_ERROR,
+          field
+        );
+      }
+
+      Object.entries(topics).forEach(([category, topicId]) => {
+        if (!this.categories?.[category] || !Number.isInteger(topicId) || topicId <= 0) {
+          throw new ValidationError(
+            `${field}.${category}: 알려진 카테고리와 포럼 토픽 ID(양의 정수)여야 합니다: ${JSON.stringify(topicId)} ` +
+            `(카테고리: ${Object.keys(this.categories ?? {}).join(', ')})`,
+            ERROR_CODES.CONFIG_ERROR,
+            `${field}.${category}`
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * 방해 금지 시간 검증 (TELEGRAM_QUIET_*, 채팅방별 chatQuietHours)
+   * 채팅방별 설정은 "HH:MM-HH:MM" 또는 { window, mode, timezone } (생략한 값은 환경변수 사용)
+   */
+  validateQuietHours() {
+    const targets = [
+      { field: 'TELEGRAM_QUIET_HOURS', setting: config.telegram.quietHours },
+      ...Object.entries(this.chatQuietHours).map(([chatId, setting]) => ({
+        field: `chatQuietHours.${chatId}`,
+        setting: typeof setting === 'string' ? { window: setting } : setting
+      }))
+    ];
+
+    targets.forEach(({ field, setting }) => {
+      try {
+        if (!setting || typeof setting !== 'object' || Array.isArray(setting)) {
+          throw new Error('"HH:MM-HH:MM" 문자열 또는 { window, mode, timezone } 객체여야 합니다');
+        }
+
+        parseQuietHours(setting.window);
+
+        if (setting.mode !== undefined && !Object.values(QUIET_HOURS_MODES).includes(setting.mode)) {
+          throw new Error(`지원하지 않는 동작: ${setting.mode} (사용 가능: ${Object.values(QUIET_HOURS_MODES).join(', ')})`);
+        }
+
+        if (setting.timezone !== undefined) {
+          try {
+            new Intl.DateTimeFormat('en-US', { timeZone: setting.timezone });
+          } catch {
+            throw new Error(`알 수 없는 시간대: ${setting.timezone}`);
+          }
+        }
+      } catch (error) {
+        throw new ValidationError(`${field}: ${error.message}`, ERROR_CODES.CONFIG_ERROR, field);
+      }
+    });
+  }
+
   /**
    * 모든 활성화된 서비스 반환
    */
@@ -98,6 +98,12 @@ const CACHE_SETTINGS = Object.freeze({
   DEFAULT_TTL_DAYS: 7,
   MAX_TTL_DAYS: 30,
   
+  // 출처 간 중복 판정 기간 (일)
+  CROSS_SOURCE_WINDOW_DAYS: 3,
+  
+  // 제목 유사도 중복 판정 임계값 (0~1, 문자 bigram Dice 계수)
+  TITLE_SIMILARITY_THRESHOLD: 0.9,
+  
   // 캐시 정리 시간 (크론 표현식)
   CLEANUP_SCHEDULE: '0 0 * * *', // 매일 자정
   
@@ -107,6 +113,89 @@ const CACHE_SETTINGS = Object.freeze({
   MESSAGE_CACHE_PREFIX: 'message_'
 });
 
+/**
+ * 전송 채널(출력) 관련 상수
+ */
+const OUTPUT_CHANNELS = Object.freeze({
+  TELEGRAM: 'telegram',
+  SLACK: 'slack',
+  DISCORD: 'discord',
+  EMAIL: 'email',
+  WEBHOOK: 'webhook'
+});
+
+/**
+ * 텔레그램 메시지 parse mode
+ * plain은 parse_mode 없이 전송 (서식 없음)
+ */
+const PARSE_MODES = Object.freeze({
+  HTML: 'HTML',
+  MARKDOWN_V2: 'MarkdownV2',
+  PLAIN: 'plain'
+});
+
+/**
+ * 아티클 미리보기 방식
+ * photo는 og:image 사진 + 캡션(sendPhoto), link는 텔레그램 링크 미리보기, none은 미리보기 없는 텍스트
+ */
+const PREVIEW_MODES = Object.freeze({
+  PHOTO: 'photo',
+  LINK: 'link',
+  NONE: 'none'
+});
+
+/**
+ * 아티클 메시지 인라인 버튼 동작 (callback_data 접두어)
+ */
+const ARTICLE_ACTIONS = Object.freeze({
+  SAVE: 'save',
+  MUTE: 'mute',
+  NOT_RELEVANT: 'nr'
+});
+
+/**
+ * 텔레그램 전송 속도 제한 상수
+ * 초당/분당 전송량은 TELEGRAM_RATE_GLOBAL, TELEGRAM_RATE_PER_CHAT 환경변수로 설정
+ */
+const TELEGRAM_LIMITS = Object.freeze({
+  // 채팅방별로 연달아 보낼 수 있는 메시지 수
+  CHAT_BURST: 3,
+  // 429 응답 시 재전송 최대 횟수 (일반 재시도 횟수와 별도)
+  MAX_RATE_LIMIT_RETRIES: 5,
+  // retry_after가 없는 429 응답의 대기 시간 (밀리초)
+  DEFAULT_RETRY_AFTER_MS: 5000,
+  // 사진 캡션 최대 길이 (넘으면 사진 대신 링크 미리보기로 전송)
+  MAX_CAPTION_LENGTH: 1024
+});
+
+/**
+ * 방해 금지 시간 동작
+ * hold는 방해 금지 시간 동안 아티클을 모았다가 끝난 뒤 한 번에 전송, silent는 알림 없이(disable_notification) 바로 전송
+ */
+const QUIET_HOURS_MODES = Object.freeze({
+  HOLD: 'hold',
+  SILENT: 'silent'
+});
+
+/**
+ * 전송 대기열(outbox) 상수
+ * 최대 시도 횟수와 재시도 기본 간격은 OUTBOX_MAX_ATTEMPTS, OUTBOX_RETRY_BASE_MINUTES 환경변수로 설정
+ */
+const OUTBOX_SETTINGS = Object.freeze({
+  // 재시도 간격 상한 (밀리초)
+  MAX_RETRY_DELAY_MS: 24 * 60 * 60 * 1000
+});
+
+/**
+ * 키워드 구독(/watch) 상수
+ */
+const SUBSCRIPTION_LIMITS = Object.freeze({
+  // 사용자별 최대 구독 수
+  MAX_PATTERNS_PER_USER: 20,
+  // 키워드/정규식 최대 길이
+  MAX_PATTERN_LENGTH: 100
+});
+
 /**
  * 날짜 및 시간 관련 상수
  */
@@ -214,7 +303,11 @@ const ERROR_CODES = Object.freeze({
   // 텔레그램 관련
   TELEGRAM_AUTH_ERROR: 'TG_001',
   TELEGRAM_SEND_ERROR: 'TG_002',
-  TELEGRAM_RATE_LIMIT: 'TG_003'
+  TELEGRAM_RATE_LIMIT: 'TG_003',
+  
+  // 외부 전송 채널 관련
+  OUTPUT_SEND_ERROR: 'OUT_001',
+  OUTPUT_RATE_LIMIT: 'OUT_002'
 });
 
 module.exports = {
@@ -223,6 +316,14 @@ module.exports = {
   TIMEOUTS,
   BATCH_SETTINGS,
   CACHE_SETTINGS,
+  OUTPUT_CHANNELS,
+  PARSE_MODES,
+  PREVIEW_MODES,
+  ARTICLE_ACTIONS,
+  TELEGRAM_LIMITS,
+  OUTBOX_SETTINGS,
+  SUBSCRIPTION_LIMITS,
+  QUIET_HOURS_MODES,
   DATE_TIME,
   FILE_PATHS,
   REGEX_PATTERNS,
@@ -3,15 +3,14 @@
  * 
  * 설계 원칙:
  * - Template Method Pattern: 공통 전송 로직은 기본 구현, 특화 로직은 오버라이드
- * - Retry Strategy: 지수 백오프를 통한 안정적인 재시도
- * - Dry Run Support: 테스트 모드에서 실제 API 호출 방지
+ * - Single Delivery Path: 분할, 속도 제한, 재시도, dry-run은 텔레그램 전송 파이프라인(telegramDelivery)에 위임
  * - Error Handling: 상세한 에러 로깅과 컨텍스트 제공
  */
 
-const axios = require('axios');
 const { config } = require('../../config/config');
 const { logger, logError } = require('../../utils/logger');
-const { COMMON_MESSAGES, TIMEOUTS } = require('../constants/ServiceConstants');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+const { COMMON_MESSAGES } = require('../constants/ServiceConstants');
 
 /**
  * 텔레그램 메신저 베이스 클래스
@@ -19,17 +18,11 @@ const { COMMON_MESSAGES, TIMEOUTS } = require('../constants/ServiceConstants');
 class BaseTelegramMessenger {
   #formatter
   #isDryRun
-  #botToken
-  #chatId
-  #retryConfig
   #isInitialized = false
 
   constructor(formatter, isDryRun = false) {
     this.#formatter = formatter;
     this.#isDryRun = isDryRun;
-    this.#botToken = config.telegram.botToken;
-    this.#chatId = config.telegram.chatId;
-    this.#retryConfig = config.retry;
 
     if (isDryRun) {
       logger.info(COMMON_MESSAGES.DRY_RUN_MODE);
@@ -67,21 +60,11 @@ class BaseTelegramMessenger {
    * 봇 설정 검증 (Private method)
    */
   async #validateBotConfiguration() {
-    const url = `https://api.telegram.org/bot${this.#botToken}/getMe`;
-    
     try {
-      const response = await axios.get(url, {
-        timeout: TIMEOUTS.HTTP_REQUEST
-      });
-      
-      if (!response.data?.ok) {
-        throw new Error(`Bot 설정 오류: ${response.data?.description ?? 'Unknown error'}`);
-      }
+      const botInfo = await telegramDelivery.call('getMe');
+      logger.info('텔레그램 봇 설정 검증 완료', { botUsername: botInfo.username, botId: botInfo.id });
       
-      const { username, id } = response.data.result;
-      logger.info('텔레그램 봇 설정 검증 완료', { botUsername: username, botId: id });
-      
-      return response.data.result;
+      return botInfo;
     } catch (error) {
       throw new Error(`봇 설정 검증 실패: ${error.message}`);
     }
@@ -89,14 +72,16 @@ class BaseTelegramMessenger {
 
   /**
    * 아티클을 텔레그램으로 전송 (템플릿 메서드)
+   * @param {Object} article - 아티클
+   * @param {Object} destination - 전송 대상 ({ chatId, threadId }, 생략하면 TELEGRAM_CHAT_ID의 일반 토픽)
    */
-  async sendArticle(article) {
+  async sendArticle(article, destination = {}) {
     if (!this.#isInitialized && !this.#isDryRun) {
       throw new Error('메신저가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
     }
 
     const message = this.#formatMessage(article);
-    return this.sendDirectMessage(message);
+    return this.sendDirectMessage(message, config.message.parseMode, destination);
   }
 
   /**
@@ -112,69 +97,24 @@ class BaseTelegramMessenger {
   }
 
   /**
-   * 텔레그램 API를 직접 호출하여 메시지 전송
+   * 텔레그램 전송 파이프라인으로 메시지 전송
+   * @param {string} text - 메시지
+   * @param {string} parseMode - parse mode
+   * @param {Object} destination - 전송 대상 ({ chatId, threadId }, 포럼 토픽은 message_thread_id로 전송)
    */
-  async sendDirectMessage(text) {
-    if (this.#isDryRun) {
-      logger.info(COMMON_MESSAGES.DRY_RUN_SIMULATION, { message: text });
-      return { message_id: Date.now(), dry_run: true };
-    }
-
-    if (!this.#isInitialized) {
+  async sendDirectMessage(text, parseMode = config.message.parseMode, { chatId, threadId } = {}) {
+    if (!this.#isInitialized && !this.#isDryRun) {
       throw new Error('메신저가 초기화되지 않았습니다.');
     }
 
-    const url = `https://api.telegram.org/bot${this.#botToken}/sendMessage`;
-    
-    const params = {
-      chat_id: this.#chatId,
-      text,
-      parse_mode: 'HTML',
-      disable_web_page_preview: false
-    };
-
-    let lastError;
-    
-    for (let attempt = 1; attempt <= this.#retryConfig.maxAttempts; attempt++) {
-      try {
-        logger.info('텔레그램 직접 메시지 전송 시도', {
-          attempt,
-          maxAttempts: this.#retryConfig.maxAttempts
-        });
-
-        const response = await axios.post(url, params, {
-          timeout: TIMEOUTS.HTTP_REQUEST,
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
-
-        if (response.data?.ok) {
-          logger.info('텔레그램 메시지 전송 성공');
-          return response.data.result;
-        } else {
-          throw new Error(`텔레그램 API 오류: ${response.data?.description ?? 'Unknown error'}`);
-        }
-
-      } catch (error) {
-        lastError = error;
-        
-        if (attempt < this.#retryConfig.maxAttempts) {
-          const delay = this.#retryConfig.delay * (2 ** (attempt - 1));
-          logger.warn(`텔레그램 전송 실패, ${delay}ms 후 재시도 (${attempt}/${this.#retryConfig.maxAttempts})`, {
-            error: error.message
-          });
-          await this.#sleep(delay);
-        }
-      }
-    }
-
-    // 모든 재시도 실패
-    logError(lastError, { 
-      context: '텔레그램 메시지 전송 최종 실패',
-      attempts: this.#retryConfig.maxAttempts
+    const [result] = await telegramDelivery.send(text, {
+      chatId,
+      threadId,
+      parseMode,
+      source: this.#formatter?.serviceKey ?? this.constructor.name,
+      dryRun: this.#isDryRun
     });
-    throw lastError;
+    return result;
   }
 
   /**
@@ -187,13 +127,6 @@ class BaseTelegramMessenger {
     }
   }
 
-  /**
-   * 대기 함수 (Private method)
-   */
-  #sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * 메신저 상태 확인
    */
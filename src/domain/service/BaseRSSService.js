@@ -8,7 +8,7 @@
  * - Dependency Injection: 의존성을 생성자에서 주입받음
  */
 
-const DailyCache = require('../../services/common/dailyCache');
+const SentHistory = require('../../services/common/sentHistory');
 const { logger } = require('../../utils/logger');
 
 /**
@@ -37,7 +37,7 @@ class BaseRSSService {
     this.#isDryRun = config.isDryRun ?? false;
     
     // 컴포넌트 초기화 (의존성 주입)
-    this.cache = new DailyCache(this.#displayName);
+    this.cache = new SentHistory(this.#displayName);
     this.articleService = new config.ArticleService();
     this.messenger = new config.Messenger(this.#isDryRun);
     this.scheduler = new config.Scheduler(
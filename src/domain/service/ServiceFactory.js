@@ -26,6 +26,11 @@ class ServiceFactory {
    */
   static createService(serviceConfig, options = {}) {
     try {
+      // 설정 기반 범용 RSS 서비스 (services.json의 generic 블록)
+      if (serviceConfig.generic) {
+        return ServiceFactory.#createGenericService(serviceConfig, options);
+      }
+
       // 서비스 모듈 동적 로드
       const serviceModule = ServiceFactory.#loadServiceModule(serviceConfig.modulePath);
       
@@ -51,6 +56,19 @@ class ServiceFactory {
     }
   }
 
+  /**
+   * 범용 RSS 서비스 생성 (Private method)
+   * config/services와의 순환 참조를 피하기 위해 지연 로드
+   * 
+   * @param {Object} serviceConfig - generic 블록을 포함한 서비스 설정
+   * @param {Object} options - 옵션
+   * @returns {GenericRssService} 범용 서비스 인스턴스
+   */
+  static #createGenericService(serviceConfig, options = {}) {
+    const GenericRssService = require('../../services/generic');
+    return new GenericRssService(serviceConfig, options);
+  }
+
   /**
    * 서비스 모듈 동적 로드 (Private method)
    * 
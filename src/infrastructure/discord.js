@@ -0,0 +1,195 @@
+const axios = require('axios');
+const { config } = require('../config/config');
+const { logger, logError } = require('../utils/logger');
+const { TIMEOUTS, HTTP_STATUS } = require('../domain/constants/ServiceConstants');
+
+const TOO_MANY_REQUESTS = 429;
+
+// 임베드 제한 (Discord: 제목 256자, 설명 4096자) - 설명은 미리보기용으로 짧게 유지
+const MAX_TITLE_LENGTH = 256;
+const MAX_EXCERPT_LENGTH = 300;
+
+// services.json에 color가 없는 소스에 서비스 키 해시로 배정하는 색상
+const FALLBACK_COLORS = Object.freeze([0x5865F2, 0x57F287, 0xFEE75C, 0xEB459E, 0xED4245, 0x3498DB, 0xE67E22, 0x1ABC9C]);
+
+/**
+ * 디스코드 웹훅 전송 서비스
+ * 아티클을 임베드(소스 색상, 제목, 설명 발췌, URL)로 변환해 전송
+ *
+ * 웹훅 URL:
+ * - 기본: DISCORD_WEBHOOK_URL
+ * - 소스별: DISCORD_WEBHOOK_URL_<서비스키> (예: DISCORD_WEBHOOK_URL_TOSS)
+ */
+class DiscordService {
+  constructor() {
+    // 기본 웹훅 URL
+    this.webhookUrl = config.discord.webhookUrl;
+    // 리트라이 설정
+    this.retryConfig = config.retry;
+    // dry-run 모드 상태
+    this.isDryRun = false;
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+    if (isDryRun) {
+      logger.info('[DRY RUN] 디스코드 서비스가 DRY RUN 모드로 설정되었습니다');
+    }
+  }
+
+  /**
+   * 서비스별 웹훅 URL 조회 (소스별 설정 우선)
+   */
+  getWebhookUrl(serviceKey) {
+    const sourceUrl = serviceKey ? process.env[`DISCORD_WEBHOOK_URL_${serviceKey.toUpperCase()}`] : null;
+    return sourceUrl || this.webhookUrl;
+  }
+
+  /**
+   * 소스 색상 (services.json의 "#RRGGBB" 우선, 없으면 서비스 키로 고정 배정)
+   */
+  getColor(serviceKey, color) {
+    if (color) {
+      return parseInt(color.replace('#', ''), 16);
+    }
+
+    const hash = [...String(serviceKey ?? '')].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    return FALLBACK_COLORS[hash % FALLBACK_COLORS.length];
+  }
+
+  /**
+   * 설명 발췌 (HTML 제거 후 길이 제한)
+   */
+  getExcerpt(article) {
+    const text = String(article.description || article.summary || article.contentSnippet || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (!text || text === '내용 없음') {
+      return undefined;
+    }
+
+    return text.length > MAX_EXCERPT_LENGTH ? `${text.substring(0, MAX_EXCERPT_LENGTH - 3)}...` : text;
+  }
+
+  /**
+   * 아티클을 임베드 메시지로 변환
+   * @param {Object} article - 아티클 ({ title, url | link, description, date })
+   * @param {Object} source - 출처 정보 ({ serviceKey, source, color })
+   */
+  buildPayload(article, { serviceKey, source, color } = {}) {
+    const title = (article.title || '(제목 없음)').trim();
+    const date = article.date ? new Date(article.date) : null;
+
+    return {
+      // 제목 등에 포함된 @everyone 등이 멘션으로 동작하지 않도록 차단
+      allowed_mentions: { parse: [] },
+      embeds: [
+        {
+          author: { name: source || serviceKey || 'RSS' },
+          title: title.length > MAX_TITLE_LENGTH ? `${title.substring(0, MAX_TITLE_LENGTH - 3)}...` : title,
+          url: article.url || article.link,
+          description: this.getExcerpt(article),
+          color: this.getColor(serviceKey, color),
+          timestamp: date && !isNaN(date.getTime()) ? date.toISOString() : undefined
+        }
+      ]
+    };
+  }
+
+  /**
+   * 아티클 전송
+   * @param {Object} article - 아티클
+   * @param {Object} options - 옵션
+   * @param {string} options.serviceKey - 서비스 키 (소스별 웹훅 URL 선택)
+   * @param {string} options.source - 출처 표시 이름
+   * @param {string} options.color - 소스 색상 ("#RRGGBB")
+   */
+  async sendArticle(article, options = {}) {
+    const { serviceKey } = options;
+    const payload = this.buildPayload(article, options);
+
+    if (this.isDryRun) {
+      logger.info('[DRY RUN] 디스코드 메시지 전송 시뮬레이션', { serviceKey, title: article.title });
+      return { dry_run: true };
+    }
+
+    const webhookUrl = this.getWebhookUrl(serviceKey);
+    if (!webhookUrl) {
+      throw new Error(`디스코드 웹훅 URL이 설정되지 않았습니다 (DISCORD_WEBHOOK_URL 또는 DISCORD_WEBHOOK_URL_${String(serviceKey).toUpperCase()})`);
+    }
+
+    const response = await this.sendWithRetry(webhookUrl, payload);
+    logger.info('디스코드 메시지 전송 성공', { serviceKey, title: article.title });
+
+    return { status: response.status };
+  }
+
+  /**
+   * 429 응답의 재시도 대기 시간(ms)
+   * 본문의 retry_after(초, 소수 가능)를 우선하고 없으면 Retry-After 헤더 사용
+   */
+  getRetryAfterMs(response) {
+    const bodyValue = Number(response?.data?.retry_after);
+    if (Number.isFinite(bodyValue) && bodyValue >= 0) {
+      return Math.ceil(bodyValue * 1000);
+    }
+
+    const headerValue = Number(response?.headers?.['retry-after']);
+    return Number.isFinite(headerValue) && headerValue >= 0 ? Math.ceil(headerValue * 1000) : null;
+  }
+
+  /**
+   * 재시도 로직과 함께 웹훅 호출
+   * - 429: retry_after만큼 대기 후 재시도
+   * - 5xx / 네트워크 오류: 지수 백오프로 재시도
+   * - 그 외 4xx: 설정 오류이므로 즉시 실패 (Unknown Webhook, Invalid Form Body 등)
+   */
+  async sendWithRetry(webhookUrl, payload) {
+    const maxAttempts = this.retryConfig.maxAttempts;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        return await axios.post(webhookUrl, payload, {
+          timeout: TIMEOUTS.HTTP_REQUEST,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        const status = error.response?.status;
+        const body = error.response?.data?.message ?? error.message;
+        lastError = new Error(`디스코드 웹훅 오류${status ? ` (${status})` : ''}: ${body}`);
+
+        const retryable = !status || status === TOO_MANY_REQUESTS || status >= HTTP_STATUS.INTERNAL_SERVER_ERROR;
+        if (!retryable || attempt >= maxAttempts) {
+          break;
+        }
+
+        const retryAfter = status === TOO_MANY_REQUESTS ? this.getRetryAfterMs(error.response) : null;
+        const delay = retryAfter ?? this.retryConfig.delay * Math.pow(2, attempt - 1);
+
+        logger.warn(`디스코드 전송 실패, ${delay}ms 후 재시도 (${attempt}/${maxAttempts})`, {
+          status,
+          error: body
+        });
+        await this.sleep(delay);
+      }
+    }
+
+    logError(lastError, { context: '디스코드 메시지 전송 최종 실패' });
+    throw lastError;
+  }
+
+  /**
+   * 대기 함수
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new DiscordService();
\ No newline at end of file
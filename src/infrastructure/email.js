@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { config } = require('../config/config');
+const { logger, logError } = require('../utils/logger');
+const SmtpClient = require('./smtpClient');
+
+// 다이제스트에 표시할 설명 발췌 길이
+const MAX_EXCERPT_LENGTH = 200;
+
+// SMTP 영구 실패 응답 코드 (5xx)는 재시도하지 않음
+const SMTP_PERMANENT_FAILURE = 500;
+
+/**
+ * 이메일 다이제스트 전송 서비스
+ *
+ * 다른 채널과 달리 아티클을 바로 보내지 않고 실행(run) 동안 모았다가,
+ * 실행이 끝나면(flush) 소스/카테고리별로 묶은 HTML + 텍스트 메일 한 통으로 전송
+ *
+ * 설정: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, EMAIL_FROM, EMAIL_TO(쉼표 구분)
+ * SMTP_HOST/SMTP_PORT에 로컬 SMTP 서버를 지정하면 실제 메일 없이 전송 내용을 확인할 수 있음
+ */
+class EmailService {
+  constructor() {
+    // SMTP 및 수신자 설정
+    this.emailConfig = config.email;
+    // 리트라이 설정
+    this.retryConfig = config.retry;
+    // dry-run 모드 상태
+    this.isDryRun = false;
+    // 이번 실행에서 모은 아티클 ({ article, source })
+    this.pending = [];
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+    if (isDryRun) {
+      logger.info('[DRY RUN] 이메일 서비스가 DRY RUN 모드로 설정되었습니다');
+    }
+  }
+
+  /**
+   * 아티클을 다이제스트에 추가 (실제 전송은 flush에서)
+   * @param {Object} article - 아티클 ({ title, url | link, description, date })
+   * @param {Object} source - 출처 정보 ({ serviceKey, source, category, categoryName })
+   */
+  async sendArticle(article, source = {}) {
+    if (!this.isDryRun && (!this.emailConfig.smtp.host || this.emailConfig.to.length === 0)) {
+      throw new Error('이메일 다이제스트 설정이 없습니다 (SMTP_HOST, EMAIL_TO)');
+    }
+
+    this.pending.push({ article, source });
+    logger.debug('이메일 다이제스트에 아티클 추가', { serviceKey: source.serviceKey, title: article.title });
+
+    return { queued: true, dry_run: this.isDryRun };
+  }
+
+  /**
+   * 모은 아티클을 다이제스트 메일로 전송
+   * 모은 아티클이 없으면 메일을 보내지 않음
+   * @returns {Promise<Object|null>} 전송 결과 (보낼 아티클이 없으면 null)
+   */
+  async flush() {
+    if (this.pending.length === 0) {
+      return null;
+    }
+
+    const entries = this.pending;
+    this.pending = [];
+
+    const groups = this.groupEntries(entries);
+    const subject = this.buildSubject(entries.length);
+
+    if (this.isDryRun) {
+      logger.info('[DRY RUN] 이메일 다이제스트 전송 시뮬레이션', {
+        subject,
+        recipients: this.emailConfig.to.length,
+        articles: entries.length
+      });
+      return { dry_run: true, articles: entries.length };
+    }
+
+    const message = this.buildMessage({
+      subject,
+      text: this.renderText(groups, entries.length),
+      html: this.renderHtml(groups, entries.length)
+    });
+
+    try {
+      await this.sendWithRetry(message);
+      logger.info('이메일 다이제스트 전송 성공', { recipients: this.emailConfig.to.length, articles: entries.length });
+      return { sent: true, articles: entries.length };
+    } catch (error) {
+      logError(error, { context: '이메일 다이제스트 전송 최종 실패', articles: entries.length });
+      throw error;
+    }
+  }
+
+  /**
+   * 카테고리 → 소스 순으로 그룹화 (처음 등장한 순서 유지)
+   * @returns {Array<{ category: string, sources: Array<{ source: string, articles: Object[] }> }>}
+   */
+  groupEntries(entries) {
+    const categories = new Map();
+
+    entries.forEach(({ article, source }) => {
+      const categoryName = source.categoryName || source.category || '기타';
+      const sourceName = source.source || source.serviceKey || 'RSS';
+
+      if (!categories.has(categoryName)) {
+        categories.set(categoryName, new Map());
+      }
+      const sources = categories.get(categoryName);
+      if (!sources.has(sourceName)) {
+        sources.set(sourceName, []);
+      }
+      sources.get(sourceName).push(article);
+    });
+
+    return [...categories.entries()].map(([category, sources]) => ({
+      category,
+      sources: [...sources.entries()].map(([source, articles]) => ({ source, articles }))
+    }));
+  }
+
+  /**
+   * 메일 제목
+   */
+  buildSubject(count) {
+    const date = new Date().toLocaleDateString('ko-KR', { timeZone: config.schedule.timezone });
+    return `[RSS 알림] ${date} 새 아티클 ${count}건`;
+  }
+
+  /**
+   * 설명 발췌 (HTML 제거 후 길이 제한)
+   */
+  getExcerpt(article) {
+    const text = String(article.description || article.summary || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (!text || text === '내용 없음') {
+      return '';
+    }
+
+    return text.length > MAX_EXCERPT_LENGTH ? `${text.substring(0, MAX_EXCERPT_LENGTH - 3)}...` : text;
+  }
+
+  /**
+   * HTML 이스케이프
+   */
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * 텍스트 본문
+   */
+  renderText(groups, count) {
+    const lines = [`새 아티클 ${count}건`, ''];
+
+    groups.forEach(({ category, sources }) => {
+      lines.push(`■ ${category}`, '');
+      sources.forEach(({ source, articles }) => {
+        lines.push(`[ ${source} ]`);
+        articles.forEach(article => {
+          lines.push(`- ${article.title}`, `  ${article.url || article.link || ''}`);
+          const excerpt = this.getExcerpt(article);
+          if (excerpt) {
+            lines.push(`  ${excerpt}`);
+          }
+        });
+        lines.push('');
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * HTML 본문
+   */
+  renderHtml(groups, count) {
+    const sections = groups.map(({ category, sources }) => {
+      const sourceBlocks = sources.map(({ source, articles }) => {
+        const items = articles.map(article => {
+          const url = this.escapeHtml(article.url || article.link || '');
+          const excerpt = this.getExcerpt(article);
+          return `<li style="margin-bottom:8px"><a href="${url}">${this.escapeHtml(article.title)}</a>` +
+            (excerpt ? `<br><span style="color:#666;font-size:13px">${this.escapeHtml(excerpt)}</span>` : '') +
+            '</li>';
+        }).join('');
+
+        return `<h3 style="margin:12px 0 4px">${this.escapeHtml(source)}</h3><ul style="padding-left:20px">${items}</ul>`;
+      }).join('');
+
+      return `<h2 style="border-bottom:1px solid #ddd;padding-bottom:4px">${this.escapeHtml(category)}</h2>${sourceBlocks}`;
+    }).join('');
+
+    return '<!DOCTYPE html><html><body style="font-family:sans-serif;line-height:1.5">' +
+      `<p>새 아티클 ${count}건</p>${sections}</body></html>`;
+  }
+
+  /**
+   * RFC 2047 헤더 인코딩 (한글 제목용)
+   */
+  encodeHeader(value) {
+    return /^[\x20-\x7E]*$/.test(value)
+      ? value
+      : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+  }
+
+  /**
+   * base64 본문 (76자 줄바꿈)
+   */
+  encodeBody(value) {
+    return Buffer.from(value, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  }
+
+  /**
+   * multipart/alternative 메시지 생성 (텍스트 + HTML)
+   */
+  buildMessage({ subject, text, html }) {
+    const boundary = `rss-digest-${crypto.randomBytes(12).toString('hex')}`;
+    const domain = this.emailConfig.from.split('@')[1] || 'localhost';
+
+    return [
+      `From: ${this.emailConfig.from}`,
+      `To: ${this.emailConfig.to.join(', ')}`,
+      `Subject: ${this.encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      this.encodeBody(text),
+      `--${boundary}`,
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      this.encodeBody(html),
+      `--${boundary}--`
+    ].join('\r\n');
+  }
+
+  /**
+   * 재시도 로직과 함께 SMTP 전송
+   * 접속 실패 / 4xx 일시 오류는 지수 백오프로 재시도, 5xx 영구 오류는 즉시 실패
+   */
+  async sendWithRetry(message) {
+    const { smtp, from, to } = this.emailConfig;
+    const maxAttempts = this.retryConfig.maxAttempts;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        return await new SmtpClient(smtp).send({ from, to }, message);
+      } catch (error) {
+        lastError = error;
+
+        if (error.responseCode >= SMTP_PERMANENT_FAILURE || attempt >= maxAttempts) {
+          break;
+        }
+
+        const delay = this.retryConfig.delay * Math.pow(2, attempt - 1);
+        logger.warn(`이메일 전송 실패, ${delay}ms 후 재시도 (${attempt}/${maxAttempts})`, {
+          error: error.message
+        });
+        await this.sleep(delay);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * 대기 함수
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,250 @@
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { config } = require('../config/config');
+const { logger, logError } = require('../utils/logger');
+const { readJson, writeJsonAtomic, withFileLock } = require('../utils/fileStore');
+const { TIMEOUTS, HTTP_STATUS } = require('../domain/constants/ServiceConstants');
+
+const TOO_MANY_REQUESTS = 429;
+
+// 페이로드 스키마 버전 (필드를 바꾸면 올려서 수신 측이 구분할 수 있게 함)
+const SCHEMA_VERSION = 1;
+
+/**
+ * 서명된 아웃바운드 웹훅 전송 서비스
+ * 새 아티클을 사내 도구(위키 봇, 스터디 트래커 등)에 고정 스키마 JSON으로 POST
+ *
+ * 페이로드: { schemaVersion, event, title, url, source, category, score, tags, date }
+ * 서명: X-Hub-Signature: sha256=<HMAC-SHA256(시크릿, 본문)> (인바운드 verifyWebhookSecret과 같은 방식)
+ *
+ * 엔드포인트: OUTBOUND_WEBHOOKS=이름=URL,이름=URL
+ * 시크릿: OUTBOUND_WEBHOOK_SECRET_<이름> (없으면 OUTBOUND_WEBHOOK_SECRET)
+ *
+ * 엔드포인트별 전송 상태(마지막 성공/실패, 연속 실패 수 등)를 기록하며,
+ * CI 환경에서는 .cache 디렉토리에 파일로, 그 외에는 프로세스 메모리에만 저장
+ */
+class OutboundWebhookService {
+  constructor(options = {}) {
+    // 엔드포인트 목록 ({ name, url })
+    this.endpoints = options.endpoints ?? config.outboundWebhook.endpoints;
+    // 리트라이 설정
+    this.retryConfig = config.retry;
+    // dry-run 모드 상태
+    this.isDryRun = false;
+    // 엔드포인트별 전송 상태
+    this.deliveryStatus = {};
+    this.storeMode = options.storeMode ?? (process.env.CI === 'true' ? 'file' : 'memory');
+    this.statusFile = path.join(options.cacheDir ?? '.cache', 'rss-outbound-webhooks.json');
+
+    if (this.storeMode === 'file') {
+      this.deliveryStatus = readJson(this.statusFile, {}).endpoints ?? {};
+    }
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+    if (isDryRun) {
+      logger.info('[DRY RUN] 아웃바운드 웹훅 서비스가 DRY RUN 모드로 설정되었습니다');
+    }
+  }
+
+  /**
+   * 엔드포인트 서명 시크릿
+   */
+  getSecret(endpointName) {
+    return process.env[`OUTBOUND_WEBHOOK_SECRET_${endpointName.toUpperCase()}`] || config.outboundWebhook.secret;
+  }
+
+  /**
+   * 본문 HMAC-SHA256 서명
+   */
+  sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  /**
+   * 아티클을 고정 스키마 페이로드로 변환
+   * @param {Object} article - 아티클
+   * @param {Object} source - 출처 정보 ({ serviceKey, category })
+   */
+  buildPayload(article, { serviceKey, category } = {}) {
+    const date = article.date ? new Date(article.date) : null;
+    const score = Number(article.score);
+
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      event: 'article.created',
+      title: article.title || '',
+      url: article.url || article.link || '',
+      source: serviceKey ?? null,
+      category: category ?? null,
+      score: article.score !== undefined && Number.isFinite(score) ? score : null,
+      tags: Array.isArray(article.tags) ? article.tags : [],
+      date: date && !isNaN(date.getTime()) ? date.toISOString() : null
+    };
+  }
+
+  /**
+   * 아티클 전송 (모든 엔드포인트)
+   * 일부 엔드포인트만 실패하면 성공으로 처리하고 실패는 전송 상태에 기록
+   * @param {Object} article - 아티클
+   * @param {Object} source - 출처 정보 ({ serviceKey, category })
+   */
+  async sendArticle(article, source = {}) {
+    if (this.endpoints.length === 0) {
+      throw new Error('아웃바운드 웹훅 엔드포인트가 설정되지 않았습니다 (OUTBOUND_WEBHOOKS)');
+    }
+
+    const body = JSON.stringify(this.buildPayload(article, source));
+
+    if (this.isDryRun) {
+      logger.info('[DRY RUN] 아웃바운드 웹훅 전송 시뮬레이션', {
+        endpoints: this.endpoints.map(endpoint => endpoint.name),
+        title: article.title
+      });
+      return { dry_run: true };
+    }
+
+    const results = [];
+    for (const endpoint of this.endpoints) {
+      results.push(await this.deliver(endpoint, body));
+    }
+    this.saveStatus();
+
+    const failed = results.filter(result => !result.success);
+    if (failed.length === results.length) {
+      throw new Error(`아웃바운드 웹훅 전송 실패: ${failed.map(result => `${result.endpoint}(${result.error})`).join(', ')}`);
+    }
+
+    return { endpoints: results };
+  }
+
+  /**
+   * 단일 엔드포인트 전송 및 상태 기록
+   */
+  async deliver(endpoint, body) {
+    const deliveryId = crypto.randomUUID();
+
+    try {
+      const secret = this.getSecret(endpoint.name);
+      if (!secret) {
+        throw new Error(`서명 시크릿이 없습니다 (OUTBOUND_WEBHOOK_SECRET_${endpoint.name.toUpperCase()} 또는 OUTBOUND_WEBHOOK_SECRET)`);
+      }
+
+      const signature = this.sign(body, secret);
+      const response = await this.sendWithRetry(endpoint, body, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'rss-notification-webhook/1.0',
+        'X-Hub-Signature': signature,
+        'X-Hub-Signature-256': signature,
+        'X-Webhook-Event': 'article.created',
+        'X-Webhook-Delivery': deliveryId
+      });
+
+      this.recordStatus(endpoint, { success: true, status: response.status });
+      logger.info(`아웃바운드 웹훅 전송 성공: ${endpoint.name}`, { deliveryId, status: response.status });
+      return { endpoint: endpoint.name, success: true, status: response.status };
+    } catch (error) {
+      this.recordStatus(endpoint, { success: false, status: error.status ?? null, error: error.message });
+      logError(error, { context: `아웃바운드 웹훅 전송 실패: ${endpoint.name}`, deliveryId });
+      return { endpoint: endpoint.name, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 재시도 로직과 함께 POST
+   * - 429: Retry-After 헤더(초)만큼 대기 후 재시도
+   * - 5xx / 네트워크 오류: 지수 백오프로 재시도
+   * - 그 외 4xx: 수신 측 거절이므로 즉시 실패
+   */
+  async sendWithRetry(endpoint, body, headers) {
+    const maxAttempts = this.retryConfig.maxAttempts;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        return await axios.post(endpoint.url, body, { timeout: TIMEOUTS.HTTP_REQUEST, headers });
+      } catch (error) {
+        const status = error.response?.status;
+        lastError = new Error(`HTTP ${status ?? '오류'}: ${error.message}`);
+        lastError.status = status;
+
+        const retryable = !status || status === TOO_MANY_REQUESTS || status >= HTTP_STATUS.INTERNAL_SERVER_ERROR;
+        if (!retryable || attempt >= maxAttempts) {
+          break;
+        }
+
+        const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+        const delay = status === TOO_MANY_REQUESTS && retryAfter >= 0
+          ? retryAfter * 1000
+          : this.retryConfig.delay * Math.pow(2, attempt - 1);
+
+        logger.warn(`아웃바운드 웹훅 ${endpoint.name} 전송 실패, ${delay}ms 후 재시도 (${attempt}/${maxAttempts})`, {
+          status,
+          error: error.message
+        });
+        await this.sleep(delay);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * 엔드포인트 전송 상태 갱신
+   */
+  recordStatus(endpoint, { success, status, error }) {
+    const now = new Date().toISOString();
+    const previous = this.deliveryStatus[endpoint.name] ?? { delivered: 0, failed: 0, consecutiveFailures: 0 };
+
+    this.deliveryStatus[endpoint.name] = {
+      ...previous,
+      lastAttemptAt: now,
+      lastStatus: status,
+      ...(success
+        ? { lastSuccessAt: now, delivered: previous.delivered + 1, consecutiveFailures: 0, lastError: null }
+        : { lastFailureAt: now, failed: previous.failed + 1, consecutiveFailures: previous.consecutiveFailures + 1, lastError: error })
+    };
+  }
+
+  /**
+   * 전송 상태 파일 저장 (file 모드에서만)
+   */
+  saveStatus() {
+    if (this.storeMode !== 'file') {
+      return;
+    }
+
+    try {
+      withFileLock(this.statusFile, () => {
+        const stored = readJson(this.statusFile, {}).endpoints ?? {};
+        writeJsonAtomic(this.statusFile, { endpoints: { ...stored, ...this.deliveryStatus } });
+      });
+    } catch (error) {
+      logger.warn('아웃바운드 웹훅 전송 상태 저장 실패:', error.message);
+    }
+  }
+
+  /**
+   * 엔드포인트별 전송 상태 조회 (URL에 토큰이 포함될 수 있어 이름만 노출)
+   */
+  getDeliveryStatus() {
+    return this.endpoints.map(endpoint => ({
+      name: endpoint.name,
+      ...(this.deliveryStatus[endpoint.name] ?? { delivered: 0, failed: 0, consecutiveFailures: 0 })
+    }));
+  }
+
+  /**
+   * 대기 함수
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new OutboundWebhookService();
\ No newline at end of file
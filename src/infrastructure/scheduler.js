@@ -1,6 +1,12 @@
 const cron = require('node-cron');
 const { config } = require('../config/config');
 const { logger, logError } = require('../utils/logger');
+const outputDispatcher = require('../services/common/outputDispatcher');
+const telegramDigest = require('../services/common/telegramDigest');
+const quietHours = require('../services/common/quietHours');
+
+// 실행 단위 전송(이메일/텔레그램 다이제스트) 확인 주기 - 매분 확인해 도메인 작업이 끝난 뒤에만 전송
+const FLUSH_SCHEDULE = '* * * * *';
 
 class SchedulerService {
   constructor() {
@@ -10,6 +16,13 @@ class SchedulerService {
     // 등록된 도메인 스케줄러들
     this.domainSchedulers = new Map();
     
+    // 일시 중지한 도메인 (봇 /pause 명령)
+    this.pausedDomains = new Set();
+    
+    // 마지막 일괄 전송 시점까지 끝난 도메인 작업 수 (새로 끝난 작업이 있을 때만 전송)
+    this.flushedRuns = 0;
+    this.isFlushing = false;
+    
     // 전체 스케줄러 통계
     this.stats = {
       totalSchedules: 0,
@@ -46,6 +59,12 @@ class SchedulerService {
         }
       });
       
+      // 도메인 작업이 끝난 뒤 이메일/텔레그램 다이제스트 전송
+      this.scheduleOutputFlush();
+      
+      // 방해 금지 시간이 끝나는 시각에 모아 둔 아티클 전송
+      this.scheduleQuietHoursRelease();
+      
       // 개발 모드에서는 추가 테스트 스케줄 등록
       if (config.app.isDevelopment) {
         this.scheduleTestJobs();
@@ -59,6 +78,65 @@ class SchedulerService {
     }
   }
 
+  /**
+   * 실행 단위 전송 스케줄 등록
+   * 도메인 스케줄러는 각자 실행되므로, 새로 끝난 작업이 있고 실행 중인 작업이 없을 때 한 번만 전송
+   */
+  scheduleOutputFlush() {
+    const flushTask = cron.schedule(FLUSH_SCHEDULE, async () => {
+      await this.flushOutputs();
+    }, { scheduled: false, timezone: config.schedule.timezone });
+
+    this.scheduledTasks.set('outputFlush', flushTask);
+    flushTask.start();
+  }
+
+  /**
+   * 방해 금지 시간(hold) 종료 시각마다 모아 둔 아티클 전송 (도메인 작업 실행 시각과 관계없이)
+   */
+  scheduleQuietHoursRelease() {
+    quietHours.getReleaseTimes().forEach(({ hour, minute, timezone }, index) => {
+      const releaseTask = cron.schedule(`${minute} ${hour} * * *`, async () => {
+        try {
+          logger.info('🌙 방해 금지 시간 종료 - 모아 둔 아티클 전송');
+          await telegramDigest.flush();
+        } catch (error) {
+          logError(error, { context: '방해 금지 시간 종료 전송 실패' });
+        }
+      }, { scheduled: false, timezone });
+
+      this.scheduledTasks.set(`quietHoursRelease:${index}`, releaseTask);
+      releaseTask.start();
+      logger.info(`🌙 방해 금지 시간 종료 전송 등록: 매일 ${hour}시 ${minute}분 (${timezone})`);
+    });
+  }
+
+  /**
+   * 끝난 도메인 작업이 모아 둔 이메일/텔레그램 다이제스트 전송 (outputDispatcher.flush)
+   * @returns {Promise<boolean>} 전송을 시도했으면 true
+   */
+  async flushOutputs() {
+    const schedulers = [...this.domainSchedulers.values()];
+    const finishedRuns = schedulers.reduce((sum, scheduler) => sum + scheduler.stats.totalRuns, 0);
+    const running = schedulers.some(scheduler => scheduler.isRunning || scheduler.isManualRunning);
+
+    if (this.isFlushing || running || finishedRuns === this.flushedRuns) {
+      return false;
+    }
+
+    this.isFlushing = true;
+    try {
+      await outputDispatcher.flush();
+      this.flushedRuns = finishedRuns;
+      return true;
+    } catch (error) {
+      logError(error, { context: '실행 단위 전송 실패' });
+      return false;
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
   /**
    * 개발용 테스트 스케줄들
    */
@@ -83,11 +161,7 @@ class SchedulerService {
    * 특정 도메인의 수동 체크 실행
    */
   async runManualCheck(domainName = 'kofeArticle') {
-    const domainScheduler = this.domainSchedulers.get(domainName);
-    
-    if (!domainScheduler) {
-      throw new Error(`도메인 스케줄러를 찾을 수 없습니다: ${domainName}`);
-    }
+    const domainScheduler = this.getDomainScheduler(domainName);
     
     logger.info(`${domainName} 도메인 수동 체크 실행`);
     
@@ -101,6 +175,67 @@ class SchedulerService {
     }
   }
 
+  /**
+   * 도메인 스케줄러 조회 (없으면 예외)
+   */
+  getDomainScheduler(domainName) {
+    const domainScheduler = this.domainSchedulers.get(domainName);
+    
+    if (!domainScheduler) {
+      throw new Error(`도메인 스케줄러를 찾을 수 없습니다: ${domainName}`);
+    }
+    
+    return domainScheduler;
+  }
+
+  /**
+   * 도메인의 최신 아티클 조회
+   */
+  async getLatestArticles(domainName, count = 5) {
+    return await this.getDomainScheduler(domainName).articleService.getLatestArticles(count);
+  }
+
+  /**
+   * 도메인 정기 작업 일시 중지
+   * @returns {boolean} 새로 중지했으면 true (이미 중지 상태면 false)
+   */
+  pauseDomain(domainName) {
+    const domainScheduler = this.getDomainScheduler(domainName);
+    
+    if (this.pausedDomains.has(domainName)) {
+      return false;
+    }
+    
+    domainScheduler.stop();
+    this.pausedDomains.add(domainName);
+    logger.info(`${domainName} 도메인 정기 작업 일시 중지`);
+    return true;
+  }
+
+  /**
+   * 도메인 정기 작업 재개
+   * @returns {boolean} 새로 재개했으면 true (중지 상태가 아니면 false)
+   */
+  resumeDomain(domainName) {
+    const domainScheduler = this.getDomainScheduler(domainName);
+    
+    if (!this.pausedDomains.has(domainName)) {
+      return false;
+    }
+    
+    domainScheduler.start();
+    this.pausedDomains.delete(domainName);
+    logger.info(`${domainName} 도메인 정기 작업 재개`);
+    return true;
+  }
+
+  /**
+   * 도메인 일시 중지 여부
+   */
+  isPaused(domainName) {
+    return this.pausedDomains.has(domainName);
+  }
+
   /**
    * 전체 통계 조회
    */
@@ -117,6 +252,7 @@ class SchedulerService {
         uptime: Math.floor((new Date() - this.stats.startTime) / 1000)
       },
       domains: domainStats,
+      paused: [...this.pausedDomains],
       totalActiveTasks: this.scheduledTasks.size + this.stats.activeSchedules
     };
   }
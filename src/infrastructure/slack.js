@@ -0,0 +1,175 @@
+const axios = require('axios');
+const { config } = require('../config/config');
+const { logger, logError } = require('../utils/logger');
+const { TIMEOUTS, HTTP_STATUS } = require('../domain/constants/ServiceConstants');
+
+const TOO_MANY_REQUESTS = 429;
+
+// Block Kit section 텍스트 최대 길이 (Slack 제한 3000자)
+const MAX_SECTION_TEXT_LENGTH = 3000;
+
+/**
+ * 슬랙 Incoming Webhook 전송 서비스
+ * 아티클을 Block Kit 메시지(출처 / 링크된 제목)로 변환해 전송
+ *
+ * 웹훅 URL:
+ * - 기본: SLACK_WEBHOOK_URL
+ * - 소스별: SLACK_WEBHOOK_URL_<서비스키> (예: SLACK_WEBHOOK_URL_TOSS)
+ * 로컬 HTTP 서버 주소를 지정하면 실제 슬랙 없이 전송 내용을 확인할 수 있음
+ */
+class SlackService {
+  constructor() {
+    // 기본 웹훅 URL
+    this.webhookUrl = config.slack.webhookUrl;
+    // 리트라이 설정
+    this.retryConfig = config.retry;
+    // dry-run 모드 상태
+    this.isDryRun = false;
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+    if (isDryRun) {
+      logger.info('[DRY RUN] 슬랙 서비스가 DRY RUN 모드로 설정되었습니다');
+    }
+  }
+
+  /**
+   * 서비스별 웹훅 URL 조회 (소스별 설정 우선)
+   */
+  getWebhookUrl(serviceKey) {
+    const sourceUrl = serviceKey ? process.env[`SLACK_WEBHOOK_URL_${serviceKey.toUpperCase()}`] : null;
+    return sourceUrl || this.webhookUrl;
+  }
+
+  /**
+   * mrkdwn 제어 문자 이스케이프 (&, <, >)
+   */
+  escapeText(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * <url|텍스트> 링크 문법이 깨지지 않도록 URL 인코딩
+   */
+  escapeUrl(url) {
+    return String(url ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '%3C')
+      .replace(/>/g, '%3E')
+      .replace(/\|/g, '%7C');
+  }
+
+  /**
+   * 아티클을 Block Kit 메시지로 변환
+   * @param {Object} article - 아티클 ({ title, url | link })
+   * @param {string} source - 출처 표시 이름
+   */
+  buildPayload(article, source) {
+    const title = (article.title || '(제목 없음)').trim();
+    const url = article.url || article.link;
+    const titleText = url
+      ? `*<${this.escapeUrl(url)}|${this.escapeText(title)}>*`
+      : `*${this.escapeText(title)}*`;
+
+    return {
+      // 알림 미리보기 및 Block Kit 미지원 클라이언트용 대체 텍스트
+      text: `[${this.escapeText(source)}] ${this.escapeText(title)}${url ? ` ${url}` : ''}`,
+      unfurl_links: true,
+      blocks: [
+        {
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: `📰 *${this.escapeText(source)}*` }]
+        },
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: titleText.substring(0, MAX_SECTION_TEXT_LENGTH) }
+        }
+      ]
+    };
+  }
+
+  /**
+   * 아티클 전송
+   * @param {Object} article - 아티클
+   * @param {Object} options - 옵션
+   * @param {string} options.serviceKey - 서비스 키 (소스별 웹훅 URL 선택)
+   * @param {string} options.source - 출처 표시 이름
+   */
+  async sendArticle(article, { serviceKey, source } = {}) {
+    const payload = this.buildPayload(article, source || serviceKey || 'RSS');
+
+    if (this.isDryRun) {
+      logger.info('[DRY RUN] 슬랙 메시지 전송 시뮬레이션', { serviceKey, title: article.title });
+      return { dry_run: true };
+    }
+
+    const webhookUrl = this.getWebhookUrl(serviceKey);
+    if (!webhookUrl) {
+      throw new Error(`슬랙 웹훅 URL이 설정되지 않았습니다 (SLACK_WEBHOOK_URL 또는 SLACK_WEBHOOK_URL_${String(serviceKey).toUpperCase()})`);
+    }
+
+    await this.sendWithRetry(webhookUrl, payload);
+    logger.info('슬랙 메시지 전송 성공', { serviceKey, title: article.title });
+
+    return { status: HTTP_STATUS.OK };
+  }
+
+  /**
+   * 재시도 로직과 함께 웹훅 호출
+   * - 429: Retry-After 헤더(초)만큼 대기 후 재시도
+   * - 5xx / 네트워크 오류: 지수 백오프로 재시도
+   * - 그 외 4xx: 설정 오류이므로 즉시 실패 (invalid_payload, no_service 등)
+   */
+  async sendWithRetry(webhookUrl, payload) {
+    const maxAttempts = this.retryConfig.maxAttempts;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        return await axios.post(webhookUrl, payload, {
+          timeout: TIMEOUTS.HTTP_REQUEST,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        const status = error.response?.status;
+        const body = typeof error.response?.data === 'string' ? error.response.data : error.message;
+        lastError = new Error(`슬랙 웹훅 오류${status ? ` (${status})` : ''}: ${body}`);
+
+        const retryable = !status || status === TOO_MANY_REQUESTS || status >= HTTP_STATUS.INTERNAL_SERVER_ERROR;
+        if (!retryable || attempt >= maxAttempts) {
+          break;
+        }
+
+        const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+        const delay = status === TOO_MANY_REQUESTS && retryAfter >= 0
+          ? retryAfter * 1000
+          : this.retryConfig.delay * Math.pow(2, attempt - 1);
+
+        logger.warn(`슬랙 전송 실패, ${delay}ms 후 재시도 (${attempt}/${maxAttempts})`, {
+          status,
+          error: body
+        });
+        await this.sleep(delay);
+      }
+    }
+
+    logError(lastError, { context: '슬랙 메시지 전송 최종 실패' });
+    throw lastError;
+  }
+
+  /**
+   * 대기 함수
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new SlackService();
\ No newline at end of file
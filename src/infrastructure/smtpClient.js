@@ -0,0 +1,246 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { TIMEOUTS } = require('../domain/constants/ServiceConstants');
+
+/**
+ * 최소 SMTP 클라이언트 (RFC 5321)
+ * 다이제스트 메일 전송에 필요한 기능만 구현: EHLO, STARTTLS, AUTH PLAIN/LOGIN, MAIL/RCPT/DATA
+ *
+ * - secure: true면 처음부터 TLS로 접속 (보통 465 포트)
+ * - secure: false면 평문 접속 후 서버가 STARTTLS를 지원하면 TLS로 전환 (보통 587 포트)
+ * 로컬 SMTP 서버(예: 테스트용 스탠드인)는 STARTTLS를 광고하지 않으므로 평문 그대로 동작
+ */
+class SmtpClient {
+  /**
+   * @param {Object} options - 접속 옵션
+   * @param {string} options.host - SMTP 호스트
+   * @param {number} options.port - SMTP 포트
+   * @param {boolean} options.secure - 암시적 TLS 사용 여부
+   * @param {string} options.user - 인증 사용자 (없으면 인증 생략)
+   * @param {string} options.pass - 인증 비밀번호
+   * @param {number} options.timeout - 소켓 타임아웃 (ms)
+   */
+  constructor(options = {}) {
+    this.host = options.host;
+    this.port = options.port;
+    this.secure = options.secure ?? false;
+    this.user = options.user;
+    this.pass = options.pass;
+    this.timeout = options.timeout ?? TIMEOUTS.HTTP_REQUEST;
+    this.clientName = options.clientName ?? os.hostname();
+
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.socketError = null;
+  }
+
+  /**
+   * 메시지 전송 (접속 → 전송 → 종료)
+   * @param {Object} envelope - 봉투 정보
+   * @param {string} envelope.from - 발신 주소
+   * @param {string[]} envelope.to - 수신 주소 목록
+   * @param {string} message - RFC 5322 원문 메시지 (CRLF 줄바꿈)
+   */
+  async send({ from, to }, message) {
+    try {
+      await this.connect();
+      await this.expect(220);
+
+      let capabilities = await this.ehlo();
+
+      if (!this.secure && capabilities.includes('STARTTLS')) {
+        await this.command('STARTTLS', 220);
+        await this.upgradeToTls();
+        capabilities = await this.ehlo();
+      }
+
+      if (this.user) {
+        await this.authenticate(capabilities);
+      }
+
+      await this.command(`MAIL FROM:<${from}>`, 250);
+      for (const recipient of to) {
+        await this.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+
+      await this.command('DATA', 354);
+      // 점으로 시작하는 줄은 점을 하나 더 붙여 본문 종료 표시(.)와 구분 (dot-stuffing)
+      const body = message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      const response = await this.command(`${body}\r\n.`, 250);
+
+      await this.command('QUIT', 221).catch(() => {});
+      return response;
+    } finally {
+      this.close();
+    }
+  }
+
+  /**
+   * 소켓 접속
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket.removeListener('error', reject);
+        resolve();
+      };
+
+      this.socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host }, onConnect)
+        : net.connect({ host: this.host, port: this.port }, onConnect);
+
+      this.socket.once('error', reject);
+      this.attachSocket(this.socket);
+    });
+  }
+
+  /**
+   * 평문 소켓을 TLS로 전환 (STARTTLS)
+   */
+  upgradeToTls() {
+    return new Promise((resolve, reject) => {
+      // 평문 소켓의 이벤트는 TLS 소켓이 대신 처리
+      const plainSocket = this.socket;
+      ['data', 'error', 'close'].forEach(event => plainSocket.removeAllListeners(event));
+      plainSocket.setTimeout(0);
+
+      this.socket = tls.connect({ socket: plainSocket, servername: this.host }, () => {
+        this.socket.removeListener('error', reject);
+        resolve();
+      });
+      this.socket.once('error', reject);
+      this.attachSocket(this.socket);
+    });
+  }
+
+  /**
+   * 소켓 이벤트 연결 (응답 줄 수집, 타임아웃, 오류 전달)
+   */
+  attachSocket(socket) {
+    socket.setTimeout(this.timeout, () => {
+      this.fail(new Error(`SMTP 응답 시간 초과 (${this.timeout}ms)`));
+      socket.destroy();
+    });
+
+    socket.on('data', chunk => {
+      this.buffer += chunk.toString('utf8');
+      const parts = this.buffer.split('\r\n');
+      this.buffer = parts.pop();
+      this.lines.push(...parts);
+      this.resolveWaiting();
+    });
+
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP 연결이 종료되었습니다')));
+  }
+
+  /**
+   * 대기 중인 응답 읽기에 오류 전달
+   */
+  fail(error) {
+    this.socketError = this.socketError ?? error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  /**
+   * 완성된 응답(마지막 줄이 "코드 공백")이 있으면 대기 중인 읽기에 전달
+   */
+  resolveWaiting() {
+    if (!this.waiting) return;
+
+    const endIndex = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (endIndex === -1) return;
+
+    const responseLines = this.lines.splice(0, endIndex + 1);
+    const { resolve } = this.waiting;
+    this.waiting = null;
+
+    resolve({
+      code: parseInt(responseLines[endIndex].substring(0, 3), 10),
+      lines: responseLines.map(line => line.substring(4))
+    });
+  }
+
+  /**
+   * 다음 응답 읽기
+   */
+  readResponse() {
+    return new Promise((resolve, reject) => {
+      if (this.socketError) {
+        reject(this.socketError);
+        return;
+      }
+      this.waiting = { resolve, reject };
+      this.resolveWaiting();
+    });
+  }
+
+  /**
+   * 응답 코드 확인
+   */
+  async expect(expected) {
+    const response = await this.readResponse();
+    const allowed = Array.isArray(expected) ? expected : [expected];
+
+    if (!allowed.includes(response.code)) {
+      const error = new Error(`SMTP 오류 (${response.code}): ${response.lines.join(' ')}`);
+      error.responseCode = response.code;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * 명령 전송 후 응답 코드 확인
+   */
+  async command(line, expected) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(expected);
+  }
+
+  /**
+   * EHLO 후 서버 기능 목록 반환 (대문자)
+   */
+  async ehlo() {
+    const response = await this.command(`EHLO ${this.clientName}`, 250);
+    return response.lines.slice(1).map(line => line.toUpperCase());
+  }
+
+  /**
+   * 인증 (AUTH PLAIN 우선, 없으면 AUTH LOGIN)
+   */
+  async authenticate(capabilities) {
+    const authLine = capabilities.find(line => line.startsWith('AUTH')) ?? '';
+    const encode = value => Buffer.from(value, 'utf8').toString('base64');
+
+    if (authLine.includes('PLAIN') || !authLine.includes('LOGIN')) {
+      await this.command(`AUTH PLAIN ${encode(`\u0000${this.user}\u0000${this.pass}`)}`, 235);
+      return;
+    }
+
+    await this.command('AUTH LOGIN', 334);
+    await this.command(encode(this.user), 334);
+    await this.command(encode(this.pass), 235);
+  }
+
+  /**
+   * 소켓 정리
+   */
+  close() {
+    if (this.socket) {
+      this.socket.removeAllListeners('close');
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = SmtpClient;
\ No newline at end of file
@@ -0,0 +1,249 @@
+const { config } = require('../config/config');
+const { logger, logError } = require('../utils/logger');
+const { splitMessage } = require('../utils/messageSplitter');
+const { PARSE_MODES, HTTP_STATUS } = require('../domain/constants/ServiceConstants');
+const telegramRateLimiter = require('./telegramRateLimiter');
+const { httpTransport, dryRunTransport } = require('./telegramTransports');
+const quietHours = require('../services/common/quietHours');
+
+/**
+ * 텔레그램 전송 파이프라인
+ * 모든 텔레그램 전송(TelegramService, 서비스별 메신저, GeekNews, 다이제스트, 아티클 미리보기 사진)이 거치는 단일 경로
+ *
+ * - 분할: parse mode 서식을 깨지 않고 4096자 이하로 분할 (messageSplitter)
+ * - 방해 금지 시간: 채팅방의 방해 금지 시간에는 알림 없이 전송 (quietHours)
+ * - 속도 제한: 채팅방/전체 토큰 버킷과 429 retry_after 처리 (telegramRateLimiter)
+ * - 재시도: 5xx / 네트워크 오류만 지수 백오프로 재시도, 그 외 4xx(잘못된 서식, 봇 차단 등)는 즉시 실패
+ * - dry-run: 전역 설정(setDryRunMode) 또는 전송별 dryRun 옵션이면 dry-run transport로 미리보기만 로그
+ * - 통계: 출처(서비스 키)별 전송/실패/dry-run 건수
+ *
+ * 실제 호출은 transport가 담당 (기본: Bot API HTTP, registerTransport로 교체 가능)
+ */
+class TelegramDelivery {
+  constructor() {
+    // 등록된 전송 방식 (이름 → transport)
+    this.transports = new Map([
+      [httpTransport.name, httpTransport],
+      [dryRunTransport.name, dryRunTransport]
+    ]);
+    // 실제 전송에 사용할 transport 이름
+    this.transportName = httpTransport.name;
+    // 리트라이 설정
+    this.retryConfig = config.retry;
+    // dry-run 모드 상태
+    this.isDryRun = false;
+    this.resetStats();
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+    if (isDryRun) {
+      logger.info('[DRY RUN] 텔레그램 전송이 DRY RUN 모드로 설정되었습니다');
+    }
+  }
+
+  /**
+   * 전송 방식 등록
+   * @param {{ name: string, call: Function }} transport - transport (telegramTransports 참고)
+   */
+  registerTransport(transport) {
+    if (!transport?.name || typeof transport.call !== 'function') {
+      throw new Error('텔레그램 transport는 name과 call(method, payload)을 구현해야 합니다');
+    }
+    this.transports.set(transport.name, transport);
+  }
+
+  /**
+   * 실제 전송에 사용할 transport 선택
+   */
+  useTransport(name) {
+    if (!this.transports.has(name)) {
+      throw new Error(`등록되지 않은 텔레그램 transport: ${name} (사용 가능: ${[...this.transports.keys()].join(', ')})`);
+    }
+    this.transportName = name;
+  }
+
+  /**
+   * 메시지 전송 (길면 서식을 유지한 채 여러 통으로 분할)
+   * @param {string} text - 메시지 (parseMode에 맞게 이스케이프된 상태)
+   * @param {Object} options - 옵션
+   * @param {string} options.chatId - 채팅방 ID (기본값: TELEGRAM_CHAT_ID)
+   * @param {number} options.threadId - 포럼 토픽 ID (message_thread_id, 생략하면 일반 토픽)
+   * @param {string} options.parseMode - HTML | MarkdownV2 | plain (기본값: TELEGRAM_PARSE_MODE)
+   * @param {string} options.source - 통계에 사용할 출처 (서비스 키 등)
+   * @param {boolean} options.disableWebPagePreview - 링크 미리보기 끄기
+   * @param {boolean} options.dryRun - 이 전송만 dry-run으로 처리 (서비스별 dry-run 설정)
+   * @param {Object} options.replyMarkup - 인라인 키보드 등 reply_markup (분할된 경우 마지막 메시지에만)
+   * @param {Object} options.extra - sendMessage에 그대로 넘길 추가 필드
+   * @returns {Promise<Array<Object>>} 전송된 메시지 (분할된 경우 여러 개)
+   */
+  async send(text, options = {}) {
+    const {
+      chatId = config.telegram.chatId,
+      threadId,
+      parseMode = config.message.parseMode,
+      source = 'telegram',
+      disableWebPagePreview = false,
+      dryRun = false,
+      replyMarkup,
+      extra = {}
+    } = options;
+    const isDryRun = this.isDryRun || dryRun;
+    const silent = quietHours.isQuiet(chatId);
+    const parts = splitMessage(text, config.message.maxLength, parseMode);
+    const results = [];
+
+    try {
+      for (const [index, part] of parts.entries()) {
+        const result = await this.call('sendMessage', {
+          chat_id: chatId,
+          ...(threadId !== undefined && { message_thread_id: threadId }),
+          text: part,
+          ...(parseMode !== PARSE_MODES.PLAIN && { parse_mode: parseMode }),
+          disable_web_page_preview: disableWebPagePreview,
+          ...(silent && { disable_notification: true }),
+          ...(replyMarkup && index === parts.length - 1 && { reply_markup: replyMarkup }),
+          ...extra
+        }, { dryRun: isDryRun });
+        results.push(result);
+      }
+    } catch (error) {
+      this.record(source, 'failed');
+      logError(error, { context: '텔레그램 메시지 전송 최종 실패', source, chatId, threadId, sentParts: results.length });
+      throw error;
+    }
+
+    this.record(source, isDryRun ? 'dryRun' : 'sent', parts.length);
+    logger.debug('텔레그램 메시지 전송 완료', { source, chatId, threadId, messageCount: parts.length, silent, dryRun: isDryRun });
+
+    return results;
+  }
+
+  /**
+   * 사진 + 캡션 전송 (아티클 미리보기)
+   * @param {string} photo - 사진 URL
+   * @param {string} caption - 캡션 (parseMode에 맞게 이스케이프된 상태, 1024자 이하)
+   * @param {Object} options - 옵션 (send와 같음, disableWebPagePreview 제외)
+   * @returns {Promise<Object>} 전송된 메시지
+   */
+  async sendPhoto(photo, caption, options = {}) {
+    const {
+      chatId = config.telegram.chatId,
+      threadId,
+      parseMode = config.message.parseMode,
+      source = 'telegram',
+      dryRun = false,
+      replyMarkup,
+      extra = {}
+    } = options;
+    const isDryRun = this.isDryRun || dryRun;
+    const silent = quietHours.isQuiet(chatId);
+    let result;
+
+    try {
+      result = await this.call('sendPhoto', {
+        chat_id: chatId,
+        ...(threadId !== undefined && { message_thread_id: threadId }),
+        photo,
+        caption,
+        ...(parseMode !== PARSE_MODES.PLAIN && { parse_mode: parseMode }),
+        ...(silent && { disable_notification: true }),
+        ...(replyMarkup && { reply_markup: replyMarkup }),
+        ...extra
+      }, { dryRun: isDryRun });
+    } catch (error) {
+      // 호출부(articlePreview)가 텍스트 메시지로 대신 전송하므로 오류 로그는 남기지 않음
+      this.record(source, 'failed');
+      throw error;
+    }
+
+    this.record(source, isDryRun ? 'dryRun' : 'sent');
+    logger.debug('텔레그램 사진 전송 완료', { source, chatId, threadId, silent, dryRun: isDryRun });
+
+    return result;
+  }
+
+  /**
+   * Bot API 메서드 호출 (속도 제한과 재시도 적용)
+   * @param {string} method - Bot API 메서드 (sendMessage, getMe, getChat 등)
+   * @param {Object} payload - 요청 본문
+   * @param {Object} options - 옵션 (dryRun: 이 호출만 dry-run)
+   * @returns {Promise<Object>} Bot API result
+   */
+  async call(method, payload = {}, { dryRun = false } = {}) {
+    if (this.isDryRun || dryRun) {
+      return this.transports.get(dryRunTransport.name).call(method, payload);
+    }
+
+    const transport = this.transports.get(this.transportName);
+    const maxAttempts = this.retryConfig.maxAttempts;
+    // 채팅방이 없는 호출(getMe 등)은 전송 속도 제한 대상이 아님
+    const invoke = () => (payload.chat_id === undefined
+      ? transport.call(method, payload)
+      : telegramRateLimiter.schedule(payload.chat_id, () => transport.call(method, payload)));
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await invoke();
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !status || status >= HTTP_STATUS.INTERNAL_SERVER_ERROR;
+        if (!retryable || attempt >= maxAttempts) {
+          throw error;
+        }
+
+        const delay = this.retryConfig.delay * Math.pow(2, attempt - 1);
+        this.stats.retried++;
+        logger.warn(`텔레그램 ${method} 실패, ${delay}ms 후 재시도 (${attempt}/${maxAttempts})`, {
+          status,
+          error: error.message
+        });
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * 전송 통계 기록 (전체 + 출처별)
+   */
+  record(source, field, count = 1) {
+    this.stats[field] += count;
+
+    if (!this.stats.bySource[source]) {
+      this.stats.bySource[source] = { sent: 0, failed: 0, dryRun: 0 };
+    }
+    this.stats.bySource[source][field] += count;
+  }
+
+  /**
+   * 전송 통계
+   * @returns {{ sent: number, failed: number, dryRun: number, retried: number, bySource: Object }}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      bySource: Object.fromEntries(
+        Object.entries(this.stats.bySource).map(([source, stats]) => [source, { ...stats }])
+      )
+    };
+  }
+
+  /**
+   * 전송 통계 초기화
+   */
+  resetStats() {
+    this.stats = { sent: 0, failed: 0, dryRun: 0, retried: 0, bySource: {} };
+  }
+
+  /**
+   * 대기 함수
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new TelegramDelivery();
\ No newline at end of file
@@ -0,0 +1,173 @@
+const { config } = require('../config/config');
+const { logger } = require('../utils/logger');
+const { TELEGRAM_LIMITS } = require('../domain/constants/ServiceConstants');
+
+const TOO_MANY_REQUESTS = 429;
+
+/**
+ * 토큰 버킷
+ * capacity개까지 모아 두었다가 refillPerMs 속도로 다시 채움
+ */
+class TokenBucket {
+  constructor(capacity, refillPerMs) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMs;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * 경과 시간만큼 토큰 보충
+   */
+  refill(now = Date.now()) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * 토큰 하나를 쓰려면 기다려야 하는 시간 (밀리초, 0이면 바로 사용 가능)
+   */
+  getWaitMs(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  /**
+   * 토큰 하나 사용
+   */
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+/**
+ * 텔레그램 전송 속도 제한기
+ * 텔레그램 전송 파이프라인(telegramDelivery)의 모든 Bot API 호출이 공유하는 전송 큐
+ *
+ * - 채팅방별 토큰 버킷 (TELEGRAM_RATE_PER_CHAT, 분당) + 전체 토큰 버킷 (TELEGRAM_RATE_GLOBAL, 초당)
+ * - 같은 채팅방의 전송은 요청 순서대로 하나씩 처리
+ * - 429 응답의 parameters.retry_after 동안 해당 채팅방 전송을 멈춘 뒤 같은 메시지를 다시 전송
+ *   (429 재시도는 각 전송 함수의 일반 재시도 횟수와 별도로 TELEGRAM_LIMITS.MAX_RATE_LIMIT_RETRIES회까지)
+ */
+class TelegramRateLimiter {
+  constructor(options = {}) {
+    const { chatPerMinute, globalPerSecond } = { ...config.telegram.rateLimit, ...options };
+
+    this.chatPerMinute = chatPerMinute;
+    this.globalBucket = new TokenBucket(globalPerSecond, globalPerSecond / 1000);
+    // 채팅방별 토큰 버킷
+    this.chatBuckets = new Map();
+    // 채팅방별 대기열의 마지막 작업 (순서 보장용)
+    this.queues = new Map();
+    // 429로 전송을 멈춘 시각 (채팅방 ID → 재개 시각)
+    this.pausedUntil = new Map();
+  }
+
+  /**
+   * 속도 제한을 지켜 전송 함수 실행
+   * @param {string|number} chatId - 채팅방 ID
+   * @param {Function} send - 실제 전송 함수 (Promise 반환)
+   * @returns {Promise<*>} 전송 함수의 결과
+   */
+  schedule(chatId, send) {
+    const key = String(chatId);
+    const previous = this.queues.get(key) ?? Promise.resolve();
+    const task = previous.then(() => this.run(key, send));
+
+    // 실패한 작업이 뒤의 작업을 막지 않도록 대기열에는 결과와 관계없이 끝나는 Promise를 보관
+    const tail = task.catch(() => {});
+    this.queues.set(key, tail);
+    tail.then(() => {
+      if (this.queues.get(key) === tail) {
+        this.queues.delete(key);
+      }
+    });
+
+    return task;
+  }
+
+  /**
+   * 토큰을 얻은 뒤 전송 (429면 retry_after만큼 기다렸다가 다시 전송)
+   */
+  async run(chatId, send) {
+    for (let retry = 0; ; retry++) {
+      await this.acquire(chatId);
+
+      try {
+        return await send();
+      } catch (error) {
+        const retryAfterMs = this.getRetryAfterMs(error);
+        if (retryAfterMs === null || retry >= TELEGRAM_LIMITS.MAX_RATE_LIMIT_RETRIES) {
+          throw error;
+        }
+
+        this.pausedUntil.set(chatId, Date.now() + retryAfterMs);
+        logger.warn(`텔레그램 전송 속도 제한 (429), ${retryAfterMs}ms 후 재전송 (${retry + 1}/${TELEGRAM_LIMITS.MAX_RATE_LIMIT_RETRIES})`, {
+          chatId
+        });
+      }
+    }
+  }
+
+  /**
+   * 채팅방 버킷과 전체 버킷에서 토큰을 얻을 때까지 대기
+   */
+  async acquire(chatId) {
+    const chatBucket = this.getChatBucket(chatId);
+
+    for (;;) {
+      const now = Date.now();
+      const waitMs = Math.max(
+        chatBucket.getWaitMs(now),
+        this.globalBucket.getWaitMs(now),
+        (this.pausedUntil.get(chatId) ?? 0) - now
+      );
+
+      if (waitMs <= 0) {
+        chatBucket.take();
+        this.globalBucket.take();
+        return;
+      }
+
+      await this.sleep(waitMs);
+    }
+  }
+
+  /**
+   * 채팅방 토큰 버킷 (없으면 생성)
+   */
+  getChatBucket(chatId) {
+    if (!this.chatBuckets.has(chatId)) {
+      this.chatBuckets.set(chatId, new TokenBucket(TELEGRAM_LIMITS.CHAT_BURST, this.chatPerMinute / 60000));
+    }
+    return this.chatBuckets.get(chatId);
+  }
+
+  /**
+   * 429 응답의 retry_after (밀리초, 429가 아니면 null)
+   * axios 형식(error.response.data)과 error.response.body 형식 오류 모두 지원
+   */
+  getRetryAfterMs(error) {
+    const response = error?.response;
+    const body = response?.data ?? response?.body;
+    const status = response?.status ?? response?.statusCode ?? body?.error_code;
+
+    if (status !== TOO_MANY_REQUESTS) {
+      return null;
+    }
+
+    const retryAfter = Number(body?.parameters?.retry_after);
+    return Number.isFinite(retryAfter) && retryAfter >= 0
+      ? Math.ceil(retryAfter * 1000)
+      : TELEGRAM_LIMITS.DEFAULT_RETRY_AFTER_MS;
+  }
+
+  /**
+   * 대기 함수
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new TelegramRateLimiter();
\ No newline at end of file
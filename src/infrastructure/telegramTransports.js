@@ -0,0 +1,81 @@
+const axios = require('axios');
+const { config } = require('../config/config');
+const { logger } = require('../utils/logger');
+const { TIMEOUTS } = require('../domain/constants/ServiceConstants');
+
+/**
+ * 텔레그램 전송 방식 (transport)
+ * telegramDelivery가 Bot API를 호출할 때 사용하는 구현
+ *
+ * 인터페이스: { name: string, call(method, payload): Promise<result> }
+ * - method: Bot API 메서드 이름 (sendMessage, getMe, getChat 등)
+ * - 실패 시 HTTP 응답이 있으면 error.response({ status, data })를 유지해 재시도/속도 제한 판단에 사용
+ * 새 전송 방식은 같은 인터페이스로 만들어 telegramDelivery.registerTransport()로 등록
+ */
+
+/**
+ * Bot API HTTP 호출 (기본 전송 방식)
+ */
+const httpTransport = {
+  name: 'http',
+
+  async call(method, payload = {}) {
+    const url = `https://api.telegram.org/bot${config.telegram.botToken}/${method}`;
+    let response;
+
+    try {
+      response = await axios.post(url, payload, {
+        timeout: TIMEOUTS.HTTP_REQUEST,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (error) {
+      if (!error.response) {
+        throw error;
+      }
+
+      // 토큰이 들어 있는 URL 대신 텔레그램 오류 설명을 메시지로 사용
+      const apiError = new Error(
+        `텔레그램 API 오류 (${error.response.status}): ${error.response.data?.description ?? error.message}`
+      );
+      apiError.response = error.response;
+      throw apiError;
+    }
+
+    if (!response.data?.ok) {
+      throw new Error(`텔레그램 API 오류: ${response.data?.description ?? 'Unknown error'}`);
+    }
+
+    return response.data.result;
+  }
+};
+
+/**
+ * 전송 시뮬레이션 (dry-run)
+ * 실제로 호출하지 않고 전송 내용 미리보기만 로그로 남김
+ */
+const dryRunTransport = {
+  name: 'dry-run',
+
+  async call(method, payload = {}) {
+    // sendPhoto는 캡션을 메시지로 취급
+    const text = payload.text ?? payload.caption;
+
+    logger.info(`[DRY RUN] 텔레그램 ${method} 시뮬레이션`, {
+      chatId: payload.chat_id,
+      threadId: payload.message_thread_id,
+      parseMode: payload.parse_mode ?? 'plain',
+      messageLength: text?.length ?? 0,
+      photo: payload.photo,
+      preview: text ? text.substring(0, 100) + '...' : undefined
+    });
+
+    return { message_id: 'dry-run-' + Date.now(), chat: { id: payload.chat_id }, dry_run: true };
+  }
+};
+
+module.exports = {
+  httpTransport,
+  dryRunTransport
+};
\ No newline at end of file
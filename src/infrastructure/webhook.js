@@ -5,8 +5,11 @@ const { config } = require('../config/config');
 const { logger, logWebhookRequest, logError, logPerformance } = require('../utils/logger');
 const telegramService = require('./telegram');
 const schedulerService = require('./scheduler');
-const KofeArticleRoutes = require('./kofeArticle/routes');
-const GeekNewsRoutes = require('./geekNews/routes');
+const KofeArticleRoutes = require('../services/kofeArticle/routes');
+const GeekNewsRoutes = require('../services/geekNews/routes');
+const FilterRoutes = require('../services/common/filterRoutes');
+const TelegramRoutes = require('../services/common/telegramRoutes');
+const outboundWebhookService = require('./outboundWebhook');
 
 class WebhookService {
   constructor() {
@@ -45,6 +48,7 @@ class WebhookService {
         status: 'healthy',
         uptime: `${uptime}초`,
         stats: this.stats,
+        outboundWebhooks: outboundWebhookService.getDeliveryStatus(),
         timestamp: new Date().toISOString()
       });
     });
@@ -192,7 +196,7 @@ class WebhookService {
   setupDomainRoutes() {
     if (config.app.isDevelopment) {
       // Korean FE Article 라우트 등록
-      const KofeArticle = require('./kofeArticle');
+      const KofeArticle = require('../services/kofeArticle');
       const kofeRoutes = new KofeArticleRoutes(KofeArticle);
       kofeRoutes.registerRoutes(this.app, true);
       
@@ -201,6 +205,24 @@ class WebhookService {
       geekNewsRoutes.registerRoutes(this.app, true);
     }
 
+    // 컨텐츠 필터 판정 설명 라우트
+    // 서버가 요청받은 URL을 가져오므로 WEBHOOK_SECRET이 있을 때만 등록하고 같은 시크릿으로 검증
+    if (config.webhook.secret) {
+      const filterRoutes = new FilterRoutes(req => this.verifyWebhookSecret(req));
+      filterRoutes.registerRoutes(this.app);
+    } else {
+      logger.warn('WEBHOOK_SECRET이 없어 필터 판정 설명 라우트(/filter/explain)를 등록하지 않습니다');
+    }
+
+    // 텔레그램 봇 업데이트 라우트 (인라인 버튼 클릭, 봇 명령)
+    // 본문의 보낸 사람 정보로 관리자 명령을 허용하므로 TELEGRAM_WEBHOOK_SECRET이 있을 때만 등록
+    if (config.telegram.updates.secret) {
+      const telegramRoutes = new TelegramRoutes(req => this.verifyTelegramSecret(req));
+      telegramRoutes.registerRoutes(this.app);
+    } else {
+      logger.warn(`TELEGRAM_WEBHOOK_SECRET이 없어 텔레그램 봇 업데이트 라우트(${config.telegram.updates.path})를 등록하지 않습니다`);
+    }
+
     // 404 핸들러 (마지막에 등록)
     this.app.use((req, res) => {
       res.status(404).json({
@@ -241,6 +263,23 @@ class WebhookService {
     return secret === config.webhook.secret;
   }
 
+  /**
+   * 텔레그램 봇 업데이트 시크릿 검증 (setWebhook의 secret_token이 헤더로 전달됨)
+   * 시크릿이 없으면 모든 요청을 거부
+   */
+  verifyTelegramSecret(req) {
+    const secret = config.telegram.updates.secret;
+    const provided = req.headers['x-telegram-bot-api-secret-token'];
+
+    if (!secret || typeof provided !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(secret);
+    const actual = Buffer.from(provided);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
   /**
    * 긱뉴스 데이터 처리 및 텔레그램 전송
    */
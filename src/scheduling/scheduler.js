@@ -2,6 +2,15 @@ const cron = require('node-cron');
 const { logger } = require('../utils/logger');
 const { validateConfig } = require('../config/config');
 const { loadAllServices } = require('../config/services');
+const outputDispatcher = require('../services/common/outputDispatcher');
+const deliveryOutbox = require('../services/common/deliveryOutbox');
+const crossSourceDeduper = require('../services/common/crossSourceDeduper');
+const articleActions = require('../services/common/articleActions');
+const keywordSubscriptions = require('../services/common/keywordSubscriptions');
+const forumTopics = require('../services/common/forumTopics');
+const telegramDigest = require('../services/common/telegramDigest');
+const quietHours = require('../services/common/quietHours');
+const telegramDelivery = require('../infrastructure/telegramDelivery');
 
 /**
  * 메인 스케줄러
@@ -85,6 +94,13 @@ class Scheduler {
     
     if (this.params.dryRun) {
       logger.info('⚠️ DRY RUN 모드 - 실제 메시지는 전송되지 않습니다');
+      telegramDelivery.setDryRunMode(true);
+      outputDispatcher.setDryRunMode(true);
+      deliveryOutbox.setDryRunMode(true);
+      crossSourceDeduper.setDryRunMode(true);
+      articleActions.setDryRunMode(true);
+      keywordSubscriptions.setDryRunMode(true);
+      forumTopics.setDryRunMode(true);
     }
     
     // 각 시간대별 스케줄 등록
@@ -100,6 +116,21 @@ class Scheduler {
       logger.info(`⏰ 스케줄 등록: ${description} (${expression})`);
     });
     
+    // 방해 금지 시간(hold)이 끝나는 시각에 모아 둔 아티클 전송 (실행 시각과 관계없이)
+    quietHours.getReleaseTimes().forEach(({ hour, minute, timezone }) => {
+      const expression = `${minute} ${hour} * * *`;
+      const task = cron.schedule(expression, async () => {
+        logger.info('🌙 방해 금지 시간 종료 - 모아 둔 아티클 전송');
+        await telegramDigest.flush();
+      }, {
+        scheduled: true,
+        timezone
+      });
+      
+      this.scheduledTasks.push(task);
+      logger.info(`🌙 방해 금지 시간 종료 전송 등록: 매일 ${hour}시 ${minute}분 (${timezone})`);
+    });
+    
     // 매일 자정 캐시 클리어 스케줄
     this.dailyCacheCleaner = cron.schedule('0 0 * * *', () => {
       this.cleanupAllCaches();
@@ -233,6 +264,9 @@ class Scheduler {
         }
       });
       
+      // 이메일 다이제스트 등 실행 단위 채널 전송
+      await outputDispatcher.flush();
+      
       // 통계 업데이트
       this.stats.totalRuns++;
       this.stats.successRuns += (successCount === this.serviceModules.size ? 1 : 0);
@@ -275,6 +309,7 @@ class Scheduler {
             // 그 다음 캐시 필터링 적용
             return originalCache.filterNewPosts(todayPosts, getPostId, bypassCache);
           },
+          markAsSeen: originalCache.markAsSeen.bind(originalCache),
           markAsSent: originalCache.markAsSent.bind(originalCache),
           cleanupOldCache: originalCache.cleanupOldCache.bind(originalCache),
           getTodayStats: originalCache.getTodayStats.bind(originalCache)
@@ -286,6 +321,7 @@ class Scheduler {
       if (this.params.dryRun) {
         serviceModule.cache = {
           filterNewPosts: (posts) => filterTodayPosts(posts),
+          markAsSeen: () => {},
           markAsSent: () => {},
           cleanupOldCache: () => {},
           getTodayStats: () => ({ sent: 0, filtered: 0 })
@@ -323,7 +359,7 @@ class Scheduler {
       }
     });
     
-    logger.info(`✅ 캐시 정리 완료: ${totalCleaned}개 날짜의 캐시 삭제`);
+    logger.info(`✅ 캐시 정리 완료: 만료된 전송 이력 ${totalCleaned}개 삭제`);
   }
 
   stop() {
@@ -0,0 +1,455 @@
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../../config/config');
+const { serviceManager } = require('../../config/services');
+const { DEFAULT_FILTER_PROFILE } = require('../../config/filterProfiles');
+const { logger, logError } = require('../../utils/logger');
+const { canonicalizeUrl } = require('../../utils/urlUtils');
+const { getServiceNameKo } = require('../../utils/formatters');
+const { readJson, writeJsonAtomic, withFileLock } = require('../../utils/fileStore');
+const { ARTICLE_ACTIONS, CACHE_SETTINGS } = require('../../domain/constants/ServiceConstants');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+
+// 파일에 보관하는 버튼 상태 항목
+const SECTIONS = Object.freeze(['articles', 'saved', 'labels', 'mutes']);
+
+// 아티클 전송마다 파일을 쓰지 않도록 버튼 정보 기록을 모았다가 저장하는 간격
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * 아티클 메시지 인라인 버튼
+ * 아티클 메시지마다 "저장", "7일 음소거", "관련 없음" 버튼을 붙이고, 버튼 클릭(callback_query)을 처리
+ *
+ * - 저장: 저장 목록에 추가 (다시 누르면 취소)
+ * - 음소거: 해당 출처를 TELEGRAM_MUTE_DAYS일 동안 텔레그램으로 보내지 않음 (BaseScheduler.deliverArticle, 다시 누르면 해제)
+ * - 관련 없음: 필터 학습용 라벨로 기록 (scripts/bot-manager.js labels --export로 필터 코퍼스에 추가)
+ *
+ * 버튼 클릭은 웹훅 서버의 봇 업데이트 라우트(telegramRoutes)로 받음
+ *
+ * 실행 모드별 저장 전략:
+ * - 기본 (CI, start:times 등 상주 모드): 버튼 상태는 재시작 후에도 유지되어야 하므로 .cache 파일에 보관
+ * - --once: 우회 (파일을 읽거나 쓰지 않음)
+ * - dry-run에서는 저장하지 않음
+ *
+ * 아티클 전송 때 기록하는 버튼 정보는 모았다가 한 번에 저장(SAVE_DELAY_MS, 실행 종료 시 flush)하고,
+ * 저장할 때는 파일 잠금 안에서 디스크의 상태를 다시 읽어 이 프로세스가 바꾼 항목만 반영 (웹훅 서버 등 다른 프로세스의 변경 보존)
+ */
+class ArticleActions {
+  constructor(options = {}) {
+    // 버튼을 붙여 보낸 아티클 (ID → { url, title, description, serviceKey, sentAt })
+    this.articles = {};
+    // 저장한 아티클 (ID → 아티클 + savedAt, savedBy)
+    this.saved = {};
+    // 관련 없음 라벨 (ID → 아티클 + labeledAt, labeledBy)
+    this.labels = {};
+    // 음소거한 출처 (서비스 키 → { until, mutedBy })
+    this.mutes = {};
+    // 마지막 저장 이후 이 프로세스가 바꾼 항목 키 (항목 → Set)
+    this.dirty = Object.fromEntries(SECTIONS.map(section => [section, new Set()]));
+    // 예약된 저장 타이머
+    this.saveTimer = null;
+    // dry-run 모드 상태
+    this.isDryRun = false;
+    this.muteDays = options.muteDays ?? config.telegram.actions.muteDays;
+    this.storeMode = this.determineStoreMode(options);
+    this.storeFile = path.join(options.cacheDir ?? '.cache', 'rss-article-actions.json');
+
+    if (this.storeMode === 'file') {
+      this.load();
+    }
+  }
+
+  /**
+   * 실행 모드에 따른 저장 전략 결정
+   */
+  determineStoreMode(options = {}) {
+    if (options.storeMode) {
+      return options.storeMode;
+    }
+
+    if (process.env.CI === 'true') {
+      return 'file';
+    }
+
+    if (process.argv.includes('--once')) {
+      return 'bypass';
+    }
+
+    return 'file';
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+  }
+
+  /**
+   * 인라인 버튼 사용 여부 (TELEGRAM_ACTIONS)
+   */
+  isEnabled() {
+    return config.telegram.actions.enabled;
+  }
+
+  /**
+   * 파일에서 버튼 상태 로드 (버튼 정보는 최대 캐시 기간까지만 유지)
+   */
+  load() {
+    try {
+      Object.assign(this, this.retain(readJson(this.storeFile, {})));
+    } catch (error) {
+      logger.warn('아티클 버튼 상태 파일 로드 실패:', error.message);
+    }
+  }
+
+  /**
+   * 보존할 버튼 상태만 남김 (만료된 버튼 정보와 음소거 제외)
+   */
+  retain(data) {
+    const cutoff = Date.now() - CACHE_SETTINGS.MAX_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+    return {
+      articles: Object.fromEntries(
+        Object.entries(data.articles ?? {}).filter(([, article]) => new Date(article.sentAt).getTime() >= cutoff)
+      ),
+      saved: data.saved ?? {},
+      labels: data.labels ?? {},
+      mutes: Object.fromEntries(
+        Object.entries(data.mutes ?? {}).filter(([, mute]) => new Date(mute.until) > new Date())
+      )
+    };
+  }
+
+  /**
+   * 변경 항목 기록
+   * @param {string} section - 항목 (articles, saved, labels, mutes)
+   * @param {string} key - 아티클 ID 또는 서비스 키
+   */
+  markDirty(section, key) {
+    this.dirty[section].add(key);
+  }
+
+  /**
+   * 잠시 뒤 저장 예약 (이미 예약돼 있으면 그대로 둠)
+   * 타이머가 프로세스 종료를 막지 않으므로 실행이 끝날 때 flush로 남은 변경을 저장
+   */
+  scheduleSave() {
+    if (this.saveTimer || this.storeMode !== 'file' || this.isDryRun) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * 예약된 저장을 바로 실행
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.save();
+  }
+
+  /**
+   * 버튼 상태 파일 저장 (file 모드에서만, dry-run에서는 저장하지 않음)
+   * 디스크의 상태에 이 프로세스가 바꾼 항목만 덮어써서 병합
+   */
+  save() {
+    const hasChanges = SECTIONS.some(section => this.dirty[section].size > 0);
+    if (this.storeMode !== 'file' || this.isDryRun || !hasChanges) {
+      return;
+    }
+
+    try {
+      withFileLock(this.storeFile, () => {
+        const data = readJson(this.storeFile, {});
+
+        SECTIONS.forEach(section => {
+          const stored = data[section] ?? {};
+          this.dirty[section].forEach(key => {
+            if (this[section][key]) {
+              stored[key] = this[section][key];
+            } else {
+              delete stored[key];
+            }
+          });
+          data[section] = stored;
+        });
+
+        const merged = this.retain(data);
+        writeJsonAtomic(this.storeFile, merged);
+        Object.assign(this, merged);
+        SECTIONS.forEach(section => this.dirty[section].clear());
+      });
+    } catch (error) {
+      logger.warn('아티클 버튼 상태 저장 실패:', error.message);
+    }
+  }
+
+  /**
+   * 파일 잠금 안에서 디스크의 버튼 상태를 다시 읽음 (file 모드에서만)
+   * 다른 프로세스(스케줄러)가 보낸 아티클의 버튼을 처리할 수 있도록, 아직 저장하지 않은 변경은 유지한 채 디스크 내용을 반영
+   */
+  reload() {
+    if (this.storeMode !== 'file') {
+      return;
+    }
+
+    try {
+      withFileLock(this.storeFile, () => {
+        const data = this.retain(readJson(this.storeFile, {}));
+
+        SECTIONS.forEach(section => {
+          this.dirty[section].forEach(key => {
+            if (this[section][key]) {
+              data[section][key] = this[section][key];
+            } else {
+              delete data[section][key];
+            }
+          });
+        });
+
+        Object.assign(this, data);
+      });
+    } catch (error) {
+      logger.warn('아티클 버튼 상태 파일 로드 실패:', error.message);
+    }
+  }
+
+  /**
+   * 아티클 ID (정규 URL 기준, callback_data 64바이트 제한에 맞춰 10자)
+   */
+  getArticleId(url) {
+    return crypto.createHash('sha1')
+      .update(canonicalizeUrl(url) || url)
+      .digest('hex')
+      .substring(0, 10);
+  }
+
+  /**
+   * 아티클 메시지에 붙일 인라인 키보드 (버튼 클릭 처리를 위해 아티클 정보 기록)
+   * @param {Object} article - 아티클 (url 또는 link)
+   * @param {string} serviceKey - 서비스 키 (음소거 대상)
+   * @returns {Object|undefined} reply_markup (URL이 없으면 undefined)
+   */
+  buildKeyboard(article, serviceKey) {
+    const url = article.url ?? article.link;
+    if (!url) {
+      return undefined;
+    }
+
+    const id = this.getArticleId(url);
+    this.articles[id] = {
+      url,
+      title: article.title,
+      description: article.description ?? '',
+      serviceKey,
+      sentAt: new Date().toISOString()
+    };
+    this.markDirty('articles', id);
+    this.scheduleSave();
+
+    return this.renderKeyboard(id);
+  }
+
+  /**
+   * 현재 버튼 상태로 인라인 키보드 구성
+   */
+  renderKeyboard(id) {
+    const { serviceKey } = this.articles[id] ?? {};
+    const muted = serviceKey && this.isMuted(serviceKey);
+
+    return {
+      inline_keyboard: [[
+        { text: this.saved[id] ? '✅ 저장됨' : '💾 저장', callback_data: `${ARTICLE_ACTIONS.SAVE}:${id}` },
+        { text: muted ? '🔕 음소거됨' : `🔇 ${this.muteDays}일 음소거`, callback_data: `${ARTICLE_ACTIONS.MUTE}:${id}` },
+        { text: this.labels[id] ? '👎 관련 없음 ✓' : '👎 관련 없음', callback_data: `${ARTICLE_ACTIONS.NOT_RELEVANT}:${id}` }
+      ]]
+    };
+  }
+
+  /**
+   * 출처 음소거 여부
+   * @param {string} serviceKey - 서비스 키
+   */
+  isMuted(serviceKey, now = new Date()) {
+    const mute = this.mutes[serviceKey];
+    return !!mute && new Date(mute.until) > now;
+  }
+
+  /**
+   * 버튼 클릭 처리 (callback_query)
+   * 동작을 반영한 뒤 클릭 응답(answerCallbackQuery)과 버튼 표시 갱신(editMessageReplyMarkup)
+   * 메모리에 없는 아티클은 다른 프로세스가 보냈을 수 있으므로 파일을 다시 읽은 뒤에만 만료로 처리
+   * @param {Object} callbackQuery - 텔레그램 callback_query
+   * @returns {Promise<boolean>} 아티클 버튼이면 true (다른 버튼은 false)
+   */
+  async handleCallback(callbackQuery) {
+    const [action, id] = String(callbackQuery.data ?? '').split(':');
+    if (!Object.values(ARTICLE_ACTIONS).includes(action) || !id) {
+      return false;
+    }
+
+    if (!this.articles[id]) {
+      this.reload();
+    }
+
+    const article = this.articles[id];
+    if (!article) {
+      await this.answer(callbackQuery, '버튼이 만료된 아티클입니다');
+      return true;
+    }
+
+    const user = callbackQuery.from?.username ?? String(callbackQuery.from?.id ?? '');
+    const now = new Date().toISOString();
+    let text;
+
+    switch (action) {
+      case ARTICLE_ACTIONS.SAVE:
+        this.markDirty('saved', id);
+        if (this.saved[id]) {
+          delete this.saved[id];
+          text = '저장을 취소했습니다';
+        } else {
+          this.saved[id] = { ...article, savedAt: now, savedBy: user };
+          text = '저장했습니다';
+        }
+        break;
+
+      case ARTICLE_ACTIONS.MUTE: {
+        const serviceName = getServiceNameKo(article.serviceKey);
+        this.markDirty('mutes', article.serviceKey);
+        if (this.isMuted(article.serviceKey)) {
+          delete this.mutes[article.serviceKey];
+          text = `${serviceName} 음소거를 해제했습니다`;
+        } else {
+          const until = new Date(Date.now() + this.muteDays * 24 * 60 * 60 * 1000);
+          this.mutes[article.serviceKey] = { until: until.toISOString(), mutedBy: user };
+          text = `${this.muteDays}일 동안 ${serviceName} 아티클을 보내지 않습니다`;
+        }
+        break;
+      }
+
+      case ARTICLE_ACTIONS.NOT_RELEVANT:
+        this.labels[id] = { ...article, labeledAt: now, labeledBy: user };
+        this.markDirty('labels', id);
+        text = '관련 없음으로 기록했습니다 (필터 학습에 사용)';
+        break;
+    }
+
+    this.save();
+    logger.info(`아티클 버튼 처리: ${action}`, { id, title: article.title, user });
+
+    await this.answer(callbackQuery, text);
+    await this.refreshKeyboard(callbackQuery, id);
+    return true;
+  }
+
+  /**
+   * 버튼 클릭 응답 (텔레그램 클라이언트에 짧은 알림 표시)
+   */
+  async answer(callbackQuery, text) {
+    try {
+      await telegramDelivery.call('answerCallbackQuery', { callback_query_id: callbackQuery.id, text });
+    } catch (error) {
+      logError(error, { context: '버튼 클릭 응답 실패', data: callbackQuery.data });
+    }
+  }
+
+  /**
+   * 클릭한 메시지의 버튼 표시 갱신
+   */
+  async refreshKeyboard(callbackQuery, id) {
+    const message = callbackQuery.message;
+    if (!message) {
+      return;
+    }
+
+    try {
+      await telegramDelivery.call('editMessageReplyMarkup', {
+        chat_id: message.chat.id,
+        message_id: message.message_id,
+        reply_markup: this.renderKeyboard(id)
+      });
+    } catch (error) {
+      // 버튼 상태가 그대로면 "message is not modified" 오류
+      logger.debug('버튼 표시 갱신 실패', { id, error: error.message });
+    }
+  }
+
+  /**
+   * 음소거 해제
+   * @returns {boolean} 해제 여부
+   */
+  unmute(serviceKey) {
+    if (!this.mutes[serviceKey]) {
+      return false;
+    }
+
+    delete this.mutes[serviceKey];
+    this.markDirty('mutes', serviceKey);
+    this.save();
+    return true;
+  }
+
+  /**
+   * 저장한 아티클 목록 (최근 순)
+   */
+  getSaved() {
+    return Object.entries(this.saved)
+      .map(([id, article]) => ({ id, ...article }))
+      .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+  }
+
+  /**
+   * 음소거 중인 출처 목록
+   */
+  getMutes(now = new Date()) {
+    return Object.entries(this.mutes)
+      .filter(([serviceKey]) => this.isMuted(serviceKey, now))
+      .map(([serviceKey, mute]) => ({ serviceKey, ...mute }));
+  }
+
+  /**
+   * 관련 없음 라벨 목록
+   */
+  getLabels() {
+    return Object.entries(this.labels).map(([id, label]) => ({ id, ...label }));
+  }
+
+  /**
+   * 관련 없음 라벨을 필터 코퍼스 항목 형식으로 변환 (src/test/filterCorpus/<프로필>.json)
+   * @returns {Map<string, Array<Object>>} 필터 프로필 → 코퍼스 항목
+   */
+  toCorpusEntries() {
+    const entries = new Map();
+
+    this.getLabels().forEach(label => {
+      const service = serviceManager.getServiceByKey(label.serviceKey);
+      const profile = service?.filterProfile ?? DEFAULT_FILTER_PROFILE;
+
+      if (!entries.has(profile)) {
+        entries.set(profile, []);
+      }
+      entries.get(profile).push({
+        id: `tg-${label.id}`,
+        label: 'not_relevant',
+        source: label.serviceKey,
+        ...(service?.generic?.filter?.lenient && { lenient: true }),
+        item: {
+          title: label.title,
+          link: label.url,
+          contentEncoded: label.description
+        }
+      });
+    });
+
+    return entries;
+  }
+}
+
+module.exports = new ArticleActions();
\ No newline at end of file
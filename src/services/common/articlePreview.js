@@ -0,0 +1,222 @@
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { config } = require('../../config/config');
+const { serviceManager } = require('../../config/services');
+const { logger } = require('../../utils/logger');
+const { canonicalizeUrl } = require('../../utils/urlUtils');
+const { readJson, writeJsonAtomic, withFileLock } = require('../../utils/fileStore');
+const { CACHE_SETTINGS, PREVIEW_MODES, TELEGRAM_LIMITS, TIMEOUTS } = require('../../domain/constants/ServiceConstants');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+const articleActions = require('./articleActions');
+
+/**
+ * 아티클 미리보기
+ * 아티클 페이지의 og:title / og:description / og:image를 가져와 서비스별 방식으로 전송
+ *
+ * - photo: og:image 사진 + 메시지 캡션 (sendPhoto), 이미지가 없거나 캡션이 길거나 실패하면 link로 전송
+ * - link: 텔레그램 링크 미리보기를 켠 텍스트 메시지
+ * - none: 기존 전송 방식 그대로 (페이지를 가져오지 않음)
+ * 설정: services.json의 서비스별 preview → TELEGRAM_PREVIEW
+ *
+ * 가져온 메타데이터는 캐시 TTL(7일) 동안 재사용
+ * 저장 전략: CI 환경에서는 .cache 디렉토리에 파일로, 그 외에는 프로세스 메모리에만 기록
+ */
+class ArticlePreview {
+  constructor(options = {}) {
+    this.metadata = new Map(); // 정규 URL → { title, description, image, fetchedAt }
+    this.ttlDays = options.ttlDays ?? CACHE_SETTINGS.DEFAULT_TTL_DAYS;
+    this.storeMode = options.storeMode ?? (process.env.CI === 'true' ? 'file' : 'memory');
+    this.cacheDir = options.cacheDir ?? '.cache';
+    this.cacheFile = path.join(this.cacheDir, 'rss-og-metadata.json');
+
+    if (this.storeMode === 'file') {
+      this.loadFromFile();
+    }
+  }
+
+  /**
+   * 캐시 유효 기간 내 항목 여부
+   */
+  isFresh(entry) {
+    return new Date(entry.fetchedAt).getTime() >= Date.now() - this.ttlDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * 파일에서 메타데이터 캐시 로드
+   */
+  loadFromFile() {
+    try {
+      const data = readJson(this.cacheFile, {});
+      Object.entries(data.metadata ?? {}).forEach(([url, entry]) => {
+        if (this.isFresh(entry)) {
+          this.metadata.set(url, entry);
+        }
+      });
+      logger.info(`아티클 미리보기 캐시 로드 완료: ${this.metadata.size}개`);
+    } catch (error) {
+      logger.warn('아티클 미리보기 캐시 로드 실패:', error.message);
+    }
+  }
+
+  /**
+   * 메타데이터 캐시를 파일에 병합 저장 (file 모드에서만, 가져오기에 실패한 항목은 저장하지 않음)
+   */
+  saveToFile() {
+    if (this.storeMode !== 'file') {
+      return;
+    }
+
+    try {
+      withFileLock(this.cacheFile, () => {
+        const metadata = {};
+
+        Object.entries(readJson(this.cacheFile, {}).metadata ?? {}).forEach(([url, entry]) => {
+          if (this.isFresh(entry)) {
+            metadata[url] = entry;
+          }
+        });
+
+        this.metadata.forEach((entry, url) => {
+          if (!entry.failed && this.isFresh(entry)) {
+            metadata[url] = entry;
+          }
+        });
+
+        writeJsonAtomic(this.cacheFile, { metadata });
+      });
+    } catch (error) {
+      logger.warn('아티클 미리보기 캐시 저장 실패:', error.message);
+    }
+  }
+
+  /**
+   * 서비스의 미리보기 방식
+   * @param {string} serviceKey - 서비스 키
+   * @returns {string} PREVIEW_MODES 중 하나
+   */
+  getMode(serviceKey) {
+    const service = serviceKey ? serviceManager.getServiceByKey(serviceKey) : null;
+    return service?.preview ?? config.message.preview;
+  }
+
+  /**
+   * 아티클 페이지의 미리보기 메타데이터 (캐시 우선)
+   * @param {string} url - 아티클 URL
+   * @returns {Promise<{ title: string, description: string, image: string|null }>}
+   */
+  async fetchMetadata(url) {
+    const key = canonicalizeUrl(url) || url;
+    const cached = this.metadata.get(key);
+    if (cached && this.isFresh(cached)) {
+      return cached;
+    }
+
+    let entry;
+    try {
+      const response = await axios.get(url, {
+        timeout: TIMEOUTS.HTTP_REQUEST,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        }
+      });
+
+      const $ = cheerio.load(response.data);
+      const title = $('meta[property="og:title"]').attr('content') || $('title').first().text();
+      const description = $('meta[property="og:description"]').attr('content') ||
+        $('meta[name="description"]').attr('content') || '';
+      const image = $('meta[property="og:image"]').attr('content') ||
+        $('meta[name="twitter:image"]').attr('content');
+
+      entry = {
+        title: title.trim(),
+        description: description.trim(),
+        image: this.resolveImageUrl(image, url),
+        fetchedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      // 실패한 페이지는 이번 실행 동안만 다시 가져오지 않음
+      logger.warn(`아티클 미리보기 메타데이터 가져오기 실패: ${url}`, { error: error.message });
+      entry = { title: '', description: '', image: null, fetchedAt: new Date().toISOString(), failed: true };
+    }
+
+    this.metadata.set(key, entry);
+    this.saveToFile();
+    return entry;
+  }
+
+  /**
+   * og:image 주소를 절대 URL로 변환 (http/https만 허용)
+   */
+  resolveImageUrl(image, pageUrl) {
+    if (!image) {
+      return null;
+    }
+
+    try {
+      const resolved = new URL(image.trim(), pageUrl);
+      return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 미리보기를 사용하는 서비스면 페이지 메타데이터로 아티클 보강
+   * 설명/제목이 비어 있으면 og 값으로 채우고, 전송에 사용할 메타데이터를 preview에 담음
+   * @param {Object} article - 아티클 (url 또는 link)
+   * @param {string} serviceKey - 서비스 키
+   * @returns {Promise<Object>} 보강된 아티클 (none이면 원본 그대로)
+   */
+  async enrich(article, serviceKey) {
+    const url = article.url ?? article.link;
+    if (this.getMode(serviceKey) === PREVIEW_MODES.NONE || !url) {
+      return article;
+    }
+
+    const preview = await this.fetchMetadata(url);
+
+    return {
+      ...article,
+      title: article.title || preview.title,
+      description: article.description || preview.description,
+      preview
+    };
+  }
+
+  /**
+   * 서비스의 미리보기 방식으로 메시지 전송 (TELEGRAM_ACTIONS면 인라인 버튼 포함)
+   * @param {string} text - 메시지 (parseMode에 맞게 이스케이프된 상태)
+   * @param {Object} article - enrich()로 보강한 아티클
+   * @param {Object} options - 옵션
+   * @param {string} options.serviceKey - 서비스 키 (통계 출처로도 사용)
+   * @param {string} options.parseMode - 메시지 parse mode
+   * @param {boolean} options.disableWebPagePreview - none일 때 사용할 기존 링크 미리보기 설정
+   * @param {boolean} options.dryRun - 이 전송만 dry-run
+   * @param {string} options.chatId - 채팅방 ID
+   * @param {number} options.threadId - 포럼 토픽 ID
+   * @returns {Promise<Array<Object>>} 전송된 메시지 (telegramDelivery.send와 같은 형식)
+   */
+  async send(text, article, { serviceKey, parseMode, disableWebPagePreview = false, dryRun = false, chatId, threadId } = {}) {
+    const mode = this.getMode(serviceKey);
+    const replyMarkup = articleActions.isEnabled() ? articleActions.buildKeyboard(article, serviceKey) : undefined;
+    const options = { chatId, threadId, parseMode, source: serviceKey, dryRun, replyMarkup };
+
+    if (mode === PREVIEW_MODES.NONE) {
+      return telegramDelivery.send(text, { ...options, disableWebPagePreview });
+    }
+
+    const image = article.preview?.image;
+    if (mode === PREVIEW_MODES.PHOTO && image && text.length <= TELEGRAM_LIMITS.MAX_CAPTION_LENGTH) {
+      try {
+        return [await telegramDelivery.sendPhoto(image, text, options)];
+      } catch (error) {
+        logger.warn(`사진 전송 실패, 링크 미리보기로 전송: ${article.title}`, { image, error: error.message });
+      }
+    }
+
+    return telegramDelivery.send(text, { ...options, disableWebPagePreview: false });
+  }
+}
+
+module.exports = new ArticlePreview();
\ No newline at end of file
@@ -1,9 +1,11 @@
-const { formatMessage, getServiceNameKo } = require('../../utils/formatters');
+const { getServiceNameKo } = require('../../utils/formatters');
+const messageTemplates = require('./messageTemplates');
+const articlePreview = require('./articlePreview');
 const { logger, logError } = require('../../utils/logger');
 
 /**
  * 메신저 베이스 클래스
- * 모든 서비스의 텔레그램 전송 로직
+ * 모든 서비스의 텔레그램 전송 로직 (전송은 텔레그램 전송 파이프라인으로 처리)
  */
 class BaseMessenger {
   constructor(serviceKey, isDryRun = false) {
@@ -14,23 +16,22 @@ class BaseMessenger {
 
   /**
    * 개별 아티클 전송
+   * @param {Object} article - 아티클
+   * @param {Object} destination - 전송 대상 ({ chatId, threadId }, 생략하면 TELEGRAM_CHAT_ID의 일반 토픽)
    */
-  async sendPost(article) {
+  async sendPost(article, { chatId, threadId } = {}) {
     try {
-      const message = formatMessage(article, this.serviceName);
+      const enriched = await articlePreview.enrich(article, this.serviceKey);
+      const message = messageTemplates.format({ ...enriched, source: this.serviceName }, this.serviceKey, { chatId });
       
-      if (this.isDryRun) {
-        logger.info(`[DRY RUN] ${this.serviceName} 아티클 전송 시뮬레이션`, {
-          title: article.title,
-          url: article.url,
-          messageLength: message.length
-        });
-        return true;
-      }
-      
-      // infrastructure/telegram으로 경로 수정 필요
-      const telegram = require('../../infrastructure/telegram');
-      await telegram.sendMessage(message);
+      await articlePreview.send(message, enriched, {
+        serviceKey: this.serviceKey,
+        parseMode: messageTemplates.getParseMode(this.serviceKey, chatId),
+        disableWebPagePreview: true,
+        dryRun: this.isDryRun,
+        chatId,
+        threadId
+      });
       
       logger.info(`${this.serviceName} 아티클 전송 성공`, {
         title: article.title,
@@ -63,11 +64,6 @@ class BaseMessenger {
       try {
         await this.sendPost(article);
         successCount++;
-        
-        // 연속 전송 시 딜레이 (텔레그램 제한 방지)
-        if (articles.length > 1) {
-          await this.sleep(1000);
-        }
       } catch (error) {
         failedCount++;
         logError(error, { 
@@ -1,13 +1,21 @@
 const RSSParser = require('rss-parser');
 const { logger, logError } = require('../../utils/logger');
 const { getServiceByKey } = require('../../config/services');
+const feedFetcher = require('./feedFetcher');
 
 /**
  * RSS 파서 베이스 클래스
  * 모든 RSS 서비스가 상속받아 사용하는 공통 파서
  */
 class BaseRssParser {
-  constructor(feedUrl, serviceName, serviceKey) {
+  /**
+   * @param {string} feedUrl - RSS 피드 URL (없으면 services.json에서 조회)
+   * @param {string} serviceName - 로그 및 아티클 출처에 사용할 서비스명
+   * @param {string} serviceKey - services.json 서비스 키
+   * @param {Object} options - 추가 옵션
+   * @param {Object} options.headers - services.json 형식의 헤더 설정 ({ userAgent, accept })
+   */
+  constructor(feedUrl, serviceName, serviceKey, options = {}) {
     // serviceKey가 있으면 services.json에서 feedUrl 가져오기
     if (serviceKey && !feedUrl) {
       const serviceConfig = getServiceByKey(serviceKey);
@@ -17,6 +25,7 @@ class BaseRssParser {
     }
     this.serviceName = serviceName;
     this.serviceKey = serviceKey;
+    this.options = options;
     
     // RSS 파서 초기화
     this.parser = new RSSParser({
@@ -46,22 +55,29 @@ class BaseRssParser {
    * HTTP 헤더 설정 (오버라이드 가능)
    */
   getHeaders() {
+    const { userAgent, accept } = this.options.headers ?? {};
+
     return {
-      'User-Agent': `${this.serviceName} RSS Reader 1.0`,
-      'Accept': 'application/rss+xml, application/xml, text/xml, */*'
+      'User-Agent': userAgent || `${this.serviceName} RSS Reader 1.0`,
+      'Accept': accept || 'application/rss+xml, application/xml, text/xml, */*'
     };
   }
 
   /**
-   * RSS 피드 파싱
+   * RSS 피드 파싱 (조건부 GET, 304이면 notModified로 빈 목록 반환)
+   * @param {Object} options - feedFetcher.fetch 옵션 ({ conditional })
    */
-  async parseFeed() {
+  async parseFeed(options = {}) {
     try {
       logger.info(`${this.serviceName} RSS 피드 확인 시작`, {
         feedUrl: this.feedUrl
       });
 
-      const feed = await this.parser.parseURL(this.feedUrl);
+      const feed = await feedFetcher.fetch(this.parser, this.feedUrl, options);
+
+      if (feed.notModified) {
+        return { notModified: true, items: [] };
+      }
       
       logger.info(`RSS 피드 파싱 완료: ${feed.items.length}개 아티클 발견`);
       
@@ -88,7 +104,7 @@ class BaseRssParser {
     const startTime = Date.now();
     
     try {
-      const feed = await this.parseFeed();
+      const feed = await this.parseFeed({ conditional: false });
       const responseTime = Date.now() - startTime;
       
       const result = {
@@ -1,5 +1,15 @@
 const cron = require('node-cron');
 const { logger, logError } = require('../../utils/logger');
+const { getServiceByKey } = require('../../config/services');
+const feedFetcher = require('./feedFetcher');
+const crossSourceDeduper = require('./crossSourceDeduper');
+const deliveryOutbox = require('./deliveryOutbox');
+const outputDispatcher = require('./outputDispatcher');
+const telegramDigest = require('./telegramDigest');
+const quietHours = require('./quietHours');
+const articleActions = require('./articleActions');
+const keywordSubscriptions = require('./keywordSubscriptions');
+const forumTopics = require('./forumTopics');
 
 /**
  * 공통 스케줄러 베이스 클래스
@@ -18,12 +28,17 @@ class BaseScheduler {
     this.schedule = options.schedule || '30 17 * * *'; // 기본: 매일 오후 5시 30분
     this.timezone = options.timezone || 'Asia/Seoul';
     this.domainName = options.domainName || 'Unknown';
+    // services.json 서비스 키 (전송 채널 선택에 사용)
+    this.serviceKey = options.serviceKey || null;
     
     // 실행 상태
     this.isRunning = false;
     this.isManualRunning = false;
     this.bypassCache = false;
     
+    // 출처 간 중복 선점 정보 (아티클 → 선점 ID)
+    this.crossSourceClaims = new Map();
+    
     // 통계
     this.stats = {
       totalRuns: 0,
@@ -130,8 +145,11 @@ class BaseScheduler {
     try {
       logger.info(`${this.domainName} 작업 시작 (트리거: ${triggerType}, 캐시우회: ${this.bypassCache})`);
       
-      // 하위 클래스에서 구현할 메서드 호출
+      // 아티클 체크 (기본 구현 또는 하위 클래스에서 재정의한 메서드)
       const result = await this.executeArticleCheck(triggerType);
+
+      // 아티클을 모두 전송하거나 전송 대기열에 넣은 뒤에만 피드 검증자(ETag / Last-Modified) 확정
+      feedFetcher.commitValidators(getServiceByKey(this.serviceKey)?.feedUrl);
       
       const duration = Date.now() - startTime;
       logger.info(`${this.domainName} 작업 완료`, {
@@ -159,11 +177,255 @@ class BaseScheduler {
   }
 
   /**
-   * 하위 클래스에서 구현해야 하는 메서드
-   * 실제 아티클 체크 및 전송 로직
+   * 실제 아티클 체크 및 전송 로직 (기본 구현)
+   * 새 아티클 조회 → 전송 이력(this.cache)으로 중복 제거 → 출처 간 중복 제거 → 전송 대기열을 거쳐 전송
+   * 조회/전송 방식이 다른 서비스(geekNews, naverfenews)는 재정의
    */
   async executeArticleCheck(triggerType) {
-    throw new Error('executeArticleCheck 메서드는 하위 클래스에서 구현해야 합니다');
+    // 새로운 아티클 조회
+    const articles = await this.articleService.getRecentArticles();
+
+    if (articles.length === 0 && !this.hasPendingDeliveries()) {
+      logger.info(`새로운 ${this.domainName} 아티클이 없습니다`);
+      return { success: true, articlesFound: 0, messagesSent: 0 };
+    }
+
+    // 캐시를 이용한 중복 제거 (once 모드에서는 캐시 우회)
+    const newArticles = this.cache.filterNewPosts(articles, article => article.url, this.bypassCache);
+
+    if (newArticles.length === 0 && !this.hasPendingDeliveries()) {
+      logger.info('모든 아티클이 이미 전송되었습니다');
+      return { success: true, articlesFound: articles.length, messagesSent: 0 };
+    }
+
+    // 다른 출처와의 중복 제거
+    const uniqueArticles = await this.filterCrossSourceDuplicates(newArticles);
+
+    // 전송 대기열을 거쳐 전송 (실패한 아티클은 다음 실행에서 다시 전송)
+    const { messagesSent, failed } = await this.deliverArticles(uniqueArticles);
+
+    return {
+      success: true,
+      articlesFound: articles.length,
+      messagesSent,
+      failed
+    };
+  }
+
+  /**
+   * 출처 간 중복 제거 (메시지 전송 전 단계)
+   * 다른 출처에서 이미 전송했거나 전송 중인 아티클은 제외하고, 원본 메시지에 현재 출처를 덧붙임
+   * 제외한 아티클은 이후 실행에서 다시 확인하지 않도록 전송 이력에 최초 발견으로 기록
+   * @param {Array} articles - 전송 후보 아티클
+   * @param {Function} getUrl - 아티클 URL 추출 함수
+   * @param {Function} getHistoryId - 전송 이력 키 추출 함수 (기본값: getUrl)
+   * @returns {Promise<Array>} 전송할 아티클
+   */
+  async filterCrossSourceDuplicates(articles, getUrl = (article) => article.url, getHistoryId = getUrl) {
+    const uniqueArticles = [];
+    const duplicates = [];
+
+    for (const article of articles) {
+      const { duplicate, claimId } = await crossSourceDeduper.claim(
+        { url: getUrl(article), title: article.title },
+        this.domainName
+      );
+
+      if (duplicate) {
+        duplicates.push(article);
+      } else {
+        this.crossSourceClaims.set(article, claimId);
+        uniqueArticles.push(article);
+      }
+    }
+
+    this.cache?.markAsSeen(duplicates.map(getHistoryId), this.bypassCache);
+
+    if (uniqueArticles.length < articles.length) {
+      logger.info(`${this.domainName} 출처 간 중복 제거: ${articles.length}개 → ${uniqueArticles.length}개`);
+    }
+
+    return uniqueArticles;
+  }
+
+  /**
+   * 전송 대기열에 이번 실행에서 다시 보낼 아티클이 있는지 확인
+   */
+  hasPendingDeliveries() {
+    return deliveryOutbox.getDue(this.domainName).length > 0;
+  }
+
+  /**
+   * 전송 대기열을 거쳐 아티클 전송
+   * 새 아티클을 대기열에 넣고 전송 이력에 최초 발견으로 기록한 뒤, 이전 실행에서 실패한 아티클을 포함해 전송할 차례가 된 항목을 전송
+   * 전송에 성공한 항목만 전송 이력(this.cache)에 기록하고, 실패한 항목은 대기열에 남겨 다음 실행에서 다시 전송
+   * 전송에 성공한 아티클은 키워드 구독(/watch)과 비교해 구독한 사용자에게 DM
+   * @param {Array} articles - 새로 전송할 아티클 (출처 간 중복 제거 후)
+   * @param {Object} options - 옵션
+   * @param {Function} options.getUrl - 아티클 URL 추출 함수 (대기열 ID, 전송 이력 키)
+   * @param {Function} options.getClaimUrl - 출처 간 중복 확인에 사용할 URL 추출 함수 (기본값: getUrl)
+   * @param {Function} options.sendTelegram - 텔레그램 전송 함수 (기본값: messenger.sendArticle)
+   * @returns {Promise<{ messagesSent: number, failed: number }>}
+   */
+  async deliverArticles(articles, { getUrl = (article) => article.url, getClaimUrl = getUrl, sendTelegram } = {}) {
+    deliveryOutbox.enqueue(this.domainName, articles, { getUrl, serviceKey: this.serviceKey });
+    // 대기열에 넣은 뒤에만 최초 발견으로 기록 (이후 전송에 실패해도 대기열이 다시 전송)
+    this.cache?.markAsSeen(articles.map(getUrl), this.bypassCache);
+
+    const dueItems = deliveryOutbox.getDue(this.domainName);
+
+    // 이미 대기 중(재시도 대기)이거나 실패 보관함에 있어 이번에 보내지 않는 아티클의 선점 해제
+    for (const article of articles.filter(article => !dueItems.some(item => item.article === article))) {
+      await this.recordCrossSourceResult(article);
+    }
+
+    // 이전 실행에서 실패한 아티클은 그 사이 다른 출처가 전송했을 수 있으므로 다시 확인
+    const retryItems = dueItems.filter(item => !articles.includes(item.article));
+    const uniqueRetries = await this.filterCrossSourceDuplicates(retryItems.map(item => item.article), getClaimUrl, getUrl);
+    const items = dueItems.filter(item => {
+      if (retryItems.includes(item) && !uniqueRetries.includes(item.article)) {
+        deliveryOutbox.markDelivered(item.id);
+        return false;
+      }
+      return true;
+    });
+
+    if (retryItems.length > 0) {
+      logger.info(`${this.domainName} 전송 대기열에서 이전 실패 아티클 ${retryItems.length}개 다시 전송`);
+    }
+
+    let messagesSent = 0;
+    let failed = 0;
+
+    for (const { id, article, attempts } of items) {
+      try {
+        const sentMessage = await this.deliverArticle(article, sendTelegram);
+        await this.recordCrossSourceResult(article, sentMessage);
+
+        // 전송에 성공한 뒤에만 대기열에서 제거하고 전송 이력에 기록
+        deliveryOutbox.markDelivered(id);
+        this.cache?.markAsSent(getUrl(article), this.bypassCache);
+
+        messagesSent++;
+        this.stats.articlesProcessed++;
+
+        logger.info(`${this.domainName} 전송 성공: ${article.title}`);
+
+        // 키워드 구독자에게 DM (사용자별 실패는 전송 결과에 영향 없음)
+        await keywordSubscriptions.notify(article, {
+          url: getUrl(article),
+          serviceKey: this.serviceKey,
+          sourceName: outputDispatcher.getSourceInfo(this.serviceKey, this.domainName).source
+        });
+      } catch (error) {
+        failed++;
+        await this.recordCrossSourceResult(article);
+        deliveryOutbox.markFailed(id, error);
+        logError(error, {
+          context: `${this.domainName} 전송 실패`,
+          articleTitle: article.title,
+          attempt: attempts + 1
+        });
+      }
+    }
+
+    return { messagesSent, failed };
+  }
+
+  /**
+   * 서비스에 설정된 전송 채널로 아티클 전송
+   * 텔레그램은 서비스 메신저로 전송하고(실패 시 예외), 그 외 채널은 outputDispatcher가 전송
+   * 텔레그램을 사용하지 않는 서비스는 모든 채널이 실패한 경우에만 예외
+   * 전송 경로 규칙(services.json routes)이 있으면 아티클마다 규칙에 맞는 채팅방과 채널로 전송
+   * 포럼 채팅방(chatTopics)은 전송 대상의 topic, 없으면 서비스 카테고리의 토픽으로 전송
+   * 채팅방이 다이제스트 모드(TELEGRAM_DIGEST, chatDigests)이거나 방해 금지 시간(hold)이면 텔레그램 대신 다이제스트에 추가
+   * 인라인 버튼으로 음소거한 출처는 텔레그램으로 보내지 않음 (전송한 것으로 처리)
+   * @param {Object} article - 전송할 아티클
+   * @param {Function} sendTelegram - 텔레그램 전송 함수 ((article, { chatId, threadId }) => 결과, 기본값: messenger.sendArticle)
+   * @returns {Promise<Object>} 텔레그램 전송 결과 (여러 채팅방이면 첫 번째 결과, 텔레그램 미사용 시 채널별 결과)
+   */
+  async deliverArticle(article, sendTelegram = (item, destination) => this.messenger.sendArticle(item, destination)) {
+    const route = outputDispatcher.resolveRoute(article, this.serviceKey);
+    const dispatchOptions = { serviceKey: this.serviceKey, source: this.domainName, outputs: route.outputs };
+
+    if (route.telegram.length > 0) {
+      if (articleActions.isMuted(this.serviceKey)) {
+        logger.info(`${this.domainName} 음소거 중, 텔레그램 전송 건너뜀: ${article.title}`);
+        await outputDispatcher.dispatch(article, dispatchOptions);
+        return { muted: true };
+      }
+
+      const sentMessage = await this.sendToTelegramChats(article, route.telegram, sendTelegram);
+      await outputDispatcher.dispatch(article, dispatchOptions);
+      return sentMessage;
+    }
+
+    const results = await outputDispatcher.dispatch(article, dispatchOptions);
+    if (!results.some(result => result.success)) {
+      throw new Error(`${this.domainName} 모든 전송 채널 실패: ${results.map(result => `${result.output}(${result.error})`).join(', ')}`);
+    }
+
+    return { outputs: results, dry_run: results.every(result => result.dryRun) };
+  }
+
+  /**
+   * 전송 경로로 정해진 텔레그램 채팅방에 아티클 전송
+   * 일부 채팅방만 실패하면 기록만 남기고, 모든 채팅방이 실패한 경우에만 예외 (대기열에서 다시 전송)
+   * 다이제스트로 모으는 아티클은 포럼 토픽과 관계없이 채팅방 단위로 모아 일반 토픽으로 전송
+   * @param {Object} article - 전송할 아티클
+   * @param {Array<{ chatId: string, threadId?: number }>} destinations - 텔레그램 전송 대상
+   * @param {Function} sendTelegram - 텔레그램 전송 함수
+   * @returns {Promise<Object>} 첫 번째로 성공한 채팅방의 전송 결과
+   */
+  async sendToTelegramChats(article, destinations, sendTelegram) {
+    const sourceInfo = outputDispatcher.getSourceInfo(this.serviceKey, this.domainName);
+    const results = [];
+    const errors = [];
+
+    for (const destination of destinations) {
+      const { chatId } = destination;
+
+      try {
+        if (telegramDigest.isEnabled(chatId) || quietHours.shouldHold(chatId)) {
+          results.push(telegramDigest.add(article, sourceInfo, chatId));
+          continue;
+        }
+
+        const threadId = destination.threadId ?? await forumTopics.resolve(chatId, sourceInfo.category);
+        results.push(await sendTelegram(article, { ...destination, ...(threadId !== undefined && { threadId }) }));
+      } catch (error) {
+        if (destinations.length === 1) {
+          throw error;
+        }
+
+        errors.push(error);
+        logError(error, { context: `${this.domainName} 텔레그램 채팅방 전송 실패`, chatId, articleTitle: article.title });
+      }
+    }
+
+    if (results.length === 0) {
+      throw errors[0];
+    }
+
+    return results[0];
+  }
+
+  /**
+   * 출처 간 중복 기록에 전송 결과 반영
+   * @param {Object} article - 전송한 아티클
+   * @param {Object} sentMessage - 텔레그램 전송 결과 (실패 시 생략)
+   */
+  async recordCrossSourceResult(article, sentMessage = null) {
+    const claimId = this.crossSourceClaims.get(article);
+    this.crossSourceClaims.delete(article);
+
+    if (!claimId) return;
+
+    if (sentMessage) {
+      await crossSourceDeduper.recordDelivery(claimId, sentMessage);
+    } else {
+      crossSourceDeduper.release(claimId);
+    }
   }
 
   /**
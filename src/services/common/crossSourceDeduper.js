@@ -0,0 +1,334 @@
+const path = require('path');
+const { logger, logError } = require('../../utils/logger');
+const { cleanTitle } = require('../../utils/formatters');
+const { canonicalizeUrl, resolveRedirects } = require('../../utils/urlUtils');
+const { readJson, writeJsonAtomic, withFileLock } = require('../../utils/fileStore');
+const { CACHE_SETTINGS } = require('../../domain/constants/ServiceConstants');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+
+/**
+ * 출처 간 중복 아티클 탐지기
+ * 같은 글이 GeekNews, Korean FE Article, 기업 블로그 등 여러 출처에 올라온 경우
+ * 먼저 전송한 출처의 메시지만 남기고, 나머지 출처는 전송 대신 원본 메시지에 "함께 소개된 곳"으로 덧붙임
+ *
+ * 동일 아티클 판정:
+ * - 정규 URL 일치 (리다이렉트 해석 후 추적 파라미터 제거)
+ * - 제목 유사도 임계값 이상 (문자 bigram Dice 계수)
+ *
+ * 리다이렉트 해석 결과는 판정 기간 동안 재사용하고, dry-run에서는 해석하지 않음 (실행마다 아티클당 요청이 생기지 않도록)
+ *
+ * 저장 전략: CI 환경에서는 .cache 디렉토리에 파일로, 그 외에는 프로세스 메모리에만 기록
+ */
+class CrossSourceDeduper {
+  constructor(options = {}) {
+    this.claims = new Map(); // 정규 URL → { url, title, normalizedTitle, source, claimedAt, sentAt, coveredBy, message }
+    this.resolutions = new Map(); // 원본 정규 URL → { url: 리다이렉트 해석 후 URL, resolvedAt }
+    // dry-run 모드 상태
+    this.isDryRun = false;
+    this.windowDays = options.windowDays ?? CACHE_SETTINGS.CROSS_SOURCE_WINDOW_DAYS;
+    this.titleThreshold = options.titleThreshold ?? CACHE_SETTINGS.TITLE_SIMILARITY_THRESHOLD;
+    this.storeMode = options.storeMode ?? (process.env.CI === 'true' ? 'file' : 'memory');
+    this.cacheDir = options.cacheDir ?? '.cache';
+    this.cacheFile = path.join(this.cacheDir, 'rss-cross-source.json');
+
+    if (this.storeMode === 'file') {
+      this.loadFromFile();
+    }
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+  }
+
+  /**
+   * 중복 판정 기간 시작 시각
+   */
+  getWindowCutoff() {
+    return Date.now() - this.windowDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * 기간 내 항목 여부
+   */
+  isWithinWindow(claim) {
+    return new Date(claim.sentAt ?? claim.claimedAt).getTime() >= this.getWindowCutoff();
+  }
+
+  /**
+   * 파일에서 전송 기록 로드
+   */
+  loadFromFile() {
+    try {
+      const data = readJson(this.cacheFile, {});
+      Object.entries(data.claims ?? {}).forEach(([id, claim]) => {
+        if (this.isWithinWindow(claim)) {
+          this.claims.set(id, claim);
+        }
+      });
+      Object.entries(data.resolutions ?? {}).forEach(([url, resolution]) => {
+        if (this.isResolutionFresh(resolution)) {
+          this.resolutions.set(url, resolution);
+        }
+      });
+      logger.info(`출처 간 중복 기록 로드 완료: ${this.claims.size}개`);
+    } catch (error) {
+      logger.warn('출처 간 중복 기록 로드 실패:', error.message);
+    }
+  }
+
+  /**
+   * 판정 기간 내에 해석한 리다이렉트 결과 여부
+   */
+  isResolutionFresh(resolution) {
+    return new Date(resolution.resolvedAt).getTime() >= this.getWindowCutoff();
+  }
+
+  /**
+   * 전송 완료된 기록과 리다이렉트 해석 결과를 파일에 병합 저장 (file 모드에서만)
+   */
+  saveToFile() {
+    if (this.storeMode !== 'file') {
+      return;
+    }
+
+    try {
+      withFileLock(this.cacheFile, () => {
+        const data = readJson(this.cacheFile, {});
+        const stored = data.claims ?? {};
+        const claims = {};
+        const resolutions = Object.fromEntries(
+          [...Object.entries(data.resolutions ?? {}), ...this.resolutions]
+            .filter(([, resolution]) => this.isResolutionFresh(resolution))
+        );
+
+        Object.entries(stored).forEach(([id, claim]) => {
+          if (this.isWithinWindow(claim)) {
+            claims[id] = claim;
+          }
+        });
+
+        this.claims.forEach((claim, id) => {
+          if (!claim.sentAt || !this.isWithinWindow(claim)) return;
+
+          // 다른 프로세스가 추가한 출처 정보 보존
+          const coveredBy = new Set([...(claims[id]?.coveredBy ?? []), ...claim.coveredBy]);
+          claims[id] = { ...claim, coveredBy: [...coveredBy] };
+        });
+
+        writeJsonAtomic(this.cacheFile, { claims, resolutions });
+      });
+    } catch (error) {
+      logger.warn('출처 간 중복 기록 저장 실패:', error.message);
+    }
+  }
+
+  /**
+   * 비교용 제목 정규화 (프리픽스, 기호, 공백 제거)
+   */
+  normalizeTitle(title) {
+    return cleanTitle(title || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '');
+  }
+
+  /**
+   * 두 정규화 제목의 유사도 (문자 bigram Dice 계수, 0~1)
+   */
+  titleSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+      const bigram = a.slice(i, i + 2);
+      bigrams.set(bigram, (bigrams.get(bigram) ?? 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+      const bigram = b.slice(i, i + 2);
+      const count = bigrams.get(bigram) ?? 0;
+      if (count > 0) {
+        bigrams.set(bigram, count - 1);
+        overlap++;
+      }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+  }
+
+  /**
+   * 리다이렉트를 따라간 아티클 URL (판정 기간 내 해석 결과 재사용, dry-run에서는 원본 URL)
+   * @param {string} url - 원본 URL
+   * @returns {Promise<string>} 최종 URL
+   */
+  async resolveUrl(url) {
+    if (this.isDryRun) {
+      return url;
+    }
+
+    const key = canonicalizeUrl(url);
+    const cached = this.resolutions.get(key);
+    if (cached && this.isResolutionFresh(cached)) {
+      return cached.url;
+    }
+
+    const resolvedUrl = await resolveRedirects(url);
+    this.resolutions.set(key, { url: resolvedUrl, resolvedAt: new Date().toISOString() });
+    return resolvedUrl;
+  }
+
+  /**
+   * 다른 출처의 동일 아티클 기록 조회
+   */
+  findMatch(id, normalizedTitle, source) {
+    const byUrl = this.claims.get(id);
+    if (byUrl && byUrl.source !== source && this.isWithinWindow(byUrl)) {
+      return byUrl;
+    }
+
+    for (const claim of this.claims.values()) {
+      if (claim.source === source || !this.isWithinWindow(claim)) continue;
+
+      if (this.titleSimilarity(claim.normalizedTitle, normalizedTitle) >= this.titleThreshold) {
+        return claim;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 전송 전 중복 확인 및 선점
+   * 다른 출처가 이미 전송(또는 전송 중)한 아티클이면 그 기록에 현재 출처를 추가하고 duplicate로 반환
+   * @param {Object} article - { url, title }
+   * @param {string} source - 출처 이름
+   * @returns {Promise<{duplicate: boolean, claimId: string|null, primarySource: string|null}>}
+   */
+  async claim(article, source) {
+    const resolvedUrl = article.url ? await this.resolveUrl(article.url) : '';
+    const id = canonicalizeUrl(resolvedUrl) || `title:${this.normalizeTitle(article.title)}`;
+    const normalizedTitle = this.normalizeTitle(article.title);
+
+    // 리다이렉트 해석 이후 동기 구간에서 확인과 선점을 함께 처리 (병렬 서비스 간 경쟁 방지)
+    const match = this.findMatch(id, normalizedTitle, source);
+
+    if (match) {
+      logger.info(`출처 간 중복 아티클 전송 생략: ${article.title}`, {
+        source,
+        primarySource: match.source
+      });
+
+      // 이미 덧붙인 출처면 원본 메시지를 다시 수정하지 않음
+      if (!match.coveredBy.includes(source)) {
+        match.coveredBy.push(source);
+
+        if (match.sentAt) {
+          this.saveToFile();
+          await this.annotateMessage(match);
+        }
+      }
+
+      return { duplicate: true, claimId: null, primarySource: match.source };
+    }
+
+    this.claims.set(id, {
+      url: resolvedUrl,
+      title: article.title,
+      normalizedTitle,
+      source,
+      claimedAt: new Date().toISOString(),
+      sentAt: null,
+      coveredBy: [],
+      message: null
+    });
+
+    return { duplicate: false, claimId: id, primarySource: null };
+  }
+
+  /**
+   * 전송 완료 기록 (전송 중 다른 출처가 합류했다면 원본 메시지에 반영)
+   * @param {string} claimId - claim()이 반환한 ID
+   * @param {Object} sentMessage - 텔레그램 sendMessage 결과 (사진 미리보기로 보낸 경우 sendPhoto 결과)
+   */
+  async recordDelivery(claimId, sentMessage) {
+    const claim = this.claims.get(claimId);
+    if (!claim) return;
+
+    // 드라이런 결과는 메모리에서만 선점 상태로 유지
+    if (sentMessage?.dry_run || String(sentMessage?.message_id ?? '').startsWith('dry-run')) {
+      return;
+    }
+
+    claim.sentAt = new Date().toISOString();
+
+    // 사진 메시지는 본문 대신 캡션을 수정
+    const isCaption = !sentMessage?.text && !!sentMessage?.caption;
+    const text = isCaption ? sentMessage.caption : sentMessage?.text;
+
+    if (sentMessage?.chat?.id && sentMessage.message_id && text) {
+      claim.message = {
+        chatId: sentMessage.chat.id,
+        messageId: sentMessage.message_id,
+        type: isCaption ? 'caption' : 'text',
+        text,
+        entities: (isCaption ? sentMessage.caption_entities : sentMessage.entities) ?? [],
+        replyMarkup: sentMessage.reply_markup
+      };
+    }
+
+    this.saveToFile();
+
+    if (claim.coveredBy.length > 0) {
+      await this.annotateMessage(claim);
+    }
+  }
+
+  /**
+   * 전송 실패 시 선점 해제
+   */
+  release(claimId) {
+    this.claims.delete(claimId);
+  }
+
+  /**
+   * 원본 메시지에 함께 소개된 출처 덧붙이기
+   * 원문 text + entities를 그대로 사용하므로 기존 서식이 유지됨 (사진 메시지는 caption + caption_entities)
+   */
+  async annotateMessage(claim) {
+    if (!claim.message) {
+      return;
+    }
+
+    const { chatId, messageId, type = 'text', text, entities, replyMarkup } = claim.message;
+    const annotated = `${text}\n\n🔁 함께 소개된 곳: ${claim.coveredBy.join(', ')}`;
+
+    try {
+      await telegramDelivery.call(type === 'caption' ? 'editMessageCaption' : 'editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        ...(type === 'caption'
+          ? { caption: annotated, caption_entities: entities }
+          : { text: annotated, entities }),
+        // 수정하면서 인라인 버튼이 사라지지 않도록 유지
+        ...(replyMarkup && { reply_markup: replyMarkup })
+      });
+
+      logger.info('원본 메시지에 함께 소개된 출처 추가', {
+        primarySource: claim.source,
+        coveredBy: claim.coveredBy
+      });
+    } catch (error) {
+      logError(error, {
+        context: '출처 간 중복 메시지 수정 실패',
+        title: claim.title
+      });
+    }
+  }
+}
+
+module.exports = new CrossSourceDeduper();
\ No newline at end of file
@@ -0,0 +1,304 @@
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../../config/config');
+const { logger } = require('../../utils/logger');
+const { canonicalizeUrl } = require('../../utils/urlUtils');
+const { readJson, writeJsonAtomic, withFileLock } = require('../../utils/fileStore');
+const { OUTBOX_SETTINGS } = require('../../domain/constants/ServiceConstants');
+
+/**
+ * 전송 대기열 (outbox)
+ * 전송할 아티클을 먼저 대기열에 넣고, 전송에 성공한 뒤에만 대기열에서 제거
+ *
+ * - 실패한 아티클은 이후 실행에서 지수 백오프로 다시 전송 (OUTBOX_RETRY_BASE_MINUTES, 최대 24시간 간격)
+ * - OUTBOX_MAX_ATTEMPTS회 실패하면 실패 보관함(dead letter)으로 이동
+ * - 실패 보관함은 scripts/outbox-manager.js로 확인하고 다시 대기열에 넣을 수 있음
+ *
+ * 실행 모드별 저장 전략:
+ * - 기본 (CI, start:times 등 상주 모드): .cache 파일에 보관 (실행/재시작 간 유지)
+ * - --once: 우회 (파일을 읽거나 쓰지 않고 이번 실행 안에서만 사용)
+ *
+ * 저장할 때는 파일 잠금 안에서 디스크의 대기열을 다시 읽어, 이 프로세스가 바꾼 항목만 반영 (다른 프로세스의 변경 보존)
+ */
+class DeliveryOutbox {
+  constructor(options = {}) {
+    // 전송 대기 아티클 (ID → { id, domainName, serviceKey, url, title, article, attempts, enqueuedAt, nextAttemptAt, lastError })
+    this.items = {};
+    // 실패 보관함 (ID → 대기 항목 + deadAt)
+    this.deadLetters = {};
+    // 마지막 저장 이후 이 프로세스가 추가/변경/삭제한 항목 ID
+    this.dirtyIds = new Set();
+    // dry-run 모드 상태
+    this.isDryRun = false;
+    this.maxAttempts = options.maxAttempts ?? config.outbox.maxAttempts;
+    this.retryBaseMs = (options.retryBaseMinutes ?? config.outbox.retryBaseMinutes) * 60 * 1000;
+    this.storeMode = this.determineStoreMode(options);
+    this.storeFile = path.join(options.cacheDir ?? '.cache', 'rss-outbox.json');
+
+    if (this.storeMode === 'file') {
+      this.load();
+    }
+  }
+
+  /**
+   * 실행 모드에 따른 저장 전략 결정
+   */
+  determineStoreMode(options = {}) {
+    if (options.storeMode) {
+      return options.storeMode;
+    }
+
+    if (process.env.CI === 'true') {
+      return 'file';
+    }
+
+    if (process.argv.includes('--once')) {
+      return 'bypass';
+    }
+
+    return 'file';
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+  }
+
+  /**
+   * 파일 저장소 사용 (CLI 등 CI 밖에서 파일을 다룰 때)
+   */
+  useFileStore(storeFile = this.storeFile) {
+    this.storeMode = 'file';
+    this.storeFile = storeFile;
+    this.load();
+  }
+
+  /**
+   * 파일에서 대기열 로드
+   */
+  load() {
+    try {
+      const data = readJson(this.storeFile, {});
+      this.items = data.items ?? {};
+      this.deadLetters = data.deadLetters ?? {};
+      this.dirtyIds.clear();
+
+      const pending = Object.keys(this.items).length;
+      const dead = Object.keys(this.deadLetters).length;
+      if (pending > 0 || dead > 0) {
+        logger.info(`전송 대기열 로드 완료: 대기 ${pending}개, 실패 보관함 ${dead}개`);
+      }
+    } catch (error) {
+      logger.warn('전송 대기열 파일 로드 실패:', error.message);
+    }
+  }
+
+  /**
+   * 대기 항목 ID (출처 + 정규 URL 기준)
+   */
+  getItemId(domainName, url) {
+    return crypto.createHash('sha1')
+      .update(`${domainName}\n${canonicalizeUrl(url) || url}`)
+      .digest('hex')
+      .substring(0, 10);
+  }
+
+  /**
+   * 아티클을 전송 대기열에 추가 (이미 대기 중이거나 실패 보관함에 있으면 건너뜀)
+   * @param {string} domainName - 출처(도메인) 이름
+   * @param {Array} articles - 전송할 아티클
+   * @param {Object} options - 옵션
+   * @param {Function} options.getUrl - 아티클 URL 추출 함수
+   * @param {string} options.serviceKey - services.json 서비스 키
+   * @returns {Array<Object>} 새로 추가된 대기 항목
+   */
+  enqueue(domainName, articles, { getUrl = (article) => article.url, serviceKey = null } = {}) {
+    const now = new Date().toISOString();
+    const added = [];
+
+    articles.forEach(article => {
+      const url = getUrl(article);
+      const id = this.getItemId(domainName, url);
+
+      if (this.items[id] || this.deadLetters[id]) {
+        return;
+      }
+
+      this.dirtyIds.add(id);
+      this.items[id] = {
+        id,
+        domainName,
+        serviceKey,
+        url,
+        title: article.title,
+        article,
+        attempts: 0,
+        enqueuedAt: now,
+        nextAttemptAt: now,
+        lastError: null
+      };
+      added.push(this.items[id]);
+    });
+
+    if (added.length > 0) {
+      logger.debug(`${domainName} 전송 대기열에 ${added.length}개 추가`);
+      this.save();
+    }
+
+    return added;
+  }
+
+  /**
+   * 전송할 차례가 된 대기 항목 (먼저 들어온 순서)
+   * @param {string} domainName - 출처(도메인) 이름
+   */
+  getDue(domainName, now = new Date()) {
+    return Object.values(this.items)
+      .filter(item => item.domainName === domainName && new Date(item.nextAttemptAt) <= now)
+      .sort((a, b) => new Date(a.enqueuedAt) - new Date(b.enqueuedAt));
+  }
+
+  /**
+   * 전송 성공 처리 (대기열에서 제거, 다른 출처가 이미 전송한 경우 포함)
+   */
+  markDelivered(id) {
+    if (!this.items[id]) {
+      return;
+    }
+
+    delete this.items[id];
+    this.dirtyIds.add(id);
+    this.save();
+  }
+
+  /**
+   * 전송 실패 처리
+   * 재시도 횟수가 남았으면 다음 전송 시각을 미루고, 모두 쓰면 실패 보관함으로 이동
+   * @returns {Object|null} 갱신된 항목 (실패 보관함으로 옮긴 경우 deadAt 포함)
+   */
+  markFailed(id, error, now = new Date()) {
+    const item = this.items[id];
+    if (!item) {
+      return null;
+    }
+
+    this.dirtyIds.add(id);
+    item.attempts++;
+    item.lastError = error?.message ?? String(error);
+    item.lastAttemptAt = now.toISOString();
+
+    if (item.attempts >= this.maxAttempts) {
+      delete this.items[id];
+      this.deadLetters[id] = { ...item, deadAt: now.toISOString() };
+      logger.warn(`${item.domainName} 전송 ${item.attempts}회 실패, 실패 보관함으로 이동: ${item.title}`, {
+        id,
+        error: item.lastError
+      });
+      this.save();
+      return this.deadLetters[id];
+    }
+
+    const delay = Math.min(this.retryBaseMs * Math.pow(2, item.attempts - 1), OUTBOX_SETTINGS.MAX_RETRY_DELAY_MS);
+    item.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+    logger.info(`${item.domainName} 전송 실패 (${item.attempts}/${this.maxAttempts}), ${item.nextAttemptAt} 이후 다시 전송: ${item.title}`);
+    this.save();
+    return item;
+  }
+
+  /**
+   * 실패 보관함의 항목을 다시 대기열에 추가 (재시도 횟수 초기화, 다음 실행에서 바로 전송)
+   * @param {string} id - 항목 ID
+   * @returns {Object|null} 다시 추가된 항목 (없으면 null)
+   */
+  requeue(id) {
+    const deadLetter = this.deadLetters[id];
+    if (!deadLetter) {
+      return null;
+    }
+
+    const { deadAt, ...item } = deadLetter;
+    delete this.deadLetters[id];
+    this.items[id] = { ...item, attempts: 0, nextAttemptAt: new Date().toISOString() };
+    this.dirtyIds.add(id);
+    this.save();
+    return this.items[id];
+  }
+
+  /**
+   * 실패 보관함에서 삭제
+   * @returns {boolean} 삭제 여부
+   */
+  drop(id) {
+    if (!this.deadLetters[id]) {
+      return false;
+    }
+
+    delete this.deadLetters[id];
+    this.dirtyIds.add(id);
+    this.save();
+    return true;
+  }
+
+  /**
+   * 대기 항목 목록
+   */
+  getPending() {
+    return Object.values(this.items);
+  }
+
+  /**
+   * 실패 보관함 목록
+   */
+  getDeadLetters() {
+    return Object.values(this.deadLetters);
+  }
+
+  /**
+   * 대기열 통계
+   */
+  getStats() {
+    return {
+      pending: Object.keys(this.items).length,
+      deadLetters: Object.keys(this.deadLetters).length
+    };
+  }
+
+  /**
+   * 대기열 파일 저장 (file 모드에서만, dry-run에서는 저장하지 않음)
+   * 디스크의 대기열에 이 프로세스가 바꾼 항목만 덮어써서 병합
+   */
+  save() {
+    if (this.storeMode !== 'file' || this.isDryRun || this.dirtyIds.size === 0) {
+      return;
+    }
+
+    try {
+      withFileLock(this.storeFile, () => {
+        const data = readJson(this.storeFile, {});
+        const items = data.items ?? {};
+        const deadLetters = data.deadLetters ?? {};
+
+        this.dirtyIds.forEach(id => {
+          [[items, this.items], [deadLetters, this.deadLetters]].forEach(([stored, current]) => {
+            if (current[id]) {
+              stored[id] = current[id];
+            } else {
+              delete stored[id];
+            }
+          });
+        });
+
+        writeJsonAtomic(this.storeFile, { items, deadLetters });
+        this.items = items;
+        this.deadLetters = deadLetters;
+        this.dirtyIds.clear();
+      });
+    } catch (error) {
+      logger.warn('전송 대기열 저장 실패:', error.message);
+    }
+  }
+}
+
+module.exports = new DeliveryOutbox();
\ No newline at end of file
@@ -0,0 +1,174 @@
+const path = require('path');
+const axios = require('axios');
+const { logger } = require('../../utils/logger');
+const { readJson, writeJsonAtomic } = require('../../utils/fileStore');
+
+// rss-parser parseURL과 동일한 기본 요청 헤더
+const DEFAULT_HEADERS = {
+  'User-Agent': 'rss-parser',
+  'Accept': 'application/rss+xml'
+};
+
+/**
+ * 조건부 GET 기반 피드 수집기
+ * feedUrl별 ETag / Last-Modified를 기억해 다음 요청에
+ * If-None-Match / If-Modified-Since 헤더로 전송하고, 304 응답은 파싱 없이 "변경 없음"으로 처리
+ *
+ * 새 검증자는 피드를 파싱한 시점에는 보류해 두고, 스케줄러가 아티클을 전송하거나 전송 대기열에 넣은 뒤에
+ * commitValidators로 확정 (전송 전에 실패하면 다음 실행에서 304를 받아 아티클을 놓치지 않도록)
+ *
+ * 저장 모드 (SentHistory와 동일한 기준, 위에서부터 먼저 맞는 모드 사용):
+ * - file: CI 환경(CI=true)에서 .cache 디렉토리에 영속화 (GitHub Actions의 --once 실행도 여기에 해당)
+ * - bypass: CI가 아닌 --once 실행 시 검증자 미사용 (항상 전체 피드 수집)
+ * - memory: 프로세스 내 interval/times 실행 간 공유
+ */
+class FeedFetcher {
+  constructor(options = {}) {
+    this.validators = new Map(); // feedUrl → { etag, lastModified }
+    this.pendingValidators = new Map(); // 전송 완료 전 보류 중인 검증자 (feedUrl → { etag, lastModified } | null)
+    this.storeMode = this.determineStoreMode(options);
+    this.cacheDir = options.cacheDir ?? '.cache';
+    this.cacheFile = path.join(this.cacheDir, 'feed-validators.json');
+
+    if (this.storeMode === 'file') {
+      this.loadFromFile();
+    }
+  }
+
+  /**
+   * 실행 모드에 따른 저장 전략 결정
+   * CI 확인이 --once보다 먼저이므로, CI에서 --once로 실행하면 검증자를 파일에 유지 (bypass 아님)
+   */
+  determineStoreMode(options = {}) {
+    if (options.storeMode) {
+      return options.storeMode;
+    }
+
+    // CI가 우선 (실행마다 새 프로세스이므로 파일에 보관해야 조건부 GET이 의미 있음)
+    if (process.env.CI === 'true') {
+      return 'file';
+    }
+
+    if (process.argv.includes('--once')) {
+      return 'bypass';
+    }
+
+    return 'memory';
+  }
+
+  /**
+   * 파일에서 검증자 로드
+   */
+  loadFromFile() {
+    try {
+      const data = readJson(this.cacheFile, {});
+      Object.entries(data).forEach(([feedUrl, validator]) => {
+        this.validators.set(feedUrl, validator);
+      });
+      logger.info(`피드 검증자 로드 완료: ${this.validators.size}개 피드`);
+    } catch (error) {
+      logger.warn('피드 검증자 파일 로드 실패:', error.message);
+    }
+  }
+
+  /**
+   * 파일에 검증자 저장 (file 모드에서만)
+   */
+  saveToFile() {
+    if (this.storeMode !== 'file') {
+      return;
+    }
+
+    try {
+      writeJsonAtomic(this.cacheFile, Object.fromEntries(this.validators));
+    } catch (error) {
+      logger.warn('피드 검증자 파일 저장 실패:', error.message);
+    }
+  }
+
+  /**
+   * 저장된 검증자로 조건부 요청 헤더 생성
+   */
+  getConditionalHeaders(feedUrl) {
+    const validator = this.validators.get(feedUrl);
+    if (!validator || this.storeMode === 'bypass') {
+      return {};
+    }
+
+    const headers = {};
+    if (validator.etag) {
+      headers['If-None-Match'] = validator.etag;
+    }
+    if (validator.lastModified) {
+      headers['If-Modified-Since'] = validator.lastModified;
+    }
+    return headers;
+  }
+
+  /**
+   * 응답 헤더의 검증자를 전송 완료 전까지 보류 (검증자가 없으면 null로 보류해 확정 시 삭제)
+   */
+  storeValidators(feedUrl, responseHeaders) {
+    const etag = responseHeaders.etag;
+    const lastModified = responseHeaders['last-modified'];
+
+    this.pendingValidators.set(feedUrl, etag || lastModified ? { etag, lastModified } : null);
+  }
+
+  /**
+   * 보류 중인 검증자 확정 (피드의 아티클을 전송하거나 전송 대기열에 넣은 뒤 호출)
+   * @param {string} feedUrl - 피드 URL
+   */
+  commitValidators(feedUrl) {
+    if (!feedUrl || !this.pendingValidators.has(feedUrl)) {
+      return;
+    }
+
+    const validator = this.pendingValidators.get(feedUrl);
+    this.pendingValidators.delete(feedUrl);
+
+    if (validator) {
+      this.validators.set(feedUrl, validator);
+    } else if (!this.validators.delete(feedUrl)) {
+      return;
+    }
+
+    this.saveToFile();
+  }
+
+  /**
+   * 조건부 GET으로 피드 수집 및 파싱
+   * @param {RSSParser} parser - rss-parser 인스턴스 (헤더, 타임아웃, 커스텀 필드 설정 재사용)
+   * @param {string} feedUrl - 피드 URL
+   * @param {Object} options - 옵션
+   * @param {boolean} options.conditional - 조건부 요청 사용 여부 (기본값: true)
+   * @returns {Promise<Object>} 파싱된 피드, 304이면 { notModified: true, items: [] }
+   */
+  async fetch(parser, feedUrl, { conditional = true } = {}) {
+    const response = await axios.get(feedUrl, {
+      timeout: parser.options.timeout,
+      maxRedirects: parser.options.maxRedirects,
+      responseType: 'text',
+      headers: {
+        ...DEFAULT_HEADERS,
+        ...parser.options.headers,
+        ...(conditional ? this.getConditionalHeaders(feedUrl) : {})
+      },
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    if (response.status === 304) {
+      logger.info('피드 변경 없음 (304 Not Modified)', { feedUrl });
+      return { notModified: true, items: [] };
+    }
+
+    const feed = await parser.parseString(response.data);
+    // 상태 확인 등 조건부가 아닌 요청은 아티클을 전송하지 않으므로 검증자를 보류하지 않음
+    if (conditional) {
+      this.storeValidators(feedUrl, response.headers);
+    }
+    return feed;
+  }
+}
+
+module.exports = new FeedFetcher();
\ No newline at end of file
@@ -0,0 +1,252 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { logger } = require('../../utils/logger');
+const { canonicalizeUrl } = require('../../utils/urlUtils');
+const { serviceManager } = require('../../config/services');
+const { TIMEOUTS, ERROR_CODES } = require('../../domain/constants/ServiceConstants');
+const { ValidationError } = require('../../domain/utils/ValidationUtils');
+const AdvancedContentFilter = require('./advancedContentFilter');
+
+// 페이지 본문에서 필터에 넘길 최대 글자 수
+const MAX_PAGE_TEXT_LENGTH = 20000;
+
+// 페이지를 직접 가져올 때 따라가는 최대 리다이렉트 수 (리다이렉트마다 호스트 다시 확인)
+const MAX_PAGE_REDIRECTS = 5;
+
+/**
+ * 컨텐츠 필터 판정 설명기
+ * 기대한 아티클이 전송되지 않았을 때 AdvancedContentFilter가 왜 거절했는지 확인하는 용도
+ *
+ * 입력:
+ * - URL: 서비스 피드에서 같은 아티클을 찾아 실제 수집 시와 동일한 원본 아이템으로 판정
+ *        (피드에 없으면 페이지를 직접 가져와 제목/설명/본문으로 판정)
+ * - 피드 아이템: { title, link, contentEncoded | summary | content | description }
+ *
+ * 서비스를 지정하지 않으면 URL 호스트로 services.json의 서비스를 추정하고,
+ * 찾지 못하면 기본 프로필의 일반(관대하지 않은) 필터로 판정
+ *
+ * 웹훅 서버가 요청받은 URL을 가져오므로, 페이지는 services.json 서비스(url, feedUrl)의 호스트에서만 가져옴
+ * 잘못된 입력(존재하지 않는 서비스, 허용하지 않는 URL)은 ValidationError (웹훅 응답 400)
+ */
+class FilterExplainer {
+  /**
+   * URL 호스트와 일치하는 서비스 키 추정
+   */
+  findServiceKeyByUrl(url) {
+    const host = this.getHost(url);
+    if (!host) {
+      return null;
+    }
+
+    const service = serviceManager.getEnabledServices().find(candidate =>
+      [candidate.url, candidate.feedUrl].some(serviceUrl => this.getHost(serviceUrl) === host)
+    );
+
+    return service?.key ?? null;
+  }
+
+  /**
+   * URL 호스트 (www. 제외, 잘못된 URL이면 null)
+   */
+  getHost(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 페이지를 직접 가져와도 되는 URL인지 확인 (http/https이면서 services.json 서비스의 호스트)
+   */
+  assertFetchableUrl(url) {
+    let protocol;
+    try {
+      protocol = new URL(url).protocol;
+    } catch {
+      throw new ValidationError(`잘못된 URL입니다: ${url}`, ERROR_CODES.VALIDATION_ERROR, 'url');
+    }
+
+    const host = this.getHost(url);
+    const allowed = serviceManager.services.some(service =>
+      [service.url, service.feedUrl].some(serviceUrl => this.getHost(serviceUrl) === host)
+    );
+
+    if (!['http:', 'https:'].includes(protocol) || !allowed) {
+      throw new ValidationError(
+        `services.json에 등록된 서비스 호스트의 페이지만 가져올 수 있습니다: ${url}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        'url'
+      );
+    }
+  }
+
+  /**
+   * 서비스의 RSS 파서 로드 (서비스가 실제로 사용하는 필터 설정을 그대로 재사용)
+   */
+  async loadParser(serviceKey) {
+    const serviceConfig = serviceManager.getServiceByKey(serviceKey);
+    if (!serviceConfig?.enabled) {
+      throw new ValidationError(
+        `${serviceConfig ? '비활성화된' : '존재하지 않는'} 서비스입니다: ${serviceKey}`,
+        serviceConfig ? ERROR_CODES.SERVICE_DISABLED : ERROR_CODES.SERVICE_NOT_FOUND,
+        'service'
+      );
+    }
+
+    const { service } = await serviceManager.loadServiceModule(serviceKey, {
+      isDryRun: true,
+      cache: { cacheMode: 'memory' }
+    });
+    const rssParser = service.articleService?.rssParser;
+
+    if (!rssParser?.contentFilter) {
+      throw new ValidationError(`${serviceKey} 서비스는 컨텐츠 필터를 사용하지 않습니다`, ERROR_CODES.VALIDATION_ERROR, 'service');
+    }
+
+    return rssParser;
+  }
+
+  /**
+   * 지정한 서비스 또는 URL로 추정한 서비스의 파서 로드
+   * 추정한 서비스가 필터를 사용하지 않으면 서비스 없이 판정
+   */
+  async resolveParser(service, url) {
+    if (service) {
+      return { serviceKey: service, rssParser: await this.loadParser(service) };
+    }
+
+    const serviceKey = url ? this.findServiceKeyByUrl(url) : null;
+    if (!serviceKey) {
+      return { serviceKey: null, rssParser: null };
+    }
+
+    try {
+      return { serviceKey, rssParser: await this.loadParser(serviceKey) };
+    } catch (error) {
+      logger.warn(`추정한 서비스(${serviceKey})의 필터를 사용할 수 없습니다:`, error.message);
+      return { serviceKey: null, rssParser: null };
+    }
+  }
+
+  /**
+   * 판정에 사용할 필터 결정 (프로필 지정 시 서비스 설정을 유지한 채 프로필만 교체)
+   */
+  resolveFilter(rssParser, profile) {
+    const baseFilter = rssParser?.contentFilter;
+
+    if (baseFilter && !profile) {
+      return baseFilter;
+    }
+
+    return new AdvancedContentFilter({
+      source: baseFilter?.source,
+      lenientSources: baseFilter?.isLenientSource ? [baseFilter.source] : [],
+      profile
+    });
+  }
+
+  /**
+   * 서비스 피드에서 URL이 같은 원본 아이템 검색
+   */
+  async findFeedItem(rssParser, url) {
+    const target = canonicalizeUrl(url);
+    const feed = await rssParser.parseFeed({ conditional: false });
+
+    return feed.items.find(item => canonicalizeUrl(item.link || item.guid) === target) ?? null;
+  }
+
+  /**
+   * 페이지를 직접 가져와 피드 아이템 형태로 변환
+   * 리다이렉트는 직접 따라가며 이동할 URL도 허용한 호스트인지 확인
+   */
+  async fetchPageItem(url) {
+    let pageUrl = url;
+    let response;
+
+    for (let redirects = 0; ; redirects++) {
+      this.assertFetchableUrl(pageUrl);
+      response = await axios.get(pageUrl, {
+        timeout: TIMEOUTS.HTTP_REQUEST,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        }
+      });
+
+      if (response.status < 300) {
+        break;
+      }
+      if (!response.headers.location || redirects >= MAX_PAGE_REDIRECTS) {
+        throw new Error(`페이지를 가져올 수 없습니다 (HTTP ${response.status}): ${pageUrl}`);
+      }
+      pageUrl = new URL(response.headers.location, pageUrl).href;
+    }
+
+    const $ = cheerio.load(response.data);
+    $('script, style, noscript').remove();
+
+    const title = $('meta[property="og:title"]').attr('content') || $('title').first().text();
+    const description = $('meta[property="og:description"]').attr('content') ||
+      $('meta[name="description"]').attr('content') || '';
+    const body = ($('article').first().text() || $('body').text())
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, MAX_PAGE_TEXT_LENGTH);
+
+    return {
+      title: title.trim(),
+      link: url,
+      content: `${description} ${body}`.trim()
+    };
+  }
+
+  /**
+   * URL 기준 판정 설명
+   * @param {string} url - 아티클 URL
+   * @param {Object} options - 옵션
+   * @param {string} options.service - 서비스 키 (미지정 시 URL 호스트로 추정)
+   * @param {string} options.profile - 필터 프로필 이름 (미지정 시 서비스 설정)
+   */
+  async explainUrl(url, { service, profile } = {}) {
+    const { serviceKey, rssParser } = await this.resolveParser(service, url);
+
+    let item = null;
+    let origin = 'page';
+
+    if (rssParser) {
+      try {
+        item = await this.findFeedItem(rssParser, url);
+        origin = item ? 'feed' : 'page';
+      } catch (error) {
+        logger.warn('피드에서 아티클 검색 실패, 페이지로 판정합니다:', error.message);
+      }
+    }
+
+    if (!item) {
+      item = await this.fetchPageItem(url);
+    }
+
+    return {
+      input: { url, service: serviceKey, origin },
+      ...this.resolveFilter(rssParser, profile).explain(item)
+    };
+  }
+
+  /**
+   * 피드 아이템 기준 판정 설명
+   * @param {Object} item - 원본 피드 아이템
+   * @param {Object} options - explainUrl과 동일
+   */
+  async explainItem(item, { service, profile } = {}) {
+    const { serviceKey, rssParser } = await this.resolveParser(service, item.link);
+
+    return {
+      input: { url: item.link || item.guid || null, service: serviceKey, origin: 'item' },
+      ...this.resolveFilter(rssParser, profile).explain(item)
+    };
+  }
+}
+
+module.exports = new FilterExplainer();
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { logger } = require('../../utils/logger');
+const filterExplainer = require('./filterExplainer');
+
+class FilterRoutes {
+  /**
+   * @param {Function} authorize - 요청 인증 함수 (req → boolean, 웹훅 시크릿 검증 재사용)
+   */
+  constructor(authorize = () => true) {
+    this.authorize = authorize;
+  }
+
+  /**
+   * 필터 판정 설명 요청 처리 공통 로직
+   */
+  async handleExplain(req, res, input) {
+    if (!this.authorize(req)) {
+      logger.warn('필터 판정 설명 요청 인증 실패', { ip: req.ip });
+      res.status(401).json({ error: '인증 실패' });
+      return;
+    }
+
+    const { url, item, service, profile } = input;
+    if (!url && !item) {
+      res.status(400).json({
+        success: false,
+        error: 'url 또는 item이 필요합니다'
+      });
+      return;
+    }
+
+    try {
+      logger.info('필터 판정 설명 요청', { url: url || item.link, service, profile });
+      const explanation = url
+        ? await filterExplainer.explainUrl(url, { service, profile })
+        : await filterExplainer.explainItem(item, { service, profile });
+
+      res.json({
+        success: true,
+        explanation
+      });
+    } catch (error) {
+      // 존재하지 않는 프로필 등 입력 오류는 400
+      res.status(error.name === 'ValidationError' ? 400 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * 필터 관련 라우트들을 Express 앱에 등록
+   */
+  registerRoutes(app) {
+    // URL 판정 설명: GET /filter/explain?url=...&service=...&profile=...
+    app.get('/filter/explain', (req, res) => this.handleExplain(req, res, req.query));
+
+    // URL 또는 피드 아이템 판정 설명: POST /filter/explain { url | item, service, profile }
+    app.post('/filter/explain', (req, res) => this.handleExplain(req, res, req.body ?? {}));
+  }
+}
+
+module.exports = FilterRoutes;
\ No newline at end of file
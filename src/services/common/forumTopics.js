@@ -0,0 +1,289 @@
+const path = require('path');
+const { config } = require('../../config/config');
+const { serviceManager } = require('../../config/services');
+const { logger } = require('../../utils/logger');
+const { readJson, writeJsonAtomic, withFileLock } = require('../../utils/fileStore');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+
+// 토픽 생성에 실패한 뒤 다시 시도하기까지 기다리는 시간 (권한 부족 등은 고쳐질 때까지 아티클마다 실패하므로)
+const CREATE_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// 다른 프로세스가 만드는 중인 토픽의 선점 유효 시간 (생성 중 비정상 종료되면 이 시간 뒤 다시 만들 수 있음)
+const CREATE_CLAIM_TTL_MS = 60 * 1000;
+
+/**
+ * 텔레그램 포럼 토픽
+ * 포럼(토픽)을 사용하는 슈퍼그룹에서 아티클을 서비스 카테고리에 맞는 토픽으로 보내도록 토픽 ID(message_thread_id)를 결정
+ *
+ * - services.json의 chatTopics에 있는 채팅방만 포럼으로 취급 ({ 채팅방 ID: { 카테고리: 토픽 ID } })
+ * - 매핑이 없는 카테고리는 TELEGRAM_TOPIC_AUTO_CREATE면 카테고리 이름으로 토픽을 만들고(createForumTopic) 이후 재사용
+ * - 토픽을 만들 수 없으면(봇에 토픽 관리 권한이 없는 경우 등) 일반 토픽으로 전송
+ *
+ * 실행 모드별 저장 전략:
+ * - 기본 (CI, start:times 등 상주 모드): 자동으로 만든 토픽은 재시작 후에도 유지되어야 하므로(중복 생성 방지) .cache 파일에 보관
+ * - --once: 우회 (파일을 읽거나 쓰지 않으며, 기록이 남지 않아 매번 새로 만들게 되므로 토픽을 자동 생성하지 않음)
+ * dry-run에서는 토픽을 만들지 않고 일반 토픽으로 전송
+ * 생성에 실패한 토픽은 CREATE_RETRY_DELAY_MS 동안 다시 시도하지 않고 일반 토픽으로 전송
+ * 만들기 전에 파일 잠금 안에서 파일을 다시 읽어, 다른 프로세스가 이미 만들었으면 그 토픽을 쓰고
+ * 만드는 중이면(creating 선점) 중복으로 만들지 않고 이번에는 일반 토픽으로 전송
+ */
+class ForumTopics {
+  constructor(options = {}) {
+    // 자동으로 만든 토픽 (채팅방 ID → { 카테고리 → 토픽 ID })
+    this.created = {};
+    // 만드는 중인 토픽 (채팅방 ID:카테고리 → Promise, 여러 서비스가 동시에 같은 토픽을 만들지 않도록)
+    this.pending = new Map();
+    // 만들기에 실패한 토픽 (채팅방 ID:카테고리 → 실패 시각 ms, 아티클마다 다시 시도하지 않도록)
+    this.failed = new Map();
+    // dry-run 모드 상태
+    this.isDryRun = false;
+    this.retryDelayMs = options.retryDelayMs ?? CREATE_RETRY_DELAY_MS;
+    this.storeMode = this.determineStoreMode(options);
+    this.storeFile = path.join(options.cacheDir ?? '.cache', 'rss-forum-topics.json');
+
+    if (this.storeMode === 'file') {
+      this.load();
+    }
+  }
+
+  /**
+   * 실행 모드에 따른 저장 전략 결정
+   */
+  determineStoreMode(options = {}) {
+    if (options.storeMode) {
+      return options.storeMode;
+    }
+
+    if (process.env.CI === 'true') {
+      return 'file';
+    }
+
+    if (process.argv.includes('--once')) {
+      return 'bypass';
+    }
+
+    return 'file';
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+  }
+
+  /**
+   * 파일에서 자동 생성한 토픽 로드
+   */
+  load() {
+    try {
+      this.created = readJson(this.storeFile, {}).created ?? {};
+    } catch (error) {
+      logger.warn('포럼 토픽 파일 로드 실패:', error.message);
+    }
+  }
+
+  /**
+   * 자동 생성한 토픽 저장 (file 모드에서만, dry-run에서는 저장하지 않음)
+   * 다른 프로세스가 만든 토픽도 보존하도록 파일 잠금 안에서 디스크의 목록과 병합
+   */
+  save() {
+    if (this.storeMode !== 'file' || this.isDryRun) {
+      return;
+    }
+
+    try {
+      withFileLock(this.storeFile, () => {
+        const data = readJson(this.storeFile, {});
+        const stored = data.created ?? {};
+        Object.entries(this.created).forEach(([chatId, topics]) => {
+          stored[chatId] = { ...stored[chatId], ...topics };
+        });
+
+        // 만든 토픽과 유효 시간이 지난 선점은 정리
+        const creating = Object.fromEntries(Object.entries(data.creating ?? {}).filter(([key, claim]) => {
+          const [chatId, category] = this.splitKey(key);
+          return stored[chatId]?.[category] === undefined && Date.now() - claim.at < CREATE_CLAIM_TTL_MS;
+        }));
+
+        writeJsonAtomic(this.storeFile, { created: stored, creating });
+        this.created = stored;
+      });
+    } catch (error) {
+      logger.warn('포럼 토픽 저장 실패:', error.message);
+    }
+  }
+
+  /**
+   * 토픽을 만들기 전에 파일 잠금 안에서 다른 프로세스의 생성 여부 확인 후 선점 (file 모드에서만)
+   * @returns {{ topicId?: number, claimed: boolean }} 이미 만든 토픽이면 topicId, 다른 프로세스가 만드는 중이면 claimed: false
+   */
+  claimCreation(chatId, category) {
+    if (this.storeMode !== 'file') {
+      return { claimed: true };
+    }
+
+    return withFileLock(this.storeFile, () => {
+      const data = readJson(this.storeFile, {});
+      const topicId = data.created?.[chatId]?.[category];
+      if (topicId !== undefined) {
+        this.created[chatId] = { ...this.created[chatId], ...data.created[chatId] };
+        return { topicId, claimed: false };
+      }
+
+      const key = `${chatId}:${category}`;
+      const claim = data.creating?.[key];
+      if (claim && claim.pid !== process.pid && Date.now() - claim.at < CREATE_CLAIM_TTL_MS) {
+        return { claimed: false };
+      }
+
+      writeJsonAtomic(this.storeFile, { ...data, creating: { ...data.creating, [key]: { pid: process.pid, at: Date.now() } } });
+      return { claimed: true };
+    });
+  }
+
+  /**
+   * 토픽 생성 선점 해제 (생성 실패 시, file 모드에서만)
+   */
+  releaseCreation(chatId, category) {
+    if (this.storeMode !== 'file') {
+      return;
+    }
+
+    try {
+      withFileLock(this.storeFile, () => {
+        const data = readJson(this.storeFile, {});
+        const { [`${chatId}:${category}`]: released, ...creating } = data.creating ?? {};
+        if (released) {
+          writeJsonAtomic(this.storeFile, { ...data, creating });
+        }
+      });
+    } catch (error) {
+      logger.warn('포럼 토픽 선점 해제 실패:', error.message);
+    }
+  }
+
+  /**
+   * 채팅방 ID:카테고리 키 분리 (채팅방 ID에는 :가 없음)
+   */
+  splitKey(key) {
+    const index = key.indexOf(':');
+    return [key.substring(0, index), key.substring(index + 1)];
+  }
+
+  /**
+   * 포럼 채팅방 여부 (chatTopics에 있는 채팅방)
+   */
+  isForum(chatId) {
+    return serviceManager.chatTopics[String(chatId)] !== undefined;
+  }
+
+  /**
+   * 카테고리 토픽 ID (chatTopics 매핑 → 자동 생성한 토픽)
+   * @returns {number|undefined}
+   */
+  getTopicId(chatId, category) {
+    const id = String(chatId);
+    return serviceManager.chatTopics[id]?.[category] ?? this.created[id]?.[category];
+  }
+
+  /**
+   * 아티클을 보낼 토픽 ID (포럼이 아니거나 정할 수 없으면 undefined → 일반 토픽)
+   * @param {string} chatId - 채팅방 ID
+   * @param {string} category - 서비스 카테고리
+   * @returns {Promise<number|undefined>}
+   */
+  async resolve(chatId, category) {
+    const id = String(chatId);
+    if (!category || !this.isForum(id)) {
+      return undefined;
+    }
+
+    const topicId = this.getTopicId(id, category);
+    const key = `${id}:${category}`;
+    if (topicId !== undefined || !config.telegram.topics.autoCreate || this.storeMode === 'bypass' || this.isRecentlyFailed(key)) {
+      return topicId;
+    }
+
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.createTopic(id, category).finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  /**
+   * 최근에 생성이 실패한 토픽인지 확인 (재시도 대기 시간이 지나면 실패 기록 삭제)
+   */
+  isRecentlyFailed(key, now = Date.now()) {
+    const failedAt = this.failed.get(key);
+    if (failedAt === undefined) {
+      return false;
+    }
+
+    if (now - failedAt >= this.retryDelayMs) {
+      this.failed.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 카테고리 이름으로 포럼 토픽 생성
+   * @returns {Promise<number|undefined>} 만든 토픽 ID (실패하면 undefined)
+   */
+  async createTopic(chatId, category) {
+    const name = serviceManager.categories?.[category] ?? category;
+
+    if (this.isDryRun) {
+      logger.info(`[DRY RUN] 포럼 토픽 생성 시뮬레이션: ${name}`, { chatId, category });
+      return undefined;
+    }
+
+    let claimed = false;
+    try {
+      const claim = this.claimCreation(chatId, category);
+      if (claim.topicId !== undefined) {
+        return claim.topicId;
+      }
+      if (!claim.claimed) {
+        logger.info(`다른 프로세스가 포럼 토픽을 만드는 중, 일반 토픽으로 전송: ${name}`, { chatId, category });
+        return undefined;
+      }
+      claimed = true;
+
+      const topic = await telegramDelivery.call('createForumTopic', { chat_id: chatId, name });
+      this.created[chatId] = { ...this.created[chatId], [category]: topic.message_thread_id };
+      this.save();
+
+      logger.info(`포럼 토픽 생성: ${name}`, { chatId, category, threadId: topic.message_thread_id });
+      return topic.message_thread_id;
+    } catch (error) {
+      if (claimed) {
+        this.releaseCreation(chatId, category);
+      }
+      this.failed.set(`${chatId}:${category}`, Date.now());
+      logger.warn(`포럼 토픽 생성 실패, 일반 토픽으로 전송: ${name}`, { chatId, category, error: error.message });
+      return undefined;
+    }
+  }
+
+  /**
+   * 채팅방별 토픽 목록 (scripts/bot-manager.js topics)
+   * @returns {Array<{ chatId: string, category: string, threadId: number, auto: boolean }>}
+   */
+  getTopics() {
+    return Object.keys(serviceManager.chatTopics).flatMap(chatId => {
+      const mapped = serviceManager.chatTopics[chatId];
+      const created = this.created[chatId] ?? {};
+
+      return [
+        ...Object.entries(mapped).map(([category, threadId]) => ({ chatId, category, threadId, auto: false })),
+        ...Object.entries(created)
+          .filter(([category]) => mapped[category] === undefined)
+          .map(([category, threadId]) => ({ chatId, category, threadId, auto: true }))
+      ];
+    });
+  }
+}
+
+module.exports = new ForumTopics();
\ No newline at end of file
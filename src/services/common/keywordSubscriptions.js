@@ -0,0 +1,347 @@
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { canonicalizeUrl } = require('../../utils/urlUtils');
+const { compilePattern } = require('../../utils/safePattern');
+const { escapeHtml, cleanTitle } = require('../../utils/formatters');
+const { readJson, writeJsonAtomic, withFileLock } = require('../../utils/fileStore');
+const { CACHE_SETTINGS, PARSE_MODES, SUBSCRIPTION_LIMITS } = require('../../domain/constants/ServiceConstants');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+
+/**
+ * 사용자별 키워드 구독
+ * 봇 명령(/watch, /unwatch, /watches)으로 등록한 키워드/정규식에 맞는 새 아티클을 구독한 사용자에게 DM으로 전송
+ *
+ * - 키워드: 대소문자 무시 부분 일치 (예: zustand, react query)
+ * - 정규식: /.../ 형식 (예: /play(wright)?/, 항상 대소문자 무시)
+ *   사용자 입력이므로 RegExp 대신 선형 시간 엔진 RE2(utils/safePattern)로 매칭 (역참조, 전후방 탐색은 거부)
+ * - 필터링을 통과해 전송된 아티클을 모든 출처에 대해 확인 (BaseScheduler.deliverArticles)
+ * - 같은 아티클은 사용자마다 한 번만 전송 (여러 키워드에 맞거나 여러 출처에 올라와도 정규 URL 기준으로 중복 제거)
+ *
+ * DM은 사용자가 봇과 1:1 대화를 시작(/start)한 경우에만 받을 수 있음
+ *
+ * 실행 모드별 저장 전략:
+ * - 기본 (CI, start:times 등 상주 모드): 구독은 재시작 후에도 유지되어야 하므로 .cache 파일에 보관
+ *   저장할 때 파일 잠금 안에서 이 프로세스가 바꾼 사용자의 구독과 전송 이력만 디스크 내용에 반영
+ *   (웹훅 프로세스가 받은 /watch와 스케줄러 프로세스의 전송 이력이 서로 덮어쓰지 않음)
+ * - --once: 우회 (파일을 읽거나 쓰지 않으므로 구독 DM을 보내지 않음)
+ * dry-run에서는 저장하지 않음
+ */
+class KeywordSubscriptions {
+  constructor(options = {}) {
+    // 구독 (사용자 ID → { username, patterns: [{ pattern, regex, addedAt }] })
+    this.subscriptions = {};
+    // 사용자별 전송 이력 (사용자 ID → { 정규 URL → sentAt })
+    this.delivered = {};
+    // 컴파일한 패턴 (패턴 문자열 → 매처, 컴파일할 수 없으면 null)
+    this.compiled = new Map();
+    // dry-run 모드 상태
+    this.isDryRun = false;
+    // 마지막 저장 이후 구독을 추가/삭제한 사용자 ID
+    this.dirtyUsers = new Set();
+    this.storeMode = this.determineStoreMode(options);
+    this.storeFile = path.join(options.cacheDir ?? '.cache', 'rss-subscriptions.json');
+
+    if (this.storeMode === 'file') {
+      this.load();
+    }
+  }
+
+  /**
+   * 실행 모드에 따른 저장 전략 결정
+   */
+  determineStoreMode(options = {}) {
+    if (options.storeMode) {
+      return options.storeMode;
+    }
+
+    if (process.env.CI === 'true') {
+      return 'file';
+    }
+
+    if (process.argv.includes('--once')) {
+      return 'bypass';
+    }
+
+    return 'file';
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+  }
+
+  /**
+   * 파일에서 구독 로드 (전송 이력은 최대 캐시 기간까지만 유지)
+   */
+  load() {
+    try {
+      const data = readJson(this.storeFile, {});
+
+      this.subscriptions = data.subscriptions ?? {};
+      this.delivered = this.pruneDelivered(data.delivered ?? {});
+    } catch (error) {
+      logger.warn('키워드 구독 파일 로드 실패:', error.message);
+    }
+  }
+
+  /**
+   * 최대 캐시 기간이 지난 전송 이력 제거
+   */
+  pruneDelivered(delivered) {
+    const cutoff = Date.now() - CACHE_SETTINGS.MAX_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+    return Object.fromEntries(
+      Object.entries(delivered).map(([userId, history]) => [
+        userId,
+        Object.fromEntries(Object.entries(history).filter(([, sentAt]) => new Date(sentAt).getTime() >= cutoff))
+      ])
+    );
+  }
+
+  /**
+   * 구독 파일 저장 (file 모드에서만, dry-run에서는 저장하지 않음)
+   * 파일 잠금 안에서 디스크의 구독을 다시 읽고, 구독을 바꾼 사용자의 구독과 전송 이력을 반영해 저장한 뒤 병합 결과를 사용
+   * (다른 프로세스가 삭제한 구독은 전송 이력만 있다고 되살리지 않음)
+   */
+  save() {
+    if (this.storeMode !== 'file' || this.isDryRun) {
+      return;
+    }
+
+    try {
+      withFileLock(this.storeFile, () => {
+        const data = readJson(this.storeFile, {});
+        const subscriptions = data.subscriptions ?? {};
+        const delivered = this.pruneDelivered(data.delivered ?? {});
+
+        this.dirtyUsers.forEach(userId => {
+          if (this.subscriptions[userId]) {
+            subscriptions[userId] = this.subscriptions[userId];
+          } else {
+            delete subscriptions[userId];
+            delete delivered[userId];
+          }
+        });
+        Object.entries(this.delivered)
+          .filter(([userId]) => subscriptions[userId])
+          .forEach(([userId, history]) => {
+            delivered[userId] = { ...delivered[userId], ...history };
+          });
+
+        writeJsonAtomic(this.storeFile, { subscriptions, delivered });
+        this.subscriptions = subscriptions;
+        this.delivered = delivered;
+        this.dirtyUsers.clear();
+      });
+    } catch (error) {
+      logger.warn('키워드 구독 저장 실패:', error.message);
+    }
+  }
+
+  /**
+   * 명령 입력을 구독 패턴으로 변환 (/.../ 형식이면 정규식)
+   * @param {string} input - 키워드 또는 /정규식/
+   * @returns {{ pattern: string, regex: boolean }}
+   */
+  parsePattern(input) {
+    const text = String(input ?? '').trim();
+    if (!text) {
+      throw new Error('구독할 키워드나 /정규식/을 입력하세요');
+    }
+    if (text.length > SUBSCRIPTION_LIMITS.MAX_PATTERN_LENGTH) {
+      throw new Error(`구독 패턴은 ${SUBSCRIPTION_LIMITS.MAX_PATTERN_LENGTH}자 이하로 입력하세요`);
+    }
+
+    const regexMatch = text.match(/^\/(.+)\/$/);
+    if (!regexMatch) {
+      return { pattern: text.toLowerCase(), regex: false };
+    }
+
+    try {
+      compilePattern(regexMatch[1]);
+    } catch (error) {
+      throw new Error(`잘못된 정규식입니다: ${error.message}`);
+    }
+    return { pattern: regexMatch[1], regex: true };
+  }
+
+  /**
+   * 패턴 표시 형식 (정규식은 /.../)
+   */
+  formatPattern({ pattern, regex }) {
+    return regex ? `/${pattern}/` : pattern;
+  }
+
+  /**
+   * 구독 추가
+   * @param {Object} user - 텔레그램 사용자 (message.from)
+   * @param {string} input - 키워드 또는 /정규식/
+   * @returns {{ added: boolean, pattern: string }} 이미 구독 중이면 added: false
+   */
+  add(user, input) {
+    const parsed = this.parsePattern(input);
+    const userId = String(user.id);
+    const subscription = this.subscriptions[userId] ?? { username: user.username ?? null, patterns: [] };
+    const display = this.formatPattern(parsed);
+
+    if (subscription.patterns.some(entry => this.formatPattern(entry) === display)) {
+      return { added: false, pattern: display };
+    }
+    if (subscription.patterns.length >= SUBSCRIPTION_LIMITS.MAX_PATTERNS_PER_USER) {
+      throw new Error(`구독은 최대 ${SUBSCRIPTION_LIMITS.MAX_PATTERNS_PER_USER}개까지 등록할 수 있습니다 (/unwatch로 정리)`);
+    }
+
+    subscription.username = user.username ?? subscription.username;
+    subscription.patterns.push({ ...parsed, addedAt: new Date().toISOString() });
+    this.subscriptions[userId] = subscription;
+    this.dirtyUsers.add(userId);
+    this.save();
+
+    logger.info(`키워드 구독 추가: ${display}`, { userId, username: subscription.username });
+    return { added: true, pattern: display };
+  }
+
+  /**
+   * 구독 삭제
+   * @param {string|number} userId - 사용자 ID
+   * @param {string} input - 삭제할 키워드, /정규식/ 또는 /watches 목록 번호
+   * @returns {string|null} 삭제한 패턴 (없으면 null)
+   */
+  remove(userId, input) {
+    const subscription = this.subscriptions[String(userId)];
+    if (!subscription) {
+      return null;
+    }
+
+    const text = String(input ?? '').trim();
+    const index = /^\d+$/.test(text)
+      ? parseInt(text, 10) - 1
+      : subscription.patterns.findIndex(entry => this.formatPattern(entry) === this.formatPattern(this.parsePattern(text)));
+    const [removed] = index >= 0 ? subscription.patterns.splice(index, 1) : [];
+    if (!removed) {
+      return null;
+    }
+
+    if (subscription.patterns.length === 0) {
+      delete this.subscriptions[String(userId)];
+      delete this.delivered[String(userId)];
+    }
+    this.dirtyUsers.add(String(userId));
+    this.save();
+
+    logger.info(`키워드 구독 삭제: ${this.formatPattern(removed)}`, { userId });
+    return this.formatPattern(removed);
+  }
+
+  /**
+   * 사용자의 구독 목록 (표시 형식)
+   */
+  list(userId) {
+    return (this.subscriptions[String(userId)]?.patterns ?? []).map(entry => this.formatPattern(entry));
+  }
+
+  /**
+   * 전체 구독 목록 (scripts/bot-manager.js subscriptions)
+   */
+  getAll() {
+    return Object.entries(this.subscriptions).map(([userId, subscription]) => ({
+      userId,
+      username: subscription.username,
+      patterns: subscription.patterns.map(entry => this.formatPattern(entry)),
+      delivered: Object.keys(this.delivered[userId] ?? {}).length
+    }));
+  }
+
+  /**
+   * 구독 패턴이 아티클에 맞는지 확인
+   */
+  matches(entry, text) {
+    if (!entry.regex) {
+      return text.toLowerCase().includes(entry.pattern);
+    }
+
+    if (!this.compiled.has(entry.pattern)) {
+      try {
+        this.compiled.set(entry.pattern, compilePattern(entry.pattern));
+      } catch (error) {
+        // 지원 문법이 바뀌기 전에 저장된 패턴은 매칭하지 않음 (/unwatch로 정리)
+        logger.warn(`키워드 구독 정규식을 사용할 수 없습니다: /${entry.pattern}/`, { error: error.message });
+        this.compiled.set(entry.pattern, null);
+      }
+    }
+    return this.compiled.get(entry.pattern)?.test(text) ?? false;
+  }
+
+  /**
+   * 아티클에 맞는 구독 (이미 DM을 보낸 사용자 제외)
+   * @param {Object} article - 아티클 (title, description, categories/tags)
+   * @param {string} key - 중복 제거 키 (정규 URL)
+   * @returns {Array<{ userId: string, patterns: Array<string> }>}
+   */
+  match(article, key) {
+    const tags = article.categories ?? article.tags ?? [];
+    const text = [article.title, article.description, ...(Array.isArray(tags) ? tags : [])]
+      .filter(value => typeof value === 'string' && value)
+      .join('\n');
+
+    return Object.entries(this.subscriptions)
+      .filter(([userId]) => !this.delivered[userId]?.[key])
+      .map(([userId, subscription]) => ({
+        userId,
+        patterns: subscription.patterns.filter(entry => this.matches(entry, text)).map(entry => this.formatPattern(entry))
+      }))
+      .filter(({ patterns }) => patterns.length > 0);
+  }
+
+  /**
+   * 새 아티클을 구독한 사용자에게 DM 전송
+   * 사용자별 전송 실패는 기록만 하고 넘어감 (채팅방 전송 결과에 영향 없음)
+   * @param {Object} article - 전송된 아티클
+   * @param {Object} options - 옵션
+   * @param {string} options.url - 아티클 URL (중복 제거 키)
+   * @param {string} options.serviceKey - 서비스 키 (통계 출처)
+   * @param {string} options.sourceName - 메시지에 표시할 출처 이름
+   * @returns {Promise<number>} DM을 보낸 사용자 수
+   */
+  async notify(article, { url = article.url ?? article.link, serviceKey, sourceName } = {}) {
+    if (!url || Object.keys(this.subscriptions).length === 0) {
+      return 0;
+    }
+
+    const key = canonicalizeUrl(url) || url;
+    let sent = 0;
+
+    for (const { userId, patterns } of this.match(article, key)) {
+      const text = [
+        `🔔 <b>구독 키워드 알림</b> · ${patterns.map(pattern => `<code>${escapeHtml(pattern)}</code>`).join(', ')}`,
+        '',
+        sourceName ? `[ ${escapeHtml(sourceName)} ]` : null,
+        `<a href="${escapeHtml(url)}">${escapeHtml(cleanTitle(article.title ?? '') || url)}</a>`
+      ].filter(line => line !== null).join('\n');
+
+      try {
+        await telegramDelivery.send(text, {
+          chatId: userId,
+          parseMode: PARSE_MODES.HTML,
+          source: serviceKey ?? 'subscription'
+        });
+        this.delivered[userId] = { ...this.delivered[userId], [key]: new Date().toISOString() };
+        sent++;
+      } catch (error) {
+        // 봇과 대화를 시작하지 않았거나 봇을 차단한 사용자는 403 (오류 상세는 telegramDelivery가 기록)
+        logger.warn(`키워드 구독 DM 전송 실패: ${article.title}`, { userId, error: error.message });
+      }
+    }
+
+    if (sent > 0) {
+      this.save();
+      logger.info(`키워드 구독 DM 전송: ${article.title}`, { users: sent });
+    }
+
+    return sent;
+  }
+}
+
+module.exports = new KeywordSubscriptions();
\ No newline at end of file
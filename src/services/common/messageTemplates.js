@@ -0,0 +1,105 @@
+const { config } = require('../../config/config');
+const { serviceManager } = require('../../config/services');
+const { formatMessage, formatDate, cleanTitle } = require('../../utils/formatters');
+const { compileTemplate, normalizeTemplate, renderTemplate } = require('../../utils/messageTemplate');
+
+/**
+ * 서비스/채팅방별 메시지 템플릿
+ * 템플릿 결정 우선순위: 서비스의 messageTemplate (generic 서비스는 generic.messageTemplate도 허용)
+ * → chatTemplates[채팅방 ID] (services.json 최상위) → 표준 포맷 (formatMessage)
+ *
+ * parse mode는 템플릿 객체의 parseMode → TELEGRAM_PARSE_MODE 순으로 결정
+ */
+class MessageTemplates {
+  constructor() {
+    // 컴파일된 템플릿 캐시 (템플릿 문자열 → 토큰)
+    this.compiled = new Map();
+  }
+
+  /**
+   * 적용할 템플릿 (없으면 null)
+   * @param {string} serviceKey - 서비스 키
+   * @param {string} chatId - 채팅방 ID (기본값: TELEGRAM_CHAT_ID)
+   * @returns {{ text: string, parseMode: string|null }|null}
+   */
+  getTemplate(serviceKey, chatId = config.telegram.chatId) {
+    const service = serviceKey ? serviceManager.getServiceByKey(serviceKey) : null;
+
+    return normalizeTemplate(
+      service?.messageTemplate
+        ?? service?.generic?.messageTemplate
+        ?? serviceManager.chatTemplates[chatId]
+    );
+  }
+
+  /**
+   * 메시지 전송에 사용할 parse mode
+   * @param {string} serviceKey - 서비스 키
+   * @param {string} chatId - 채팅방 ID (기본값: TELEGRAM_CHAT_ID)
+   * @returns {string} HTML | MarkdownV2 | plain
+   */
+  getParseMode(serviceKey, chatId = config.telegram.chatId) {
+    return this.getTemplate(serviceKey, chatId)?.parseMode ?? config.message.parseMode;
+  }
+
+  /**
+   * 템플릿에 넘길 값 구성
+   * @param {Object} post - 아티클 ({ title, url, source, description, author, date | time, tags, score })
+   * @param {string} serviceKey - 서비스 키 (카테고리 이름 조회)
+   */
+  buildValues(post, serviceKey) {
+    const service = serviceKey ? serviceManager.getServiceByKey(serviceKey) : null;
+    const date = post.date ?? post.time;
+    const description = String(post.description ?? '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const score = Number(post.score);
+
+    return {
+      source: post.source,
+      title: cleanTitle(post.title),
+      url: post.url,
+      description: description === '내용 없음' ? '' : description,
+      author: post.author,
+      date: date && !isNaN(new Date(date).getTime()) ? formatDate(date) : '',
+      tags: Array.isArray(post.tags) ? post.tags : [],
+      score: post.score !== undefined && post.score !== null && Number.isFinite(score)
+        ? Number(score.toFixed(2))
+        : '',
+      category: serviceManager.categories?.[service?.category] ?? service?.category ?? post.category ?? ''
+    };
+  }
+
+  /**
+   * 템플릿 렌더링 (템플릿 컴파일 결과 캐시)
+   */
+  render(template, post, serviceKey, parseMode = config.message.parseMode) {
+    if (!this.compiled.has(template)) {
+      this.compiled.set(template, compileTemplate(template));
+    }
+
+    return renderTemplate(this.compiled.get(template), this.buildValues(post, serviceKey), parseMode);
+  }
+
+  /**
+   * 아티클 메시지 포맷팅 (템플릿이 없으면 표준 포맷)
+   * @param {Object} post - 표준 포맷 아티클 ({ title, url, source, ... })
+   * @param {string} serviceKey - 서비스 키
+   * @param {Object} options - 옵션
+   * @param {string} options.chatId - 전송할 채팅방 ID
+   * @param {string|Object} options.template - 설정 대신 사용할 템플릿 (CLI 미리보기용)
+   * @param {string} options.parseMode - 설정 대신 사용할 parse mode (CLI 미리보기용)
+   * @returns {string} 메시지 (getParseMode와 같은 parse mode로 이스케이프됨)
+   */
+  format(post, serviceKey, { chatId, template, parseMode: parseModeOverride } = {}) {
+    const selected = template !== undefined ? normalizeTemplate(template) : this.getTemplate(serviceKey, chatId);
+    const parseMode = parseModeOverride ?? selected?.parseMode ?? this.getParseMode(serviceKey, chatId);
+
+    return selected
+      ? this.render(selected.text, post, serviceKey, parseMode)
+      : formatMessage(post, post.source, parseMode);
+  }
+}
+
+module.exports = new MessageTemplates();
\ No newline at end of file
@@ -0,0 +1,211 @@
+const { config } = require('../../config/config');
+const { logger, logError } = require('../../utils/logger');
+const { serviceManager } = require('../../config/services');
+const { OUTPUT_CHANNELS } = require('../../domain/constants/ServiceConstants');
+const slackService = require('../../infrastructure/slack');
+const discordService = require('../../infrastructure/discord');
+const emailService = require('../../infrastructure/email');
+const outboundWebhookService = require('../../infrastructure/outboundWebhook');
+const telegramDigest = require('./telegramDigest');
+const articleActions = require('./articleActions');
+
+/**
+ * 전송 채널 분배기
+ * 서비스별로 설정된 전송 채널에 아티클을 전달
+ * 채널 결정 우선순위: 서비스의 outputs → categoryOutputs[서비스 카테고리] → DEFAULT_OUTPUTS
+ *
+ * services.json에 routes(전송 경로 규칙)가 있으면 아티클마다 규칙을 평가해 전송 대상을 정함
+ * - 조건(category, type, source, tag, score)을 모두 만족하는 규칙의 전송 대상을 합침 (중복 제거)
+ * - 맞는 규칙이 없으면 defaultRoute, defaultRoute도 없으면 위 채널 결정 우선순위를 따름
+ * - 텔레그램 전송 대상은 채팅방/포럼 토픽별로 구분 ({ output: 'telegram', chatId, topic }, chatId 생략 시 TELEGRAM_CHAT_ID)
+ *
+ * 텔레그램은 기존처럼 각 서비스 메신저가 전송하고(BaseScheduler.deliverArticle),
+ * 이 모듈은 텔레그램 외 채널만 담당. 채널별 실패는 다른 채널 전송에 영향을 주지 않음
+ *
+ * 이메일처럼 실행 단위로 모아서 보내는 채널은 flush()를 구현하며,
+ * 실행이 끝나는 곳(OnceExecutor, 파라미터 기반 Scheduler, 기본 모드의 통합 스케줄러)에서 flush()를 호출
+ * 텔레그램 다이제스트(telegramDigest)도 같은 시점에 전송 시각을 확인해 전송
+ */
+class OutputDispatcher {
+  constructor() {
+    // 텔레그램 외 채널 어댑터 (sendArticle(article, { serviceKey, source, category, categoryName, color }) 구현)
+    this.adapters = {
+      [OUTPUT_CHANNELS.SLACK]: slackService,
+      [OUTPUT_CHANNELS.DISCORD]: discordService,
+      [OUTPUT_CHANNELS.EMAIL]: emailService,
+      [OUTPUT_CHANNELS.WEBHOOK]: outboundWebhookService
+    };
+    // dry-run 모드 상태
+    this.isDryRun = false;
+  }
+
+  /**
+   * Dry-run 모드 설정 (모든 채널 어댑터에 전파)
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+    Object.values(this.adapters).forEach(adapter => adapter.setDryRunMode(isDryRun));
+    telegramDigest.setDryRunMode(isDryRun);
+  }
+
+  /**
+   * 서비스의 전송 채널 목록
+   */
+  getOutputs(serviceKey) {
+    const service = serviceKey ? serviceManager.getServiceByKey(serviceKey) : null;
+    return service?.outputs ?? serviceManager.categoryOutputs[service?.category] ?? config.outputs.defaults;
+  }
+
+  /**
+   * 텔레그램 전송 여부
+   */
+  includesTelegram(serviceKey) {
+    return this.getOutputs(serviceKey).includes(OUTPUT_CHANNELS.TELEGRAM);
+  }
+
+  /**
+   * 전송 경로 규칙의 조건을 아티클이 만족하는지 확인 (지정한 조건을 모두 만족해야 함)
+   * @param {Object} match - 규칙 조건 ({ category, type, source, tag, score: { min, max } })
+   * @param {Object} article - 아티클 (tags | categories, score)
+   * @param {string} serviceKey - 서비스 키
+   */
+  matchesRoute(match, article, serviceKey) {
+    const service = serviceKey ? serviceManager.getServiceByKey(serviceKey) : null;
+    const toArray = value => Array.isArray(value) ? value : [value];
+    const tags = toArray(article.tags ?? article.categories ?? [])
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.toLowerCase());
+    const score = article.score === undefined || article.score === null ? NaN : Number(article.score);
+
+    return Object.entries(match).every(([key, value]) => {
+      switch (key) {
+        case 'category':
+          return toArray(value).includes(service?.category);
+        case 'type':
+          return toArray(value).includes(service?.type);
+        case 'source':
+          return toArray(value).includes(serviceKey);
+        case 'tag':
+          return toArray(value).some(tag => tags.includes(tag.toLowerCase()));
+        case 'score':
+          // 필터 점수가 없는 아티클은 점수 조건에 맞지 않음
+          return Number.isFinite(score) &&
+            (value.min === undefined || score >= value.min) &&
+            (value.max === undefined || score <= value.max);
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * 아티클의 전송 대상 (전송 경로 규칙 → defaultRoute → 서비스 채널 설정)
+   * @param {Object} article - 아티클
+   * @param {string} serviceKey - 서비스 키
+   * @returns {{ telegram: Array<{ chatId: string, threadId?: number }>, outputs: Array<string> }} 텔레그램 채팅방과 텔레그램 외 채널
+   */
+  resolveRoute(article, serviceKey) {
+    const rules = serviceManager.routes.filter(rule => this.matchesRoute(rule.match, article, serviceKey));
+    const destinations = rules.length > 0
+      ? rules.flatMap(rule => rule.to)
+      : serviceManager.defaultRoute ?? this.getOutputs(serviceKey);
+
+    const telegram = new Map();
+    const outputs = new Set();
+
+    destinations
+      .map(destination => typeof destination === 'string' ? { output: destination } : destination)
+      .forEach(({ output, chatId, topic }) => {
+        if (output === OUTPUT_CHANNELS.TELEGRAM) {
+          const id = String(chatId ?? config.telegram.chatId);
+          telegram.set(`${id}:${topic ?? ''}`, { chatId: id, ...(topic !== undefined && { threadId: topic }) });
+        } else {
+          outputs.add(output);
+        }
+      });
+
+    if (serviceManager.routes.length > 0) {
+      logger.debug('전송 경로 결정', {
+        serviceKey,
+        title: article.title,
+        rules: rules.length > 0 ? rules.map(rule => rule.name ?? serviceManager.routes.indexOf(rule)) : 'default',
+        telegram: [...telegram.keys()],
+        outputs: [...outputs]
+      });
+    }
+
+    return { telegram: [...telegram.values()], outputs: [...outputs] };
+  }
+
+  /**
+   * 채널 어댑터에 넘길 출처 정보 (표시 이름은 services.json의 한글 이름 우선)
+   */
+  getSourceInfo(serviceKey, fallback) {
+    const service = serviceKey ? serviceManager.getServiceByKey(serviceKey) : null;
+
+    return {
+      serviceKey,
+      source: service?.nameKo ?? service?.name ?? fallback ?? serviceKey,
+      category: service?.category ?? null,
+      categoryName: serviceManager.categories?.[service?.category] ?? service?.category ?? null,
+      color: service?.color ?? null
+    };
+  }
+
+  /**
+   * 텔레그램 외 채널로 아티클 전송
+   * @param {Object} article - 아티클 ({ title, url | link })
+   * @param {Object} options - 옵션
+   * @param {string} options.serviceKey - 서비스 키
+   * @param {string} options.source - 서비스 설정이 없을 때 사용할 출처 이름
+   * @param {Array<string>} options.outputs - 전송할 채널 (기본값: 서비스 채널 설정, 전송 경로 규칙 결과 전달용)
+   * @returns {Promise<Array<{ output: string, success: boolean, dryRun?: boolean, error?: string }>>}
+   */
+  async dispatch(article, { serviceKey, source, outputs: selected = this.getOutputs(serviceKey) } = {}) {
+    const outputs = selected.filter(output => output !== OUTPUT_CHANNELS.TELEGRAM);
+    const sourceInfo = this.getSourceInfo(serviceKey, source);
+    const results = [];
+
+    for (const output of outputs) {
+      try {
+        const result = await this.adapters[output].sendArticle(article, sourceInfo);
+        results.push({ output, success: true, dryRun: !!result?.dry_run });
+      } catch (error) {
+        logError(error, {
+          context: `${output} 채널 전송 실패`,
+          serviceKey,
+          articleTitle: article.title
+        });
+        results.push({ output, success: false, error: error.message });
+      }
+    }
+
+    if (results.length > 0) {
+      logger.debug('전송 채널 분배 완료', { serviceKey, results });
+    }
+
+    return results;
+  }
+
+  /**
+   * 실행 단위로 모아 보내는 채널(이메일 다이제스트, 텔레그램 다이제스트) 전송
+   * 채널별 실패는 로그만 남김
+   * 이번 실행에서 보낸 아티클의 인라인 버튼 정보도 여기서 저장
+   */
+  async flush() {
+    const batched = Object.entries(this.adapters).filter(([, adapter]) => typeof adapter.flush === 'function');
+
+    for (const [output, adapter] of batched) {
+      try {
+        await adapter.flush();
+      } catch (error) {
+        logError(error, { context: `${output} 채널 일괄 전송 실패` });
+      }
+    }
+
+    await telegramDigest.flush();
+    articleActions.flush();
+  }
+}
+
+module.exports = new OutputDispatcher();
\ No newline at end of file
@@ -0,0 +1,75 @@
+const { config } = require('../../config/config');
+const { serviceManager } = require('../../config/services');
+const { parseQuietHours, isWithinQuietHours } = require('../../utils/dateUtils');
+const { QUIET_HOURS_MODES } = require('../../domain/constants/ServiceConstants');
+
+/**
+ * 채팅방별 방해 금지 시간
+ * 이른 아침/늦은 밤 실행에서 알림이 울리지 않도록 채팅방마다 방해 금지 시간과 동작을 정함
+ *
+ * - hold: 방해 금지 시간 동안 아티클을 텔레그램 다이제스트에 모았다가, 끝난 뒤 처음 전송 시각을 확인할 때 한 번에 전송
+ * - silent: 바로 전송하되 알림 없이 (disable_notification)
+ * 어느 동작이든 방해 금지 시간에 나가는 텔레그램 메시지는 모두 알림 없이 전송 (telegramDelivery)
+ *
+ * 설정: services.json의 chatQuietHours[채팅방 ID] → TELEGRAM_QUIET_HOURS / TELEGRAM_QUIET_MODE / TELEGRAM_QUIET_TZ
+ */
+class QuietHours {
+  /**
+   * 채팅방의 방해 금지 시간 설정
+   * @param {string} chatId - 채팅방 ID
+   * @returns {{ start: Object, end: Object, mode: string, timezone: string }|null} 사용하지 않으면 null
+   */
+  getPolicy(chatId = config.telegram.chatId) {
+    const defaults = config.telegram.quietHours;
+    const chatSetting = serviceManager.chatQuietHours[chatId];
+    const setting = typeof chatSetting === 'string' ? { window: chatSetting } : chatSetting ?? {};
+
+    const window = parseQuietHours(setting.window ?? defaults.window);
+    if (!window) {
+      return null;
+    }
+
+    return {
+      ...window,
+      mode: setting.mode ?? defaults.mode,
+      timezone: setting.timezone ?? defaults.timezone
+    };
+  }
+
+  /**
+   * 방해 금지 시간 안인지 확인
+   */
+  isQuiet(chatId = config.telegram.chatId, now = new Date()) {
+    const policy = this.getPolicy(chatId);
+    return policy !== null && isWithinQuietHours(policy, now, policy.timezone);
+  }
+
+  /**
+   * 지금 아티클을 모아 두어야 하는지 확인 (hold 동작의 방해 금지 시간 안)
+   */
+  shouldHold(chatId = config.telegram.chatId, now = new Date()) {
+    return this.isQuiet(chatId, now) && this.getPolicy(chatId).mode === QUIET_HOURS_MODES.HOLD;
+  }
+
+  /**
+   * hold 동작 채팅방들의 방해 금지 종료 시각 (중복 제거)
+   * 상주 스케줄러가 종료 시각에 모아 둔 아티클을 전송하는 데 사용
+   * @returns {Array<{ hour: number, minute: number, timezone: string }>}
+   */
+  getReleaseTimes() {
+    const chatIds = new Set([config.telegram.chatId, ...Object.keys(serviceManager.chatQuietHours)]);
+    const releaseTimes = new Map();
+
+    chatIds.forEach(chatId => {
+      const policy = this.getPolicy(chatId);
+      if (policy?.mode === QUIET_HOURS_MODES.HOLD) {
+        const { hour, minute } = policy.end;
+        releaseTimes.set(`${policy.timezone} ${hour}:${minute}`, { hour, minute, timezone: policy.timezone });
+      }
+    });
+
+    return [...releaseTimes.values()];
+  }
+}
+
+module.exports = new QuietHours();
\ No newline at end of file
@@ -0,0 +1,466 @@
+const path = require('path');
+const { config } = require('../../config/config');
+const { logger } = require('../../utils/logger');
+const { canonicalizeUrl } = require('../../utils/urlUtils');
+const { readJson, writeJsonAtomic, withFileLock } = require('../../utils/fileStore');
+const { CACHE_SETTINGS } = require('../../domain/constants/ServiceConstants');
+
+// 이력 파일 스키마 버전 (v1: 단일 entries 맵, v2: 도메인별 네임스페이스)
+const SCHEMA_VERSION = 2;
+
+// 이전 DailyCache 파일에서 가져온 이력 (모든 도메인이 읽기 전용으로 참조)
+const LEGACY_NAMESPACE = '_legacy';
+const LEGACY_DAILY_CACHE_FILE = 'rss-daily-cache.json';
+
+/**
+ * 장기 전송 이력 저장소
+ * 정규화된 아티클 ID를 키로 최초 발견 시각, 전송 시각, 채팅방, 출처를 보존기간 동안 기억
+ *
+ * 파일 모드에서는 하나의 파일을 도메인별 네임스페이스로 나눠 공유하며,
+ * 저장 시 잠금을 잡고 파일의 다른 도메인 이력과 병합한 뒤 임시 파일 + rename으로 원자적으로 기록
+ *
+ * 실행 모드별 저장 전략:
+ * - once 모드: 이력 완전 우회 (매번 새로 실행)
+ * - start:times 모드: 메모리 이력만 사용
+ * - GitHub Actions (CI): 파일 이력 사용
+ */
+class SentHistory {
+  /**
+   * @param {string} domainName - 출처(도메인) 이름
+   * @param {Object} options - 이력 옵션
+   * @param {string} options.cacheMode - bypass | memory | file
+   * @param {string} options.cacheDir - 파일 저장 디렉토리 (기본값: .cache)
+   * @param {number} options.retentionDays - 보존기간 (일)
+   */
+  constructor(domainName, options = {}) {
+    this.domainName = domainName;
+    this.entries = new Map(); // 정규화 ID → { firstSeenAt, sentAt, chatId, source }
+    this.legacyEntries = new Map(); // 마이그레이션된 DailyCache 이력 (읽기 전용)
+
+    // 캐시 모드 결정
+    this.cacheMode = this.determineCacheMode(options);
+    this.cacheDir = options.cacheDir ?? '.cache';
+    this.cacheFile = path.join(this.cacheDir, 'rss-sent-history.json');
+    this.retentionDays = this.determineRetentionDays(options);
+
+    logger.info(`${this.domainName} 전송 이력 모드: ${this.cacheMode} (보존기간 ${this.retentionDays}일)`);
+
+    // 파일 캐시 모드에서만 파일 로드
+    if (this.cacheMode === 'file') {
+      this.loadFromFile();
+    }
+  }
+
+  /**
+   * 실행 모드에 따른 저장 전략 결정
+   */
+  determineCacheMode(options = {}) {
+    // 명시적 옵션이 있으면 우선
+    if (options.cacheMode) {
+      return options.cacheMode;
+    }
+
+    // once 모드: 캐시 완전 우회
+    if (options.bypassCache || process.argv.includes('--once')) {
+      return 'bypass';
+    }
+
+    // CI 환경: 파일 캐시 사용
+    if (process.env.CI === 'true') {
+      return 'file';
+    }
+
+    // 기본값: 메모리 캐시 (start:times 모드)
+    return 'memory';
+  }
+
+  /**
+   * 보존기간 결정 (옵션 → SENT_HISTORY_RETENTION_DAYS → 기본값, 최대 30일)
+   */
+  determineRetentionDays(options = {}) {
+    const days = parseInt(options.retentionDays ?? process.env.SENT_HISTORY_RETENTION_DAYS, 10);
+
+    if (isNaN(days) || days < 1) {
+      return CACHE_SETTINGS.DEFAULT_TTL_DAYS;
+    }
+
+    return Math.min(days, CACHE_SETTINGS.MAX_TTL_DAYS);
+  }
+
+  /**
+   * 포스트 ID를 정규화된 아티클 ID로 변환
+   */
+  getCanonicalId(postId) {
+    return canonicalizeUrl(postId);
+  }
+
+  /**
+   * 보존기간 시작 시각 (이보다 오래된 이력은 만료)
+   */
+  getRetentionCutoff() {
+    return Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * 이력 항목의 마지막 활동 시각
+   */
+  getLastActivity(entry) {
+    return new Date(entry.sentAt ?? entry.firstSeenAt).getTime();
+  }
+
+  /**
+   * 이력 파일 데이터를 현재 스키마로 변환
+   * - v2: 그대로 사용
+   * - v1 ({ entries }): 항목의 source 기준으로 도메인별 분리
+   * - 이전 DailyCache ({ 'YYYY-MM-DD': [url, ...] }): 레거시 네임스페이스로 이동
+   */
+  migrate(data) {
+    if (!data) {
+      return { schemaVersion: SCHEMA_VERSION, domains: {} };
+    }
+
+    if (data.schemaVersion === SCHEMA_VERSION) {
+      return { ...data, domains: data.domains ?? {} };
+    }
+
+    if (data.schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`지원하지 않는 전송 이력 스키마 버전: ${data.schemaVersion}`);
+    }
+
+    const domains = {};
+
+    if (data.entries) {
+      Object.entries(data.entries).forEach(([id, entry]) => {
+        const namespace = entry.source ?? LEGACY_NAMESPACE;
+        domains[namespace] = { ...domains[namespace], [id]: entry };
+      });
+    } else {
+      const legacy = {};
+      Object.entries(data).forEach(([date, urls]) => {
+        if (!Array.isArray(urls)) return;
+
+        urls.forEach(url => {
+          legacy[this.getCanonicalId(url)] = {
+            firstSeenAt: new Date(`${date}T00:00:00+09:00`).toISOString(),
+            sentAt: null,
+            chatId: null,
+            source: null
+          };
+        });
+      });
+      domains[LEGACY_NAMESPACE] = legacy;
+    }
+
+    logger.info(`전송 이력 스키마 마이그레이션: v${data.schemaVersion ?? 1} → v${SCHEMA_VERSION}`);
+    return { schemaVersion: SCHEMA_VERSION, domains };
+  }
+
+  /**
+   * 이력 파일 읽기 (없으면 이전 DailyCache 파일에서 마이그레이션)
+   */
+  readStore() {
+    let data = readJson(this.cacheFile);
+
+    if (!data) {
+      data = readJson(path.join(this.cacheDir, LEGACY_DAILY_CACHE_FILE));
+    }
+
+    return this.migrate(data);
+  }
+
+  /**
+   * 보존기간 내 항목만 Map으로 변환
+   * 이전 정규화 방식(추적 파라미터 유지, 쿼리 미정렬)으로 저장된 키도 현재 정규 ID로 바꿔,
+   * 정규화 방식이 바뀐 뒤에도 이미 전송한 아티클을 다시 보내지 않도록 함 (같은 ID로 모이면 전송 기록이 있는 항목 우선)
+   */
+  toRetainedMap(entries = {}) {
+    const cutoff = this.getRetentionCutoff();
+    const retained = new Map();
+
+    Object.entries(entries).forEach(([key, entry]) => {
+      if (this.getLastActivity(entry) < cutoff) return;
+
+      const id = this.getCanonicalId(key);
+      const existing = retained.get(id);
+      if (!existing || (!existing.sentAt && entry.sentAt)) {
+        retained.set(id, entry);
+      }
+    });
+
+    return retained;
+  }
+
+  /**
+   * 파일에서 이력 로드 (GitHub Actions용)
+   */
+  loadFromFile() {
+    try {
+      const store = this.readStore();
+
+      // 보존기간 내 자기 도메인 이력만 로드
+      this.entries = this.toRetainedMap(store.domains[this.domainName]);
+      this.legacyEntries = this.toRetainedMap(store.domains[LEGACY_NAMESPACE]);
+
+      logger.info(`${this.domainName} 전송 이력 파일 로드 완료: ${this.entries.size}개 항목`);
+    } catch (error) {
+      logger.warn(`${this.domainName} 전송 이력 파일 로드 실패:`, error.message);
+    }
+  }
+
+  /**
+   * 파일에 이력 저장 (file 모드에서만)
+   * 잠금 상태에서 최신 파일을 다시 읽어 자기 도메인 네임스페이스만 병합 후 원자적으로 기록
+   */
+  saveToFile() {
+    // file 모드가 아니면 저장하지 않음
+    if (this.cacheMode !== 'file') {
+      return;
+    }
+
+    try {
+      withFileLock(this.cacheFile, () => {
+        const store = this.readStore();
+
+        // 같은 도메인의 다른 인스턴스가 기록한 항목도 보존
+        const merged = this.toRetainedMap({
+          ...store.domains[this.domainName],
+          ...Object.fromEntries(this.entries)
+        });
+        this.entries = merged;
+
+        store.domains[this.domainName] = Object.fromEntries(merged);
+
+        // 만료된 레거시 이력은 네임스페이스째 정리
+        const legacy = this.toRetainedMap(store.domains[LEGACY_NAMESPACE]);
+        if (legacy.size > 0) {
+          store.domains[LEGACY_NAMESPACE] = Object.fromEntries(legacy);
+        } else {
+          delete store.domains[LEGACY_NAMESPACE];
+        }
+
+        writeJsonAtomic(this.cacheFile, {
+          schemaVersion: SCHEMA_VERSION,
+          retentionDays: this.retentionDays,
+          domains: store.domains
+        });
+      });
+
+      logger.debug(`${this.domainName} 전송 이력 파일 저장 완료: ${this.cacheFile}`);
+    } catch (error) {
+      logger.warn(`${this.domainName} 전송 이력 파일 저장 실패:`, error.message);
+    }
+  }
+
+  /**
+   * 보존기간 내 이력 항목 조회
+   */
+  getEntry(postId) {
+    const id = this.getCanonicalId(postId);
+    const entry = this.entries.get(id) ?? this.legacyEntries.get(id);
+
+    if (!entry || this.getLastActivity(entry) < this.getRetentionCutoff()) {
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * 최초 발견 기록 (이미 있으면 유지)
+   */
+  recordSeen(postId) {
+    const id = this.getCanonicalId(postId);
+
+    if (!this.entries.has(id)) {
+      this.entries.set(id, {
+        firstSeenAt: new Date().toISOString(),
+        sentAt: null,
+        chatId: null,
+        source: this.domainName
+      });
+    }
+
+    return this.entries.get(id);
+  }
+
+  /**
+   * 포스트가 보존기간 내에 이미 처리되었는지 확인
+   * @param {string} postId - 포스트 ID
+   * @param {boolean} bypassCache - 캐시 우회 여부 (호환성 유지용, deprecated)
+   */
+  hasSent(postId, bypassCache = false) {
+    // bypass 모드: 항상 false (전송 안됨으로 처리)
+    if (this.cacheMode === 'bypass' || bypassCache) {
+      logger.debug(`${this.domainName} 캐시 우회 모드: ${postId} 체크 스킵`);
+      return false;
+    }
+
+    return this.getEntry(postId) !== null;
+  }
+
+  /**
+   * 전송 완료 기록
+   * @param {string} postId - 포스트 ID
+   * @param {boolean} bypassCache - 캐시 우회 여부 (호환성 유지용, deprecated)
+   * @param {Object} details - 전송 정보
+   * @param {string} details.chatId - 전송한 채팅방 ID (기본값: 설정된 채팅방)
+   */
+  markAsSent(postId, bypassCache = false, details = {}) {
+    // bypass 모드: 캐시에 추가하지 않음
+    if (this.cacheMode === 'bypass' || (bypassCache && this.cacheMode !== 'file')) {
+      logger.debug(`${this.domainName} 캐시 우회 모드: ${postId} 저장 스킵`);
+      return;
+    }
+
+    const entry = this.recordSeen(postId);
+    entry.sentAt = new Date().toISOString();
+    entry.chatId = details.chatId ?? config.telegram.chatId ?? null;
+    logger.debug(`${this.domainName} 전송 이력 추가 (${this.cacheMode} 모드): ${postId}`);
+
+    // 파일 캐시 모드에서는 즉시 저장
+    if (this.cacheMode === 'file') {
+      this.saveToFile();
+    }
+  }
+
+  /**
+   * 보존기간 내 이력에 없는 포스트만 필터링
+   * 이력에는 기록하지 않음 (전송 대기열에 넣었거나 출처 간 중복이면 markAsSeen, 전송에 성공한 뒤 markAsSent로 기록)
+   * 전송 전에 실패한 포스트가 이후 실행에서 계속 걸러지지 않도록 하기 위함
+   * @param {Array} posts - 포스트 배열
+   * @param {Function} getPostId - 포스트 ID 추출 함수
+   * @param {boolean} bypassCache - 캐시 우회 여부 (호환성 유지용, deprecated)
+   */
+  filterNewPosts(posts, getPostId = (post) => post.url || post.topicUrl, bypassCache = false) {
+    // bypass 모드: 모든 포스트 반환 (캐시 확인/추가 안함)
+    if (this.cacheMode === 'bypass' || (bypassCache && this.cacheMode !== 'file')) {
+      logger.info(`${this.domainName} 캐시 우회 모드: 모든 포스트 반환 (${posts.length}개)`);
+      return posts;
+    }
+
+    const seenIds = new Set();
+    const newPosts = posts.filter(post => {
+      const id = this.getCanonicalId(getPostId(post));
+
+      // 같은 배치 안의 중복도 제거
+      if (seenIds.has(id) || this.getEntry(id)) {
+        return false;
+      }
+
+      seenIds.add(id);
+      return true;
+    });
+
+    logger.info(`${this.domainName} 전송 이력 필터링 (${this.cacheMode} 모드, ${this.retentionDays}일): ${posts.length}개 → ${newPosts.length}개`);
+    return newPosts;
+  }
+
+  /**
+   * 다시 처리할 필요가 없는 포스트를 최초 발견으로 기록
+   * - 전송 대기열에 넣은 포스트 (전송에 실패해도 대기열이 다시 전송)
+   * - 다른 출처가 이미 전송한 출처 간 중복 포스트
+   * @param {Array<string>} postIds - 포스트 ID 배열
+   * @param {boolean} bypassCache - 캐시 우회 여부 (호환성 유지용, deprecated)
+   */
+  markAsSeen(postIds, bypassCache = false) {
+    if (this.cacheMode === 'bypass' || (bypassCache && this.cacheMode !== 'file') || postIds.length === 0) {
+      return;
+    }
+
+    postIds.forEach(postId => this.recordSeen(postId));
+
+    // 파일 캐시 모드에서는 즉시 저장
+    if (this.cacheMode === 'file') {
+      this.saveToFile();
+    }
+  }
+
+  /**
+   * 여러 포스트를 한 번에 이력에 추가
+   */
+  markMultipleAsSent(posts, getPostId = (post) => post.url || post.topicUrl) {
+    posts.forEach(post => {
+      const entry = this.recordSeen(getPostId(post));
+      entry.sentAt = new Date().toISOString();
+      entry.chatId = config.telegram.chatId ?? null;
+    });
+    logger.info(`${this.domainName} ${posts.length}개 포스트 전송 이력에 추가`);
+
+    if (this.cacheMode === 'file') {
+      this.saveToFile();
+    }
+  }
+
+  /**
+   * 오늘 및 보존기간 전체 이력 통계
+   */
+  getTodayStats() {
+    const today = new Date().toLocaleDateString('sv-SE', { timeZone: 'Asia/Seoul' });
+    const domainEntries = [...this.entries.values()];
+    const sentToday = domainEntries.filter(entry =>
+      entry.sentAt && new Date(entry.sentAt).toLocaleDateString('sv-SE', { timeZone: 'Asia/Seoul' }) === today
+    );
+
+    return {
+      date: today,
+      cachedCount: sentToday.length,
+      historyCount: domainEntries.length,
+      retentionDays: this.retentionDays,
+      domainName: this.domainName,
+      cacheMode: this.cacheMode
+    };
+  }
+
+  /**
+   * 보존기간이 지난 이력 정리
+   * @returns {number} 삭제된 항목 수
+   */
+  cleanupOldCache() {
+    const cutoff = this.getRetentionCutoff();
+    let cleanedCount = 0;
+
+    for (const [id, entry] of this.entries.entries()) {
+      if (this.getLastActivity(entry) < cutoff) {
+        this.entries.delete(id);
+        cleanedCount++;
+      }
+    }
+
+    if (cleanedCount > 0) {
+      logger.info(`${this.domainName} 만료된 전송 이력 삭제: ${cleanedCount}개 (보존기간 ${this.retentionDays}일)`);
+      this.saveToFile();
+    } else {
+      logger.debug(`${this.domainName} 정리할 만료 이력 없음`);
+    }
+
+    return cleanedCount;
+  }
+
+  /**
+   * 전체 이력 상태 조회 (날짜별 전송 건수)
+   */
+  getCacheStatus() {
+    const byDate = new Map();
+
+    for (const entry of this.entries.values()) {
+      const date = new Date(entry.sentAt ?? entry.firstSeenAt)
+        .toLocaleDateString('sv-SE', { timeZone: 'Asia/Seoul' });
+      byDate.set(date, (byDate.get(date) ?? 0) + 1);
+    }
+
+    const today = new Date().toLocaleDateString('sv-SE', { timeZone: 'Asia/Seoul' });
+
+    return {
+      domainName: this.domainName,
+      retentionDays: this.retentionDays,
+      totalDates: byDate.size,
+      dates: [...byDate.entries()].map(([date, count]) => ({
+        date,
+        count,
+        isToday: date === today
+      }))
+    };
+  }
+}
+
+module.exports = SentHistory;
\ No newline at end of file
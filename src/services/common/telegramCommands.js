@@ -0,0 +1,286 @@
+const { config } = require('../../config/config');
+const { serviceManager } = require('../../config/services');
+const { logger, logError } = require('../../utils/logger');
+const { escapeHtml, getServiceNameKo } = require('../../utils/formatters');
+const { PARSE_MODES } = require('../../domain/constants/ServiceConstants');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+const schedulerService = require('../../infrastructure/scheduler');
+const keywordSubscriptions = require('./keywordSubscriptions');
+
+// /latest 최대 개수
+const MAX_LATEST_COUNT = 10;
+
+/**
+ * 봇 명령 목록 (setMyCommands 등록과 /help에 사용)
+ * public이면 관리자가 아니어도 사용 가능
+ */
+const COMMANDS = Object.freeze([
+  { command: 'sources', usage: '/sources', description: '활성화된 RSS 서비스 목록' },
+  { command: 'latest', usage: '/latest <서비스> [개수]', description: '서비스의 최신 아티클' },
+  { command: 'stats', usage: '/stats', description: '스케줄러 통계' },
+  { command: 'pause', usage: '/pause <서비스>', description: '서비스 정기 작업 일시 중지 (이 봇 서버의 스케줄러만, 재시작하면 해제)' },
+  { command: 'resume', usage: '/resume <서비스>', description: '서비스 정기 작업 재개' },
+  { command: 'run', usage: '/run <서비스>', description: '서비스 수동 체크 실행' },
+  { command: 'watch', usage: '/watch <키워드|/정규식/>', description: '키워드 구독 (맞는 아티클을 DM으로 받음)', public: true },
+  { command: 'unwatch', usage: '/unwatch <키워드|번호>', description: '키워드 구독 해제', public: true },
+  { command: 'watches', usage: '/watches', description: '내 키워드 구독 목록', public: true },
+  { command: 'help', usage: '/help', description: '명령 목록', public: true }
+]);
+
+/**
+ * 텔레그램 봇 명령
+ * 팀 채팅방에서 봇 명령으로 서비스 상태를 보고 스케줄러를 제어 (웹훅 서버의 봇 업데이트 라우트로 수신)
+ *
+ * - 서비스 조회/제어 명령은 TELEGRAM_ADMIN_IDS에 있는 사용자만 사용 가능 (키워드 구독과 /help는 누구나)
+ * - 스케줄러 제어는 통합 스케줄러(SchedulerService)에 등록된 서비스 대상 (기본 스케줄 모드)
+ * - /run은 오래 걸릴 수 있어 시작을 먼저 알리고, 끝나면 결과를 따로 보냄
+ */
+class TelegramCommands {
+  constructor() {
+    // 명령 → 처리 함수 (응답 메시지 반환, HTML)
+    // 사용자 입력으로 조회하므로 Map 사용 (/constructor 같은 Object 프로토타입 속성이 명령으로 잡히지 않도록)
+    this.handlers = new Map([
+      ['sources', () => this.listSources()],
+      ['latest', (args) => this.latest(args)],
+      ['stats', () => this.stats()],
+      ['pause', (args) => this.pause(args)],
+      ['resume', (args) => this.resume(args)],
+      ['run', (args, message) => this.run(args, message)],
+      ['watch', (args, message) => this.watch(args, message)],
+      ['unwatch', (args, message) => this.unwatch(args, message)],
+      ['watches', (args, message) => this.watches(message)],
+      ['help', (args, message) => this.help(message)]
+    ]);
+  }
+
+  /**
+   * setMyCommands에 등록할 명령 목록
+   */
+  getCommandList() {
+    return COMMANDS.map(({ command, description }) => ({ command, description }));
+  }
+
+  /**
+   * 명령 허용 사용자 여부
+   */
+  isAdmin(userId) {
+    return config.telegram.adminIds.includes(String(userId));
+  }
+
+  /**
+   * 명령 메시지 처리
+   * @param {Object} message - 텔레그램 Message ("/"로 시작하는 text)
+   * @returns {Promise<boolean>} 알려진 명령이면 true
+   */
+  async handle(message) {
+    const [head, ...args] = String(message.text ?? '').trim().split(/\s+/);
+    // 그룹에서는 /stats@봇이름 형식으로 올 수 있음
+    const name = head.substring(1).split('@')[0].toLowerCase();
+    const handler = this.handlers.get(name);
+
+    if (!head.startsWith('/') || !handler) {
+      return false;
+    }
+
+    const userId = message.from?.id;
+    const { public: isPublic } = COMMANDS.find(({ command }) => command === name);
+    if (!isPublic && !this.isAdmin(userId)) {
+      logger.warn('권한 없는 사용자의 봇 명령', { command: name, userId, username: message.from?.username });
+      await this.reply(message, '⛔ 명령을 사용할 권한이 없습니다');
+      return true;
+    }
+
+    logger.info(`봇 명령 처리: /${name}`, { args, userId });
+
+    try {
+      await this.reply(message, await handler(args, message));
+    } catch (error) {
+      logger.warn(`봇 명령 /${name} 처리 실패`, { args, error: error.message });
+      await this.reply(message, `❌ ${escapeHtml(error.message)}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * 명령을 보낸 채팅방으로 응답 (포럼 토픽에서 보낸 명령은 같은 토픽으로)
+   */
+  async reply(message, text) {
+    try {
+      await telegramDelivery.send(text, {
+        chatId: message.chat.id,
+        threadId: message.is_topic_message ? message.message_thread_id : undefined,
+        parseMode: PARSE_MODES.HTML,
+        source: 'bot',
+        disableWebPagePreview: true,
+        extra: { reply_to_message_id: message.message_id }
+      });
+    } catch (error) {
+      logError(error, { context: '봇 명령 응답 실패', chatId: message.chat.id });
+    }
+  }
+
+  /**
+   * 명령 인자의 서비스 키 확인 (대소문자 무시, 통합 스케줄러에 등록된 서비스만)
+   */
+  resolveServiceKey(input) {
+    if (!input) {
+      throw new Error('서비스 키를 입력하세요 (/sources로 확인)');
+    }
+
+    const key = [...schedulerService.domainSchedulers.keys()]
+      .find(domainName => domainName.toLowerCase() === input.toLowerCase());
+    if (!key) {
+      throw new Error(`실행 중인 서비스가 아닙니다: ${input} (/sources로 확인)`);
+    }
+
+    return key;
+  }
+
+  /**
+   * /sources - services.json의 활성화된 서비스 목록
+   */
+  listSources() {
+    const services = serviceManager.getEnabledServices();
+    const lines = services.map(service => {
+      const state = schedulerService.isPaused(service.key) ? ' ⏸️' : '';
+      return `• <b>${escapeHtml(service.name)}</b> <code>${escapeHtml(service.key)}</code> · ${escapeHtml(service.category)}${state}`;
+    });
+
+    return `📡 <b>활성화된 서비스 (${services.length}개)</b>\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * /latest <서비스> [개수] - 최신 아티클
+   */
+  async latest([input, countArg]) {
+    const key = this.resolveServiceKey(input);
+    const count = Math.min(Math.max(parseInt(countArg, 10) || 3, 1), MAX_LATEST_COUNT);
+    const articles = await schedulerService.getLatestArticles(key, count);
+
+    if (!articles || articles.length === 0) {
+      return `📭 ${escapeHtml(getServiceNameKo(key))}의 최신 아티클이 없습니다`;
+    }
+
+    const lines = articles.map((article, index) =>
+      `${index + 1}. <a href="${escapeHtml(article.url ?? article.link ?? '')}">${escapeHtml(article.title ?? '(제목 없음)')}</a>`
+    );
+
+    return `📰 <b>${escapeHtml(getServiceNameKo(key))} 최신 아티클</b>\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * /stats - 통합 스케줄러 통계 (getOverallStats)
+   */
+  stats() {
+    const { scheduler, domains, paused } = schedulerService.getOverallStats();
+    const hours = Math.floor(scheduler.uptime / 3600);
+    const minutes = Math.floor((scheduler.uptime % 3600) / 60);
+    const lines = Object.entries(domains).map(([domainName, stats]) =>
+      `• <b>${escapeHtml(getServiceNameKo(domainName))}</b>: 실행 ${stats.totalRuns}회 (성공률 ${stats.successRate}), ` +
+      `전송 ${stats.articlesProcessed}개${paused.includes(domainName) ? ' ⏸️' : ''}`
+    );
+
+    return [
+      '📊 <b>스케줄러 통계</b>',
+      `가동 시간: ${hours}시간 ${minutes}분 | 활성 스케줄: ${scheduler.activeSchedules}개`,
+      '',
+      ...(lines.length > 0 ? lines : ['등록된 서비스가 없습니다'])
+    ].join('\n');
+  }
+
+  /**
+   * /pause <서비스> - 정기 작업 일시 중지
+   * 중지 상태는 메모리에만 두며, 이 프로세스의 통합 스케줄러만 멈춤 (GitHub Actions 등 --once 실행에는 영향 없음)
+   */
+  pause([input]) {
+    const key = this.resolveServiceKey(input);
+    const name = escapeHtml(getServiceNameKo(key));
+
+    return schedulerService.pauseDomain(key)
+      ? `⏸️ <b>${name}</b> 정기 작업을 일시 중지했습니다 (/resume ${escapeHtml(key)}로 재개, 서버를 재시작하면 해제)`
+      : `ℹ️ <b>${name}</b>는 이미 일시 중지 상태입니다`;
+  }
+
+  /**
+   * /resume <서비스> - 정기 작업 재개
+   */
+  resume([input]) {
+    const key = this.resolveServiceKey(input);
+    const name = escapeHtml(getServiceNameKo(key));
+
+    return schedulerService.resumeDomain(key)
+      ? `▶️ <b>${name}</b> 정기 작업을 재개했습니다`
+      : `ℹ️ <b>${name}</b>는 일시 중지 상태가 아닙니다`;
+  }
+
+  /**
+   * /run <서비스> - 수동 체크 (완료되면 결과를 따로 응답)
+   */
+  run([input], message) {
+    const key = this.resolveServiceKey(input);
+    const name = escapeHtml(getServiceNameKo(key));
+
+    schedulerService.runManualCheck(key)
+      .then(result => this.reply(message,
+        `✅ <b>${name}</b> 수동 체크 완료: 발견 ${result?.articlesFound ?? 0}개, 전송 ${result?.messagesSent ?? 0}개`))
+      .catch(error => this.reply(message, `❌ <b>${name}</b> 수동 체크 실패: ${escapeHtml(error.message)}`));
+
+    return `🚀 <b>${name}</b> 수동 체크를 시작했습니다`;
+  }
+
+  /**
+   * /watch <키워드|/정규식/> - 키워드 구독 추가 (공백이 있으면 구문 전체가 하나의 키워드)
+   */
+  watch(args, message) {
+    const { added, pattern } = keywordSubscriptions.add(message.from, args.join(' '));
+    if (!added) {
+      return `ℹ️ 이미 구독 중인 키워드입니다: <code>${escapeHtml(pattern)}</code>`;
+    }
+
+    return [
+      `🔔 키워드 구독을 추가했습니다: <code>${escapeHtml(pattern)}</code>`,
+      '맞는 새 아티클은 DM으로 보냅니다 (봇과 1:1 대화를 시작해야 받을 수 있습니다)'
+    ].join('\n');
+  }
+
+  /**
+   * /unwatch <키워드|번호> - 키워드 구독 해제
+   */
+  unwatch(args, message) {
+    if (args.length === 0) {
+      throw new Error('해제할 키워드나 번호를 입력하세요 (/watches로 확인)');
+    }
+
+    const removed = keywordSubscriptions.remove(message.from.id, args.join(' '));
+    return removed
+      ? `🔕 키워드 구독을 해제했습니다: <code>${escapeHtml(removed)}</code>`
+      : `ℹ️ 구독 중인 키워드가 아닙니다: <code>${escapeHtml(args.join(' '))}</code> (/watches로 확인)`;
+  }
+
+  /**
+   * /watches - 내 키워드 구독 목록
+   */
+  watches(message) {
+    const patterns = keywordSubscriptions.list(message.from.id);
+    if (patterns.length === 0) {
+      return '📭 구독 중인 키워드가 없습니다 (/watch &lt;키워드&gt;로 추가)';
+    }
+
+    const lines = patterns.map((pattern, index) => `${index + 1}. <code>${escapeHtml(pattern)}</code>`);
+    return `🔔 <b>내 키워드 구독 (${patterns.length}개)</b>\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * /help - 사용할 수 있는 명령 목록
+   */
+  help(message) {
+    const isAdmin = this.isAdmin(message.from?.id);
+    const lines = COMMANDS
+      .filter(command => command.public || isAdmin)
+      .map(({ usage, description }) => `${escapeHtml(usage)} - ${description}`);
+    return `🤖 <b>명령 목록</b>\n\n${lines.join('\n')}`;
+  }
+}
+
+module.exports = new TelegramCommands();
\ No newline at end of file
@@ -0,0 +1,364 @@
+const path = require('path');
+const { config } = require('../../config/config');
+const { logger, logError } = require('../../utils/logger');
+const { serviceManager } = require('../../config/services');
+const { escapeHtml, cleanTitle } = require('../../utils/formatters');
+const { parseDigestSchedule, getLatestDigestSlot } = require('../../utils/dateUtils');
+const { readJson, writeJsonAtomic, withFileLock } = require('../../utils/fileStore');
+const { PARSE_MODES } = require('../../domain/constants/ServiceConstants');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+const quietHours = require('./quietHours');
+
+// 다이제스트 항목 제목 최대 길이 (한 항목이 메시지 한 통을 넘지 않도록)
+const MAX_TITLE_LENGTH = 200;
+
+// 메시지 제목 (정기 다이제스트, 방해 금지 시간에 모은 아티클)
+const DIGEST_TITLE = '📬 <b>RSS 다이제스트</b>';
+const QUIET_HOURS_TITLE = '🌙 <b>방해 금지 시간 동안 도착한 아티클</b>';
+
+/**
+ * 텔레그램 다이제스트
+ * 채팅방 주기가 immediate가 아니면 아티클을 바로 보내지 않고 모았다가,
+ * 전송 시각(daily@HH:MM, weekly@요일@HH:MM)이 지난 뒤 처음 끝나는 실행에서
+ * 카테고리 → 출처별로 묶은 메시지 한 통(길면 4096자 이하 여러 통)으로 전송
+ *
+ * 주기: services.json의 chatDigests[채팅방 ID] → TELEGRAM_DIGEST → immediate
+ * 방해 금지 시간(hold)에 도착한 아티클도 여기에 모았다가, 방해 금지 시간이 끝난 뒤 같은 형식으로 한 번에 전송
+ * 시각은 TZ(config.schedule.timezone) 기준
+ *
+ * 실행 모드별 저장 전략:
+ * - GitHub Actions (CI): .cache 파일에 보관 (실행 간 유지)
+ *   저장할 때 파일 잠금 안에서 다른 프로세스가 저장한 대기 아티클과 합침 (이 프로세스가 보낸 아티클만 제외)
+ * - 그 외: 프로세스 메모리에만 보관 (start:times 등 상주 모드용)
+ */
+class TelegramDigest {
+  constructor(options = {}) {
+    // 채팅방별 대기 아티클과 마지막 전송 시각 ({ [chatId]: { pending, lastDeliveredAt } })
+    this.chats = {};
+    // 마지막 저장 이후 추가한 아티클과 보내서 뺀 아티클 (저장할 때 파일과 합치는 기준)
+    this.addedKeys = new Set();
+    this.removedKeys = new Set();
+    // dry-run 모드 상태
+    this.isDryRun = false;
+    this.storeMode = options.storeMode ?? (process.env.CI === 'true' ? 'file' : 'memory');
+    this.storeFile = path.join(options.cacheDir ?? '.cache', 'rss-telegram-digest.json');
+
+    if (this.storeMode === 'file') {
+      this.load();
+    }
+  }
+
+  /**
+   * 파일에서 대기 아티클 로드
+   */
+  load() {
+    try {
+      this.chats = readJson(this.storeFile, {}).chats ?? {};
+    } catch (error) {
+      logger.warn('텔레그램 다이제스트 파일 로드 실패:', error.message);
+    }
+  }
+
+  /**
+   * Dry-run 모드 설정
+   */
+  setDryRunMode(isDryRun = false) {
+    this.isDryRun = isDryRun;
+  }
+
+  /**
+   * 채팅방 다이제스트 주기
+   */
+  getSchedule(chatId = config.telegram.chatId) {
+    return parseDigestSchedule(serviceManager.chatDigests[chatId] ?? config.telegram.digest);
+  }
+
+  /**
+   * 다이제스트 사용 여부 (immediate가 아닌 경우)
+   */
+  isEnabled(chatId = config.telegram.chatId) {
+    return this.getSchedule(chatId).mode !== 'immediate';
+  }
+
+  /**
+   * 아티클을 다이제스트에 추가 (실제 전송은 flush에서)
+   * @param {Object} article - 아티클 ({ title, url | link })
+   * @param {Object} source - 출처 정보 ({ serviceKey, source, categoryName })
+   * @param {string} chatId - 채팅방 ID
+   * @returns {Object} 전송 결과 대용 ({ digest: true, dry_run })
+   */
+  add(article, source = {}, chatId = config.telegram.chatId) {
+    const chat = this.getChat(chatId);
+    const entry = {
+      title: cleanTitle(article.title || '(제목 없음)'),
+      url: article.url || article.link || '',
+      serviceKey: source.serviceKey ?? null,
+      source: source.source || source.serviceKey || 'RSS',
+      categoryName: source.categoryName || source.category || '기타',
+      queuedAt: new Date().toISOString()
+    };
+
+    chat.pending.push(entry);
+
+    logger.debug('텔레그램 다이제스트에 아티클 추가', { chatId, serviceKey: source.serviceKey, title: article.title });
+
+    // dry-run에서 모은 아티클은 파일에 남기지 않음
+    if (!this.isDryRun) {
+      this.addedKeys.add(this.getEntryKey(chatId, entry));
+      this.save();
+    }
+
+    return { digest: true, dry_run: this.isDryRun };
+  }
+
+  /**
+   * 채팅방 상태 (없으면 생성)
+   */
+  getChat(chatId) {
+    if (!this.chats[chatId]) {
+      this.chats[chatId] = { pending: [], lastDeliveredAt: null };
+    }
+    return this.chats[chatId];
+  }
+
+  /**
+   * 전송 시각이 지났는지 확인
+   * 마지막 전송(처음이면 가장 오래된 대기 아티클) 이후에 전송 시각이 한 번이라도 지났으면 전송
+   * 방해 금지 시간(hold)에는 전송하지 않고, immediate 채팅방은 방해 금지 시간이 끝나면 바로 전송
+   */
+  isDue(chatId, now = new Date()) {
+    const chat = this.chats[chatId];
+    if (!chat || chat.pending.length === 0 || quietHours.shouldHold(chatId, now)) {
+      return false;
+    }
+
+    const schedule = this.getSchedule(chatId);
+    if (schedule.mode === 'immediate') {
+      return true;
+    }
+
+    const since = new Date(chat.lastDeliveredAt ?? chat.pending[0].queuedAt);
+    return getLatestDigestSlot(schedule, now, config.schedule.timezone) > since;
+  }
+
+  /**
+   * 전송 시각이 된 채팅방의 다이제스트 전송
+   * 전송에 실패한 채팅방은 다음 실행에서 다시 시도 (채팅방별 실패는 로그만 남김)
+   * 여러 통 중 일부만 전송됐으면 이미 보낸 메시지의 아티클은 대기 목록에서 빼서 중복 전송하지 않음
+   * 전송하는 동안 추가된 아티클은 대기 목록에 남도록, 보낸 항목만 골라서 제거
+   * @returns {Promise<Array<{ chatId: string, articles: number, messages: number, dryRun?: boolean, sent?: number, error?: string }>>}
+   */
+  async flush(now = new Date()) {
+    const results = [];
+
+    for (const chatId of Object.keys(this.chats).filter(id => this.isDue(id, now))) {
+      const chat = this.chats[chatId];
+      const entries = [...chat.pending];
+      // immediate 채팅방의 대기 아티클은 방해 금지 시간에 모은 것
+      const title = this.getSchedule(chatId).mode === 'immediate' ? QUIET_HOURS_TITLE : DIGEST_TITLE;
+      const messages = this.render(entries, title);
+      const sentEntries = new Set();
+
+      try {
+        for (const message of messages) {
+          await this.send(chatId, message.text);
+          message.entries.forEach(entry => sentEntries.add(entry));
+        }
+
+        this.removeEntries(chatId, sentEntries);
+
+        // dry-run에서는 전송 기록을 남기지 않고 대기 아티클만 비움
+        if (this.isDryRun) {
+          results.push({ chatId, articles: entries.length, messages: messages.length, dryRun: true });
+          continue;
+        }
+
+        chat.lastDeliveredAt = now.toISOString();
+        this.save();
+
+        logger.info('텔레그램 다이제스트 전송 성공', { chatId, articles: entries.length, messages: messages.length });
+        results.push({ chatId, articles: entries.length, messages: messages.length });
+      } catch (error) {
+        if (sentEntries.size > 0 && !this.isDryRun) {
+          this.removeEntries(chatId, sentEntries);
+          this.save();
+        }
+
+        logError(error, { context: '텔레그램 다이제스트 전송 실패', chatId, articles: entries.length, sent: sentEntries.size });
+        results.push({
+          chatId,
+          articles: entries.length,
+          messages: messages.length,
+          sent: sentEntries.size,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 보낸 아티클을 대기 목록에서 제거 (같은 객체만, 파일에서도 지우도록 기록)
+   */
+  removeEntries(chatId, sentEntries) {
+    const chat = this.chats[chatId];
+    chat.pending = chat.pending.filter(entry => !sentEntries.has(entry));
+
+    if (!this.isDryRun) {
+      sentEntries.forEach(entry => this.removedKeys.add(this.getEntryKey(chatId, entry)));
+    }
+  }
+
+  /**
+   * 파일 병합에 쓰는 대기 아티클 식별 키
+   */
+  getEntryKey(chatId, entry) {
+    return `${chatId}|${entry.queuedAt}|${entry.url}`;
+  }
+
+  /**
+   * 카테고리 → 출처 순으로 그룹화 (처음 등장한 순서 유지)
+   */
+  groupEntries(entries) {
+    const categories = new Map();
+
+    entries.forEach(entry => {
+      if (!categories.has(entry.categoryName)) {
+        categories.set(entry.categoryName, new Map());
+      }
+      const sources = categories.get(entry.categoryName);
+      if (!sources.has(entry.source)) {
+        sources.set(entry.source, []);
+      }
+      sources.get(entry.source).push(entry);
+    });
+
+    return [...categories.entries()].map(([category, sources]) => ({
+      category,
+      sources: [...sources.entries()].map(([source, items]) => ({ source, items }))
+    }));
+  }
+
+  /**
+   * 다이제스트 메시지 생성 (HTML)
+   * 항목 단위로 나눠 담으므로 태그가 메시지 경계에서 잘리지 않으며,
+   * 이어지는 메시지에는 카테고리/출처 제목을 "(계속)"과 함께 다시 표시
+   * @param {Array} entries - 대기 아티클
+   * @param {string} title - 메시지 제목 (HTML)
+   * @returns {Array<{ text: string, entries: Object[] }>} 메시지와 담긴 아티클 목록 (각각 config.message.maxLength 이하)
+   */
+  render(entries, title = DIGEST_TITLE) {
+    const maxLength = config.message.maxLength;
+    const date = new Date().toLocaleDateString('ko-KR', { timeZone: config.schedule.timezone });
+    const header = `${title} · ${escapeHtml(date)} · 새 아티클 ${entries.length}건`;
+
+    const messages = [];
+    let current = { text: header, entries: [] };
+
+    // 블록(항목/제목)이 들어가지 않으면 새 메시지를 시작 (continuation이 있으면 그 제목을 먼저 표시)
+    const append = (block, continuation = null, entry = null) => {
+      if (current.text.length + block.length + 1 <= maxLength) {
+        current.text += `\n${block}`;
+      } else {
+        messages.push(current);
+        current = { text: continuation ? `${continuation}\n${block}` : block.trimStart(), entries: [] };
+      }
+
+      if (entry) {
+        current.entries.push(entry);
+      }
+    };
+
+    this.groupEntries(entries).forEach(({ category, sources }) => {
+      const categoryLine = `<b>■ ${escapeHtml(category)}</b>`;
+
+      sources.forEach(({ source, items }, sourceIndex) => {
+        const sourceLine = `[ ${escapeHtml(source)} ]`;
+
+        if (sourceIndex === 0) {
+          append(`\n${categoryLine}\n${sourceLine}`);
+        } else {
+          append(sourceLine, `${categoryLine} (계속)`);
+        }
+        items.forEach(item => append(this.renderItem(item), `${categoryLine} (계속)\n${sourceLine}`, item));
+      });
+    });
+
+    messages.push(current);
+    return messages;
+  }
+
+  /**
+   * 다이제스트 항목 한 줄
+   */
+  renderItem({ title, url }) {
+    const shortTitle = title.length > MAX_TITLE_LENGTH ? `${title.substring(0, MAX_TITLE_LENGTH - 3)}...` : title;
+
+    return url
+      ? `• <a href="${escapeHtml(url)}">${escapeHtml(shortTitle)}</a>`
+      : `• ${escapeHtml(shortTitle)}`;
+  }
+
+  /**
+   * 다이제스트 메시지 한 통 전송 (재시도, 속도 제한, dry-run은 텔레그램 전송 파이프라인에서 처리)
+   * 다이제스트는 TELEGRAM_PARSE_MODE와 관계없이 항상 HTML로 생성
+   */
+  async send(chatId, text) {
+    const [result] = await telegramDelivery.send(text, {
+      chatId,
+      parseMode: PARSE_MODES.HTML,
+      source: 'digest',
+      disableWebPagePreview: true,
+      dryRun: this.isDryRun
+    });
+    return result;
+  }
+
+  /**
+   * 대기 아티클 파일 저장 (file 모드에서만)
+   * 파일 잠금 안에서 파일의 대기 아티클에 이 프로세스의 변경(추가, 보내서 뺀 아티클)만 반영해 저장
+   * (다른 프로세스가 추가한 아티클은 가져오고, 다른 프로세스가 보낸 아티클은 다시 쓰지 않음)
+   * 전송 중인 flush가 같은 객체를 계속 쓰므로 채팅방 상태는 교체하지 않고 그 자리에서 합침
+   */
+  save() {
+    if (this.storeMode !== 'file') {
+      return;
+    }
+
+    try {
+      withFileLock(this.storeFile, () => {
+        const stored = readJson(this.storeFile, {}).chats ?? {};
+
+        new Set([...Object.keys(stored), ...Object.keys(this.chats)]).forEach(chatId => {
+          const chat = this.getChat(chatId);
+          const storedChat = stored[chatId] ?? {};
+          const storedPending = storedChat.pending ?? [];
+          const storedKeys = new Set(storedPending.map(entry => this.getEntryKey(chatId, entry)));
+          const pending = chat.pending.filter(entry => {
+            const key = this.getEntryKey(chatId, entry);
+            return storedKeys.has(key) || this.addedKeys.has(key);
+          });
+          const pendingKeys = new Set(pending.map(entry => this.getEntryKey(chatId, entry)));
+          const added = storedPending.filter(entry => {
+            const key = this.getEntryKey(chatId, entry);
+            return !pendingKeys.has(key) && !this.removedKeys.has(key);
+          });
+
+          chat.pending = [...pending, ...added].sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+          if (storedChat.lastDeliveredAt && !(chat.lastDeliveredAt >= storedChat.lastDeliveredAt)) {
+            chat.lastDeliveredAt = storedChat.lastDeliveredAt;
+          }
+        });
+
+        writeJsonAtomic(this.storeFile, { chats: this.chats });
+        this.addedKeys.clear();
+        this.removedKeys.clear();
+      });
+    } catch (error) {
+      logger.warn('텔레그램 다이제스트 저장 실패:', error.message);
+    }
+  }
+}
+
+module.exports = new TelegramDigest();
\ No newline at end of file
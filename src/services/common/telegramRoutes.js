@@ -0,0 +1,65 @@
+const { config } = require('../../config/config');
+const { logger, logError } = require('../../utils/logger');
+const articleActions = require('./articleActions');
+const telegramCommands = require('./telegramCommands');
+
+class TelegramRoutes {
+  /**
+   * @param {Function} authorize - 요청 인증 함수 (req → boolean, setWebhook의 secret_token 검증)
+   */
+  constructor(authorize = () => false) {
+    this.authorize = authorize;
+  }
+
+  /**
+   * 봇 업데이트 처리 (인라인 버튼 클릭, "/"로 시작하는 봇 명령)
+   * @param {Object} update - 텔레그램 Update
+   * @returns {Promise<boolean>} 처리 여부
+   */
+  async handleUpdate(update) {
+    if (update.callback_query) {
+      return articleActions.handleCallback(update.callback_query);
+    }
+
+    if (update.message?.text?.startsWith('/')) {
+      return telegramCommands.handle(update.message);
+    }
+
+    return false;
+  }
+
+  /**
+   * 봇 업데이트 웹훅 요청 처리
+   * 처리 중 오류가 나도 200으로 응답 (텔레그램이 같은 업데이트를 반복해서 보내지 않도록)
+   */
+  async handleWebhook(req, res) {
+    if (!this.authorize(req)) {
+      logger.warn('텔레그램 봇 업데이트 인증 실패', { ip: req.ip });
+      res.status(401).json({ error: '인증 실패' });
+      return;
+    }
+
+    const update = req.body ?? {};
+
+    try {
+      const handled = await this.handleUpdate(update);
+      if (!handled) {
+        logger.debug('처리하지 않는 텔레그램 업데이트', { updateId: update.update_id, keys: Object.keys(update) });
+      }
+    } catch (error) {
+      logError(error, { context: '텔레그램 봇 업데이트 처리', updateId: update.update_id });
+    }
+
+    res.json({ ok: true });
+  }
+
+  /**
+   * 텔레그램 봇 업데이트 라우트를 Express 앱에 등록
+   */
+  registerRoutes(app) {
+    // 봇 업데이트(버튼 클릭, 명령) 수신: POST /telegram/updates (scripts/bot-manager.js webhook set으로 등록)
+    app.post(config.telegram.updates.path, (req, res) => this.handleWebhook(req, res));
+  }
+}
+
+module.exports = TelegramRoutes;
\ No newline at end of file
@@ -1,17 +1,23 @@
-const { formatMessage, cleanTitle, getServiceNameKo } = require('../../utils/formatters');
+const { cleanTitle, getServiceNameKo } = require('../../utils/formatters');
+const messageTemplates = require('../common/messageTemplates');
 
 class GeekNewsFormatter {
   /**
-   * GeekNews 포스트를 텔레그램 메시지 형식으로 포맷팅
+   * GeekNews 포스트를 텔레그램 메시지 형식으로 포맷팅 (템플릿 설정이 있으면 템플릿 적용)
    */
-  formatPostMessage(post) {
+  formatPostMessage(post, { chatId } = {}) {
     const postInfo = {
         title: cleanTitle(post.title),
         url: post.topicUrl || post.url,
-        source: getServiceNameKo('geeknews')
+        source: getServiceNameKo('geeknews'),
+        time: post.date,
+        description: post.description,
+        author: post.author,
+        tags: post.tags,
+        score: post.score
     };
 
-    return formatMessage(postInfo, getServiceNameKo('geeknews'));
+    return messageTemplates.format(postInfo, 'geeknews', { chatId });
   }
 }
 
@@ -1,14 +1,14 @@
 const GeeknewsArticleService = require('./articleService');
 const createMessenger = require('./messenger');
 const GeekNewsScheduler = require('./scheduler');
-const DailyCache = require('../common/dailyCache');
+const SentHistory = require('../common/sentHistory');
 const { logger, logError } = require('../../utils/logger');
 
 class GeekNewsService {
   constructor(isDryRun = false, options = {}) {
     this.articleService = new GeeknewsArticleService();
     this.messenger = createMessenger(isDryRun);
-    this.cache = new DailyCache('GeekNews', options.cache);
+    this.cache = new SentHistory('GeekNews', options.cache);
     this.scheduler = new GeekNewsScheduler(this.articleService, this.messenger, this.cache);
     this.isDryRun = isDryRun;
   }
@@ -83,12 +83,8 @@ class GeekNewsService {
       for (const post of newPosts) {
         try {
           await this.messenger.sendPost(post);
+          this.cache.markAsSent(post.topicUrl);
           sentPosts.push(post);
-          
-          // 연속 전송 시 딜레이
-          if (newPosts.length > 1) {
-            await this.sleep(1000);
-          }
         } catch (error) {
           logError(error, { 
             context: 'GeekNews 포스트 전송 실패', 
@@ -1,12 +1,15 @@
-const TelegramBot = require('node-telegram-bot-api');
-const { config } = require('../../config/config');
 const { logger, logError } = require('../../utils/logger');
 const articleFormatter = require('./articleFormatter');
+const messageTemplates = require('../common/messageTemplates');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+const articlePreview = require('../common/articlePreview');
 
+/**
+ * GeekNews 메신저
+ * 전송은 텔레그램 전송 파이프라인(telegramDelivery)으로 처리
+ */
 class GeekNewsMessenger {
   constructor(isDryRun = false) {
-    this.bot = null;
-    this.chatId = config.telegram.chatId;
     this.isInitialized = false;
     this.formatter = articleFormatter;
     this.isDryRun = isDryRun;
@@ -16,7 +19,7 @@ class GeekNewsMessenger {
    * 메신저 초기화
    */
   async initialize() {
-    if (this.isDryRun) {
+    if (this.isDryRun || telegramDelivery.isDryRun) {
       logger.info('[DRY RUN] GeekNews 텔레그램 메신저 초기화 시뮬레이션');
       this.isInitialized = true;
       return true;
@@ -25,8 +28,7 @@ class GeekNewsMessenger {
     try {
       logger.info('GeekNews 텔레그램 메신저 초기화 시작');
 
-      this.bot = new TelegramBot(config.telegram.botToken, { polling: false });
-      const botInfo = await this.bot.getMe();
+      const botInfo = await telegramDelivery.call('getMe');
       
       logger.info(`GeekNews 메신저 초기화 성공: @${botInfo.username}`);
       this.isInitialized = true;
@@ -40,33 +42,26 @@ class GeekNewsMessenger {
 
   /**
    * 포스트 메시지 전송
+   * @param {Object} post - 포스트
+   * @param {Object} destination - 전송 대상 ({ chatId, threadId }, 생략하면 TELEGRAM_CHAT_ID의 일반 토픽)
    */
-  async sendPost(post) {
+  async sendPost(post, { chatId, threadId } = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
     try {
-      const formattedMessage = this.formatter.formatPostMessage(post);
-      
-      if (this.isDryRun) {
-        logger.info('[DRY RUN] GeekNews 포스트 전송 시뮬레이션', {
-          title: post.title.substring(0, 50),
-          messageLength: formattedMessage.length
-        });
-        return { message_id: 'dry-run-' + Date.now() };
-      }
-      
-      const result = await this.bot.sendMessage(
-        this.chatId,
-        formattedMessage,
-        {
-          parse_mode: config.message.parseMode,
-          disable_web_page_preview: false
-        }
-      );
+      const enriched = await articlePreview.enrich(post, 'geeknews');
+      const formattedMessage = this.formatter.formatPostMessage(enriched, { chatId });
+      const [result] = await articlePreview.send(formattedMessage, enriched, {
+        serviceKey: 'geeknews',
+        parseMode: messageTemplates.getParseMode('geeknews', chatId),
+        dryRun: this.isDryRun,
+        chatId,
+        threadId
+      });
 
-      logger.info('GeekNews 포스트 전송 성공', {
+      logger.info(`GeekNews 포스트 ${result.dry_run ? '전송 시뮬레이션' : '전송 성공'}`, {
         title: post.title.substring(0, 50),
         messageLength: formattedMessage.length
       });
@@ -88,11 +83,6 @@ class GeekNewsMessenger {
       try {
         const result = await this.sendPost(post);
         results.push(result);
-        
-        // 연속 전송 시 딜레이
-        if (posts.length > 1) {
-          await this.sleep(1000);
-        }
       } catch (error) {
         logError(error, { 
           context: 'GeekNews 포스트 전송 실패', 
@@ -104,20 +94,12 @@ class GeekNewsMessenger {
     return results;
   }
 
-  /**
-   * 대기 함수
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * 메신저 종료
    */
   async shutdown() {
-    if (this.bot && this.isInitialized) {
+    if (this.isInitialized) {
       logger.info('GeekNews 메신저 종료');
-      this.bot = null;
       this.isInitialized = false;
     }
   }
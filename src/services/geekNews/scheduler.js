@@ -1,12 +1,13 @@
 const BaseScheduler = require('../common/baseScheduler');
-const { logger, logError } = require('../../utils/logger');
+const { logger } = require('../../utils/logger');
 
 class GeekNewsScheduler extends BaseScheduler {
   constructor(articleService, messenger, cache) {
     super(articleService, messenger, {
       schedule: process.env.RSS_SCHEDULE_CRON,
       timezone: process.env.TZ || 'Asia/Seoul',
-      domainName: 'GeekNews'
+      domainName: 'GeekNews',
+      serviceKey: 'geeknews'
     });
     this.cache = cache;
   }
@@ -22,7 +23,7 @@ class GeekNewsScheduler extends BaseScheduler {
       limit: 10
     });
 
-    if (posts.length === 0) {
+    if (posts.length === 0 && !this.hasPendingDeliveries()) {
       logger.info(`새로운 ${this.domainName} 포스트가 없습니다`);
       return { success: true, articlesFound: 0, messagesSent: 0 };
     }
@@ -30,45 +31,26 @@ class GeekNewsScheduler extends BaseScheduler {
     // 캐시를 이용한 중복 제거
     const newPosts = this.cache.filterNewPosts(posts, post => post.topicUrl, this.bypassCache);
 
-    if (newPosts.length === 0) {
+    if (newPosts.length === 0 && !this.hasPendingDeliveries()) {
       logger.info('모든 포스트가 이미 전송되었습니다');
       return { success: true, articlesFound: posts.length, messagesSent: 0 };
     }
 
-    // 포스트 전송
-    let successCount = 0;
-    let failCount = 0;
-    
-    for (const post of newPosts) {
-      try {
-        await this.messenger.sendPost(post);
-        
-        // 캐시에 추가
-        this.cache.markAsSent(post.topicUrl, this.bypassCache);
-        
-        successCount++;
-        this.stats.articlesProcessed++;
-        
-        logger.info(`${this.domainName} 포스트 전송 성공: ${post.title}`);
-        
-        // 연속 전송 시 딜레이
-        if (newPosts.length > 1) {
-          await this.sleep(1000);
-        }
-      } catch (error) {
-        failCount++;
-        logError(error, { 
-          context: `${this.domainName} 포스트 전송 실패`, 
-          post: post.title 
-        });
-      }
-    }
+    // 다른 출처와의 중복 제거
+    const uniquePosts = await this.filterCrossSourceDuplicates(newPosts, post => post.url || post.topicUrl, post => post.topicUrl);
+
+    // 전송 대기열을 거쳐 전송 (실패한 포스트는 다음 실행에서 다시 전송)
+    const { messagesSent, failed } = await this.deliverArticles(uniquePosts, {
+      getUrl: post => post.topicUrl,
+      getClaimUrl: post => post.url || post.topicUrl,
+      sendTelegram: (item, destination) => this.messenger.sendPost(item, destination)
+    });
 
     return {
       success: true,
       articlesFound: posts.length,
-      messagesSent: successCount,
-      failed: failCount
+      messagesSent,
+      failed
     };
   }
 
@@ -0,0 +1,42 @@
+const { cleanTitle, getServiceNameKo } = require('../../utils/formatters');
+const messageTemplates = require('../common/messageTemplates');
+
+/**
+ * 설정 기반 범용 아티클 포맷터
+ * messageTemplate(또는 generic.messageTemplate)이 있으면 템플릿으로, 없으면 표준 포맷으로 메시지 생성
+ */
+class GenericFormatter {
+  /**
+   * @param {Object} serviceConfig - services.json 서비스 항목
+   */
+  constructor(serviceConfig) {
+    const { generic = {} } = serviceConfig;
+    const mappedName = getServiceNameKo(serviceConfig.key);
+
+    // formatters.js에 매핑된 이름이 있으면 우선 사용
+    this.sourceName = mappedName !== serviceConfig.key
+      ? mappedName
+      : generic.sourceName || serviceConfig.nameKo || serviceConfig.name;
+    this.serviceKey = serviceConfig.key;
+  }
+
+  /**
+   * 아티클을 표준 포맷으로 변환 후 포맷팅
+   */
+  formatArticleMessage(article, { chatId } = {}) {
+    const standardPost = {
+      title: cleanTitle(article.title),
+      url: article.url,
+      source: this.sourceName,
+      time: article.date,
+      description: article.description,
+      author: article.author,
+      tags: article.tags,
+      score: article.score
+    };
+
+    return messageTemplates.format(standardPost, this.serviceKey, { chatId });
+  }
+}
+
+module.exports = GenericFormatter;
\ No newline at end of file
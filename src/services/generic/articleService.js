@@ -0,0 +1,58 @@
+const BaseArticleService = require('../common/baseArticleService');
+const GenericRssParser = require('./rssParser');
+
+/**
+ * 설정 기반 범용 아티클 서비스
+ * BaseArticleService를 상속받아 generic.filter 설정에 따른 추가 필터링 적용
+ */
+class GenericArticleService extends BaseArticleService {
+  /**
+   * @param {Object} serviceConfig - services.json 서비스 항목
+   */
+  constructor(serviceConfig) {
+    const rssParser = new GenericRssParser(serviceConfig);
+    super(rssParser, rssParser.serviceName);
+
+    const { filter = {} } = serviceConfig.generic ?? {};
+    this.relevantOnly = filter.relevantOnly ?? false;
+    this.keywords = (filter.keywords ?? []).map(keyword => keyword.toLowerCase());
+  }
+
+  /**
+   * 최근 아티클 가져오기 (당일, 필터 설정 적용)
+   */
+  async getRecentArticles() {
+    const articles = await super.getRecentArticles();
+    return this.applyFilter(articles);
+  }
+
+  /**
+   * 특정 개수만큼 최신 아티클 가져오기 (필터 설정 적용)
+   */
+  async getLatestArticles(count = 5) {
+    const articles = await super.getLatestArticles(count);
+    return this.applyFilter(articles);
+  }
+
+  /**
+   * generic.filter 설정에 따른 아티클 필터링
+   * - relevantOnly: 컨텐츠 필터가 관련 있다고 판단한 아티클만 허용
+   * - keywords: 제목/설명에 키워드가 하나라도 포함된 아티클만 허용
+   */
+  applyFilter(articles) {
+    return articles.filter(article => {
+      if (this.relevantOnly && !article.isRelevant) {
+        return false;
+      }
+
+      if (this.keywords.length > 0) {
+        const text = `${article.title} ${article.description}`.toLowerCase();
+        return this.keywords.some(keyword => text.includes(keyword));
+      }
+
+      return true;
+    });
+  }
+}
+
+module.exports = GenericArticleService;
\ No newline at end of file
@@ -1,18 +1,35 @@
-const BanksaladArticleService = require('./articleService');
-const BanksaladScheduler = require('./scheduler');
-const BanksaladMessenger = require('./messenger');
-const BanksaladFormatter = require('./articleFormatter');
-const BanksaladRssParser = require('./rssParser');
-const DailyCache = require('../common/dailyCache');
+const GenericArticleService = require('./articleService');
+const GenericScheduler = require('./scheduler');
+const GenericMessenger = require('./messenger');
+const GenericFormatter = require('./articleFormatter');
+const SentHistory = require('../common/sentHistory');
+
+/**
+ * 설정 기반 범용 RSS 서비스
+ * 
+ * services.json에 generic 블록이 있는 서비스는 별도 폴더 없이
+ * 이 클래스 하나로 파싱, 필터링, 포맷팅, 전송, 스케줄링을 수행
+ */
+class GenericRssService {
+  /**
+   * @param {Object} serviceConfig - services.json 서비스 항목
+   * @param {Object} options - 서비스 옵션 ({ isDryRun, cache })
+   */
+  constructor(serviceConfig, options = {}) {
+    this.serviceConfig = serviceConfig;
 
-class Banksalad {
-  constructor(options = {}) {
     // 각 컴포넌트 초기화
-    this.articleService = new BanksaladArticleService();
-    this.messenger = new BanksaladMessenger();
-    this.cache = new DailyCache('뱅크샐러드', options.cache);
-    this.scheduler = new BanksaladScheduler(this.articleService, this.messenger, this.cache);
-    this.formatter = BanksaladFormatter;
+    this.formatter = new GenericFormatter(serviceConfig);
+    this.articleService = new GenericArticleService(serviceConfig);
+    this.messenger = new GenericMessenger(this.formatter, options.isDryRun);
+    this.cache = new SentHistory(this.formatter.sourceName, options.cache);
+    this.scheduler = new GenericScheduler(
+      this.articleService,
+      this.messenger,
+      this.cache,
+      this.formatter.sourceName,
+      serviceConfig.key
+    );
   }
 
   /**
@@ -80,5 +97,4 @@ class Banksalad {
   }
 }
 
-// 싱글톤 인스턴스 생성 및 내보내기
-module.exports = Banksalad;
\ No newline at end of file
+module.exports = GenericRssService;
\ No newline at end of file
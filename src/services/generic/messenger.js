@@ -0,0 +1,56 @@
+const { config } = require('../../config/config');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+const messageTemplates = require('../common/messageTemplates');
+const articlePreview = require('../common/articlePreview');
+
+/**
+ * 설정 기반 범용 메신저
+ * 주입된 포맷터로 메시지를 만들어 텔레그램 전송 파이프라인(telegramDelivery)으로 전송
+ */
+class GenericMessenger {
+  /**
+   * @param {GenericFormatter} formatter - 서비스별 포맷터 인스턴스
+   * @param {boolean} isDryRun - 드라이 런 모드 여부
+   */
+  constructor(formatter, isDryRun = false) {
+    this.formatter = formatter;
+    this.isDryRun = isDryRun;
+  }
+
+  /**
+   * 아티클을 텔레그램으로 전송 (서비스의 미리보기 방식 적용)
+   * @param {Object} article - 아티클
+   * @param {Object} destination - 전송 대상 ({ chatId, threadId }, 생략하면 TELEGRAM_CHAT_ID의 일반 토픽)
+   */
+  async sendArticle(article, { chatId, threadId } = {}) {
+    const { serviceKey } = this.formatter;
+    const enriched = await articlePreview.enrich(article, serviceKey);
+    const message = this.formatter.formatArticleMessage(enriched, { chatId });
+    const [result] = await articlePreview.send(message, enriched, {
+      serviceKey,
+      parseMode: messageTemplates.getParseMode(serviceKey, chatId),
+      dryRun: this.isDryRun,
+      chatId,
+      threadId
+    });
+    return result;
+  }
+
+  /**
+   * 텔레그램 전송 파이프라인으로 메시지 전송
+   * 분할, 속도 제한, 재시도, dry-run은 파이프라인에서 처리
+   * @param {Object} destination - 전송 대상 ({ chatId, threadId }, 생략하면 TELEGRAM_CHAT_ID의 일반 토픽)
+   */
+  async sendDirectMessage(text, parseMode = config.message.parseMode, { chatId, threadId } = {}) {
+    const [result] = await telegramDelivery.send(text, {
+      chatId,
+      threadId,
+      parseMode,
+      source: this.formatter.serviceKey,
+      dryRun: this.isDryRun
+    });
+    return result;
+  }
+}
+
+module.exports = GenericMessenger;
\ No newline at end of file
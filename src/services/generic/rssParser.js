@@ -0,0 +1,73 @@
+const BaseRssParser = require('../common/baseRssParser');
+const AdvancedContentFilter = require('../common/advancedContentFilter');
+
+/**
+ * 설정 기반 범용 RSS 파서
+ * services.json의 generic 설정만으로 피드 파싱과 아티클 정규화를 수행
+ */
+class GenericRssParser extends BaseRssParser {
+  /**
+   * @param {Object} serviceConfig - services.json 서비스 항목
+   */
+  constructor(serviceConfig) {
+    const { generic = {} } = serviceConfig;
+    const sourceName = generic.sourceName || serviceConfig.nameKo || serviceConfig.name;
+
+    super(serviceConfig.feedUrl, sourceName, serviceConfig.key, {
+      headers: serviceConfig.headers
+    });
+
+    this.sourceUrl = serviceConfig.url;
+    this.categoryRules = {
+      category: 'Tech',
+      baseTags: [serviceConfig.key],
+      tagKeywords: [],
+      ...generic.categoryRules
+    };
+
+    // 고도화된 컨텐츠 필터 초기화 (lenient 설정 시 관대한 필터링 적용)
+    const filterSettings = generic.filter ?? {};
+    this.contentFilter = new AdvancedContentFilter({
+      source: serviceConfig.key,
+      lenientSources: filterSettings.lenient ? [serviceConfig.key] : [],
+      profile: serviceConfig.filterProfile
+    });
+  }
+
+  /**
+   * 아티클 데이터 정규화 (고도화된 필터링 적용)
+   */
+  normalizeArticle(article) {
+    const processed = this.contentFilter.processArticle(article);
+
+    return {
+      ...processed,
+      author: article.creator || article['dc:creator'] || this.serviceName,
+      category: this.categoryRules.category,
+      tags: this.extractTags(article),
+      source: this.serviceName,
+      sourceUrl: this.sourceUrl,
+      isFrontendRelated: processed.isRelevant
+    };
+  }
+
+  /**
+   * 카테고리 규칙에 따라 아티클 태그 추출
+   */
+  extractTags(article) {
+    const tags = [...this.categoryRules.baseTags];
+
+    // 제목에서 키워드 추출
+    const title = (article.title || '').toLowerCase();
+
+    this.categoryRules.tagKeywords.forEach(keyword => {
+      if (title.includes(keyword) && !tags.includes(keyword)) {
+        tags.push(keyword);
+      }
+    });
+
+    return tags;
+  }
+}
+
+module.exports = GenericRssParser;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const BaseScheduler = require('../common/baseScheduler');
+
+/**
+ * 설정 기반 범용 스케줄러
+ * 아티클 체크는 BaseScheduler의 기본 구현(executeArticleCheck) 사용
+ */
+class GenericScheduler extends BaseScheduler {
+  constructor(articleService, messenger, cache, domainName, serviceKey) {
+    super(articleService, messenger, {
+      schedule: process.env.RSS_SCHEDULE_CRON,
+      timezone: process.env.TZ || 'Asia/Seoul',
+      domainName,
+      serviceKey
+    });
+    this.cache = cache;
+  }
+}
+
+module.exports = GenericScheduler;
\ No newline at end of file
@@ -130,7 +130,7 @@ class KofeArticleService {
    */
   async getLatestArticles(count = 5) {
     try {
-      const feed = await this.rssParser.parseFeed();
+      const feed = await this.rssParser.parseFeed({ conditional: false });
       
       // 당일 자정 계산 (한국 시간 기준)
       const today = new Date();
@@ -3,14 +3,14 @@ const KofeArticleScheduler = require('./scheduler');
 const KofeArticleMessenger = require('./messenger');
 const KofeArticleFormatter = require('./articleFormatter');
 const KofeRssParser = require('./rssParser');
-const DailyCache = require('../common/dailyCache');
+const SentHistory = require('../common/sentHistory');
 
 class KofeArticle {
   constructor(options = {}) {
     // 각 컴포넌트 초기화
     this.articleService = new KofeArticleService();
     this.messenger = new KofeArticleMessenger();
-    this.cache = new DailyCache('Korean FE Article', options.cache);
+    this.cache = new SentHistory('Korean FE Article', options.cache);
     this.scheduler = new KofeArticleScheduler(this.articleService, this.messenger, this.cache);
     this.formatter = KofeArticleFormatter;
   }
@@ -2,6 +2,7 @@ const axios = require('axios');
 const RSSParser = require('rss-parser');
 const { logger, logError } = require('../../utils/logger');
 const { getGlobalFilterDays, getKoreaDaysAgoStart } = require('../../utils/dateUtils');
+const feedFetcher = require('../common/feedFetcher');
 
 /**
  * Naver FE News 아티클 서비스
@@ -30,7 +31,11 @@ class NaverFENewsArticleService {
 
     try {
       // GitHub 커밋 피드 파싱
-      const feed = await this.parser.parseURL(this.feedUrl);
+      const feed = await feedFetcher.fetch(this.parser, this.feedUrl);
+
+      if (feed.notModified) {
+        return [];
+      }
       
       if (!feed.items || feed.items.length === 0) {
         logger.info('FE News 피드에 항목이 없습니다');
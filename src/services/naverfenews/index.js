@@ -1,14 +1,14 @@
 const NaverFENewsArticleService = require('./articleService');
 const createMessenger = require('./messenger');
 const NaverFENewsScheduler = require('./scheduler');
-const DailyCache = require('../common/dailyCache');
+const SentHistory = require('../common/sentHistory');
 const { logger, logError } = require('../../utils/logger');
 
 class NaverFENewsService {
   constructor(isDryRun = false, options = {}) {
     this.articleService = new NaverFENewsArticleService();
     this.messenger = createMessenger(isDryRun);
-    this.cache = new DailyCache('NaverFENews', options.cache);
+    this.cache = new SentHistory('NaverFENews', options.cache);
     this.scheduler = new NaverFENewsScheduler(this.articleService, this.messenger, this.cache);
     this.isDryRun = isDryRun;
   }
@@ -80,12 +80,8 @@ class NaverFENewsService {
       for (const update of newUpdates) {
         try {
           await this.messenger.sendUpdate(update);
+          this.cache.markAsSent(update.url);
           sentUpdates.push(update);
-          
-          // 연속 전송 시 딜레이
-          if (newUpdates.length > 1) {
-            await this.sleep(1000);
-          }
         } catch (error) {
           logError(error, { 
             context: 'Naver FE News 업데이트 전송 실패', 
@@ -1,6 +1,6 @@
-const telegramService = require('../../infrastructure/telegram');
-const { logger } = require('../../utils/logger');
-const { formatMessage, getServiceNameKo } = require('../../utils/formatters');
+const articlePreview = require('../common/articlePreview');
+const { getServiceNameKo } = require('../../utils/formatters');
+const messageTemplates = require('../common/messageTemplates');
 
 /**
  * Naver FE News 메신저 생성 함수
@@ -9,35 +9,37 @@ function createMessenger(isDryRun = false) {
   return {
     /**
      * Naver FE News 업데이트 메시지 전송
+     * @param {Object} update - 업데이트
+     * @param {Object} destination - 전송 대상 ({ chatId, threadId }, 생략하면 TELEGRAM_CHAT_ID의 일반 토픽)
      */
-    async sendUpdate(update) {
-      const message = this.formatMessage(update);
+    async sendUpdate(update, { chatId, threadId } = {}) {
+      const enriched = await articlePreview.enrich(update, 'naverfenews');
+      const message = this.formatMessage(enriched, { chatId });
       
-      if (isDryRun) {
-        logger.info('[DRY RUN] Naver FE News 메시지:', message);
-        return true;
-      }
-      
-      // 텔레그램 서비스 초기화 보장
-      if (!telegramService.isInitialized) {
-        await telegramService.initialize();
-      }
-      
-      return telegramService.sendMessage(message);
+      return articlePreview.send(message, enriched, {
+        serviceKey: 'naverfenews',
+        parseMode: messageTemplates.getParseMode('naverfenews', chatId),
+        disableWebPagePreview: true,
+        dryRun: isDryRun,
+        chatId,
+        threadId
+      });
     },
 
     /**
      * 메시지 포맷팅 (표준 형식 사용)
      */
-    formatMessage(update) {
+    formatMessage(update, { chatId } = {}) {
       // 표준 포맷터를 사용하여 다른 서비스와 통일된 형식으로 메시지 생성
       const article = {
         title: update.title,
-        url: update.url
+        url: update.url,
+        source: getServiceNameKo('naverfenews'),
+        time: update.date,
+        description: update.description
       };
       
-      const serviceName = getServiceNameKo('naverfenews');
-      return formatMessage(article, serviceName);
+      return messageTemplates.format(article, 'naverfenews', { chatId });
     }
   };
 }
@@ -6,7 +6,8 @@ class NaverFENewsScheduler extends BaseScheduler {
     super(articleService, messenger, {
       schedule: process.env.RSS_SCHEDULE_CRON,
       timezone: process.env.TZ || 'Asia/Seoul',
-      domainName: 'Naver FE News'
+      domainName: 'Naver FE News',
+      serviceKey: 'naverfenews'
     });
     this.cache = cache;
   }
@@ -21,7 +22,7 @@ class NaverFENewsScheduler extends BaseScheduler {
       limit: 10
     });
 
-    if (articles.length === 0) {
+    if (articles.length === 0 && !this.hasPendingDeliveries()) {
       logger.info(`새로운 ${this.domainName} 업데이트가 없습니다`);
       return { success: true, articlesFound: 0, messagesSent: 0 };
     }
@@ -29,35 +30,20 @@ class NaverFENewsScheduler extends BaseScheduler {
     // 캐시를 이용한 중복 제거
     const newArticles = this.cache.filterNewPosts(articles, article => article.url, this.bypassCache);
 
-    if (newArticles.length === 0) {
+    if (newArticles.length === 0 && !this.hasPendingDeliveries()) {
       logger.info(`모든 ${this.domainName} 업데이트가 이미 전송되었습니다`);
       return { success: true, articlesFound: articles.length, messagesSent: 0 };
     }
 
     logger.info(`${this.domainName}: ${newArticles.length}개의 새로운 업데이트를 전송합니다`);
 
-    // 각 아티클 전송
-    let sentCount = 0;
-    for (const article of newArticles) {
-      try {
-        await this.messenger.sendUpdate(article);
-        sentCount++;
-        logger.info(`${this.domainName} 업데이트 전송 성공: ${article.title}`);
-        
-        // 연속 전송 시 딜레이 (1초)
-        if (newArticles.length > 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      } catch (error) {
-        logError(error, {
-          context: `${this.domainName} 업데이트 전송 실패`,
-          article: article.title
-        });
-      }
-    }
+    // 전송 대기열을 거쳐 전송 (실패한 업데이트는 다음 실행에서 다시 전송)
+    const { messagesSent, failed } = await this.deliverArticles(newArticles, {
+      sendTelegram: (item, destination) => this.messenger.sendUpdate(item, destination)
+    });
 
-    logger.info(`${this.domainName}: ${articles.length}개 업데이트 중 ${sentCount}개 전송 완료`);
-    return { success: true, articlesFound: articles.length, messagesSent: sentCount };
+    logger.info(`${this.domainName}: ${articles.length}개 업데이트 중 ${messagesSent}개 전송 완료`);
+    return { success: true, articlesFound: articles.length, messagesSent, failed };
   }
 
   /**
@@ -80,6 +66,7 @@ class NaverFENewsScheduler extends BaseScheduler {
         
         if (newUpdates.length > 0) {
           await this.messenger.sendUpdate(newUpdates[0]);
+          this.cache.markAsSent(newUpdates[0].url, bypassCache);
           logger.info(`${this.domainName} 테스트 업데이트 전송 완료`);
           return { success: true, articlesFound: 1, messagesSent: 1 };
         }
@@ -3,14 +3,14 @@ const TossScheduler = require('./scheduler');
 const TossMessenger = require('./messenger');
 const TossFormatter = require('./articleFormatter');
 const TossRssParser = require('./rssParser');
-const DailyCache = require('../common/dailyCache');
+const SentHistory = require('../common/sentHistory');
 
 class Toss {
   constructor(options = {}) {
     // 각 컴포넌트 초기화
     this.articleService = new TossArticleService();
     this.messenger = new TossMessenger();
-    this.cache = new DailyCache('Toss Tech', options.cache);
+    this.cache = new SentHistory('Toss Tech', options.cache);
     this.scheduler = new TossScheduler(this.articleService, this.messenger, this.cache);
     this.formatter = TossFormatter;
   }
@@ -1,86 +1,39 @@
-const axios = require('axios');
 const { config } = require('../../config/config');
-const { logger, logError } = require('../../utils/logger');
+const telegramDelivery = require('../../infrastructure/telegramDelivery');
+const messageTemplates = require('../common/messageTemplates');
+const articlePreview = require('../common/articlePreview');
 const TossFormatter = require('./articleFormatter');
 
 class TossMessenger {
   constructor() {
     this.formatter = TossFormatter;
-    this.botToken = config.telegram.botToken;
-    this.chatId = config.telegram.chatId;
-    this.retryConfig = config.retry;
   }
 
   /**
-   * 아티클을 텔레그램으로 전송
+   * 아티클을 텔레그램으로 전송 (서비스의 미리보기 방식 적용)
+   * @param {Object} article - 아티클
+   * @param {Object} destination - 전송 대상 ({ chatId, threadId }, 생략하면 TELEGRAM_CHAT_ID의 일반 토픽)
    */
-  async sendArticle(article) {
-    const message = this.formatter.formatArticleMessage(article);
-    return await this.sendDirectMessage(message);
-  }
-
-  /**
-   * 텔레그램 API를 직접 호출하여 메시지 전송
-   */
-  async sendDirectMessage(text) {
-    const url = `https://api.telegram.org/bot${this.botToken}/sendmessage`;
-    
-    const params = {
-      chat_id: this.chatId,
-      text: text,
-      parse_mode: 'HTML',
-      disable_web_page_preview: false
-    };
-
-    let lastError;
-    
-    for (let attempt = 1; attempt <= this.retryConfig.maxAttempts; attempt++) {
-      try {
-        logger.info('텔레그램 직접 메시지 전송 시도', {
-          attempt,
-          maxAttempts: this.retryConfig.maxAttempts
-        });
-
-        const response = await axios.post(url, params, {
-          timeout: 10000,
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
-
-        if (response.data.ok) {
-          logger.info('텔레그램 메시지 전송 성공');
-          return response.data.result;
-        } else {
-          throw new Error(`텔레그램 API 오류: ${response.data.description}`);
-        }
-
-      } catch (error) {
-        lastError = error;
-        
-        if (attempt < this.retryConfig.maxAttempts) {
-          const delay = this.retryConfig.delay * Math.pow(2, attempt - 1);
-          logger.warn(`텔레그램 전송 실패, ${delay}ms 후 재시도 (${attempt}/${this.retryConfig.maxAttempts})`, {
-            error: error.message
-          });
-          await this.sleep(delay);
-        }
-      }
-    }
-
-    // 모든 재시도 실패
-    logError(lastError, { 
-      context: '텔레그램 메시지 전송 최종 실패',
-      attempts: this.retryConfig.maxAttempts
+  async sendArticle(article, { chatId, threadId } = {}) {
+    const enriched = await articlePreview.enrich(article, 'toss');
+    const message = this.formatter.formatArticleMessage(enriched, { chatId });
+    const [result] = await articlePreview.send(message, enriched, {
+      serviceKey: 'toss',
+      parseMode: messageTemplates.getParseMode('toss', chatId),
+      chatId,
+      threadId
     });
-    throw lastError;
+    return result;
   }
 
   /**
-   * 대기 함수
+   * 텔레그램 전송 파이프라인(telegramDelivery)으로 메시지 전송
+   * 분할, 속도 제한, 재시도, dry-run은 파이프라인에서 처리
+   * @param {Object} destination - 전송 대상 ({ chatId, threadId }, 생략하면 TELEGRAM_CHAT_ID의 일반 토픽)
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async sendDirectMessage(text, parseMode = config.message.parseMode, { chatId, threadId } = {}) {
+    const [result] = await telegramDelivery.send(text, { chatId, threadId, parseMode, source: 'toss' });
+    return result;
   }
 }
 
@@ -2,13 +2,15 @@ const RSSParser = require('rss-parser');
 const { logger, logError } = require('../../utils/logger');
 const { getServiceByKey } = require('../../config/services');
 const AdvancedContentFilter = require('../common/advancedContentFilter');
+const feedFetcher = require('../common/feedFetcher');
 
 class TossRssParser {
   constructor() {
     // 고도화된 컨텐츠 필터 초기화 (Toss는 관대한 필터링 적용)
     this.contentFilter = new AdvancedContentFilter({
       source: 'toss',
-      lenientSources: ['toss', 'kofeArticle']
+      lenientSources: ['toss', 'kofeArticle'],
+      profile: getServiceByKey('toss')?.filterProfile
     });
     
     // RSS 파서 초기화
@@ -37,13 +39,17 @@ class TossRssParser {
   /**
    * RSS 피드 파싱
    */
-  async parseFeed() {
+  async parseFeed(options = {}) {
     try {
       logger.info('Toss RSS 피드 확인 시작', {
         feedUrl: this.feedUrl
       });
 
-      const feed = await this.parser.parseURL(this.feedUrl);
+      const feed = await feedFetcher.fetch(this.parser, this.feedUrl, options);
+
+      if (feed.notModified) {
+        return { notModified: true, items: [] };
+      }
       
       logger.info(`RSS 피드 파싱 완료: ${feed.items.length}개 아티클 발견`);
       
@@ -70,7 +76,7 @@ class TossRssParser {
     const startTime = Date.now();
     
     try {
-      const feed = await this.parseFeed();
+      const feed = await this.parseFeed({ conditional: false });
       const responseTime = Date.now() - startTime;
       
       const result = {
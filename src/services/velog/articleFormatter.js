@@ -1,18 +1,23 @@
-const { formatMessage, cleanTitle, getServiceNameKo } = require('../../utils/formatters');
+const { cleanTitle, getServiceNameKo } = require('../../utils/formatters');
+const messageTemplates = require('../common/messageTemplates');
 
 class VelogFormatter {
   /**
-   * Velog 아티클을 표준 포맷으로 변환 후 포맷팅
+   * Velog 아티클을 표준 포맷으로 변환 후 포맷팅 (템플릿 설정이 있으면 템플릿 적용)
    */
-  formatArticleMessage(article) {
+  formatArticleMessage(article, { chatId } = {}) {
     const standardPost = {
       title: cleanTitle(article.title),
       url: article.url,
       source: getServiceNameKo('velog'),
-      time: article.date
+      time: article.date,
+      description: article.description,
+      author: article.author,
+      tags: article.tags,
+      score: article.score
     };
     
-    return formatMessage(standardPost, getServiceNameKo('velog'));
+    return messageTemplates.format(standardPost, 'velog', { chatId });
   }
 
 
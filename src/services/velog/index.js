@@ -3,14 +3,14 @@ const VelogScheduler = require('./scheduler');
 const VelogMessenger = require('./messenger');
 const VelogFormatter = require('./articleFormatter');
 const VelogRssParser = require('./rssParser');
-const DailyCache = require('../common/dailyCache');
+const SentHistory = require('../common/sentHistory');
 
 class Velog {
   constructor(options = {}) {
     // 각 컴포넌트 초기화
     this.articleService = new VelogArticleService();
     this.messenger = new VelogMessenger();
-    this.cache = new DailyCache('Velog', options.cache);
+    this.cache = new SentHistory('Velog', options.cache);
     this.scheduler = new VelogScheduler(this.articleService, this.messenger, this.cache);
     this.formatter = VelogFormatter;
   }
@@ -2,11 +2,15 @@ const RSSParser = require('rss-parser');
 const { logger, logError } = require('../../utils/logger');
 const { getServiceByKey } = require('../../config/services');
 const AdvancedContentFilter = require('../common/advancedContentFilter');
+const feedFetcher = require('../common/feedFetcher');
 
 class VelogRssParser {
   constructor() {
     // 고도화된 컨텐츠 필터 초기화
-    this.contentFilter = new AdvancedContentFilter();
+    this.contentFilter = new AdvancedContentFilter({
+      source: 'velog',
+      profile: getServiceByKey('velog')?.filterProfile
+    });
     
     // RSS 파서 초기화
     this.parser = new RSSParser({
@@ -34,13 +38,17 @@ class VelogRssParser {
   /**
    * RSS 피드 파싱
    */
-  async parseFeed() {
+  async parseFeed(options = {}) {
     try {
       logger.info('Velog RSS 피드 확인 시작', {
         feedUrl: this.feedUrl
       });
 
-      const feed = await this.parser.parseURL(this.feedUrl);
+      const feed = await feedFetcher.fetch(this.parser, this.feedUrl, options);
+
+      if (feed.notModified) {
+        return { notModified: true, items: [] };
+      }
       
       logger.info(`RSS 피드 파싱 완료: ${feed.items.length}개 아티클 발견`);
       
@@ -67,7 +75,7 @@ class VelogRssParser {
     const startTime = Date.now();
     
     try {
-      const feed = await this.parseFeed();
+      const feed = await this.parseFeed({ conditional: false });
       const responseTime = Date.now() - startTime;
       
       const result = {
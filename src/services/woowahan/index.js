@@ -3,14 +3,14 @@ const WoowahanScheduler = require('./scheduler');
 const WoowahanMessenger = require('./messenger');
 const WoowahanFormatter = require('./articleFormatter');
 const WoowahanRssParser = require('./rssParser');
-const DailyCache = require('../common/dailyCache');
+const SentHistory = require('../common/sentHistory');
 
 class Woowahan {
   constructor(options = {}) {
     // 각 컴포넌트 초기화
     this.articleService = new WoowahanArticleService();
     this.messenger = new WoowahanMessenger();
-    this.cache = new DailyCache('우아한 형제들', options.cache);
+    this.cache = new SentHistory('우아한 형제들', options.cache);
     this.scheduler = new WoowahanScheduler(this.articleService, this.messenger, this.cache);
     this.formatter = WoowahanFormatter;
   }
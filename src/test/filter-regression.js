@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * 컨텐츠 필터 회귀 테스트
+ *
+ * src/test/filterCorpus/<프로필>.json의 라벨된 피드 아이템을 네트워크 없이 필터에 통과시켜
+ * 정밀도(precision), 재현율(recall)과 직전 실행 대비 판정이 바뀐 아이템을 보고
+ * 결과는 filterCorpus/snapshots/<프로필>.json에 저장되므로, 키워드/가중치 변경 시
+ * 스냅샷 diff를 코드처럼 리뷰할 수 있음
+ *
+ * 사용법:
+ * node src/test/filter-regression.js                 # 모든 코퍼스 실행 후 스냅샷 갱신
+ * node src/test/filter-regression.js frontend        # 특정 프로필만 실행
+ * node src/test/filter-regression.js --check         # 스냅샷 갱신 없이 비교 (판정 변경 시 실패, CI용)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AdvancedContentFilter = require('../services/common/advancedContentFilter');
+const { filterProfiles } = require('../config/filterProfiles');
+const { readJson, writeJsonAtomic } = require('../utils/fileStore');
+
+const CORPUS_DIR = path.join(__dirname, 'filterCorpus');
+const SNAPSHOT_DIR = path.join(CORPUS_DIR, 'snapshots');
+const LABELS = ['relevant', 'not_relevant'];
+
+/**
+ * 코퍼스 파일 로드 및 검증
+ */
+function loadCorpus(profileName) {
+  const corpus = readJson(path.join(CORPUS_DIR, `${profileName}.json`));
+  if (!corpus || !Array.isArray(corpus.items)) {
+    throw new Error(`코퍼스 형식 오류: ${profileName}.json에 items 배열이 필요합니다`);
+  }
+
+  const ids = new Set();
+  corpus.items.forEach((entry, index) => {
+    if (!entry.id || ids.has(entry.id)) {
+      throw new Error(`코퍼스 형식 오류: ${profileName}.json items[${index}]의 id가 없거나 중복됩니다`);
+    }
+    if (!LABELS.includes(entry.label)) {
+      throw new Error(`코퍼스 형식 오류: ${entry.id}의 label은 ${LABELS.join(' | ')} 중 하나여야 합니다`);
+    }
+    ids.add(entry.id);
+  });
+
+  return corpus;
+}
+
+/**
+ * 코퍼스 아이템 판정 (아이템별 source/lenient 설정 반영)
+ */
+function evaluateCorpus(profileName, corpus) {
+  const filters = new Map();
+
+  return corpus.items.map(entry => {
+    const filterKey = `${entry.source ?? ''}:${!!entry.lenient}`;
+    if (!filters.has(filterKey)) {
+      filters.set(filterKey, new AdvancedContentFilter({
+        source: entry.source,
+        lenientSources: entry.lenient ? [entry.source] : [],
+        profile: profileName
+      }));
+    }
+
+    const explanation = filters.get(filterKey).explain(entry.item);
+
+    return {
+      id: entry.id,
+      label: entry.label,
+      isRelevant: explanation.isRelevant,
+      score: Number(explanation.score.toFixed(3)),
+      decision: explanation.decision
+    };
+  });
+}
+
+/**
+ * 정밀도 / 재현율 계산 ("relevant"를 양성으로 간주)
+ */
+function calculateMetrics(results) {
+  const counts = { truePositive: 0, falsePositive: 0, falseNegative: 0, trueNegative: 0 };
+
+  results.forEach(({ label, isRelevant }) => {
+    const expected = label === 'relevant';
+    if (expected && isRelevant) counts.truePositive++;
+    else if (!expected && isRelevant) counts.falsePositive++;
+    else if (expected && !isRelevant) counts.falseNegative++;
+    else counts.trueNegative++;
+  });
+
+  const ratio = (numerator, denominator) => denominator > 0 ? Number((numerator / denominator).toFixed(3)) : null;
+
+  return {
+    ...counts,
+    precision: ratio(counts.truePositive, counts.truePositive + counts.falsePositive),
+    recall: ratio(counts.truePositive, counts.truePositive + counts.falseNegative)
+  };
+}
+
+/**
+ * 직전 스냅샷과 비교해 판정이 바뀐 아이템 추출
+ */
+function diffWithSnapshot(results, snapshot) {
+  const previous = snapshot?.decisions ?? {};
+  const current = Object.fromEntries(results.map(result => [result.id, result]));
+
+  const flipped = results
+    .filter(result => previous[result.id] && previous[result.id].isRelevant !== result.isRelevant)
+    .map(result => ({
+      ...result,
+      previousScore: previous[result.id].score,
+      previousDecision: previous[result.id].decision
+    }));
+
+  return {
+    flipped,
+    added: results.filter(result => !previous[result.id]).map(result => result.id),
+    removed: Object.keys(previous).filter(id => !current[id])
+  };
+}
+
+/**
+ * 스냅샷 생성 (실행 시각 등 매번 바뀌는 값은 제외해 diff를 깔끔하게 유지)
+ */
+function buildSnapshot(profileName, results, metrics) {
+  return {
+    profile: profileName,
+    profileFingerprint: filterProfiles.getProfile(profileName).fingerprint,
+    metrics,
+    decisions: Object.fromEntries(results.map(({ id, label, isRelevant, score, decision }) => [
+      id,
+      { label, isRelevant, score, decision }
+    ]))
+  };
+}
+
+/**
+ * 프로필별 결과 출력
+ */
+function printReport(profileName, metrics, diff, snapshot, results) {
+  const percent = value => value === null ? 'N/A' : `${(value * 100).toFixed(1)}%`;
+  const fingerprint = filterProfiles.getProfile(profileName).fingerprint;
+
+  console.log(`\n📋 === ${profileName} 프로필 (${results.length}개 아이템) ===`);
+  console.log(`🎯 정밀도: ${percent(metrics.precision)} | 재현율: ${percent(metrics.recall)}`);
+  console.log(`   TP ${metrics.truePositive} | FP ${metrics.falsePositive} | FN ${metrics.falseNegative} | TN ${metrics.trueNegative}`);
+
+  if (snapshot) {
+    if (snapshot.profileFingerprint !== fingerprint) {
+      console.log(`🔧 프로필 변경됨: ${snapshot.profileFingerprint} → ${fingerprint}`);
+    }
+    console.log(`📈 직전 실행 대비: 정밀도 ${percent(snapshot.metrics?.precision ?? null)} → ${percent(metrics.precision)}, ` +
+      `재현율 ${percent(snapshot.metrics?.recall ?? null)} → ${percent(metrics.recall)}`);
+  } else {
+    console.log('🆕 직전 실행 스냅샷 없음 (이번 결과를 기준으로 저장)');
+  }
+
+  if (diff.flipped.length > 0) {
+    console.log(`\n🔀 판정 변경 ${diff.flipped.length}건:`);
+    diff.flipped.forEach(item => {
+      const direction = item.isRelevant ? 'REJECT → PASS' : 'PASS → REJECT';
+      const correctness = (item.label === 'relevant') === item.isRelevant ? '✅ 정답으로 변경' : '⚠️  오답으로 변경';
+      console.log(`  - ${item.id}: ${direction} (${item.previousScore} → ${item.score}) ${correctness}`);
+    });
+  }
+
+  if (snapshot && diff.added.length > 0) {
+    console.log(`\n➕ 새 아이템: ${diff.added.join(', ')}`);
+  }
+  if (diff.removed.length > 0) {
+    console.log(`\n➖ 삭제된 아이템: ${diff.removed.join(', ')}`);
+  }
+
+  const misclassified = results.filter(({ label, isRelevant }) => (label === 'relevant') !== isRelevant);
+  if (misclassified.length > 0) {
+    console.log('\n❓ 라벨과 다른 판정:');
+    misclassified.forEach(item => {
+      const kind = item.isRelevant ? 'FP' : 'FN';
+      console.log(`  - [${kind}] ${item.id} (${item.decision}, 점수 ${item.score})`);
+    });
+  }
+}
+
+/**
+ * 회귀 테스트 실행
+ * @param {Object} options - 옵션
+ * @param {string[]} options.profiles - 실행할 프로필 (기본값: 코퍼스가 있는 모든 프로필)
+ * @param {boolean} options.check - 스냅샷을 갱신하지 않고 판정 변경 시 실패 처리
+ * @returns {{ passed: boolean, reports: Object[] }}
+ */
+function runRegression({ profiles = [], check = false } = {}) {
+  const available = fs.readdirSync(CORPUS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+  const targets = profiles.length > 0 ? profiles : available;
+  const reports = [];
+
+  targets.forEach(profileName => {
+    if (!available.includes(profileName)) {
+      throw new Error(`코퍼스가 없는 프로필입니다: ${profileName} (사용 가능: ${available.join(', ')})`);
+    }
+
+    const corpus = loadCorpus(profileName);
+    const results = evaluateCorpus(profileName, corpus);
+    const metrics = calculateMetrics(results);
+    const snapshotFile = path.join(SNAPSHOT_DIR, `${profileName}.json`);
+    const snapshot = readJson(snapshotFile);
+    const diff = diffWithSnapshot(results, snapshot);
+
+    printReport(profileName, metrics, diff, snapshot, results);
+
+    if (!check) {
+      writeJsonAtomic(snapshotFile, buildSnapshot(profileName, results, metrics));
+    }
+
+    reports.push({ profile: profileName, metrics, ...diff });
+  });
+
+  const changed = reports.some(report =>
+    report.flipped.length > 0 || report.removed.length > 0 || (check && report.added.length > 0)
+  );
+
+  if (check) {
+    console.log(changed
+      ? '\n❌ 스냅샷과 판정이 다릅니다. 변경을 검토한 뒤 --check 없이 실행해 스냅샷을 갱신하세요.\n'
+      : '\n✅ 모든 판정이 스냅샷과 일치합니다.\n');
+  } else {
+    console.log(`\n💾 스냅샷 저장: ${path.relative(process.cwd(), SNAPSHOT_DIR)} (git diff로 변경 내용을 리뷰하세요)\n`);
+  }
+
+  return { passed: !(check && changed), reports };
+}
+
+// 스크립트 실행
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  try {
+    const { passed } = runRegression({
+      profiles: args.filter(arg => !arg.startsWith('--')),
+      check: args.includes('--check')
+    });
+    process.exitCode = passed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ 필터 회귀 테스트 실패:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  runRegression,
+  calculateMetrics
+};
\ No newline at end of file
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * 키워드 구독 패턴 테스트
+ *
+ * /watch로 등록하는 키워드/정규식이 RegExp와 같은 결과로 매칭되는지,
+ * 그리고 RegExp에서 ReDoS를 일으키는 패턴도 매칭 시간이 본문 길이에 비례하는지 확인 (RE2)
+ *
+ * 사용법:
+ * node src/test/keyword-subscriptions.js              # 모든 테스트
+ * node src/test/keyword-subscriptions.js --verbose    # 구독 서비스 로그 함께 출력
+ */
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { compilePattern } = require('../utils/safePattern');
+const KeywordSubscriptions = require('../services/common/keywordSubscriptions').constructor;
+
+// 매칭 시간 상한 (백트래킹이면 수 초~수 분 걸리는 입력 기준)
+const MAX_MATCH_MS = 1000;
+
+const TESTS = [];
+
+/**
+ * 테스트 등록
+ * @param {string} name - 테스트 설명
+ * @param {Function} fn - 테스트 함수 (실패 시 예외)
+ */
+function test(name, fn) {
+  TESTS.push({ name, fn });
+}
+
+/**
+ * 임시 디렉토리를 쓰는 구독 저장소 (실제 .cache/rss-subscriptions.json을 건드리지 않도록 dry-run)
+ */
+function createSubscriptions() {
+  const subscriptions = new KeywordSubscriptions({ cacheDir: path.join(os.tmpdir(), `rss-subscriptions-test-${process.pid}`) });
+  subscriptions.setDryRunMode(true);
+  return subscriptions;
+}
+
+/**
+ * 매칭하고 걸린 시간 확인
+ */
+function timedTest(matcher, text) {
+  const startedAt = Date.now();
+  const result = matcher.test(text);
+  const elapsed = Date.now() - startedAt;
+
+  assert.ok(elapsed < MAX_MATCH_MS, `/${matcher.source}/ 매칭에 ${elapsed}ms 걸림`);
+  return result;
+}
+
+// ===== 등록 =====
+
+test('키워드는 소문자로, /.../는 정규식으로 등록', () => {
+  const subscriptions = createSubscriptions();
+
+  assert.deepStrictEqual(subscriptions.parsePattern('  Zustand '), { pattern: 'zustand', regex: false });
+  assert.deepStrictEqual(subscriptions.parsePattern('/play(wright)?/'), { pattern: 'play(wright)?', regex: true });
+  // 정규식 특수문자가 있어도 /.../가 아니면 일반 키워드 (부분 일치)
+  assert.deepStrictEqual(subscriptions.parsePattern('c++'), { pattern: 'c++', regex: false });
+});
+
+test('역참조, 전후방 탐색, 잘못된 문법은 등록 거부', () => {
+  const subscriptions = createSubscriptions();
+
+  [
+    ['/(a)\\1/', /잘못된 정규식입니다: 지원하지 않는 이스케이프/],
+    ['/react(?=18)/', /전후방 탐색/],
+    ['/(?<!pre)act/', /전후방 탐색/],
+    ['/play(wright/', /닫는 괄호/],
+    ['/a{1,5000}/', /반복 횟수/],
+    ['/*react/', /반복할 대상/]
+  ].forEach(([input, expected]) => {
+    assert.throws(() => subscriptions.parsePattern(input), expected, input);
+  });
+
+  const user = { id: 1, username: 'tester' };
+  assert.throws(() => subscriptions.add(user, '/(a)\\1/'), /잘못된 정규식입니다/);
+  assert.deepStrictEqual(subscriptions.list(user.id), []);
+});
+
+// ===== 매칭 =====
+
+test('지원 문법은 RegExp(i 플래그)와 같은 결과', () => {
+  const patterns = [
+    'play(wright)?', 'react.*hook', '\\bjs\\b', '^react', 'query$', '[a-c]+x', '[^a-z]', 'colou?r',
+    'a{2,3}b', '(?:vue|svelte)\\s*5', 'node\\.js', '\\d{4}-\\d{2}', 'zu(s|t)tand', '[\\w-]+@', '\\Bst', 'ab*?c'
+  ];
+  const texts = [
+    'Playwright 1.40', 'play', 'React useHook', 'the js runtime', 'nodejs', 'React Query', 'query is',
+    'ABCX', 'colour', 'COLOR', 'aaab', 'Vue 5', 'svelte5', 'node.js', 'nodexjs', '2024-01', 'zustand',
+    'me-x@y', 'best', 'test', 'abbbc', '', '한국어 React 정리'
+  ];
+
+  patterns.forEach(pattern => {
+    const matcher = compilePattern(pattern);
+    const regex = new RegExp(pattern, 'i');
+    texts.forEach(text => {
+      assert.strictEqual(matcher.test(text), regex.test(text), `/${pattern}/ ← ${JSON.stringify(text)}`);
+    });
+  });
+});
+
+test('백트래킹에서 오래 걸리는 입력도 본문 길이에 비례하는 시간에 매칭 (중첩 반복 포함)', () => {
+  const text = `${'a'.repeat(20000)}!`;
+
+  assert.strictEqual(timedTest(compilePattern('\\w*\\w*\\w*x'), text), false);
+  assert.strictEqual(timedTest(compilePattern('(a|aa)*b'), text), false);
+  assert.strictEqual(timedTest(compilePattern('(a|aa)*!'), text), true);
+  assert.strictEqual(timedTest(compilePattern('(a+)+$'), text), false);
+  assert.strictEqual(timedTest(compilePattern('(a*)*b'), text), false);
+  assert.strictEqual(timedTest(compilePattern('(\\w+\\s?)+$'), text), false);
+});
+
+test('구독한 사용자에게만 매칭 (키워드, 정규식, 태그)', () => {
+  const subscriptions = createSubscriptions();
+  subscriptions.add({ id: 1 }, 'zustand');
+  subscriptions.add({ id: 2 }, '/play(wright)?/');
+  subscriptions.add({ id: 3 }, '/\\bbun\\b/');
+
+  const matches = subscriptions.match(
+    { title: 'Zustand와 Playwright로 테스트하기', description: 'bundle 크기 비교', categories: ['testing'] },
+    'https://example.com/posts/1'
+  );
+
+  assert.deepStrictEqual(matches, [
+    { userId: '1', patterns: ['zustand'] },
+    { userId: '2', patterns: ['/play(wright)?/'] }
+  ]);
+});
+
+test('지원하지 않는 문법으로 저장된 기존 구독은 매칭하지 않음', () => {
+  const subscriptions = createSubscriptions();
+  subscriptions.subscriptions = {
+    1: { username: null, patterns: [{ pattern: '(a)\\1', regex: true, addedAt: new Date().toISOString() }] }
+  };
+
+  assert.deepStrictEqual(subscriptions.match({ title: 'aa' }, 'key'), []);
+});
+
+/**
+ * 테스트 실행
+ * @returns {Promise<{ passed: boolean, failed: number, total: number }>}
+ */
+async function runTests() {
+  let failed = 0;
+
+  console.log(`\n🧪 === 키워드 구독 패턴 테스트 (${TESTS.length}개) ===`);
+
+  for (const { name, fn } of TESTS) {
+    try {
+      await fn();
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`  ❌ ${name}`);
+      console.log(`     ${error.message.split('\n').join('\n     ')}`);
+    }
+  }
+
+  console.log(failed > 0
+    ? `\n❌ ${TESTS.length}개 중 ${failed}개 실패\n`
+    : `\n✅ ${TESTS.length}개 모두 통과\n`);
+
+  return { passed: failed === 0, failed, total: TESTS.length };
+}
+
+// 스크립트 실행
+if (require.main === module) {
+  // 오류를 확인하는 테스트의 경고 로그가 결과를 가리지 않도록 기본은 로그 생략
+  logger.silent = !process.argv.includes('--verbose');
+
+  runTests()
+    .then(({ passed }) => {
+      process.exitCode = passed ? 0 : 1;
+    })
+    .catch(error => {
+      console.error('❌ 키워드 구독 패턴 테스트 실패:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  runTests
+};
\ No newline at end of file
@@ -0,0 +1,529 @@
+#!/usr/bin/env node
+
+/**
+ * 전송 채널 어댑터 동작 테스트
+ *
+ * 로컬 HTTP/SMTP 스탠드인 서버를 띄워 어댑터가 실제로 보내는 요청(페이로드, 헤더, 메일 원문)과
+ * 재시도 동작(429 대기, 5xx 백오프, 4xx 즉시 실패)을 외부 서비스 없이 확인
+ *
+ * 사용법:
+ * node src/test/output-adapters.js              # 모든 어댑터 테스트
+ * node src/test/output-adapters.js slack        # 특정 어댑터만 실행
+ * node src/test/output-adapters.js --verbose    # 어댑터 로그 함께 출력
+ */
+
+const assert = require('assert');
+const http = require('http');
+const crypto = require('crypto');
+const net = require('net');
+const { config } = require('../config/config');
+const { logger } = require('../utils/logger');
+const slackService = require('../infrastructure/slack');
+const discordService = require('../infrastructure/discord');
+const emailService = require('../infrastructure/email');
+const SmtpClient = require('../infrastructure/smtpClient');
+const outboundWebhookService = require('../infrastructure/outboundWebhook');
+
+// 재시도 대기를 짧게 줄인 설정 (config.retry와 같은 형식)
+const TEST_RETRY = Object.freeze({ maxAttempts: 3, delay: 5 });
+
+const TESTS = [];
+
+/**
+ * 테스트 등록
+ * @param {string} adapter - 어댑터 이름 (명령 인자로 골라 실행)
+ * @param {string} name - 테스트 설명
+ * @param {Function} fn - 테스트 함수 (실패 시 예외)
+ */
+function test(adapter, name, fn) {
+  TESTS.push({ adapter, name, fn });
+}
+
+/**
+ * 로컬 HTTP 스탠드인 서버로 테스트 실행
+ * 받은 요청을 기록하고, 준비한 응답을 순서대로 반환 (다 쓰면 200)
+ * @param {Array<{ status?: number, headers?: Object, body?: string|Object }>} responses - 응답 목록
+ * @param {Function} fn - ({ url, requests }) => Promise
+ */
+async function withHttpServer(responses, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+      const { status = 200, headers = {}, body: responseBody = 'ok' } = responses.shift() ?? {};
+      const isJson = typeof responseBody !== 'string';
+      res.writeHead(status, { 'Content-Type': isJson ? 'application/json' : 'text/plain', ...headers });
+      res.end(isJson ? JSON.stringify(responseBody) : responseBody);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    return await fn({ url: `http://127.0.0.1:${server.address().port}`, requests });
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * 로컬 SMTP 스탠드인 서버로 테스트 실행
+ * 접속(세션)마다 받은 명령과 DATA 본문을 기록 (본문은 dot-stuffing을 되돌린 값과 원문을 함께 보관)
+ * @param {Object<string, number[]>} failures - 명령별로 한 번씩 대신 돌려줄 오류 코드 (예: { MAIL: [451] })
+ * @param {Function} fn - ({ host, port, sessions }) => Promise
+ */
+async function withSmtpServer(failures, fn) {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], rawData: [], data: null };
+    let buffer = '';
+    let inData = false;
+    sessions.push(session);
+
+    const reply = (command, code, text) => {
+      const failure = failures[command]?.shift();
+      socket.write(failure ? `${failure} 테스트 오류\r\n` : `${code} ${text}\r\n`);
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+
+      lines.forEach(line => {
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            session.data = session.rawData.map(raw => raw.replace(/^\./, '')).join('\r\n');
+            reply('DATA_END', 250, 'queued');
+          } else {
+            session.rawData.push(line);
+          }
+          return;
+        }
+
+        session.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+
+        if (verb === 'EHLO') {
+          socket.write('250-localhost\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+        } else if (verb === 'AUTH') {
+          reply(verb, 235, 'authenticated');
+        } else if (verb === 'DATA') {
+          inData = true;
+          reply(verb, 354, 'end with .');
+        } else if (verb === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          reply(verb, 250, 'ok');
+        }
+      });
+    });
+    socket.on('error', () => {});
+
+    socket.write('220 localhost ESMTP test\r\n');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    return await fn({ host: '127.0.0.1', port: server.address().port, sessions });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * multipart 메일 원문에서 파트별 본문 추출 (base64 디코딩)
+ * @returns {Object<string, string>} Content-Type → 본문
+ */
+function decodeParts(message) {
+  const boundary = message.match(/boundary="([^"]+)"/)[1];
+
+  return Object.fromEntries(message.split(`--${boundary}`).slice(1, -1).map(part => {
+    const [headers, body] = part.trim().split('\r\n\r\n');
+    const contentType = headers.match(/Content-Type: ([^;]+)/)[1];
+    return [contentType, Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8')];
+  }));
+}
+
+const ARTICLE = Object.freeze({
+  title: 'React <Suspense> & 서버 컴포넌트',
+  url: 'https://example.com/posts/1?a=1&b=2',
+  description: '<p>서버 컴포넌트와 <b>Suspense</b> 정리</p>',
+  date: '2026-01-02T03:04:05Z'
+});
+
+// ===== 슬랙 (Incoming Webhook) =====
+
+test('slack', 'Block Kit 메시지를 소스별 웹훅 URL로 전송', async () => {
+  await withHttpServer([], async ({ url, requests }) => {
+    slackService.webhookUrl = `${url}/default`;
+    slackService.retryConfig = TEST_RETRY;
+    process.env.SLACK_WEBHOOK_URL_TOSS = `${url}/toss`;
+
+    try {
+      await slackService.sendArticle(ARTICLE, { serviceKey: 'toss', source: '토스 기술 블로그' });
+      await slackService.sendArticle(ARTICLE, { serviceKey: 'woowahan', source: '우아한형제들' });
+    } finally {
+      delete process.env.SLACK_WEBHOOK_URL_TOSS;
+    }
+
+    assert.deepStrictEqual(requests.map(request => request.path), ['/toss', '/default']);
+
+    const payload = JSON.parse(requests[0].body);
+    assert.strictEqual(payload.blocks[0].elements[0].text, '📰 *토스 기술 블로그*');
+    assert.strictEqual(
+      payload.blocks[1].text.text,
+      '*<https://example.com/posts/1?a=1&amp;b=2|React &lt;Suspense&gt; &amp; 서버 컴포넌트>*'
+    );
+    assert.ok(payload.text.startsWith('[토스 기술 블로그] React &lt;Suspense&gt;'));
+  });
+});
+
+test('slack', '429는 Retry-After만큼 기다린 뒤 재시도', async () => {
+  await withHttpServer([{ status: 429, headers: { 'Retry-After': '0' }, body: 'rate_limited' }], async ({ url, requests }) => {
+    slackService.webhookUrl = url;
+    slackService.retryConfig = TEST_RETRY;
+
+    await slackService.sendArticle(ARTICLE, { serviceKey: 'toss' });
+    assert.strictEqual(requests.length, 2);
+  });
+});
+
+test('slack', '5xx는 최대 시도 횟수까지 재시도 후 실패', async () => {
+  const errors = Array.from({ length: TEST_RETRY.maxAttempts }, () => ({ status: 500, body: 'internal_error' }));
+
+  await withHttpServer(errors, async ({ url, requests }) => {
+    slackService.webhookUrl = url;
+    slackService.retryConfig = TEST_RETRY;
+
+    await assert.rejects(slackService.sendArticle(ARTICLE, { serviceKey: 'toss' }), /슬랙 웹훅 오류 \(500\): internal_error/);
+    assert.strictEqual(requests.length, TEST_RETRY.maxAttempts);
+  });
+});
+
+test('slack', '4xx(invalid_payload 등)는 재시도하지 않음', async () => {
+  await withHttpServer([{ status: 400, body: 'invalid_payload' }], async ({ url, requests }) => {
+    slackService.webhookUrl = url;
+    slackService.retryConfig = TEST_RETRY;
+
+    await assert.rejects(slackService.sendArticle(ARTICLE, { serviceKey: 'toss' }), /invalid_payload/);
+    assert.strictEqual(requests.length, 1);
+  });
+});
+
+// ===== 디스코드 (Webhook) =====
+
+test('discord', '소스 색상과 설명 발췌를 담은 임베드로 전송하고 멘션은 차단', async () => {
+  await withHttpServer([], async ({ url, requests }) => {
+    discordService.webhookUrl = url;
+    discordService.retryConfig = TEST_RETRY;
+
+    await discordService.sendArticle(
+      { ...ARTICLE, title: '@everyone 공지' },
+      { serviceKey: 'toss', source: '토스 기술 블로그', color: '#0064FF' }
+    );
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].method, 'POST');
+
+    const payload = JSON.parse(requests[0].body);
+    assert.deepStrictEqual(payload.allowed_mentions, { parse: [] });
+    assert.deepStrictEqual(payload.embeds[0], {
+      author: { name: '토스 기술 블로그' },
+      title: '@everyone 공지',
+      url: ARTICLE.url,
+      description: '서버 컴포넌트와 Suspense 정리',
+      color: 0x0064FF,
+      timestamp: '2026-01-02T03:04:05.000Z'
+    });
+  });
+});
+
+test('discord', '429는 본문의 retry_after(초)만큼 기다린 뒤 재시도', async () => {
+  const rateLimited = { status: 429, body: { message: 'You are being rate limited.', retry_after: 0.05 } };
+
+  await withHttpServer([rateLimited], async ({ url, requests }) => {
+    discordService.webhookUrl = url;
+    discordService.retryConfig = TEST_RETRY;
+
+    const startedAt = Date.now();
+    await discordService.sendArticle(ARTICLE, { serviceKey: 'toss' });
+
+    assert.strictEqual(requests.length, 2);
+    // 기본 백오프(5ms)가 아니라 retry_after(50ms)를 따랐는지 확인
+    assert.ok(Date.now() - startedAt >= 45, `대기 시간이 retry_after보다 짧음: ${Date.now() - startedAt}ms`);
+  });
+});
+
+test('discord', '4xx(Unknown Webhook 등)는 재시도하지 않음', async () => {
+  await withHttpServer([{ status: 404, body: { message: 'Unknown Webhook', code: 10015 } }], async ({ url, requests }) => {
+    discordService.webhookUrl = url;
+    discordService.retryConfig = TEST_RETRY;
+
+    await assert.rejects(discordService.sendArticle(ARTICLE, { serviceKey: 'toss' }), /디스코드 웹훅 오류 \(404\): Unknown Webhook/);
+    assert.strictEqual(requests.length, 1);
+  });
+});
+
+// ===== 이메일 다이제스트 (SMTP) =====
+
+/**
+ * 이메일 서비스를 로컬 SMTP 스탠드인으로 향하도록 설정
+ */
+function useSmtpServer({ host, port }) {
+  emailService.emailConfig = {
+    smtp: { host, port, secure: false, user: 'digest', pass: 'secret' },
+    from: 'rss@example.com',
+    to: ['dev1@example.com', 'dev2@example.com']
+  };
+  emailService.retryConfig = TEST_RETRY;
+  emailService.pending = [];
+}
+
+test('email', '모은 아티클을 카테고리/소스별로 묶어 한 통의 multipart 메일로 전송', async () => {
+  await withSmtpServer({}, async ({ host, port, sessions }) => {
+    useSmtpServer({ host, port });
+
+    await emailService.sendArticle(ARTICLE, { serviceKey: 'toss', source: '토스', categoryName: '기업 블로그' });
+    await emailService.sendArticle({ title: '주간 뉴스', url: 'https://example.com/news' }, { serviceKey: 'geekNews', source: 'GeekNews', categoryName: '뉴스' });
+    await emailService.sendArticle({ title: '두 번째 글', url: 'https://example.com/posts/2' }, { serviceKey: 'toss', source: '토스', categoryName: '기업 블로그' });
+    assert.strictEqual(sessions.length, 0, 'flush 전에는 전송하지 않아야 함');
+
+    const result = await emailService.flush();
+    assert.deepStrictEqual(result, { sent: true, articles: 3 });
+    assert.strictEqual(sessions.length, 1);
+
+    const [session] = sessions;
+    const auth = session.commands.find(command => command.startsWith('AUTH PLAIN '));
+    assert.strictEqual(Buffer.from(auth.split(' ')[2], 'base64').toString('utf8'), '\u0000digest\u0000secret');
+    assert.deepStrictEqual(
+      session.commands.filter(command => /^(MAIL|RCPT)/.test(command)),
+      ['MAIL FROM:<rss@example.com>', 'RCPT TO:<dev1@example.com>', 'RCPT TO:<dev2@example.com>']
+    );
+
+    assert.match(session.data, /^To: dev1@example\.com, dev2@example\.com$/m);
+    assert.match(session.data, /^Subject: =\?UTF-8\?B\?/m);
+    assert.match(session.data, /^Content-Type: multipart\/alternative; boundary=/m);
+
+    const parts = decodeParts(session.data);
+    const text = parts['text/plain'];
+    assert.ok(text.startsWith('새 아티클 3건'));
+    // 처음 등장한 카테고리 순서대로, 같은 소스의 글은 한 묶음으로
+    assert.ok(text.indexOf('■ 기업 블로그') < text.indexOf('■ 뉴스'));
+    assert.match(text, /\[ 토스 \]\n- React <Suspense> & 서버 컴포넌트\n.*\n.*\n- 두 번째 글/);
+    assert.ok(parts['text/html'].includes('React &lt;Suspense&gt; &amp; 서버 컴포넌트'));
+  });
+});
+
+test('email', '보낼 아티클이 없으면 메일을 보내지 않음', async () => {
+  await withSmtpServer({}, async ({ host, port, sessions }) => {
+    useSmtpServer({ host, port });
+
+    assert.strictEqual(await emailService.flush(), null);
+    assert.strictEqual(sessions.length, 0);
+  });
+});
+
+test('email', '4xx 일시 오류는 새 연결로 재시도', async () => {
+  await withSmtpServer({ MAIL: [451] }, async ({ host, port, sessions }) => {
+    useSmtpServer({ host, port });
+
+    await emailService.sendArticle(ARTICLE, { serviceKey: 'toss' });
+    await emailService.flush();
+
+    assert.strictEqual(sessions.length, 2);
+    assert.strictEqual(sessions[0].data, null);
+    assert.ok(sessions[1].data);
+  });
+});
+
+test('email', '5xx 영구 오류는 재시도하지 않음', async () => {
+  await withSmtpServer({ RCPT: [550] }, async ({ host, port, sessions }) => {
+    useSmtpServer({ host, port });
+
+    await emailService.sendArticle(ARTICLE, { serviceKey: 'toss' });
+    await assert.rejects(emailService.flush(), error => error.responseCode === 550);
+    assert.strictEqual(sessions.length, 1);
+  });
+});
+
+test('email', '점으로 시작하는 줄은 dot-stuffing으로 본문 종료 표시와 구분', async () => {
+  await withSmtpServer({}, async ({ host, port, sessions }) => {
+    const message = ['Subject: dot', '', '.hidden', '.', 'end'].join('\r\n');
+    await new SmtpClient({ host, port }).send({ from: 'a@example.com', to: ['b@example.com'] }, message);
+
+    assert.deepStrictEqual(sessions[0].rawData.slice(2), ['..hidden', '..', 'end']);
+    assert.strictEqual(sessions[0].data, message);
+  });
+});
+
+// ===== 아웃바운드 웹훅 (서명된 JSON POST) =====
+
+/**
+ * 아웃바운드 웹훅 서비스를 로컬 스탠드인 엔드포인트로 향하도록 설정하고 테스트 실행
+ * 공통 시크릿과 엔드포인트별 시크릿(OUTBOUND_WEBHOOK_SECRET_<이름>)은 테스트가 끝나면 되돌림
+ */
+async function withOutboundWebhooks(url, names, fn) {
+  const previousSecret = config.outboundWebhook.secret;
+  config.outboundWebhook.secret = 'shared-secret';
+  process.env.OUTBOUND_WEBHOOK_SECRET_TRACKER = 'tracker-secret';
+
+  outboundWebhookService.endpoints = names.map(name => ({ name, url: `${url}/${name}` }));
+  outboundWebhookService.retryConfig = TEST_RETRY;
+  outboundWebhookService.deliveryStatus = {};
+  // CI에서도 테스트 결과가 실제 전송 상태 파일에 섞이지 않도록 메모리에만 기록
+  outboundWebhookService.storeMode = 'memory';
+
+  try {
+    return await fn();
+  } finally {
+    config.outboundWebhook.secret = previousSecret;
+    delete process.env.OUTBOUND_WEBHOOK_SECRET_TRACKER;
+  }
+}
+
+/**
+ * 수신 측처럼 원문 본문으로 서명 검증
+ */
+function verifySignature(request, secret) {
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(request.body).digest('hex')}`;
+  return crypto.timingSafeEqual(Buffer.from(request.headers['x-hub-signature-256']), Buffer.from(expected));
+}
+
+test('webhook', '고정 스키마 페이로드를 엔드포인트별 시크릿으로 서명해 전송', async () => {
+  await withHttpServer([], async ({ url, requests }) => {
+    await withOutboundWebhooks(url, ['wiki', 'tracker'], async () => {
+      await outboundWebhookService.sendArticle(
+        { ...ARTICLE, score: 7, tags: ['react'] },
+        { serviceKey: 'toss', category: 'company' }
+      );
+    });
+
+    assert.deepStrictEqual(requests.map(request => request.path), ['/wiki', '/tracker']);
+
+    const [wiki, tracker] = requests;
+    assert.ok(verifySignature(wiki, 'shared-secret'), '공통 시크릿 서명 불일치');
+    assert.ok(verifySignature(tracker, 'tracker-secret'), '엔드포인트별 시크릿 서명 불일치');
+    assert.strictEqual(wiki.headers['x-hub-signature'], wiki.headers['x-hub-signature-256']);
+    assert.strictEqual(wiki.headers['x-webhook-event'], 'article.created');
+    assert.notStrictEqual(wiki.headers['x-webhook-delivery'], tracker.headers['x-webhook-delivery']);
+
+    assert.deepStrictEqual(JSON.parse(wiki.body), {
+      schemaVersion: 1,
+      event: 'article.created',
+      title: ARTICLE.title,
+      url: ARTICLE.url,
+      source: 'toss',
+      category: 'company',
+      score: 7,
+      tags: ['react'],
+      date: '2026-01-02T03:04:05.000Z'
+    });
+  });
+});
+
+test('webhook', '일부 엔드포인트 실패는 성공으로 처리하고 전송 상태에 기록', async () => {
+  await withHttpServer([{ status: 200 }, { status: 410, body: 'gone' }], async ({ url }) => {
+    await withOutboundWebhooks(url, ['wiki', 'tracker'], async () => {
+      const result = await outboundWebhookService.sendArticle(ARTICLE, { serviceKey: 'toss' });
+
+      assert.deepStrictEqual(result.endpoints.map(({ endpoint, success }) => ({ endpoint, success })), [
+        { endpoint: 'wiki', success: true },
+        { endpoint: 'tracker', success: false }
+      ]);
+
+      const [wiki, tracker] = outboundWebhookService.getDeliveryStatus();
+      assert.strictEqual(wiki.delivered, 1);
+      assert.strictEqual(wiki.consecutiveFailures, 0);
+      assert.strictEqual(tracker.failed, 1);
+      assert.strictEqual(tracker.consecutiveFailures, 1);
+      assert.strictEqual(tracker.lastStatus, 410);
+    });
+  });
+});
+
+test('webhook', '모든 엔드포인트가 실패하면 예외', async () => {
+  await withHttpServer([{ status: 400 }, { status: 400 }], async ({ url, requests }) => {
+    await withOutboundWebhooks(url, ['wiki', 'tracker'], async () => {
+      await assert.rejects(outboundWebhookService.sendArticle(ARTICLE, { serviceKey: 'toss' }), /wiki.*tracker/);
+    });
+
+    // 4xx는 재시도하지 않음
+    assert.strictEqual(requests.length, 2);
+  });
+});
+
+test('webhook', '5xx는 같은 서명으로 재시도', async () => {
+  await withHttpServer([{ status: 503 }], async ({ url, requests }) => {
+    await withOutboundWebhooks(url, ['wiki'], async () => {
+      await outboundWebhookService.sendArticle(ARTICLE, { serviceKey: 'toss' });
+    });
+
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[0].headers['x-hub-signature-256'], requests[1].headers['x-hub-signature-256']);
+    assert.ok(verifySignature(requests[1], 'shared-secret'));
+  });
+});
+
+/**
+ * 테스트 실행
+ * @param {Object} options - 옵션
+ * @param {string[]} options.adapters - 실행할 어댑터 (기본값: 전체)
+ * @returns {Promise<{ passed: boolean, failed: number, total: number }>}
+ */
+async function runTests({ adapters = [] } = {}) {
+  const available = [...new Set(TESTS.map(({ adapter }) => adapter))];
+  const unknown = adapters.filter(adapter => !available.includes(adapter));
+  if (unknown.length > 0) {
+    throw new Error(`테스트가 없는 어댑터입니다: ${unknown.join(', ')} (사용 가능: ${available.join(', ')})`);
+  }
+
+  const targets = adapters.length > 0 ? TESTS.filter(({ adapter }) => adapters.includes(adapter)) : TESTS;
+  let failed = 0;
+
+  console.log(`\n🧪 === 전송 채널 어댑터 테스트 (${targets.length}개) ===`);
+
+  for (const { adapter, name, fn } of targets) {
+    try {
+      await fn();
+      console.log(`  ✅ [${adapter}] ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`  ❌ [${adapter}] ${name}`);
+      console.log(`     ${error.message.split('\n').join('\n     ')}`);
+    }
+  }
+
+  console.log(failed > 0
+    ? `\n❌ ${targets.length}개 중 ${failed}개 실패\n`
+    : `\n✅ ${targets.length}개 모두 통과\n`);
+
+  return { passed: failed === 0, failed, total: targets.length };
+}
+
+// 스크립트 실행
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  // 실패를 확인하는 테스트의 오류 로그가 결과를 가리지 않도록 기본은 로그 생략
+  logger.silent = !args.includes('--verbose');
+
+  runTests({ adapters: args.filter(arg => !arg.startsWith('--')) })
+    .then(({ passed }) => {
+      process.exitCode = passed ? 0 : 1;
+    })
+    .catch(error => {
+      console.error('❌ 전송 채널 어댑터 테스트 실패:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  runTests
+};
\ No newline at end of file
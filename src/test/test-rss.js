@@ -42,8 +42,8 @@ async function testSingleService(serviceKey) {
   try {
     logger.info(`📋 서비스 정보: ${serviceConfig.name} (${serviceConfig.category})`);
     
-    // 서비스 모듈 로드
-    const service = require(serviceConfig.modulePath);
+    // 서비스 모듈 로드 (generic 서비스 포함)
+    const { service } = await serviceManager.loadServiceModule(serviceConfig.key, { isDryRun: true });
     
     // 피드 상태 체크
     logger.info('🔍 피드 상태 확인 중...');
@@ -96,7 +96,7 @@ async function testAllServices() {
     logger.info('='.repeat(50));
     
     try {
-      const service = require(serviceConfig.modulePath);
+      const { service } = await serviceManager.loadServiceModule(serviceConfig.key, { isDryRun: true });
       
       // 피드 상태 체크
       const health = await service.articleService.checkFeedHealth();
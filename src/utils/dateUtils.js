@@ -132,6 +132,133 @@ function filterTodayPosts(posts) {
   });
 }
 
+// 다이제스트 요일 이름 (Date.getDay() 순서)
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * 다이제스트 전송 주기 문자열 해석
+ * - immediate: 아티클마다 바로 전송
+ * - daily@HH:MM: 매일 HH:MM에 모아서 전송
+ * - weekly@요일@HH:MM: 매주 요일(sun~sat) HH:MM에 모아서 전송
+ * @param {string} spec - 전송 주기 문자열
+ * @returns {{ mode: string, hour?: number, minute?: number, weekday?: number }} 해석 결과
+ * @throws {Error} 형식이 올바르지 않은 경우
+ */
+function parseDigestSchedule(spec) {
+  const value = String(spec ?? '').trim().toLowerCase();
+
+  if (value === 'immediate') {
+    return { mode: 'immediate' };
+  }
+
+  const match = value.match(/^(daily|weekly@(sun|mon|tue|wed|thu|fri|sat))@([01]\d|2[0-3]):([0-5]\d)$/);
+  if (!match) {
+    throw new Error(`다이제스트 주기 형식이 올바르지 않습니다: "${spec}" (immediate, daily@HH:MM, weekly@mon@HH:MM)`);
+  }
+
+  const schedule = { mode: match[2] ? 'weekly' : 'daily', hour: parseInt(match[3], 10), minute: parseInt(match[4], 10) };
+  if (match[2]) {
+    schedule.weekday = WEEKDAYS.indexOf(match[2]);
+  }
+
+  return schedule;
+}
+
+/**
+ * 특정 시간대의 벽시계 시각 구성요소
+ * @param {Date} date - 기준 시각
+ * @param {string} timeZone - IANA 시간대 (예: Asia/Seoul)
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number }}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * 가장 최근에 지난 다이제스트 전송 시각
+ * @param {Object} schedule - parseDigestSchedule 결과 (daily / weekly)
+ * @param {Date} now - 기준 시각
+ * @param {string} timeZone - 전송 시각의 시간대
+ * @returns {Date} now 이전(같은 시각 포함)의 마지막 전송 시각
+ */
+function getLatestDigestSlot(schedule, now = new Date(), timeZone = 'Asia/Seoul') {
+  const local = getZonedParts(now, timeZone);
+  // 시간대 오프셋 (벽시계 시각을 UTC로 읽은 값 - 실제 시각)
+  const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - Math.floor(now.getTime() / 60000) * 60000;
+
+  let daysBack = schedule.mode === 'weekly' ? (local.weekday - schedule.weekday + 7) % 7 : 0;
+  const passedToday = local.hour * 60 + local.minute >= schedule.hour * 60 + schedule.minute;
+  if (daysBack === 0 && !passedToday) {
+    daysBack = schedule.mode === 'weekly' ? 7 : 1;
+  }
+
+  return new Date(Date.UTC(local.year, local.month - 1, local.day - daysBack, schedule.hour, schedule.minute) - offset);
+}
+
+/**
+ * 방해 금지 시간 문자열 해석
+ * - off 또는 빈 값: 사용 안 함
+ * - HH:MM-HH:MM: 시작 시각부터 종료 시각 전까지 (자정을 넘길 수 있음, 예: 22:00-08:00)
+ * @param {string} spec - 방해 금지 시간 문자열
+ * @returns {{ start: { hour: number, minute: number }, end: { hour: number, minute: number } }|null} 해석 결과 (사용 안 함이면 null)
+ * @throws {Error} 형식이 올바르지 않은 경우
+ */
+function parseQuietHours(spec) {
+  const value = String(spec ?? '').trim().toLowerCase();
+
+  if (value === '' || value === 'off') {
+    return null;
+  }
+
+  const match = value.match(/^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/);
+  if (!match || (match[1] === match[3] && match[2] === match[4])) {
+    throw new Error(`방해 금지 시간 형식이 올바르지 않습니다: "${spec}" (off, HH:MM-HH:MM, 예: 22:00-08:00)`);
+  }
+
+  return {
+    start: { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) },
+    end: { hour: parseInt(match[3], 10), minute: parseInt(match[4], 10) }
+  };
+}
+
+/**
+ * 방해 금지 시간 안인지 확인
+ * @param {Object} window - parseQuietHours 결과
+ * @param {Date} now - 기준 시각
+ * @param {string} timeZone - 방해 금지 시간의 시간대
+ * @returns {boolean} 시작 시각 이상, 종료 시각 미만이면 true
+ */
+function isWithinQuietHours(window, now = new Date(), timeZone = 'Asia/Seoul') {
+  const local = getZonedParts(now, timeZone);
+  const current = local.hour * 60 + local.minute;
+  const start = window.start.hour * 60 + window.start.minute;
+  const end = window.end.hour * 60 + window.end.minute;
+
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
 module.exports = {
   getKoreaTodayStart,
   getKoreaDaysAgoStart,
@@ -140,5 +267,10 @@ module.exports = {
   isToday,
   filterTodayPosts,
   setGlobalFilterDays,
-  getGlobalFilterDays
+  getGlobalFilterDays,
+  parseDigestSchedule,
+  getZonedParts,
+  getLatestDigestSlot,
+  parseQuietHours,
+  isWithinQuietHours
 };
\ No newline at end of file
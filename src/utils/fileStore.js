@@ -0,0 +1,108 @@
+/**
+ * 파일 저장 유틸리티 함수들
+ * 여러 서비스가 같은 캐시 파일을 공유할 때의 잠금과 원자적 쓰기를 제공
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 잠금 획득 대기 설정
+const LOCK_RETRY_INTERVAL_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+
+/**
+ * 동기 대기 (잠금 재시도용)
+ * @param {number} ms - 대기 시간 (밀리초)
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * JSON 파일 읽기
+ * @param {string} filePath - 파일 경로
+ * @param {*} fallback - 파일이 없을 때 반환할 값
+ * @returns {*} 파싱된 데이터
+ */
+function readJson(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * JSON 파일 원자적 쓰기 (임시 파일에 쓴 뒤 rename)
+ * @param {string} filePath - 파일 경로
+ * @param {*} data - 저장할 데이터
+ */
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempFile = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tempFile, filePath);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * 잠금 파일을 이용한 배타적 실행
+ * 오래된 잠금(프로세스 비정상 종료)은 LOCK_STALE_MS 이후 제거
+ * @param {string} filePath - 잠글 대상 파일 경로 (`${filePath}.lock` 사용)
+ * @param {Function} fn - 잠금 상태에서 실행할 동기 함수
+ * @returns {*} fn의 반환값
+ */
+function withFileLock(filePath, fn) {
+  const lockFile = `${filePath}.lock`;
+  const startedAt = Date.now();
+  let fd;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  while (fd === undefined) {
+    try {
+      fd = fs.openSync(lockFile, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      // 오래된 잠금 제거
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+          fs.rmSync(lockFile, { force: true });
+          continue;
+        }
+      } catch {
+        // 다른 프로세스가 이미 해제한 경우 재시도
+        continue;
+      }
+
+      if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+        throw new Error(`파일 잠금 획득 시간 초과: ${lockFile}`);
+      }
+
+      sleepSync(LOCK_RETRY_INTERVAL_MS);
+    }
+  }
+
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(lockFile, { force: true });
+  }
+}
+
+module.exports = {
+  readJson,
+  writeJsonAtomic,
+  withFileLock
+};
\ No newline at end of file
@@ -1,4 +1,5 @@
 const { logger } = require('./logger');
+const { PARSE_MODES } = require('../domain/constants/ServiceConstants');
 
 /**
  * 통합 포맷터 모듈
@@ -51,6 +52,40 @@ function escapeHtml(text) {
   return text.replace(/[&<>"']/g, char => escapeMap[char]);
 }
 
+/**
+ * 텔레그램 MarkdownV2 특수문자 이스케이프
+ * @param {string} text - 원본 텍스트
+ * @returns {string} 이스케이프된 텍스트
+ */
+function escapeMarkdownV2(text) {
+  if (!text) return '';
+
+  return text.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+/**
+ * 텔레그램 MarkdownV2 링크 URL 이스케이프 ([텍스트](URL)의 URL 부분은 ) 와 \ 만 이스케이프)
+ * @param {string} url - 원본 URL
+ * @returns {string} 이스케이프된 URL
+ */
+function escapeMarkdownV2Url(url) {
+  if (!url) return '';
+
+  return url.replace(/[)\\]/g, '\\$&');
+}
+
+/**
+ * parse mode에 맞는 이스케이프 (plain은 그대로)
+ * @param {string} text - 원본 텍스트
+ * @param {string} parseMode - HTML | MarkdownV2 | plain
+ * @returns {string} 이스케이프된 텍스트
+ */
+function escapeForParseMode(text, parseMode = PARSE_MODES.HTML) {
+  if (parseMode === PARSE_MODES.HTML) return escapeHtml(text);
+  if (parseMode === PARSE_MODES.MARKDOWN_V2) return escapeMarkdownV2(text);
+  return text ?? '';
+}
+
 /**
  * 날짜 포맷팅 (한국 시간)
  * @param {Date|string} date - 날짜 객체 또는 문자열
@@ -98,26 +133,31 @@ function formatRelativeTime(date) {
  * 텔레그램 메시지 포맷팅
  * @param {Object} article - 아티클 객체
  * @param {string} sourceNameKo - 한글 소스명 (선택사항)
+ * @param {string} parseMode - 이스케이프할 parse mode (기본값: HTML)
  * @returns {string} 포맷된 메시지
  */
-function formatMessage(article, sourceNameKo) {
+function formatMessage(article, sourceNameKo, parseMode = PARSE_MODES.HTML) {
   let message = '';
+  // HTML 모드는 기존처럼 제목만 이스케이프 (MarkdownV2는 [ ] . 등도 이스케이프 필요)
+  const escape = text => escapeForParseMode(text, parseMode);
   
   // 1. 출처 표시 ([ 출처 ] 형식)
   const source = sourceNameKo || article.source;
   if (source) {
-    message += `[ ${source} ]\n`;
+    message += parseMode === PARSE_MODES.HTML
+      ? `[ ${source} ]\n`
+      : `${escape(`[ ${source} ]`)}\n`;
   }
   
   // 2. 제목 (소스 프리픽스 제거)
   if (article.title) {
     const cleanedTitle = cleanTitle(article.title);
-    message += `${escapeHtml(cleanedTitle)}\n\n`;
+    message += `${escape(cleanedTitle)}\n\n`;
   }
 
   // 3. URL
   if (article.url) {
-    message += `${article.url}`;
+    message += parseMode === PARSE_MODES.HTML ? `${article.url}` : escape(article.url);
   }
   
   return message;
@@ -169,6 +209,9 @@ function getServiceNameKo(serviceName) {
 module.exports = {
   cleanTitle,
   escapeHtml,
+  escapeMarkdownV2,
+  escapeMarkdownV2Url,
+  escapeForParseMode,
   formatDate,
   formatRelativeTime,
   formatMessage,
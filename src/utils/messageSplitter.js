@@ -0,0 +1,289 @@
+const { PARSE_MODES } = require('../domain/constants/ServiceConstants');
+
+/**
+ * 텔레그램 메시지 분할 모듈
+ * 서식(HTML 태그, MarkdownV2 엔티티) 중간을 자르지 않고 최대 길이 이하로 분할
+ *
+ * - 태그(<a href="...">), HTML 엔티티(&amp;), MarkdownV2 이스케이프(\.)는 하나의 단위로 취급
+ * - 가능하면 줄바꿈에서 나누고, 한 줄이 너무 길면 문자 단위로 나눔 (서로게이트 쌍은 유지)
+ * - 서식이 열린 상태에서 나누면 앞 메시지 끝에서 닫고 다음 메시지 앞에서 다시 열어 서식을 유지
+ */
+
+// HTML 토큰: 태그, 엔티티, 줄바꿈
+const HTML_TOKEN_PATTERN = /<(\/?)([a-zA-Z][\w-]*)(?:\s[^<>]*)?>|&(?:#\d+|#x[0-9a-fA-F]+|[a-zA-Z]+);|\n/g;
+
+// MarkdownV2 서식 표시 (긴 것부터 비교)
+const MARKDOWN_MARKERS = ['```', '||', '__', '`', '*', '_', '~'];
+
+// MarkdownV2 링크 ([텍스트](URL)) - 텍스트의 서식 표시는 그대로 허용
+const MARKDOWN_LINK_PATTERN = /^\[((?:\\.|[^\]\\])*)\]\(((?:\\.|[^)\\])*)\)/;
+
+/**
+ * 텍스트 토큰 추가 (이어지는 텍스트는 하나로 합침)
+ */
+function pushText(tokens, text) {
+  const last = tokens[tokens.length - 1];
+  if (last?.kind === 'text') {
+    last.text += text;
+  } else {
+    tokens.push({ kind: 'text', text });
+  }
+}
+
+/**
+ * HTML 메시지 토큰화
+ * @returns {Array<{ kind: string, text: string, key?: string, closer?: string }>}
+ */
+function tokenizeHtml(message) {
+  const tokens = [];
+  let lastIndex = 0;
+
+  for (const match of message.matchAll(HTML_TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      pushText(tokens, message.substring(lastIndex, match.index));
+    }
+    lastIndex = match.index + match[0].length;
+
+    const [text, slash, tagName] = match;
+    if (text === '\n') {
+      tokens.push({ kind: 'newline', text });
+    } else if (!tagName) {
+      tokens.push({ kind: 'atom', text });
+    } else if (slash) {
+      tokens.push({ kind: 'close', text, key: tagName.toLowerCase() });
+    } else {
+      tokens.push({ kind: 'open', text, key: tagName.toLowerCase(), closer: `</${tagName}>` });
+    }
+  }
+
+  if (lastIndex < message.length) {
+    pushText(tokens, message.substring(lastIndex));
+  }
+
+  return tokens;
+}
+
+/**
+ * MarkdownV2 메시지 토큰화
+ * 코드(`, ```) 안에서는 이스케이프와 닫는 표시만 인식
+ */
+function tokenizeMarkdownV2(message) {
+  const tokens = [];
+  const open = [];
+  // 링크 텍스트가 끝나는 위치 → 닫는 부분 ("](URL)")
+  const linkClosers = new Map();
+  let index = 0;
+
+  const toggle = (marker, text = marker) => {
+    if (open.includes(marker)) {
+      open.splice(open.lastIndexOf(marker), 1);
+      tokens.push({ kind: 'close', text: marker, key: marker });
+    } else {
+      open.push(marker);
+      tokens.push({ kind: 'open', text, key: marker, closer: marker });
+    }
+  };
+
+  while (index < message.length) {
+    const char = message[index];
+    const inCode = open.includes('`') || open.includes('```');
+
+    if (linkClosers.has(index)) {
+      const closer = linkClosers.get(index);
+      open.splice(open.lastIndexOf('['), 1);
+      tokens.push({ kind: 'close', text: closer, key: '[' });
+      index += closer.length;
+      continue;
+    }
+
+    if (char === '\\' && index + 1 < message.length) {
+      tokens.push({ kind: 'atom', text: message.substring(index, index + 2) });
+      index += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      tokens.push({ kind: 'newline', text: char });
+      index += 1;
+      continue;
+    }
+
+    if (inCode) {
+      const codeMarker = open.includes('```') ? '```' : '`';
+      if (message.startsWith(codeMarker, index)) {
+        toggle(codeMarker);
+        index += codeMarker.length;
+      } else {
+        pushText(tokens, char);
+        index += 1;
+      }
+      continue;
+    }
+
+    if (char === '[') {
+      const link = message.substring(index).match(MARKDOWN_LINK_PATTERN);
+      if (link) {
+        const closer = `](${link[2]})`;
+        linkClosers.set(index + 1 + link[1].length, closer);
+        open.push('[');
+        tokens.push({ kind: 'open', text: '[', key: '[', closer });
+        index += 1;
+        continue;
+      }
+    }
+
+    const marker = MARKDOWN_MARKERS.find(candidate => message.startsWith(candidate, index));
+    if (marker === '```' && !open.includes('```')) {
+      // 코드 블록 언어 지정(```js)과 뒤따르는 줄바꿈은 여는 표시에 포함
+      const language = message.substring(index + 3).match(/^[\w+-]*\n?/)[0];
+      toggle(marker, `${marker}${language}`);
+      index += marker.length + language.length;
+      continue;
+    }
+    if (marker) {
+      toggle(marker);
+      index += marker.length;
+      continue;
+    }
+
+    pushText(tokens, char);
+    index += 1;
+  }
+
+  return tokens;
+}
+
+/**
+ * 일반 텍스트 토큰화 (줄바꿈만 구분)
+ */
+function tokenizePlain(message) {
+  const tokens = [];
+  message.split('\n').forEach((line, lineIndex) => {
+    if (lineIndex > 0) tokens.push({ kind: 'newline', text: '\n' });
+    if (line) tokens.push({ kind: 'text', text: line });
+  });
+  return tokens;
+}
+
+/**
+ * parse mode별 토큰화
+ */
+function tokenize(message, parseMode) {
+  if (parseMode === PARSE_MODES.HTML) return tokenizeHtml(message);
+  if (parseMode === PARSE_MODES.MARKDOWN_V2) return tokenizeMarkdownV2(message);
+  return tokenizePlain(message);
+}
+
+/**
+ * 토큰 적용 후의 열린 서식 목록
+ */
+function applyToken(stack, token) {
+  if (token.kind === 'open') {
+    return [...stack, token];
+  }
+
+  if (token.kind === 'close') {
+    const openIndex = stack.map(item => item.key).lastIndexOf(token.key);
+    return openIndex === -1 ? stack : [...stack.slice(0, openIndex), ...stack.slice(openIndex + 1)];
+  }
+
+  return stack;
+}
+
+/**
+ * 열린 서식을 닫는 문자열 (안쪽부터)
+ */
+function closeAll(stack) {
+  return stack.map(token => token.closer).reverse().join('');
+}
+
+/**
+ * 서로게이트 쌍을 나누지 않는 자르기 위치
+ */
+function safeCutIndex(text, length) {
+  const code = text.charCodeAt(length - 1);
+  return code >= 0xD800 && code <= 0xDBFF ? length - 1 : length;
+}
+
+/**
+ * 서식을 깨지 않고 메시지 분할
+ * @param {string} message - 메시지
+ * @param {number} maxLength - 메시지당 최대 길이
+ * @param {string} parseMode - HTML | MarkdownV2 | plain
+ * @returns {string[]} 분할된 메시지
+ */
+function splitMessage(message, maxLength, parseMode = PARSE_MODES.HTML) {
+  if (message.length <= maxLength) {
+    return [message];
+  }
+
+  const tokens = tokenize(message, parseMode);
+  const messages = [];
+  let stack = [];
+  let index = 0;
+  // 앞 메시지에서 일부만 담은 텍스트 토큰의 나머지
+  let remainder = null;
+
+  while (index < tokens.length) {
+    // 이전 메시지에서 열려 있던 서식을 다시 열고 시작
+    let chunk = stack.map(token => token.text).join('');
+    const prefixLength = chunk.length;
+    let chunkStack = stack;
+    let checkpoint = null;
+
+    while (index < tokens.length) {
+      const token = remainder ?? tokens[index];
+      const nextStack = applyToken(chunkStack, token);
+
+      if (chunk.length + token.text.length + closeAll(nextStack).length <= maxLength) {
+        if (token.kind === 'newline' && chunk.length > prefixLength) {
+          checkpoint = { index: index + 1, length: chunk.length, stack: chunkStack };
+        }
+        chunk += token.text;
+        chunkStack = nextStack;
+        remainder = null;
+        index++;
+        continue;
+      }
+
+      // 1순위: 마지막 줄바꿈에서 나누기
+      if (checkpoint) {
+        chunk = chunk.substring(0, checkpoint.length);
+        chunkStack = checkpoint.stack;
+        index = checkpoint.index;
+        remainder = null;
+        break;
+      }
+
+      // 2순위: 긴 텍스트를 남은 공간만큼 나누기
+      const available = maxLength - chunk.length - closeAll(chunkStack).length;
+      if (token.kind === 'text' && available > 0) {
+        const cut = safeCutIndex(token.text, available);
+        chunk += token.text.substring(0, cut);
+        remainder = { ...token, text: token.text.substring(cut) };
+        break;
+      }
+
+      // 태그 하나도 들어가지 않는 빈 메시지면 그대로 담음 (무한 반복 방지)
+      if (chunk.length === prefixLength) {
+        chunk += token.text;
+        chunkStack = nextStack;
+        remainder = null;
+        index++;
+      }
+      break;
+    }
+
+    const text = `${chunk}${closeAll(chunkStack)}`.trim();
+    if (text) {
+      messages.push(text);
+    }
+    stack = chunkStack;
+  }
+
+  return messages;
+}
+
+module.exports = {
+  splitMessage
+};
\ No newline at end of file
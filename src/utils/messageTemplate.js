@@ -0,0 +1,196 @@
+const { escapeForParseMode, escapeMarkdownV2Url } = require('./formatters');
+const { PARSE_MODES } = require('../domain/constants/ServiceConstants');
+
+/**
+ * 메시지 템플릿 모듈
+ * services.json의 messageTemplate / chatTemplates에서 사용하는 작은 템플릿 언어
+ *
+ * 문법:
+ * - {title}                  값 치환 (parse mode에 맞게 자동 이스케이프)
+ * - {title|truncate:80}      필터 적용 (여러 개는 | 로 연결)
+ * - {#description}...{/description}  값이 있을 때만 블록 출력
+ *
+ * 템플릿 본문(값 이외의 부분)은 이스케이프하지 않으므로 <b>, *굵게* 등 서식을 그대로 쓸 수 있음
+ * MarkdownV2 링크 주소 자리([...]({url}))의 값은 링크 규칙(")", "\" 만 이스케이프)으로 처리
+ *
+ * 설정 형식: "템플릿 문자열" 또는 { "text": "템플릿 문자열", "parseMode": "MarkdownV2" }
+ */
+
+// 템플릿에서 사용할 수 있는 값
+const TEMPLATE_FIELDS = Object.freeze([
+  'source', 'title', 'url', 'description', 'author', 'date', 'tags', 'score', 'category'
+]);
+
+// 필터 (값, 인자) → 값
+const TEMPLATE_FILTERS = Object.freeze({
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  truncate: (value, length = '100') => {
+    const text = String(value);
+    const max = parseInt(length, 10);
+    return text.length > max ? `${text.substring(0, Math.max(max - 3, 0))}...` : text;
+  },
+  hashtags: value => (Array.isArray(value) ? value : [value])
+    .map(tag => `#${String(tag).replace(/\s+/g, '_')}`)
+    .join(' '),
+  fixed: (value, digits = '2') => Number(value).toFixed(parseInt(digits, 10))
+});
+
+// {#필드}, {/필드}, {필드|필터:인자|...}
+const TAG_PATTERN = /\{([#/]?)([a-zA-Z]+)((?:\|[a-zA-Z]+(?::[^|{}]+)?)*)\}/g;
+
+/**
+ * 템플릿 문자열을 토큰 목록으로 컴파일
+ * @param {string} template - 템플릿 문자열
+ * @returns {Array} 토큰 트리 ({ type: 'text' | 'value' | 'section' })
+ * @throws {Error} 알 수 없는 필드/필터, 닫히지 않은 블록
+ */
+function compileTemplate(template) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    throw new Error('템플릿은 비어 있지 않은 문자열이어야 합니다');
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const [tag, marker, field, filterChain] = match;
+    const current = stack[stack.length - 1];
+
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', text: template.substring(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (!TEMPLATE_FIELDS.includes(field)) {
+      throw new Error(`알 수 없는 템플릿 필드: ${tag} (사용 가능: ${TEMPLATE_FIELDS.join(', ')})`);
+    }
+
+    if (marker === '#') {
+      const section = { type: 'section', field, children: [] };
+      current.children.push(section);
+      stack.push(section);
+      continue;
+    }
+
+    if (marker === '/') {
+      if (current.type !== 'section' || current.field !== field) {
+        throw new Error(`여는 블록 없이 닫는 블록이 있습니다: ${tag}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    const filters = filterChain.split('|').filter(Boolean).map(entry => {
+      const [name, arg] = entry.split(':');
+      if (!TEMPLATE_FILTERS[name]) {
+        throw new Error(`알 수 없는 템플릿 필터: ${name} (사용 가능: ${Object.keys(TEMPLATE_FILTERS).join(', ')})`);
+      }
+      return { name, arg };
+    });
+
+    // MarkdownV2 링크 주소 자리인지 (바로 앞 텍스트가 "](" 로 끝남)
+    const previous = current.children[current.children.length - 1];
+    const inLinkUrl = previous?.type === 'text' && previous.text.endsWith('](');
+
+    current.children.push({ type: 'value', field, filters, inLinkUrl });
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`닫히지 않은 블록이 있습니다: {#${stack[stack.length - 1].field}}`);
+  }
+
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', text: template.substring(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * 템플릿 설정을 { text, parseMode } 형태로 변환
+ * @param {string|Object} template - 템플릿 문자열 또는 { text, parseMode }
+ * @returns {{ text: string, parseMode: string|null }|null} parseMode가 없으면 null (기본 parse mode 사용)
+ * @throws {Error} 형식이 올바르지 않거나 지원하지 않는 parse mode
+ */
+function normalizeTemplate(template) {
+  if (template === undefined || template === null) {
+    return null;
+  }
+
+  if (typeof template === 'string') {
+    return { text: template, parseMode: null };
+  }
+
+  if (typeof template !== 'object' || Array.isArray(template)) {
+    throw new Error('템플릿은 문자열 또는 { text, parseMode } 객체여야 합니다');
+  }
+
+  const parseMode = template.parseMode ?? null;
+  if (parseMode !== null && !Object.values(PARSE_MODES).includes(parseMode)) {
+    throw new Error(`지원하지 않는 parse mode: ${parseMode} (사용 가능: ${Object.values(PARSE_MODES).join(', ')})`);
+  }
+
+  return { text: template.text, parseMode };
+}
+
+/**
+ * 비어 있는 값 여부 (블록 출력 판단)
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * 값 하나를 문자열로 변환 (배열은 쉼표로 연결)
+ */
+function stringifyValue(value) {
+  if (isEmptyValue(value)) return '';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * 템플릿 렌더링
+ * @param {string|Array} template - 템플릿 문자열 또는 compileTemplate 결과
+ * @param {Object} values - 필드 값 (TEMPLATE_FIELDS)
+ * @param {string} parseMode - 텔레그램 parse mode (값 이스케이프 방식)
+ * @returns {string} 렌더링된 메시지
+ */
+function renderTemplate(template, values, parseMode = PARSE_MODES.HTML) {
+  const tokens = typeof template === 'string' ? compileTemplate(template) : template;
+  const escape = (text, inLinkUrl) => (parseMode === PARSE_MODES.MARKDOWN_V2 && inLinkUrl
+    ? escapeMarkdownV2Url(text)
+    : escapeForParseMode(text, parseMode));
+
+  const renderTokens = list => list.map(token => {
+    if (token.type === 'text') {
+      return token.text;
+    }
+
+    const value = values[token.field];
+
+    if (token.type === 'section') {
+      return isEmptyValue(value) ? '' : renderTokens(token.children);
+    }
+
+    if (isEmptyValue(value)) {
+      return '';
+    }
+
+    const filtered = token.filters.reduce(
+      (result, { name, arg }) => TEMPLATE_FILTERS[name](result, arg),
+      value
+    );
+    return escape(stringifyValue(filtered), token.inLinkUrl);
+  }).join('');
+
+  return renderTokens(tokens).trim();
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  compileTemplate,
+  normalizeTemplate,
+  renderTemplate
+};
\ No newline at end of file
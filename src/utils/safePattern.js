@@ -0,0 +1,43 @@
+const RE2 = require('re2');
+
+/**
+ * 안전한 정규식 매칭 유틸리티
+ * 사용자가 입력한 정규식(/watch 구독 등)을 백트래킹 없이 매칭
+ *
+ * JavaScript RegExp는 백트래킹 방식이라 (a+)+$ 같은 패턴이 특정 입력에서 지수 시간이 걸림 (ReDoS)
+ * 여기서는 선형 시간 정규식 엔진 RE2(re2 패키지)로 컴파일하므로 매칭 시간이 항상 본문 길이에 비례
+ *
+ * 지원 문법 (항상 대소문자 무시): RE2 문법 (문자 클래스, \d \w \s \b, ^ $, 그룹, |, 반복 {n,m}은 1000 이하)
+ * 지원하지 않는 문법 (오류): 역참조(\1), 전후방 탐색((?=, (?!, (?<=, (?<!)
+ */
+
+// RE2 오류 메시지 → 안내 문구 (앞부분 일치)
+const ERROR_MESSAGES = [
+  ['invalid escape sequence', '지원하지 않는 이스케이프입니다 (역참조 등)'],
+  ['invalid perl operator', '전후방 탐색은 지원하지 않습니다'],
+  ['missing )', '닫는 괄호가 없습니다'],
+  ['unexpected )', '여는 괄호가 없습니다'],
+  ['missing ]', '닫는 대괄호가 없습니다'],
+  ['no argument for repetition operator', '반복할 대상이 없습니다'],
+  ['bad repetition operator', '반복을 연달아 쓸 수 없습니다'],
+  ['invalid repetition size', '반복 횟수가 잘못됐거나 너무 큽니다']
+];
+
+/**
+ * 정규식 문자열을 선형 시간 매처로 컴파일
+ * @param {string} source - 정규식 (슬래시 제외)
+ * @returns {{ source: string, test: (text: string) => boolean }} 매처 (RE2 인스턴스, 대소문자 무시)
+ * @throws {Error} 지원하지 않는 문법 (안내 문구와 RE2 오류 메시지)
+ */
+function compilePattern(source) {
+  try {
+    return new RE2(source, 'i');
+  } catch (error) {
+    const [, message] = ERROR_MESSAGES.find(([prefix]) => error.message.startsWith(prefix)) ?? [];
+    throw new Error(message ? `${message} (${error.message})` : error.message);
+  }
+}
+
+module.exports = {
+  compilePattern
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * URL 유틸리티 함수들
+ * 아티클 식별을 위한 URL 정규화를 제공
+ */
+
+const axios = require('axios');
+
+// 아티클 식별과 무관한 추적용 쿼리 파라미터
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'ref', 'ref_src', 'spm'
+]);
+
+/**
+ * 추적용 쿼리 파라미터 여부 (utm_* 포함)
+ * @param {string} name - 쿼리 파라미터 이름
+ * @returns {boolean} 추적용 파라미터 여부
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.has(lower);
+}
+
+/**
+ * 아티클 URL을 정규(canonical) 형태로 변환
+ * - 프로토콜/호스트 소문자화, 기본 포트 및 fragment 제거
+ * - 추적용 쿼리 파라미터(utm_*, fbclid 등) 제거 후 나머지 파라미터 정렬
+ * - 경로 끝의 슬래시 제거
+ * URL이 아닌 ID(예: 커밋 해시)는 공백만 정리해서 그대로 반환
+ * @param {string} url - 원본 URL 또는 ID
+ * @returns {string} 정규화된 ID
+ */
+function canonicalizeUrl(url) {
+  if (!url) return '';
+
+  const trimmed = String(url).trim();
+
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch {
+    return trimmed;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return trimmed;
+  }
+
+  parsed.hash = '';
+
+  [...parsed.searchParams.keys()]
+    .filter(isTrackingParam)
+    .forEach(name => parsed.searchParams.delete(name));
+  parsed.searchParams.sort();
+
+  // 루트가 아닌 경로의 끝 슬래시 제거
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * 리다이렉트를 따라간 최종 URL 조회 (실패 시 원본 URL 반환)
+ * HEAD를 허용하지 않는 서버는 GET으로 재시도
+ * @param {string} url - 원본 URL
+ * @param {Object} options - 옵션
+ * @param {number} options.timeout - 요청 타임아웃 (밀리초, 기본값: 5000)
+ * @returns {Promise<string>} 최종 URL
+ */
+async function resolveRedirects(url, { timeout = 5000 } = {}) {
+  const request = {
+    url,
+    timeout,
+    maxRedirects: 5,
+    validateStatus: () => true
+  };
+
+  try {
+    let response = await axios({ ...request, method: 'head' });
+
+    if (response.status === 405 || response.status === 501) {
+      response = await axios({ ...request, method: 'get', responseType: 'stream' });
+      response.data.destroy();
+    }
+
+    return response.request?.res?.responseUrl || url;
+  } catch {
+    return url;
+  }
+}
+
+module.exports = {
+  canonicalizeUrl,
+  resolveRedirects
+};
\ No newline at end of file